@@ -10,6 +10,9 @@ import { ModalManager } from './managers/ModalManager.js';
 import { SessionManager } from './managers/SessionManager.js';
 import { ChatManager } from './managers/ChatManager.js';
 import { DataManager } from './managers/DataManager.js';
+import { StateSyncManager } from './managers/StateSyncManager.js';
+import { JournalManager } from './managers/JournalManager.js';
+import { HistoryManager } from './managers/HistoryManager.js';
 
 
 import { TagSystem } from './systems/TagSystem.js';
@@ -18,6 +21,9 @@ import { CharacterManager } from './systems/CharacterManager.js';
 import { SceneManager } from './systems/SceneManager.js';
 import { ChallengeManager } from './systems/ChallengeManager.js';
 import { FellowshipManager } from './systems/FellowshipManager.js';
+import { ThemeAdvancementManager } from './systems/ThemeAdvancementManager.js';
+import { ThemebookManager } from './systems/ThemebookManager.js';
+import { PowerSystem } from './systems/PowerSystem.js';
 
 // Import utilities
 import { escapeHtml } from './utils/helpers.js';
@@ -57,6 +63,9 @@ export class GameClient {
     this.sessionManager = new SessionManager(this);
     this.chatManager = new ChatManager(this);
     this.dataManager = new DataManager(this);
+    this.stateSyncManager = new StateSyncManager(this);
+    this.journalManager = new JournalManager(this);
+    this.historyManager = new HistoryManager(this);
 
 
     // Initialize systems
@@ -66,6 +75,9 @@ export class GameClient {
     this.sceneManager = new SceneManager(this);
     this.challengeManager = new ChallengeManager(this);
     this.fellowshipManager = new FellowshipManager(this);
+    this.themeAdvancementManager = new ThemeAdvancementManager(this);
+    this.themebookManager = new ThemebookManager(this);
+    this.powerSystem = new PowerSystem(this);
   }
 
   /**
@@ -102,6 +114,18 @@ export class GameClient {
       createBtn.addEventListener('click', () => this.sessionManager.handleCreateSession());
     }
 
+    // Create campaign button
+    const createCampaignBtn = document.getElementById('create-campaign-btn');
+    if (createCampaignBtn) {
+      createCampaignBtn.addEventListener('click', () => this.sessionManager.handleCreateCampaign());
+    }
+
+    // Narrators enter the session's passphrase
+    const isGMCheckbox = document.getElementById('is-gm');
+    if (isGMCheckbox) {
+      isGMCheckbox.addEventListener('change', () => this.sessionManager.updateNarratorPassphraseField());
+    }
+
     // Enter key on session ID or player name
     const sessionIdInput = document.getElementById('session-id');
     const playerNameInput = document.getElementById('player-name');
@@ -159,12 +183,41 @@ export class GameClient {
       rollDiceBtn.addEventListener('click', () => this.diceSystem.handleRollDice());
     }
 
+    // Spend power panel
+    this.powerSystem.setupEventListeners();
+
+    // Load older chat and rolls from the session journal
+    this.journalManager.setupEventListeners();
+
+    // Undo, redo and the trash
+    this.historyManager.setupEventListeners();
+
+    // Improving, abandoning and advancing themes
+    this.themeAdvancementManager.setupEventListeners();
+
     // Character creation button
     const createCharacterBtn = document.getElementById('create-character-btn');
     if (createCharacterBtn) {
       createCharacterBtn.addEventListener('click', () => this.characterManager.showCharacterCreation());
     }
 
+    // Character sheet files: import, and export or print the sheet being viewed
+    const importCharacterBtn = document.getElementById('import-character-btn');
+    const importCharacterFile = document.getElementById('import-character-file');
+    if (importCharacterBtn && importCharacterFile) {
+      importCharacterBtn.addEventListener('click', () => importCharacterFile.click());
+      importCharacterFile.addEventListener('change', () => {
+        this.characterManager.handleImportCharacter(importCharacterFile.files[0]);
+        importCharacterFile.value = '';
+      });
+    }
+    document.getElementById('export-character-btn')?.addEventListener('click', () => {
+      this.characterManager.exportCharacter(this.characterManager.viewingCharacterId);
+    });
+    document.getElementById('print-character-btn')?.addEventListener('click', () => {
+      this.characterManager.printCharacter(this.characterManager.viewingCharacterId);
+    });
+
     // Scene management button
     const manageScenesBtn = document.getElementById('manage-scenes-btn');
     if (manageScenesBtn) {
@@ -244,6 +297,12 @@ export class GameClient {
       if (e.target.classList.contains('scene-management-overlay')) {
         this.sceneManager.hideSceneManagement();
       }
+      if (e.target.classList.contains('trash-overlay')) {
+        this.historyManager.hideTrash();
+      }
+      if (e.target.classList.contains('theme-advancement-overlay')) {
+        this.themeAdvancementManager.skip();
+      }
     });
 
     // Click outside challenges dropdown to close
@@ -370,11 +429,12 @@ export class GameClient {
     // Update characters list
     const characters = this.gameState.gameObjects?.filter(obj => obj.type === 'character') || [];
     this.characterManager.updateCharactersList(characters);
+    this.characterManager.refreshCharacterView();
 
     // Update fellowship
     const fellowship = this.gameState.gameObjects?.find(obj => obj.type === 'fellowship') || null;
     if (fellowship) {
-        this.fellowshipManager.updateFellowship(fellowship.contents);
+        this.fellowshipManager.updateFellowship(fellowship.contents, fellowship.id);
     }
 
     // Update current scene
@@ -392,7 +452,8 @@ export class GameClient {
 
     // Update dice results
     if (this.gameState.diceRolls) {
-      this.uiManager.updateDiceResults(this.gameState.diceRolls);
+      this.uiManager.updateDiceResults(this.journalManager.withHistory('roll', this.gameState.diceRolls));
+      this.powerSystem.updateSpendPanel();
     }
 
     // Update players list
@@ -403,17 +464,30 @@ export class GameClient {
     if (sceneManagementOverlay && !sceneManagementOverlay.classList.contains('hidden')) {
       this.sceneManager.populateSceneManagement();
     }
+
+    // Update the trash modal if it's visible
+    const trashOverlay = document.getElementById('trash-overlay');
+    if (trashOverlay && !trashOverlay.classList.contains('hidden')) {
+      this.historyManager.updateTrash();
+    }
   }
 
   // WebSocket event handlers
   handleSessionJoined(data) {
     console.log('🎯 handleSessionJoined called with data:', data);
     // Store reconnection information for potential WebSocket reconnections
-    if (data.sessionId && data.playerName) {
-      this.webSocketManager.setCurrentSessionAndPlayer(data.sessionId, data.playerName);
+    if (data.session?.id && data.player?.name) {
+      this.webSocketManager.setCurrentSessionAndPlayer(data.session.id, data.player.name, data.session.campaignId);
     } else {
-      console.warn('⚠️ handleSessionJoined: Missing sessionId or playerName:', { sessionId: data.sessionId, playerName: data.playerName });
+      console.warn('⚠️ handleSessionJoined: Missing session or player:', { session: data.session, player: data.player });
+    }
+
+    // The server only sends a reconnect token when it issues a new player id
+    if (data.reconnectToken) {
+      this.webSocketManager.storePlayerCredentials(data.session, data.player, data.reconnectToken);
     }
+
+    this.journalManager.reset();
     
     this.sessionManager.handleSessionJoined(data);
   }
@@ -430,6 +504,8 @@ export class GameClient {
     // Clear reconnection information when leaving session
     this.webSocketManager.currentSessionId = null;
     this.webSocketManager.currentPlayerName = null;
+    this.webSocketManager.currentCampaignId = null;
+    this.webSocketManager.currentNarratorPassphrase = null;
     this.webSocketManager.wasConnected = false;
     console.log('📝 Cleared reconnection info - session left');
   }
@@ -441,15 +517,28 @@ export class GameClient {
   handleGameStateUpdate(data) {
     console.log('🔄 Game state update received:', data);
     this.gameState = data.gameState;
+    this.stateSyncManager.handleFullState();
     this.updateGameUI();
   }
 
+  handleGameStatePatch(data) {
+    this.stateSyncManager.handleGameStatePatch(data);
+  }
+
+  handleJournalPage(data) {
+    this.journalManager.handleJournalPage(data);
+  }
+
   handleCurrentGameState(data) {
     console.log('🔄 Current game state received (reconnection/refresh):', data);
     // This is a full state refresh after reconnection or manual refresh
     this.gameState = data.gameState;
+    this.stateSyncManager.handleFullState();
     this.currentSession = data.session;
     this.currentPlayer = data.player;
+    if (data.reconnectToken) {
+      this.webSocketManager.storePlayerCredentials(data.session, data.player, data.reconnectToken);
+    }
     this.sessionJoinComplete = true;
     
     // Force a complete UI refresh
@@ -492,6 +581,10 @@ export class GameClient {
     this.sessionManager.handleSavedSessions(data);
   }
 
+  handleCampaignCreated(data) {
+    this.sessionManager.handleCampaignCreated(data);
+  }
+
   handleSessionPlayers(data) {
     this.sessionManager.handleSessionPlayers(data);
   }
@@ -502,8 +595,12 @@ export class GameClient {
   }
 
   // Global access methods for HTML onclick handlers
-  selectSavedSession(sessionId) {
-    this.sessionManager.selectSavedSession(sessionId);
+  selectSavedSession(sessionId, campaignId = null) {
+    this.sessionManager.selectSavedSession(sessionId, campaignId);
+  }
+
+  startCampaignSession(campaignId) {
+    this.sessionManager.startCampaignSession(campaignId);
   }
 
   loadSessionPlayers(sessionId) {
@@ -34,7 +34,8 @@ export class ChatManager {
    * @param {Array} messages - Array of chat messages
    */
   updateChatMessages(messages = []) {
-    this.gameClient.uiManager.updateChatMessages(messages);
+    // Older messages loaded from the journal stay above the recent ones
+    this.gameClient.uiManager.updateChatMessages(this.gameClient.journalManager.withHistory('chat', messages));
   }
 
   /**
@@ -0,0 +1,117 @@
+/**
+ * History Manager for LitMPlayer Game Client
+ * Handles undo, redo and restoring deleted objects from the session trash
+ */
+
+import { ACTION_TYPES, ELEMENT_IDS } from '../utils/constants.js';
+import { escapeHtml, formatTimestamp, getElement } from '../utils/helpers.js';
+import { canEditObject } from '../utils/objectAccess.js';
+
+export class HistoryManager {
+  constructor(gameClient) {
+    this.gameClient = gameClient;
+  }
+
+  /**
+   * Setup event listeners for the undo, redo and trash controls
+   */
+  setupEventListeners() {
+    getElement(ELEMENT_IDS.UNDO_BTN)?.addEventListener('click', () => this.undo());
+    getElement(ELEMENT_IDS.REDO_BTN)?.addEventListener('click', () => this.redo());
+    getElement(ELEMENT_IDS.TRASH_BTN)?.addEventListener('click', () => this.showTrash());
+    getElement(ELEMENT_IDS.CLOSE_TRASH)?.addEventListener('click', () => this.hideTrash());
+
+    getElement(ELEMENT_IDS.TRASH_LIST)?.addEventListener('click', (e) => {
+      const restoreBtn = e.target.closest('[data-restore-object-id]');
+      if (restoreBtn) {
+        this.restoreObject(restoreBtn.dataset.restoreObjectId);
+      }
+    });
+  }
+
+  /**
+   * Undo the current player's last change (the narrator's undo covers everyone's)
+   */
+  undo() {
+    this.gameClient.webSocketManager.sendGameAction({ type: ACTION_TYPES.UNDO });
+  }
+
+  /**
+   * Redo the last change the current player undid
+   */
+  redo() {
+    this.gameClient.webSocketManager.sendGameAction({ type: ACTION_TYPES.REDO });
+  }
+
+  /**
+   * Restore a deleted object from the trash
+   * @param {string} objectId - Object ID
+   */
+  restoreObject(objectId) {
+    this.gameClient.webSocketManager.sendGameAction({
+      type: ACTION_TYPES.RESTORE_OBJECT,
+      objectId: objectId
+    });
+  }
+
+  /**
+   * Show the trash modal
+   */
+  showTrash() {
+    this.gameClient.modalManager.showModal(ELEMENT_IDS.TRASH_OVERLAY);
+    this.updateTrash();
+  }
+
+  /**
+   * Hide the trash modal
+   */
+  hideTrash() {
+    this.gameClient.modalManager.hideModal(ELEMENT_IDS.TRASH_OVERLAY);
+  }
+
+  /**
+   * Fill the trash modal with the deleted objects, newest first
+   */
+  updateTrash() {
+    const trashList = getElement(ELEMENT_IDS.TRASH_LIST);
+    if (!trashList) return;
+
+    const trash = [...(this.gameClient.gameState?.trash || [])].reverse();
+    if (trash.length === 0) {
+      trashList.innerHTML = '<p class="trash-empty">The trash is empty</p>';
+      return;
+    }
+
+    const player = this.gameClient.currentPlayer;
+    trashList.innerHTML = trash.map(item => {
+      const contents = item.object.contents || {};
+      const name = contents.characterName || contents.name || contents.title || 'Untitled';
+      const deletedBy = this.getPlayerName(item.deletedBy);
+      const canRestore = !!player && canEditObject(item.object, player);
+
+      return `
+        <div class="trash-item">
+          <div>
+            <strong>${escapeHtml(name)}</strong> <span class="trash-item-meta">(${escapeHtml(item.object.type)})</span>
+            <div class="trash-item-meta">
+              Deleted ${formatTimestamp(item.deletedAt)}${deletedBy ? ` by ${escapeHtml(deletedBy)}` : ''}
+            </div>
+          </div>
+          ${canRestore ? `<button class="btn btn-secondary btn-small" data-restore-object-id="${escapeHtml(item.object.id)}">Restore</button>` : ''}
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Get the name of a player in the current session
+   * @param {string} playerId - Player ID
+   * @returns {string} Player name, or an empty string if they are not connected
+   */
+  getPlayerName(playerId) {
+    const players = this.gameClient.currentSession?.players;
+    if (!playerId || !Array.isArray(players)) return '';
+
+    return players.find(player => player.id === playerId)?.name || '';
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * Journal Manager for LitMPlayer Game Client
+ * Lazy-loads chat messages and rolls older than the game state keeps from the session journal
+ */
+
+import { DEFAULTS, ELEMENT_IDS } from '../utils/constants.js';
+import { getElement, showElement, hideElement } from '../utils/helpers.js';
+
+// Journal entry kinds with a "load older" button, and the button for each
+const HISTORY_BUTTONS = {
+  chat: ELEMENT_IDS.LOAD_OLDER_CHAT,
+  roll: ELEMENT_IDS.LOAD_OLDER_ROLLS
+};
+
+export class JournalManager {
+  constructor(gameClient) {
+    this.gameClient = gameClient;
+    this.history = { chat: [], roll: [] }; // Items loaded from the journal, oldest first
+    this.hasMore = { chat: true, roll: true };
+    this.loading = new Set(); // Kinds with a page request in flight
+  }
+
+  /**
+   * Setup event listeners for the load older buttons
+   */
+  setupEventListeners() {
+    Object.entries(HISTORY_BUTTONS).forEach(([kind, buttonId]) => {
+      getElement(buttonId)?.addEventListener('click', () => this.loadOlder(kind));
+    });
+  }
+
+  /**
+   * Forget the loaded history, e.g. after joining a session
+   */
+  reset() {
+    this.history = { chat: [], roll: [] };
+    this.hasMore = { chat: true, roll: true };
+    this.loading.clear();
+    this.updateButtons();
+  }
+
+  /**
+   * Request the page of entries before the oldest one shown
+   * @param {string} kind - Entry kind (chat or roll)
+   */
+  loadOlder(kind) {
+    if (this.loading.has(kind) || !this.hasMore[kind]) return;
+
+    const items = this.withHistory(kind, this.getStateItems(kind));
+    this.loading.add(kind);
+    this.gameClient.webSocketManager.requestJournal({
+      kinds: [kind],
+      before: items.length > 0 ? items[0].timestamp : undefined,
+      limit: DEFAULTS.JOURNAL_PAGE_SIZE
+    });
+  }
+
+  /**
+   * Handle a page of journal entries from the server
+   * @param {Object} data - Journal page ({ kinds, entries, hasMore })
+   */
+  handleJournalPage(data) {
+    const kind = data.kinds?.[0];
+    if (!HISTORY_BUTTONS[kind]) return;
+
+    this.loading.delete(kind);
+    this.hasMore[kind] = data.hasMore;
+
+    // Pages can overlap what the game state already holds
+    const known = new Set(this.withHistory(kind, this.getStateItems(kind)).map(item => item.id));
+    const older = (data.entries || [])
+      .filter(entry => entry.kind === kind && entry.data && !known.has(entry.data.id))
+      .map(entry => entry.data);
+
+    this.history[kind] = [...older, ...this.history[kind]];
+    this.updateButtons();
+
+    if (older.length > 0) {
+      this.refresh(kind);
+    }
+  }
+
+  /**
+   * Put the loaded history in front of the items from the game state
+   * @param {string} kind - Entry kind (chat or roll)
+   * @param {Array} items - Items from the game state, oldest first
+   * @returns {Array} History and items, oldest first
+   */
+  withHistory(kind, items = []) {
+    const ids = new Set(items.map(item => item.id));
+    return [...(this.history[kind] || []).filter(item => !ids.has(item.id)), ...items];
+  }
+
+  /**
+   * Get the items of a kind held in the game state
+   * @param {string} kind - Entry kind (chat or roll)
+   * @returns {Array} Chat messages or rolls
+   */
+  getStateItems(kind) {
+    const gameState = this.gameClient.gameState;
+    return (kind === 'chat' ? gameState?.chat : gameState?.diceRolls) || [];
+  }
+
+  /**
+   * Redraw a list after older items were loaded, keeping them in view
+   * @param {string} kind - Entry kind (chat or roll)
+   */
+  refresh(kind) {
+    if (kind === 'chat') {
+      this.gameClient.chatManager.updateChatMessages(this.getStateItems('chat'));
+      const chatMessages = getElement(ELEMENT_IDS.CHAT_MESSAGES);
+      if (chatMessages) chatMessages.scrollTop = 0;
+    } else {
+      this.gameClient.uiManager.updateDiceResults(this.withHistory('roll', this.getStateItems('roll')));
+      const diceResults = getElement(ELEMENT_IDS.DICE_RESULTS);
+      if (diceResults) diceResults.scrollTop = diceResults.scrollHeight;
+    }
+  }
+
+  /**
+   * Hide the load older buttons once there is nothing more to load
+   */
+  updateButtons() {
+    Object.entries(HISTORY_BUTTONS).forEach(([kind, buttonId]) => {
+      if (this.hasMore[kind]) {
+        showElement(buttonId);
+      } else {
+        hideElement(buttonId);
+      }
+    });
+  }
+}
@@ -9,6 +9,7 @@ export class SessionManager {
   constructor(gameClient) {
     this.gameClient = gameClient;
     this.savedSessions = [];
+    this.savedCampaigns = [];
     this.sessionPlayers = [];
   }
 
@@ -19,22 +20,39 @@ export class SessionManager {
     const sessionId = document.getElementById('session-id').value.trim();
     const playerName = document.getElementById('player-name').value.trim();
     const isGM = document.getElementById('is-gm').checked;
+    const narratorPassphrase = document.getElementById('narrator-passphrase').value;
+    const campaignId = document.getElementById('campaign-id').value;
 
     if (!sessionId || !playerName) {
       this.gameClient.uiManager.showError('Please enter both session ID and player name');
       return;
     }
 
+    if (isGM && !narratorPassphrase) {
+      this.gameClient.uiManager.showError('Please enter the narrator passphrase');
+      return;
+    }
+
     console.log('🔗 Attempting to join session:', { sessionId, playerName, isGM });
     this.gameClient.uiManager.showLoading(true);
 
     this.gameClient.webSocketManager.joinSession({
       sessionId: sessionId,
       playerName: playerName,
-      isGM: isGM
+      isGM: isGM,
+      narratorPassphrase: isGM ? narratorPassphrase : undefined,
+      campaignId: campaignId || undefined // Only a new session joins the campaign
     });
   }
 
+  /**
+   * Show the narrator passphrase field only when joining as the narrator
+   */
+  updateNarratorPassphraseField() {
+    const isGM = document.getElementById('is-gm').checked;
+    document.getElementById('narrator-passphrase-group').classList.toggle('hidden', !isGM);
+  }
+
   /**
    * Handle creating a new session
    */
@@ -48,9 +66,62 @@ export class SessionManager {
     }
 
     document.getElementById('session-id').value = sessionId;
+    document.getElementById('campaign-id').value = '';
     document.getElementById('is-gm').checked = true;
+    this.updateNarratorPassphraseField();
     
-    this.gameClient.uiManager.showError(`New session created: ${sessionId}. You are the Narrator.`, 'info');
+    this.gameClient.uiManager.showError(`New session created: ${sessionId}. Choose a narrator passphrase to run it.`, 'info');
+  }
+
+  /**
+   * Start a new session in a campaign
+   * @param {string} campaignId - Campaign ID
+   */
+  startCampaignSession(campaignId) {
+    this.handleCreateSession();
+    document.getElementById('campaign-id').value = campaignId;
+
+    const sessionId = document.getElementById('session-id').value;
+    if (sessionId) {
+      this.gameClient.uiManager.showError(`New campaign session: ${sessionId}. Enter the campaign's narrator passphrase to start it.`, 'info');
+    }
+  }
+
+  /**
+   * Handle creating a new campaign
+   * The narrator passphrase entered becomes the passphrase of every session in the campaign.
+   */
+  handleCreateCampaign() {
+    const name = document.getElementById('campaign-name').value.trim();
+    const narratorPassphrase = document.getElementById('narrator-passphrase').value;
+
+    if (!name) {
+      this.gameClient.uiManager.showError('Please enter a name for the campaign');
+      return;
+    }
+
+    if (!document.getElementById('is-gm').checked || !narratorPassphrase) {
+      document.getElementById('is-gm').checked = true;
+      this.updateNarratorPassphraseField();
+      this.gameClient.uiManager.showError('Please choose a narrator passphrase for the campaign');
+      return;
+    }
+
+    this.gameClient.webSocketManager.createCampaign({ name, narratorPassphrase });
+  }
+
+  /**
+   * Handle campaign created response
+   * @param {Object} data - Campaign created data
+   */
+  handleCampaignCreated(data) {
+    document.getElementById('campaign-name').value = '';
+    this.savedCampaigns = [data.campaign, ...this.savedCampaigns];
+    this.gameClient.uiManager.updateCampaignOptions(this.savedCampaigns);
+    this.gameClient.uiManager.updateSavedSessionsDisplay(this.savedSessions, this.savedCampaigns);
+    this.startCampaignSession(data.campaign.campaignId);
+
+    this.gameClient.uiManager.showError(`Campaign "${data.campaign.name}" created. Join to start its first session.`, 'info');
   }
 
   /**
@@ -73,15 +144,19 @@ export class SessionManager {
    */
   handleSavedSessions(data) {
     this.savedSessions = data.sessions || [];
-    this.gameClient.uiManager.updateSavedSessionsDisplay(this.savedSessions);
+    this.savedCampaigns = data.campaigns || [];
+    this.gameClient.uiManager.updateCampaignOptions(this.savedCampaigns);
+    this.gameClient.uiManager.updateSavedSessionsDisplay(this.savedSessions, this.savedCampaigns);
   }
 
   /**
    * Select a saved session
    * @param {string} sessionId - Session ID to select
+   * @param {string} campaignId - Campaign the session is played in, if any
    */
-  selectSavedSession(sessionId) {
+  selectSavedSession(sessionId, campaignId = null) {
     document.getElementById('session-id').value = sessionId;
+    document.getElementById('campaign-id').value = campaignId || '';
     this.loadSessionPlayers(sessionId);
   }
 
@@ -241,6 +316,14 @@ export class SessionManager {
     return this.savedSessions;
   }
 
+  /**
+   * Get saved campaigns
+   * @returns {Array} Array of saved campaigns
+   */
+  getSavedCampaigns() {
+    return this.savedCampaigns;
+  }
+
   /**
    * Get session players
    * @returns {Array} Array of session players
@@ -0,0 +1,175 @@
+/**
+ * State Sync Manager for LitMPlayer Game Client
+ * Applies versioned game state patches from the server and refreshes only the affected UI
+ */
+
+import { DEFAULTS, OBJECT_TYPES } from '../utils/constants.js';
+
+export class StateSyncManager {
+  constructor(gameClient) {
+    this.gameClient = gameClient;
+    this.awaitingResync = false; // Set while a full game state has been requested
+  }
+
+  /**
+   * Handle a patch from the server
+   * Patches must arrive in version order; on a gap the full state is requested instead
+   * @param {Object} data - Patch data ({ version, patches })
+   */
+  handleGameStatePatch(data) {
+    const gameState = this.gameClient.gameState;
+    if (!gameState) return;
+
+    const currentVersion = gameState.version || 0;
+    if (data.version <= currentVersion) {
+      // Already part of the state we have
+      return;
+    }
+    if (data.version !== currentVersion + 1) {
+      console.log(`⚠️ Missed game state patches (have ${currentVersion}, got ${data.version}), resyncing`);
+      this.requestResync();
+      return;
+    }
+
+    const changes = new Set();
+    data.patches.forEach(patch => this.applyPatch(gameState, patch, changes));
+    gameState.version = data.version;
+
+    this.refreshUI(changes);
+  }
+
+  /**
+   * Apply one patch to the game state
+   * @param {Object} gameState - Client game state
+   * @param {Object} patch - Patch ({ type, ... })
+   * @param {Set} changes - Collects the parts of the UI that need refreshing
+   */
+  applyPatch(gameState, patch, changes) {
+    gameState.gameObjects = gameState.gameObjects || [];
+    gameState.diceRolls = gameState.diceRolls || [];
+    gameState.notes = gameState.notes || [];
+
+    switch (patch.type) {
+      case 'object_created':
+      case 'object_updated': {
+        const index = gameState.gameObjects.findIndex(obj => obj.id === patch.object.id);
+        if (index === -1) {
+          gameState.gameObjects.push(patch.object);
+        } else {
+          gameState.gameObjects[index] = patch.object;
+        }
+        changes.add(patch.object.type);
+        break;
+      }
+      case 'object_deleted': {
+        const deleted = gameState.gameObjects.find(obj => obj.id === patch.objectId);
+        if (deleted) {
+          gameState.gameObjects = gameState.gameObjects.filter(obj => obj.id !== patch.objectId);
+          changes.add(deleted.type);
+        }
+        break;
+      }
+      case 'scene_changed':
+        gameState.currentScene = patch.currentScene;
+        changes.add(OBJECT_TYPES.SCENE);
+        break;
+      case 'active_challenge_changed':
+        gameState.activeChallenge = patch.activeChallenge;
+        changes.add(OBJECT_TYPES.CHALLENGE);
+        break;
+      case 'roll_added':
+        // The dice-rolled event has already shown the roll itself
+        gameState.diceRolls.push(patch.roll);
+        gameState.diceRolls = gameState.diceRolls.slice(-DEFAULTS.MAX_DICE_ROLLS);
+        gameState.lastRoll = patch.roll;
+        changes.add('power');
+        break;
+      case 'roll_updated': {
+        const index = gameState.diceRolls.findIndex(roll => roll.id === patch.roll.id);
+        if (index !== -1) {
+          gameState.diceRolls[index] = patch.roll;
+        }
+        if (gameState.lastRoll && gameState.lastRoll.id === patch.roll.id) {
+          gameState.lastRoll = patch.roll;
+        }
+        changes.add('rolls');
+        changes.add('power');
+        break;
+      }
+      case 'note_added':
+        gameState.notes.push(patch.note);
+        gameState.notes = gameState.notes.slice(-DEFAULTS.MAX_NOTES);
+        break;
+      case 'trash_changed':
+        gameState.trash = patch.trash;
+        changes.add('trash');
+        break;
+      default:
+        console.warn('⚠️ Unknown game state patch:', patch.type);
+    }
+  }
+
+  /**
+   * Refresh the parts of the UI that the applied patches touched
+   * @param {Set} changes - Changed object types and state areas
+   */
+  refreshUI(changes) {
+    const gameClient = this.gameClient;
+    const gameObjects = gameClient.gameState.gameObjects || [];
+
+    // Character sheets show the relationships stored on the fellowship, and the
+    // fellowship lists them under the characters' names, so each follows the other
+    if (changes.has(OBJECT_TYPES.CHARACTER) || changes.has(OBJECT_TYPES.FELLOWSHIP)) {
+      gameClient.characterManager.updateCharactersList(
+        gameObjects.filter(obj => obj.type === OBJECT_TYPES.CHARACTER)
+      );
+      gameClient.characterManager.refreshCharacterView();
+
+      const fellowship = gameObjects.find(obj => obj.type === OBJECT_TYPES.FELLOWSHIP);
+      if (fellowship) {
+        gameClient.fellowshipManager.updateFellowship(fellowship.contents, fellowship.id);
+      }
+    }
+
+    if (changes.has(OBJECT_TYPES.SCENE) || changes.has(OBJECT_TYPES.CHALLENGE)) {
+      gameClient.sceneManager.updateCurrentScene(gameClient.sceneManager.getCurrentScene());
+      gameClient.challengeManager.updateActiveChallenge(gameClient.challengeManager.getActiveChallenge());
+
+      const sceneManagementOverlay = document.getElementById('scene-management-overlay');
+      if (sceneManagementOverlay && !sceneManagementOverlay.classList.contains('hidden')) {
+        gameClient.sceneManager.populateSceneManagement();
+      }
+    }
+
+    if (changes.has('rolls')) {
+      gameClient.uiManager.updateDiceResults(gameClient.journalManager.withHistory('roll', gameClient.gameState.diceRolls));
+    }
+    if (changes.has('power')) {
+      gameClient.powerSystem.updateSpendPanel();
+    }
+
+    if (changes.has('trash')) {
+      const trashOverlay = document.getElementById('trash-overlay');
+      if (trashOverlay && !trashOverlay.classList.contains('hidden')) {
+        gameClient.historyManager.updateTrash();
+      }
+    }
+  }
+
+  /**
+   * Ask the server for the full game state
+   */
+  requestResync() {
+    if (this.awaitingResync) return;
+
+    this.awaitingResync = true;
+    this.gameClient.webSocketManager.requestGameState();
+  }
+
+  /**
+   * Note that a full game state has arrived
+   */
+  handleFullState() {
+    this.awaitingResync = false;
+  }
+}
@@ -3,7 +3,7 @@
  * Manages screen transitions and global UI elements
  */
 
-import { ELEMENT_IDS, CSS_CLASSES } from '../utils/constants.js';
+import { ELEMENT_IDS, CSS_CLASSES, ROLL_OUTCOMES, ROLL_OUTCOME_LABELS, ROLL_TYPES, ROLL_TYPE_LABELS } from '../utils/constants.js';
 import { getElement, setText, addClass, removeClass, showElement, hideElement, setHTML, escapeHtml } from '../utils/helpers.js';
 
 export class UIManager {
@@ -308,11 +308,13 @@ export class UIManager {
         <strong>${rollData.playerName}</strong> rolled ${rollData.dice || '2d6'}${modifierText} = 
         <strong class="dice-total recent">${total}</strong>
       </div>
+      ${this.renderRollOutcome(rollData)}
       <div class="dice-roll-details">
         <small>Rolls: [${rolls.join(', ')}]</small>
         ${rollData.description ? `<br><small>${rollData.description}</small>` : ''}
         ${tagDescription ? `<br><small>${tagDescription}</small>` : ''}
       </div>
+      ${this.renderPowerSpends(rollData)}
     `;
     
     // Prepend the new result at the top
@@ -322,34 +324,163 @@ export class UIManager {
     diceResults.scrollTop = 0;
   }
 
+  /**
+   * Render the outcome banner for a dice roll
+   * @param {Object} rollData - Dice roll data
+   * @returns {string} Banner HTML, or an empty string for rolls without an outcome
+   */
+  renderRollOutcome(rollData) {
+    // Rolls saved before outcomes were recorded have nothing to show
+    if (!rollData.outcome) return '';
+
+    const label = ROLL_OUTCOME_LABELS[rollData.outcome] || rollData.outcome;
+    const rollTypeLabel = ROLL_TYPE_LABELS[rollData.rollType] || '';
+
+    return `
+      <div class="dice-roll-outcome outcome-${rollData.outcome}">
+        <span>
+          ${rollTypeLabel ? `<span class="dice-roll-type">${rollTypeLabel}</span><br>` : ''}
+          <strong>${label}</strong>
+        </span>
+        <span class="dice-roll-power">${this.getRollResultText(rollData)}</span>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the power spent from a roll and the button to spend more
+   * @param {Object} rollData - Dice roll data
+   * @returns {string} HTML, or an empty string if there is nothing to show
+   */
+  renderPowerSpends(rollData) {
+    const powerSystem = this.gameClient.powerSystem;
+    const spendLog = powerSystem.renderSpendLog(rollData);
+    const spendButton = powerSystem.canSpendPower(rollData)
+      ? `<button class="btn btn-secondary btn-small" onclick="gameClient.powerSystem.openSpendPanel('${escapeHtml(rollData.id)}')">Spend Power (${rollData.powerRemaining})</button>`
+      : '';
+
+    if (!spendLog && !spendButton) return '';
+
+    return `
+      <div class="dice-power-spends">
+        ${spendLog}
+        ${spendButton}
+      </div>
+    `;
+  }
+
+  /**
+   * Describe the follow-up for a roll based on its type
+   * @param {Object} rollData - Dice roll data
+   * @returns {string} Short result text
+   */
+  getRollResultText(rollData) {
+    const typeResult = rollData.typeResult || {};
+
+    switch (rollData.rollType) {
+      case ROLL_TYPES.QUICK:
+        if (!typeResult.achieved) return 'Narrator makes a move';
+        return typeResult.consequences ? 'Achieved, with a cost' : 'Achieved';
+      case ROLL_TYPES.REACTION:
+        if (typeResult.threatAvoided === 'not') return 'Threat not avoided';
+        return `Threat ${typeResult.threatAvoided} avoided, reduce tier by ${typeResult.tierReduction}`;
+      case ROLL_TYPES.MITIGATE:
+        return `Tiers mitigated: ${typeResult.tiersMitigated}`;
+      default:
+        return rollData.outcome === ROLL_OUTCOMES.MISS
+          ? 'No power to spend'
+          : `Power: ${rollData.power}`;
+    }
+  }
+
   /**
    * Update saved sessions display
+   * Sessions played in a campaign are listed under it, oldest first, followed by
+   * the sessions that belong to no campaign.
    * @param {Array} sessions - Array of saved sessions
+   * @param {Array} campaigns - Array of saved campaigns
    */
-  updateSavedSessionsDisplay(sessions = []) {
+  updateSavedSessionsDisplay(sessions = [], campaigns = []) {
     const savedSessionsContainer = getElement('saved-sessions');
     if (!savedSessionsContainer) return;
 
-    if (sessions.length === 0) {
+    if (sessions.length === 0 && campaigns.length === 0) {
       setHTML('saved-sessions', '<p style="color: #558b2f; font-style: italic;">No saved sessions found</p>');
       return;
     }
 
-    const sessionsHTML = sessions.map(session => `
-      <div class="saved-session-item" onclick="gameClient.selectSavedSession('${session.sessionId}')">
+    const campaignIds = new Set(campaigns.map(campaign => campaign.campaignId));
+    const campaignsHTML = campaigns.map(campaign => {
+      const campaignSessions = sessions
+        .filter(session => session.campaignId === campaign.campaignId)
+        .sort((a, b) => new Date(a.created) - new Date(b.created));
+
+      return `
+        <div class="campaign-group">
+          <div class="campaign-header">
+            <h4>${escapeHtml(campaign.name)}</h4>
+            <span>${campaignSessions.length} session(s), ${campaign.totalGameObjects || 0} object(s)</span>
+            <button class="btn btn-primary btn-small" onclick="gameClient.startCampaignSession('${escapeHtml(campaign.campaignId)}')">
+              New Session
+            </button>
+          </div>
+          ${campaignSessions.length > 0
+            ? campaignSessions.map(session => this.renderSavedSession(session, campaign.campaignId)).join('')
+            : '<p class="campaign-empty">No sessions played yet</p>'}
+        </div>
+      `;
+    }).join('');
+
+    const otherSessions = sessions.filter(session => !campaignIds.has(session.campaignId));
+    const otherSessionsHTML = otherSessions.length > 0 ? `
+      <div class="campaign-group">
+        ${campaigns.length > 0 ? '<div class="campaign-header"><h4>Sessions without a campaign</h4></div>' : ''}
+        ${otherSessions.map(session => this.renderSavedSession(session)).join('')}
+      </div>
+    ` : '';
+
+    setHTML('saved-sessions', campaignsHTML + otherSessionsHTML);
+  }
+
+  /**
+   * Render a saved session in the saved sessions list
+   * @param {Object} session - Saved session
+   * @param {string} campaignId - Campaign the session is listed under, if any
+   * @returns {string} HTML string
+   */
+  renderSavedSession(session, campaignId = null) {
+    const campaignArg = campaignId ? `, '${escapeHtml(campaignId)}'` : '';
+    const playedOn = session.created ? new Date(session.created).toLocaleDateString() : null;
+
+    return `
+      <div class="saved-session-item" onclick="gameClient.selectSavedSession('${escapeHtml(session.sessionId)}'${campaignArg})">
         <div class="session-info">
-                     <h4>${escapeHtml(session.name)}</h4>
-          <p>Session ID: ${session.sessionId}</p>
+          <h4>${escapeHtml(session.name)}</h4>
+          <p>Session ID: ${escapeHtml(session.sessionId)}</p>
+          ${campaignId && playedOn ? `<p>Played: ${playedOn}</p>` : ''}
           <p>Players: ${session.playerCount}</p>
           <p>Last saved: ${new Date(session.lastSaved).toLocaleString()}</p>
         </div>
-        <button class="btn btn-secondary btn-small" onclick="event.stopPropagation(); gameClient.loadSessionPlayers('${session.sessionId}')">
+        <button class="btn btn-secondary btn-small" onclick="event.stopPropagation(); gameClient.loadSessionPlayers('${escapeHtml(session.sessionId)}')">
           Load Players
         </button>
       </div>
-    `).join('');
+    `;
+  }
 
-    setHTML('saved-sessions', sessionsHTML);
+  /**
+   * Update the campaigns a new session can be started in
+   * @param {Array} campaigns - Array of saved campaigns
+   */
+  updateCampaignOptions(campaigns = []) {
+    const campaignSelect = getElement('campaign-id');
+    if (!campaignSelect) return;
+
+    const selected = campaignSelect.value;
+    campaignSelect.innerHTML = '<option value="">No campaign</option>' + campaigns.map(campaign =>
+      `<option value="${escapeHtml(campaign.campaignId)}">${escapeHtml(campaign.name)}</option>`
+    ).join('');
+    campaignSelect.value = campaigns.some(campaign => campaign.campaignId === selected) ? selected : '';
   }
 
   /**
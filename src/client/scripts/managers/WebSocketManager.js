@@ -3,7 +3,7 @@
  * Handles all WebSocket communication with the server
  */
 
-import { SOCKET_EVENTS, CLIENT_EVENTS } from '../utils/constants.js';
+import { SOCKET_EVENTS, CLIENT_EVENTS, STORAGE_KEYS } from '../utils/constants.js';
 
 export class WebSocketManager {
   constructor(gameClient) {
@@ -14,6 +14,8 @@ export class WebSocketManager {
     this.wasConnected = false; // Track if we were previously connected
     this.currentSessionId = null; // Track current session for reconnection
     this.currentPlayerName = null; // Track current player for reconnection
+    this.currentCampaignId = null; // Campaign of the current session, whose player identity we share
+    this.currentNarratorPassphrase = null; // Narrators need their passphrase to reconnect
   }
 
   /**
@@ -85,6 +87,11 @@ export class WebSocketManager {
       this.gameClient.handleGameStateUpdate(data);
     });
 
+    this.socket.on(SOCKET_EVENTS.GAME_STATE_PATCH, (data) => {
+      console.log('Game state patch received:', data);
+      this.gameClient.handleGameStatePatch(data);
+    });
+
     this.socket.on(SOCKET_EVENTS.CURRENT_GAME_STATE, (data) => {
       console.log('Current game state received (reconnection):', data);
       this.gameClient.handleCurrentGameState(data);
@@ -105,15 +112,31 @@ export class WebSocketManager {
       this.gameClient.handleSavedSessions(data);
     });
 
+    this.socket.on(SOCKET_EVENTS.CAMPAIGN_CREATED, (data) => {
+      console.log('Campaign created:', data);
+      this.gameClient.handleCampaignCreated(data);
+    });
+
     this.socket.on(SOCKET_EVENTS.SESSION_PLAYERS, (data) => {
       console.log('Session players received:', data);
       this.gameClient.handleSessionPlayers(data);
     });
 
+    this.socket.on(SOCKET_EVENTS.JOURNAL_PAGE, (data) => {
+      console.log('Journal page received:', data);
+      this.gameClient.handleJournalPage(data);
+    });
+
     this.socket.on(SOCKET_EVENTS.ERROR, (data) => {
       console.error('Server error:', data);
       this.gameClient.showError(data.message);
       
+      // A rejected roll never gets a dice-rolled response, so allow rolling again
+      this.gameClient.diceSystem?.resetRollingState();
+      
+      // A rejected join never gets a session-joined response
+      this.gameClient.uiManager.showLoading(false);
+      
       // If this is a reconnection error, remove reconnecting status and clear timeout
       if (this.currentSessionId && this.currentPlayerName) {
         const statusBar = document.getElementById('connection-status');
@@ -144,8 +167,67 @@ export class WebSocketManager {
    * @param {Object} data - Session join data
    */
   joinSession(data) {
+    this.currentNarratorPassphrase = data.narratorPassphrase || null;
+    if (this.socket && this.isConnected) {
+      this.socket.emit(CLIENT_EVENTS.JOIN_SESSION, {
+        ...data,
+        ...this.getPlayerCredentials(data.sessionId, data.playerName, data.campaignId)
+      });
+    }
+  }
+
+  /**
+   * Get the player id and reconnect token this browser holds for a session
+   * The sessions of a campaign share their players, so a player's identity from
+   * another session of the campaign is used when there is none for the session.
+   * @param {string} sessionId - Session ID
+   * @param {string} playerName - Name the player is joining as
+   * @param {string} campaignId - Campaign of the session, if known
+   * @returns {Object} { playerId, reconnectToken }, empty if this browser has none for the name
+   */
+  getPlayerCredentials(sessionId, playerName, campaignId = null) {
+    const keys = [sessionId, ...(campaignId ? [`campaign:${campaignId}`] : [])];
+    try {
+      for (const key of keys) {
+        const stored = JSON.parse(localStorage.getItem(`${STORAGE_KEYS.PLAYER_IDENTITY}:${key}`));
+        if (stored && stored.playerName === playerName) {
+          return { playerId: stored.playerId, reconnectToken: stored.reconnectToken };
+        }
+      }
+    } catch (error) {
+      console.warn('⚠️ Could not read stored player identity:', error);
+    }
+    return {};
+  }
+
+  /**
+   * Remember the player id and reconnect token the server issued for a session
+   * @param {Object} session - Session we joined
+   * @param {Object} player - Player the server joined us as
+   * @param {string} reconnectToken - Reconnect token
+   */
+  storePlayerCredentials(session, player, reconnectToken) {
+    const keys = [session.id, ...(session.campaignId ? [`campaign:${session.campaignId}`] : [])];
+    try {
+      keys.forEach(key => {
+        localStorage.setItem(`${STORAGE_KEYS.PLAYER_IDENTITY}:${key}`, JSON.stringify({
+          playerId: player.id,
+          playerName: player.name,
+          reconnectToken: reconnectToken
+        }));
+      });
+    } catch (error) {
+      console.warn('⚠️ Could not store player identity:', error);
+    }
+  }
+
+  /**
+   * Create a campaign
+   * @param {Object} data - Campaign data ({ name, narratorPassphrase })
+   */
+  createCampaign(data) {
     if (this.socket && this.isConnected) {
-      this.socket.emit(CLIENT_EVENTS.JOIN_SESSION, data);
+      this.socket.emit(CLIENT_EVENTS.CREATE_CAMPAIGN, data);
     }
   }
 
@@ -198,6 +280,25 @@ export class WebSocketManager {
     }
   }
 
+  /**
+   * Request a page of older entries from the session journal
+   * @param {Object} data - Paging options ({ kinds, before, limit })
+   */
+  requestJournal(data) {
+    if (this.socket && this.isConnected) {
+      this.socket.emit(CLIENT_EVENTS.GET_JOURNAL, data);
+    }
+  }
+
+  /**
+   * Ask the server for the full game state (after missing a patch)
+   */
+  requestGameState() {
+    if (this.socket && this.isConnected) {
+      this.socket.emit(CLIENT_EVENTS.REQUEST_GAME_STATE);
+    }
+  }
+
   /**
    * Get current game state from server (for reconnection scenarios)
    */
@@ -212,7 +313,9 @@ export class WebSocketManager {
     if (this.socket && this.isConnected) {
       this.socket.emit(CLIENT_EVENTS.GET_CURRENT_GAME_STATE, {
         sessionId: this.currentSessionId,
-        playerName: this.currentPlayerName
+        playerName: this.currentPlayerName,
+        narratorPassphrase: this.currentNarratorPassphrase || undefined,
+        ...this.getPlayerCredentials(this.currentSessionId, this.currentPlayerName, this.currentCampaignId)
       });
     } else {
       console.error('⚠️ Cannot get current game state: WebSocket not connected');
@@ -332,9 +435,13 @@ export class WebSocketManager {
       // Store timeout reference for cleanup
       this.reconnectionTimeout = reconnectionTimeout;
       
+      // The stored reconnect token lets the server give us back our own seat
       this.socket.emit(CLIENT_EVENTS.JOIN_SESSION, {
         sessionId: this.currentSessionId,
         playerName: this.currentPlayerName,
+        isGM: !!this.currentNarratorPassphrase,
+        narratorPassphrase: this.currentNarratorPassphrase || undefined,
+        ...this.getPlayerCredentials(this.currentSessionId, this.currentPlayerName, this.currentCampaignId)
       });
     } else {
       console.error('Reconnection failed: No session ID or player name available.');
@@ -345,11 +452,13 @@ export class WebSocketManager {
    * Set current session ID and player name for reconnection
    * @param {string} sessionId - The session ID
    * @param {string} playerName - The player name
+   * @param {string} campaignId - The session's campaign, if it has one
    */
-  setCurrentSessionAndPlayer(sessionId, playerName) {
-    console.log(`📝 setCurrentSessionAndPlayer called with:`, { sessionId, playerName });
+  setCurrentSessionAndPlayer(sessionId, playerName, campaignId = null) {
+    console.log(`📝 setCurrentSessionAndPlayer called with:`, { sessionId, playerName, campaignId });
     this.currentSessionId = sessionId;
     this.currentPlayerName = playerName;
+    this.currentCampaignId = campaignId;
     console.log(`📝 Storing reconnection info - Session ID: ${sessionId}, Player Name: ${playerName}`);
   }
 
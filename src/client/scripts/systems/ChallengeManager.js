@@ -4,7 +4,8 @@
  */
 
 import { ACTION_TYPES, OBJECT_TYPES } from '../utils/constants.js';
-import { escapeHtml, generateChallengeId } from '../utils/helpers.js';
+import { escapeHtml, generateChallengeId, parseChallengeLimits, formatChallengeLimits } from '../utils/helpers.js';
+import { getChallengeLimitProgress } from '../utils/challengeLimits.js';
 
 export class ChallengeManager {
   constructor(gameClient) {
@@ -55,6 +56,7 @@ export class ChallengeManager {
     const challengeSuccess = formData.get('challengeSuccess').trim();
     const challengeConsequences = formData.get('challengeConsequences').trim();
     const challengeTags = formData.get('challengeTags').trim();
+    const challengeLimits = formData.get('challengeLimits').trim();
 
     if (!challengeTitle) {
       this.gameClient.uiManager.showError('Please enter a challenge title');
@@ -66,6 +68,7 @@ export class ChallengeManager {
       details: challengeDetails,
       success: challengeSuccess,
       consequences: challengeConsequences,
+      limits: parseChallengeLimits(challengeLimits),
       tags: {}
     };
 
@@ -77,6 +80,16 @@ export class ChallengeManager {
       });
     }
 
+    // Statuses are not edited here, so keep the ones the challenge already has
+    const existingChallenge = this.editingChallengeId
+      ? this.gameClient.gameState?.gameObjects?.find(obj => obj.id === this.editingChallengeId)
+      : null;
+    Object.entries(existingChallenge?.tags || {}).forEach(([tagName, tagData]) => {
+      if (tagData && tagData.isStatus) {
+        challengeData.tags[tagName] = tagData;
+      }
+    });
+
     if (this.editingChallengeId) {
       // Update existing challenge
       this.gameClient.webSocketManager.sendGameAction({
@@ -122,8 +135,9 @@ export class ChallengeManager {
       
       // Set challenge tags
       const tags = challenge.contents.tags || {};
-      const tagList = Object.keys(tags).join(', ');
+      const tagList = Object.keys(tags).filter(tag => !tags[tag]?.isStatus).join(', ');
       form.querySelector('[name="challengeTags"]').value = tagList;
+      form.querySelector('[name="challengeLimits"]').value = formatChallengeLimits(challenge.contents.limits);
     }
   }
 
@@ -213,13 +227,25 @@ export class ChallengeManager {
     if (tags) {
       tags.innerHTML = '';
       const challengeTags = challenge.tags || {};
+      
+      // Scene challenges store their tags inside the scene object
+      const currentScene = this.gameClient.sceneManager.getCurrentScene();
+      const isSceneChallenge = currentScene?.contents?.challenges?.some(c => c.id === challenge.id);
+      
       Object.keys(challengeTags).forEach(tag => {
-        const tagElement = this.gameClient.tagSystem.createTagElement(tag);
+        const tagRef = isSceneChallenge
+          ? { objectId: currentScene.id, challengeId: challenge.id, tagKey: tag }
+          : { objectId: challenge.id, tagKey: tag };
+        const tagData = challengeTags[tag];
+        const tagText = tagData?.isStatus ? `${tag}-${tagData.trackValue || 0}` : tag;
+        const tagElement = this.gameClient.tagSystem.createTagElement(tagText, false, tagRef);
         tags.appendChild(tagElement);
       });
       console.log('🎯 Set challenge tags:', Object.keys(challengeTags));
     }
 
+    this.updateChallengeLimits(challenge);
+
     // Update the three paragraphs in the active challenge details section
     const detailsText = document.getElementById('active-challenge-details-text');
     const success = document.getElementById('active-challenge-success');
@@ -247,6 +273,29 @@ export class ChallengeManager {
     console.log('🎯 Active challenge display updated');
   }
 
+  /**
+   * Render the limit bars of the active challenge
+   * @param {Object} challenge - Challenge object
+   */
+  updateChallengeLimits(challenge) {
+    const limitsContainer = document.getElementById('active-challenge-limits');
+    if (!limitsContainer) return;
+
+    const progress = getChallengeLimitProgress(challenge.limits || [], challenge.tags || {});
+    limitsContainer.innerHTML = progress.map(limit => {
+      const pips = Array.from({ length: limit.max }, (_, i) =>
+        `<span class="challenge-limit-pip ${i < limit.current ? 'filled' : ''}"></span>`
+      ).join('');
+
+      return `
+        <div class="challenge-limit ${limit.reached ? 'reached' : ''}" title="${escapeHtml(limit.name)} ${limit.current}/${limit.max}">
+          <span class="challenge-limit-name">${escapeHtml(limit.name)}</span>
+          <span class="challenge-limit-bar">${pips}</span>
+        </div>
+      `;
+    }).join('');
+  }
+
   /**
    * Clear active challenge display
    */
@@ -381,6 +430,7 @@ export class ChallengeManager {
         success: standaloneChallenge.contents.success,
         consequences: standaloneChallenge.contents.consequences,
         tags: standaloneChallenge.contents.tags || {},
+        limits: standaloneChallenge.contents.limits || [],
         overcome: standaloneChallenge.contents.overcome || false
       };
     }
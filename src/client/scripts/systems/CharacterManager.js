@@ -3,13 +3,20 @@
  * Handles character creation, editing, and management
  */
 
-import { ACTION_TYPES, OBJECT_TYPES } from '../utils/constants.js';
+import { ACTION_TYPES, OBJECT_TYPES, OBJECT_ACL_LABELS } from '../utils/constants.js';
 import { escapeHtml } from '../utils/helpers.js';
+import { getStatusTier } from '../utils/statusTiers.js';
+import { OBJECT_ACLS, canEditObject, getObjectAcl } from '../utils/objectAccess.js';
+import { getMembers } from '../utils/fellowshipRelationships.js';
+import { getMightName } from '../utils/themebooks.js';
+import { toCharacterSheet, validateCharacterSheet } from '../utils/characterSheets.js';
+import { THEME_TRACK_LENGTH } from '../utils/themeCards.js';
 
 export class CharacterManager {
   constructor(gameClient) {
     this.gameClient = gameClient;
     this.editingCharacterId = null;
+    this.viewingCharacterId = null;
   }
 
   /**
@@ -59,6 +66,7 @@ export class CharacterManager {
     promiseCircles.forEach(circle => circle.classList.remove('selected'));
     
     // Clear all dynamic containers
+    this.clearContainer('member-relationships-container');
     this.clearContainer('companions-container');
     this.clearContainer('quintessences-container');
     this.clearContainer('backpack-container');
@@ -204,6 +212,47 @@ export class CharacterManager {
     container.appendChild(pairDiv);
   }
 
+  /**
+   * Populate the character's relationships toward the other fellowship members
+   * They are stored on the fellowship, so they can be set once the character and the fellowship exist
+   * @param {Object} character - Character being edited
+   */
+  populateMemberRelationships(character) {
+    const container = document.getElementById('member-relationships-container');
+    if (!container) return;
+
+    container.innerHTML = '';
+    const fellowshipManager = this.gameClient.fellowshipManager;
+    if (!fellowshipManager.getFellowshipObject()) return;
+
+    getMembers(this.gameClient.gameState?.gameObjects || [])
+      .filter(member => member.id !== character.id)
+      .forEach(member => {
+        const memberName = fellowshipManager.getMemberName(member);
+
+        const pairDiv = document.createElement('div');
+        pairDiv.className = 'member-relationship-pair';
+        pairDiv.style.cssText = 'display: flex; gap: 10px; margin-bottom: 10px; align-items: center;';
+
+        const nameLabel = document.createElement('span');
+        nameLabel.className = 'companion-name';
+        nameLabel.textContent = memberName;
+        nameLabel.style.cssText = 'flex: 1;';
+
+        const relationshipInput = document.createElement('input');
+        relationshipInput.type = 'text';
+        relationshipInput.className = 'member-relationship-input';
+        relationshipInput.dataset.to = member.id;
+        relationshipInput.value = fellowshipManager.getEditableRelationship(character, member);
+        relationshipInput.placeholder = `Relationship toward ${memberName}`;
+        relationshipInput.style.cssText = 'flex: 1; padding: 8px 12px; border: 2px solid #d2b48c; border-radius: 4px; font-family: inherit;';
+
+        pairDiv.appendChild(nameLabel);
+        pairDiv.appendChild(relationshipInput);
+        container.appendChild(pairDiv);
+      });
+  }
+
   /**
    * Add quintessence input
    */
@@ -358,6 +407,9 @@ export class CharacterManager {
     content.className = 'theme-card-content';
     content.style.cssText = 'padding: 15px;';
     
+    // Themebook section
+    const themebookSection = this.gameClient.themebookManager.createThemebookPicker(themeCard);
+    
     // Theme Tag section
     const themeTagSection = this.createThemeSection('THEME TAG', 'theme-type-input', 'Enter theme tag');
     
@@ -381,6 +433,7 @@ export class CharacterManager {
     removeBtn.style.cssText = 'width: 100%; padding: 10px; background: #f44336; color: white; border: none; border-radius: 4px; cursor: pointer; margin-top: 10px;';
     removeBtn.onclick = () => themeCard.remove();
     
+    content.appendChild(themebookSection);
     content.appendChild(themeTagSection);
     content.appendChild(attributesSection);
     content.appendChild(questSection);
@@ -459,6 +512,27 @@ export class CharacterManager {
     return section;
   }
 
+  /**
+   * Add an attribute to a theme card in the form, filling the first blank one if there is one
+   * @param {HTMLElement} themeCard - Theme card element
+   * @param {string} name - Attribute name
+   * @param {string} effect - positive or negative
+   */
+  addThemeAttribute(themeCard, name, effect) {
+    const list = themeCard.querySelector('.theme-attributes-list');
+    if (!list) return;
+
+    let item = Array.from(list.querySelectorAll('.theme-attribute-item'))
+      .find(existing => !existing.querySelector('.attribute-input').value.trim());
+    if (!item) {
+      item = this.createThemeAttributeItem();
+      list.appendChild(item);
+    }
+
+    item.querySelector('.attribute-input').value = name;
+    item.querySelector(effect === 'negative' ? '.negative' : '.positive').click();
+  }
+
   /**
    * Create theme attribute item
    */
@@ -676,11 +750,18 @@ export class CharacterManager {
       return;
     }
 
-    // Get Promise value from selected circle - save as object to match mike1.json structure
+    // Get Promise value from selected circle, saved as { progress }
     const selectedPromiseCircle = form.querySelector('.promise-circle.selected');
     const promiseProgress = selectedPromiseCircle ? parseInt(selectedPromiseCircle.dataset.value) : 1;
     const promise = { progress: promiseProgress };
 
+    // Relationships toward fellowship members are stored on the fellowship
+    const memberRelationships = Array.from(form.querySelectorAll('.member-relationship-input')).map(input => ({
+      fromId: this.editingCharacterId,
+      toId: input.dataset.to,
+      relationship: input.value.trim()
+    }));
+
     // Get companions and their relationships - they should be paired
     const companions = {};
     const companionInputs = form.querySelectorAll('.companion-input');
@@ -724,11 +805,10 @@ export class CharacterManager {
          selectedBoxes.forEach(box => {
            checkedValues.push(parseInt(box.dataset.value));
          });
-         const trackValue = checkedValues.length > 0 ? Math.max(...checkedValues) : 0;
          
          statuses[name] = { 
            isStatus: true, 
-           trackValue: trackValue,
+           trackValue: getStatusTier({ checkedValues }),
            checkedValues: checkedValues
          };
        }
@@ -744,7 +824,7 @@ export class CharacterManager {
       }
     });
 
-    // Create character data - structure to match mike1.json
+    // Create character data - the stored shape shared/characterSheets.js reads and writes
     const contents = {
       characterName: characterName,
       playerName: playerName,
@@ -753,8 +833,13 @@ export class CharacterManager {
       notes: notes
     };
 
+    // Keep scratched tags scratched when an existing character is edited
+    const existingTags = this.editingCharacterId
+      ? this.gameClient.gameState?.gameObjects?.find(obj => obj.id === this.editingCharacterId)?.tags || {}
+      : {};
+
     const tags = {
-      // Store companions with their relationships - match mike1.json structure
+      // Store companions with their relationships
       companions: Object.keys(companions).reduce((acc, companionName) => {
         acc[companionName] = { 
           modifier: 1,
@@ -775,23 +860,23 @@ export class CharacterManager {
       backpack: backpack.reduce((acc, item) => {
         acc[item] = { 
           modifier: 1,
-          scratched: false,
+          scratched: existingTags.backpack?.[item]?.scratched || false,
           addedBy: this.gameClient.currentPlayer?.name || 'Unknown',
           isBackpackItem: true 
         };
         return acc;
       }, {}),
-      // Store statuses directly in tags (not under tags.statuses) to match mike1.json
+      // Store statuses directly in tags (not under tags.statuses)
       ...Object.keys(statuses).reduce((acc, statusName) => {
         acc[statusName] = {
           ...statuses[statusName],
           modifier: statuses[statusName].trackValue || 0,
-          scratched: false,
+          scratched: existingTags[statusName]?.scratched || false,
           addedBy: this.gameClient.currentPlayer?.name || 'Unknown'
         };
         return acc;
       }, {}),
-      // Store theme attributes - match mike1.json structure
+      // Store theme attributes, keyed '<theme type>: <attribute>'
       ...themeCards.reduce((acc, themeCard, index) => {
         themeCard.attributes.forEach(attr => {
           const tagName = `${themeCard.type}: ${attr.name}`;
@@ -800,9 +885,14 @@ export class CharacterManager {
             addedBy: this.gameClient.currentPlayer?.name || 'Unknown',
             themeCardIndex: index,
             attributeName: attr.name,
-            effect: attr.effect
+            effect: attr.effect,
+            scratched: existingTags[tagName]?.scratched || false
           };
         });
+        // Theme tags only get an entry once they have been scratched
+        if (existingTags[themeCard.type]?.isThemeCardTag) {
+          acc[themeCard.type] = existingTags[themeCard.type];
+        }
         return acc;
       }, {})
     };
@@ -820,6 +910,9 @@ export class CharacterManager {
         contents: contents,
         tags: tags
       });
+      this.gameClient.fellowshipManager.sendRelationshipChanges(memberRelationships);
+      // Full tracks advance the theme once the sheet is saved
+      this.gameClient.themeAdvancementManager.advanceFullTracks(this.editingCharacterId, themeCards);
     } else {
       console.log('Creating new character');
       // Create new character
@@ -897,7 +990,9 @@ export class CharacterManager {
       attributes: attributes,
       quest: quest,
       specialImprovements: specialImprovements,
-      tracks: tracks
+      tracks: tracks,
+      level: parseInt(themeCard.dataset.level) || 1,
+      ...(themeCard.dataset.themebook && { themebook: themeCard.dataset.themebook, might: themeCard.dataset.might })
     };
   }
 
@@ -960,9 +1055,15 @@ export class CharacterManager {
     console.log('Looking for companions in tags.companions:', tags.companions);
     console.log('Looking for companions in charData.companions:', charData.companions);
     
-    // Check tags.companions first (as per mike1.json structure)
+    // Companions who are fellowship members are edited with the fellowship's relationships
+    this.populateMemberRelationships(character);
+    const memberNames = new Set(
+      Array.from(document.querySelectorAll('#member-relationships-container .companion-name')).map(label => label.textContent)
+    );
+    
+    // Check tags.companions first
     if (tags.companions && typeof tags.companions === 'object') {
-      Object.keys(tags.companions).forEach(companionName => {
+      Object.keys(tags.companions).filter(companionName => !memberNames.has(companionName)).forEach(companionName => {
         companions.push(companionName);
         const companionData = tags.companions[companionName];
         relationships.push(companionData.relationship || '');
@@ -1060,7 +1161,7 @@ export class CharacterManager {
       this.addBackpackInput();
     }
     
-    // Populate statuses - check for statuses directly in tags (as per mike1.json)
+    // Populate statuses - check for statuses directly in tags
     let statuses = [];
     console.log('Looking for statuses in tags:', tags);
     
@@ -1139,6 +1240,10 @@ export class CharacterManager {
    * Populate a theme card with data
    */
   populateThemeCard(themeCardElement, themeData) {
+    // Level only changes through advancement, so it isn't editable
+    themeCardElement.dataset.level = themeData.level || 1;
+    this.gameClient.themebookManager.setThemebook(themeCardElement, themeData);
+
     // Set type
     const typeInput = themeCardElement.querySelector('.theme-type-input');
     if (typeInput) {
@@ -1228,6 +1333,76 @@ export class CharacterManager {
     }
   }
 
+  /**
+   * Import a character from a character sheet file
+   * A character copied out of a session file is accepted too.
+   * @param {File} file - Chosen file
+   */
+  async handleImportCharacter(file) {
+    if (!file) return;
+
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (error) {
+      this.gameClient.uiManager.showError('That file is not a character sheet (it is not valid JSON)');
+      return;
+    }
+
+    // The server checks the sheet too; checking here first says what is wrong with it
+    const sheet = toCharacterSheet(data);
+    const errors = validateCharacterSheet(sheet);
+    if (errors.length > 0) {
+      console.warn('Invalid character sheet:', errors);
+      this.gameClient.uiManager.showError(`Invalid character sheet: ${errors[0]}`);
+      return;
+    }
+
+    this.gameClient.webSocketManager.sendGameAction({
+      type: ACTION_TYPES.IMPORT_CHARACTER,
+      sheet: sheet
+    });
+  }
+
+  /**
+   * Get the URL of a character's export or printable sheet
+   * @param {string} characterId - Character ID
+   * @param {string} view - export or print
+   * @returns {string|null} URL, or null outside a session
+   */
+  getCharacterSheetUrl(characterId, view) {
+    const sessionId = this.gameClient.webSocketManager.currentSessionId;
+    if (!sessionId || !characterId) return null;
+    return `/api/sessions/${encodeURIComponent(sessionId)}/characters/${encodeURIComponent(characterId)}/${view}`;
+  }
+
+  /**
+   * Download a character as a character sheet file
+   * @param {string} characterId - Character ID
+   */
+  exportCharacter(characterId) {
+    const url = this.getCharacterSheetUrl(characterId, 'export');
+    if (!url) return;
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = '';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+  }
+
+  /**
+   * Open a printable copy of a character's sheet
+   * @param {string} characterId - Character ID
+   */
+  printCharacter(characterId) {
+    const url = this.getCharacterSheetUrl(characterId, 'print');
+    if (url) {
+      window.open(url, '_blank');
+    }
+  }
+
   /**
    * Update characters list display
    * @param {Array} characters - Array of character objects
@@ -1238,30 +1413,53 @@ export class CharacterManager {
 
     charactersList.innerHTML = '';
 
-    // Filter characters based on player permissions
-    let visibleCharacters = characters;
-    if (!this.gameClient.sessionManager.isCurrentPlayerGM()) {
-      // Non-GM players only see their own characters
-      const currentPlayerName = this.gameClient.sessionManager.getCurrentPlayer()?.name;
-      visibleCharacters = characters.filter(char => 
-        char.contents?.playerName === currentPlayerName
-      );
-    }
-
-    if (visibleCharacters.length === 0) {
-      const message = this.gameClient.sessionManager.isCurrentPlayerGM() 
-        ? 'No characters created yet'
-        : 'You haven\'t created any characters yet';
-      charactersList.innerHTML = `<p class="empty-state">${message}</p>`;
+    if (characters.length === 0) {
+      charactersList.innerHTML = '<p class="empty-state">No characters created yet</p>';
       return;
     }
 
-    visibleCharacters.forEach(character => {
+    // Sheets the player may edit come first
+    const editableCharacters = characters.filter(char => this.canEditCharacter(char));
+    const readOnlyCharacters = characters.filter(char => !this.canEditCharacter(char));
+
+    [...editableCharacters, ...readOnlyCharacters].forEach(character => {
       const characterElement = this.createCharacterElement(character);
       charactersList.appendChild(characterElement);
     });
   }
 
+  /**
+   * Check whether the current player may edit a character sheet
+   * @param {Object} character - Character object
+   * @returns {boolean} True if the sheet is editable
+   */
+  canEditCharacter(character) {
+    return canEditObject(character, this.gameClient.sessionManager.getCurrentPlayer());
+  }
+
+  /**
+   * Create the narrator's picker for who may edit a character
+   * @param {Object} character - Character object
+   * @returns {HTMLElement} ACL select element
+   */
+  createAclSelect(character) {
+    const select = document.createElement('select');
+    select.className = 'character-acl-select';
+    select.title = 'Who may edit this sheet';
+    select.innerHTML = OBJECT_ACLS
+      .map(acl => `<option value="${acl}">${escapeHtml(OBJECT_ACL_LABELS[acl])}</option>`)
+      .join('');
+    select.value = getObjectAcl(character);
+    select.onchange = () => {
+      this.gameClient.webSocketManager.sendGameAction({
+        type: ACTION_TYPES.SET_OBJECT_ACL,
+        objectId: character.id,
+        acl: select.value
+      });
+    };
+    return select;
+  }
+
   /**
    * Create character element for display
    * @param {Object} character - Character object
@@ -1270,9 +1468,11 @@ export class CharacterManager {
   createCharacterElement(character) {
     const charData = character.contents || character || {};
     const tags = charData.tags || {};
+    const canEdit = this.canEditCharacter(character);
     
     const element = document.createElement('div');
-    element.className = 'character-card';
+    element.className = `character-card ${canEdit ? 'editable' : 'read-only'}`;
+    element.title = canEdit ? 'You can edit this sheet' : 'Read only';
     
     const name = document.createElement('h4');
     name.textContent = charData.characterName || charData.name || 'Unnamed Character';
@@ -1300,15 +1500,20 @@ export class CharacterManager {
     deleteBtn.onclick = () => this.handleDeleteCharacter(character.id);
     
     actions.appendChild(viewBtn);
-    actions.appendChild(editBtn);
-    actions.appendChild(deleteBtn);
+    if (canEdit) {
+      actions.appendChild(editBtn);
+      actions.appendChild(deleteBtn);
+    }
+    if (this.gameClient.sessionManager.isCurrentPlayerGM()) {
+      actions.appendChild(this.createAclSelect(character));
+    }
     
     element.appendChild(name);
     element.appendChild(player);
     element.appendChild(actions);
     
     // Add character tags sections
-    this.addCharacterTagsToElement(element, tags);
+    this.addCharacterTagsToElement(element, tags, character.id);
     
     return element;
   }
@@ -1317,8 +1522,9 @@ export class CharacterManager {
    * Add character tags to display element
    * @param {HTMLElement} element - Character element
    * @param {Object} tags - Character tags
+   * @param {string} objectId - Character object ID
    */
-  addCharacterTagsToElement(element, tags) {
+  addCharacterTagsToElement(element, tags, objectId) {
     // Add quintessences and backpack
     Object.entries(tags).forEach(([tagType, tagGroup]) => {
       if (typeof tagGroup === 'object' && Object.keys(tagGroup).length > 0) {
@@ -1336,7 +1542,7 @@ export class CharacterManager {
           tagsContainer.className = 'character-tags';
           
           Object.keys(tagGroup).forEach(tagName => {
-            const tagElement = this.gameClient.tagSystem.createTagElement(tagName);
+            const tagElement = this.gameClient.tagSystem.createTagElement(tagName, false, { objectId, tagType, tagKey: tagName });
             tagsContainer.appendChild(tagElement);
           });
           
@@ -1370,7 +1576,7 @@ export class CharacterManager {
       tagsContainer.className = 'character-tags';
       
       statusTags.forEach(status => {
-        const tagElement = this.gameClient.tagSystem.createTagElement(status.name);
+        const tagElement = this.gameClient.tagSystem.createTagElement(status.name, false, { objectId, tagKey: status.name });
         tagsContainer.appendChild(tagElement);
       });
       
@@ -1378,13 +1584,9 @@ export class CharacterManager {
       element.appendChild(statusSection);
     }
     
-    // Handle companions and relationships as linked pairs
-    if (tags.companions && tags.relationships && 
-        Object.keys(tags.companions).length > 0 && Object.keys(tags.relationships).length > 0) {
-      
-      const companions = Object.keys(tags.companions);
-      const relationships = Object.keys(tags.relationships);
-      
+    // Relationships toward the other fellowship members, stored on the fellowship
+    const relationships = this.gameClient.fellowshipManager.getRelationshipsFrom(objectId);
+    if (relationships.length > 0) {
       const relationshipsSection = document.createElement('div');
       relationshipsSection.className = 'character-tags-section';
       
@@ -1394,25 +1596,9 @@ export class CharacterManager {
       
       const relationshipsTable = document.createElement('div');
       relationshipsTable.className = 'relationships-table';
-      
-      const pairs = Math.min(companions.length, relationships.length);
-      for (let i = 0; i < pairs; i++) {
-        const pairRow = document.createElement('div');
-        pairRow.className = 'relationship-pair';
-        
-        const companionCell = document.createElement('div');
-        companionCell.className = 'companion-name';
-        companionCell.textContent = companions[i];
-        
-        const relationshipCell = document.createElement('div');
-        relationshipCell.className = 'relationship-tag';
-        const tagElement = this.gameClient.tagSystem.createTagElement(relationships[i]);
-        relationshipCell.appendChild(tagElement);
-        
-        pairRow.appendChild(companionCell);
-        pairRow.appendChild(relationshipCell);
-        relationshipsTable.appendChild(pairRow);
-      }
+      relationships.forEach(entry => {
+        relationshipsTable.appendChild(this.gameClient.fellowshipManager.createRelationshipPair(entry));
+      });
       
       relationshipsSection.appendChild(relationshipsTable);
       element.appendChild(relationshipsSection);
@@ -1427,6 +1613,7 @@ export class CharacterManager {
     const character = this.gameClient.gameState?.gameObjects?.find(obj => obj.id === characterId);
     if (!character) return;
 
+    this.viewingCharacterId = characterId;
     const charData = character.contents || character || {};
     const tags = character.tags || {}; // Tags are at the character level, not in contents
     
@@ -1442,6 +1629,35 @@ export class CharacterManager {
     overlay.classList.remove('hidden');
     overlay.classList.add('show');
     
+    this.populateCharacterView(character);
+    
+    // Setup close button
+    this.setupCharacterViewingClose();
+  }
+
+  /**
+   * Show the latest state of the character being viewed, if the overlay is open
+   * Its relationships live on the fellowship, so this follows fellowship changes too
+   */
+  refreshCharacterView() {
+    const overlay = document.getElementById('character-viewing-overlay');
+    if (!this.viewingCharacterId || !overlay || overlay.classList.contains('hidden')) return;
+
+    const character = this.gameClient.gameState?.gameObjects?.find(obj => obj.id === this.viewingCharacterId);
+    if (character) {
+      this.populateCharacterView(character);
+    }
+  }
+
+  /**
+   * Populate the viewing overlay with a character's sheet
+   * @param {Object} character - Character object
+   */
+  populateCharacterView(character) {
+    const characterId = character.id;
+    const charData = character.contents || character || {};
+    const tags = character.tags || {};
+    
     // Populate character basic info
     document.getElementById('character-viewing-name').textContent = charData.characterName || charData.name || 'Unnamed';
     document.getElementById('character-viewing-player').textContent = charData.playerName || 'Unknown';
@@ -1450,16 +1666,13 @@ export class CharacterManager {
     this.populatePromiseProgress(charData.promise);
     
     // Populate character tags
-    this.populateCharacterTags(tags);
+    this.populateCharacterTags(tags, characterId);
     
     // Populate theme cards
-    this.populateThemeCards(charData.themeCards);
+    this.populateThemeCards(charData.themeCards, characterId);
     
     // Populate notes
     this.populateNotes(charData.notes);
-    
-    // Setup close button
-    this.setupCharacterViewingClose();
   }
 
   /**
@@ -1488,27 +1701,30 @@ export class CharacterManager {
   /**
    * Populate character tags in the viewing overlay
    * @param {Object} tags - Character tags
+   * @param {string} objectId - Character object ID
    */
-  populateCharacterTags(tags) {
+  populateCharacterTags(tags, objectId) {
     // Quintessences
-    this.populateTagSection('character-viewing-quintessences', tags.quintessences || {});
+    this.populateTagSection('character-viewing-quintessences', tags.quintessences || {}, objectId, 'quintessences');
     
     // Companions and relationships
-    this.populateCompanionsSection(tags.companions || {});
+    this.populateCompanionsSection(tags.companions || {}, objectId);
     
     // Backpack items
-    this.populateTagSection('character-viewing-backpack', tags.backpack || {});
+    this.populateTagSection('character-viewing-backpack', tags.backpack || {}, objectId, 'backpack');
     
     // Statuses
-    this.populateStatusesSection(tags);
+    this.populateStatusesSection(tags, objectId);
   }
 
   /**
    * Populate a tag section
    * @param {string} sectionId - Section element ID
    * @param {Object} tagData - Tag data
+   * @param {string} objectId - Character object ID
+   * @param {string} tagType - Tag group the tags are stored under
    */
-  populateTagSection(sectionId, tagData) {
+  populateTagSection(sectionId, tagData, objectId, tagType) {
     const section = document.getElementById(sectionId);
     const container = section.querySelector('.character-tags-container');
     container.innerHTML = '';
@@ -1520,23 +1736,33 @@ export class CharacterManager {
     }
     
     tagNames.forEach(tagName => {
-      const tagElement = this.gameClient.tagSystem.createTagElement(tagName);
+      const tagElement = this.gameClient.tagSystem.createTagElement(tagName, false, { objectId, tagType, tagKey: tagName });
       container.appendChild(tagElement);
     });
   }
 
   /**
    * Populate companions and relationships section
+   * Relationships toward fellowship members come from the fellowship; companions
+   * recorded on the sheet are listed after them unless a relationship replaces them
    * @param {Object} companions - Companions data with relationships
+   * @param {string} objectId - Character object ID
    */
-  populateCompanionsSection(companions) {
+  populateCompanionsSection(companions, objectId) {
     const section = document.getElementById('character-viewing-companions');
     const container = section.querySelector('.relationships-container');
     container.innerHTML = '';
     
-    const companionEntries = Object.entries(companions);
+    const fellowshipManager = this.gameClient.fellowshipManager;
+    const relationships = fellowshipManager.getRelationshipsFrom(objectId);
+    const memberNames = new Set(relationships.map(entry => fellowshipManager.getMemberName(entry.member)));
+    const companionEntries = Object.entries(companions).filter(([companionName]) => !memberNames.has(companionName));
     
-    if (companionEntries.length === 0) {
+    relationships.forEach(entry => {
+      container.appendChild(fellowshipManager.createRelationshipPair(entry));
+    });
+    
+    if (relationships.length === 0 && companionEntries.length === 0) {
       container.innerHTML = '<p style="color: #558b2f; font-style: italic;">None</p>';
       return;
     }
@@ -1552,7 +1778,11 @@ export class CharacterManager {
       const relationshipCell = document.createElement('div');
       relationshipCell.className = 'relationship-tag';
       const relationshipName = companionData.relationship || 'Unknown';
-      const tagElement = this.gameClient.tagSystem.createTagElement(relationshipName);
+      const tagElement = this.gameClient.tagSystem.createTagElement(relationshipName, false, {
+        objectId,
+        tagType: 'companions',
+        tagKey: companionName
+      });
       relationshipCell.appendChild(tagElement);
       
       pairRow.appendChild(companionCell);
@@ -1564,8 +1794,9 @@ export class CharacterManager {
   /**
    * Populate statuses section with leaf styling
    * @param {Object} tags - All character tags
+   * @param {string} objectId - Character object ID
    */
-  populateStatusesSection(tags) {
+  populateStatusesSection(tags, objectId) {
     const section = document.getElementById('character-viewing-statuses');
     const container = section.querySelector('.statuses-container');
     container.innerHTML = '';
@@ -1594,15 +1825,14 @@ export class CharacterManager {
       statusLeaf.className = 'status-leaf';
       
       // Display status name with track value (e.g., "Wounded-4")
-      const trackValue = status.data.trackValue || 0;
-      statusLeaf.textContent = `${status.name}-${trackValue}`;
+      statusLeaf.textContent = `${status.name}-${getStatusTier(status.data)}`;
       
       if (status.data.scratched) {
         statusLeaf.classList.add('scratched');
       }
       
       // Make status leaf clickable for tag context menu
-      this.gameClient.tagSystem.setupTagContextMenu(statusLeaf, status.name);
+      this.gameClient.tagSystem.setupTagContextMenu(statusLeaf, status.name, { objectId, tagKey: status.name });
       
       container.appendChild(statusLeaf);
     });
@@ -1611,8 +1841,9 @@ export class CharacterManager {
   /**
    * Populate theme cards section
    * @param {Array} themeCards - Array of theme card objects
+   * @param {string} objectId - Character object ID
    */
-  populateThemeCards(themeCards) {
+  populateThemeCards(themeCards, objectId) {
     const section = document.getElementById('character-viewing-themes');
     const container = section.querySelector('.theme-cards-container');
     container.innerHTML = '';
@@ -1633,8 +1864,22 @@ export class CharacterManager {
       themeTagContainer.style.cssText = 'margin-bottom: 8px;';
       
       if (themeCard.type) {
-        const themeTagElement = window.gameClient.tagSystem.createTagElement(themeCard.type);
+        const themeTagElement = window.gameClient.tagSystem.createTagElement(themeCard.type, false, {
+          objectId,
+          tagKey: themeCard.type
+        });
         themeTagContainer.appendChild(themeTagElement);
+
+        const levelElement = document.createElement('span');
+        levelElement.className = 'theme-level';
+        const themebook = this.gameClient.themebookManager.getThemebook(themeCard.themebook);
+        const might = themebook?.might || themeCard.might;
+        levelElement.textContent = [
+          `Level ${themeCard.level || 1}`,
+          themebook?.name,
+          might && getMightName(might)
+        ].filter(Boolean).join(' · ');
+        themeTagContainer.appendChild(levelElement);
       } else {
         const themeTitle = document.createElement('h5');
         themeTitle.textContent = themeCard.themeName || 'Unnamed Theme';
@@ -1671,7 +1916,10 @@ export class CharacterManager {
           const tagText = attribute.name;
           
           // Use TagSystem to create the tag element
-          const tagElement = window.gameClient.tagSystem.createTagElement(tagText);
+          const tagElement = window.gameClient.tagSystem.createTagElement(tagText, false, {
+            objectId,
+            tagKey: `${themeCard.type}: ${attribute.name}`
+          });
           tagsContainer.appendChild(tagElement);
         });
         
@@ -1681,22 +1929,28 @@ export class CharacterManager {
       
       const tracksContainer = document.createElement('div');
       tracksContainer.className = 'theme-tracks';
+
+      // Full tracks can be advanced from here by whoever may edit the sheet
+      const character = this.gameClient.gameState?.gameObjects?.find(obj => obj.id === objectId);
+      const advance = character && this.canEditCharacter(character)
+        ? track => this.gameClient.themeAdvancementManager.advanceTrack(objectId, themeIndex, track)
+        : null;
       
       // Add abandon track
       if (themeCard.tracks?.abandon !== undefined) {
-        const abandonTrack = this.createThemeTrack('ABANDON', themeCard.tracks.abandon);
+        const abandonTrack = this.createThemeTrack('ABANDON', themeCard.tracks.abandon, advance);
         tracksContainer.appendChild(abandonTrack);
       }
       
       // Add improve track
       if (themeCard.tracks?.improve !== undefined) {
-        const improveTrack = this.createThemeTrack('IMPROVE', themeCard.tracks.improve);
+        const improveTrack = this.createThemeTrack('IMPROVE', themeCard.tracks.improve, advance);
         tracksContainer.appendChild(improveTrack);
       }
       
       // Add milestone track
       if (themeCard.tracks?.milestone !== undefined) {
-        const milestoneTrack = this.createThemeTrack('MILESTONE', themeCard.tracks.milestone);
+        const milestoneTrack = this.createThemeTrack('MILESTONE', themeCard.tracks.milestone, advance);
         tracksContainer.appendChild(milestoneTrack);
       }
       
@@ -1709,9 +1963,10 @@ export class CharacterManager {
    * Create a theme track element
    * @param {string} trackName - Track name
    * @param {number} trackValue - Track value
+   * @param {Function} onAdvance - Called with the track name to advance a full track (optional)
    * @returns {HTMLElement} Track element
    */
-  createThemeTrack(trackName, trackValue) {
+  createThemeTrack(trackName, trackValue, onAdvance = null) {
     const trackElement = document.createElement('div');
     trackElement.className = 'theme-track';
     
@@ -1737,6 +1992,15 @@ export class CharacterManager {
     }
     
     trackElement.appendChild(pipsContainer);
+
+    if (onAdvance && trackValue >= THEME_TRACK_LENGTH) {
+      const advanceBtn = document.createElement('button');
+      advanceBtn.type = 'button';
+      advanceBtn.className = 'btn btn-secondary theme-advance-btn';
+      advanceBtn.textContent = 'Advance';
+      advanceBtn.addEventListener('click', () => onAdvance(trackName.toLowerCase()));
+      trackElement.appendChild(advanceBtn);
+    }
     return trackElement;
   }
 
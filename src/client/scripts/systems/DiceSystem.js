@@ -3,7 +3,8 @@
  * Handles dice rolling mechanics and calculations
  */
 
-import { calculateDiceRoll } from '../utils/helpers.js';
+import { ELEMENT_IDS, ROLL_TYPES } from '../utils/constants.js';
+import { calculateDiceRoll, getElement } from '../utils/helpers.js';
 
 export class DiceSystem {
   constructor(gameClient) {
@@ -55,21 +56,21 @@ export class DiceSystem {
     // Set rolling flag
     this.isRolling = true;
     
-    // Calculate modifier from tag system
-    const modifier = this.gameClient.tagSystem.calculateModifier();
-    
-    console.log(`📊 Roll stats: modifier: ${modifier}`);
-    
-    // Create roll action with relevant object IDs
-    const relevantObjectIds = this.getRelevantObjectIds(selectedTags);
-    
-    console.log('🎯 Relevant object IDs:', relevantObjectIds);
-    
-    // Send the roll request with selected tags information
-    this.gameClient.webSocketManager.sendDiceRoll({ 
-      relevantObjectIds: [...new Set(relevantObjectIds)], // Remove duplicates
-      selectedTags: selectedTags, // Send the selected tags for server processing
-      modifier: modifier // Send the calculated modifier
+    // The server calculates the modifier from the referenced tags
+    const tagReferences = selectedTags.map(tag => ({
+      objectId: tag.objectId,
+      tagKey: tag.tagKey,
+      tagType: tag.tagType,
+      challengeId: tag.challengeId,
+      effect: tag.effect
+    }));
+    
+    console.log('🎯 Tag references:', tagReferences);
+    
+    // Send the roll request with the tag references
+    this.gameClient.webSocketManager.sendDiceRoll({
+      rollType: this.getSelectedRollType(),
+      tags: tagReferences
     });
     
     console.log('📤 Dice roll request sent to server');
@@ -79,28 +80,12 @@ export class DiceSystem {
   }
 
   /**
-   * Get relevant object IDs for selected tags
-   * @param {Array} selectedTags - Array of selected tags
-   * @returns {Array} Array of relevant object IDs
+   * Get the roll type chosen in the roll type picker
+   * @returns {string} Roll type
    */
-  getRelevantObjectIds(selectedTags) {
-    const relevantObjectIds = [];
-    if (this.gameClient.gameState?.gameObjects) {
-      this.gameClient.gameState.gameObjects.forEach(obj => {
-        if (obj.tags) {
-          Object.values(obj.tags).forEach(tagType => {
-            if (typeof tagType === 'object') {
-              Object.keys(tagType).forEach(tagName => {
-                if (selectedTags.some(st => st.tag === tagName)) {
-                  relevantObjectIds.push(obj.id);
-                }
-              });
-            }
-          });
-        }
-      });
-    }
-    return relevantObjectIds;
+  getSelectedRollType() {
+    const rollTypeSelect = getElement(ELEMENT_IDS.ROLL_TYPE_SELECT);
+    return rollTypeSelect?.value || ROLL_TYPES.DETAILED;
   }
 
   /**
@@ -110,17 +95,13 @@ export class DiceSystem {
   handleDiceRoll(data) {
     console.log('🎲 handleDiceRoll received data:', data);
     
-    // Get the selected tags before clearing them
-    const selectedTags = this.gameClient.tagSystem.getSelectedTags();
-    
-    // Add the selected tags to the roll data for display
-    const rollDataWithTags = {
-      ...data,
-      selectedTags: selectedTags
-    };
+    // The server sends back the tags it resolved along with their power
+    this.gameClient.uiManager.addDiceResult(data);
     
-    // Add dice result to UI with tag information
-    this.gameClient.uiManager.addDiceResult(rollDataWithTags);
+    // Offer the roller their power to spend straight away
+    if (data.playerId === this.gameClient.currentPlayer?.id) {
+      this.gameClient.powerSystem.openSpendPanel(data.id, data);
+    }
     
     // Clear selected tags after receiving the dice roll result
     console.log('🧹 Clearing selected tags after dice roll');
@@ -1,10 +1,13 @@
 import { ACTION_TYPES, OBJECT_TYPES } from '../utils/constants.js';
 import { TagSystem } from './TagSystem.js';
+import { canEditObject } from '../utils/objectAccess.js';
+import { RELATIONSHIP_TAG_TYPE, getRelationshipKey, getMembers, getRelationship, getRelationshipsFrom, createRelationshipTag } from '../utils/fellowshipRelationships.js';
 
 export class FellowshipManager {
     constructor(gameClient) {
         this.gameClient = gameClient;
         this.fellowship = null;
+        this.fellowshipId = null;
         this.editingFellowship = null;
         this.setupEventListeners();
     }
@@ -54,9 +57,10 @@ export class FellowshipManager {
         });
     }
 
-    updateFellowship(fellowshipData) {
+    updateFellowship(fellowshipData, fellowshipId = null) {
         console.log('🔍 updateFellowship called with:', fellowshipData);
         this.fellowship = fellowshipData;
+        this.fellowshipId = fellowshipId;
         this.renderFellowship();
     }
 
@@ -74,11 +78,20 @@ export class FellowshipManager {
             ? this.fellowship.themeCards[0] 
             : null;
 
-        if (!themeCard) return;
+        if (themeCard) {
+            this.renderThemeCard(fellowshipList, themeCard);
+        }
+
+        this.renderRelationships(fellowshipList);
+    }
 
+    renderThemeCard(fellowshipList, themeCard) {
         // Display fellowship tag
         if (themeCard.themeTag) {
-            const themeTag = this.gameClient.tagSystem.createTagElement(themeCard.themeTag);
+            const themeTag = this.gameClient.tagSystem.createTagElement(themeCard.themeTag, false, {
+                objectId: this.fellowshipId,
+                tagKey: themeCard.themeTag
+            });
             themeTag.classList.add('theme-tag');
             fellowshipList.appendChild(themeTag);
         }
@@ -86,7 +99,10 @@ export class FellowshipManager {
         // Display positive attributes
         if (themeCard.positiveAttributes && themeCard.positiveAttributes.length > 0) {
             themeCard.positiveAttributes.forEach(attr => {
-                const tag = this.gameClient.tagSystem.createTagElement(attr);
+                const tag = this.gameClient.tagSystem.createTagElement(attr, false, {
+                    objectId: this.fellowshipId,
+                    tagKey: attr
+                });
                 tag.classList.add('positive');
                 fellowshipList.appendChild(tag);
             });
@@ -95,7 +111,10 @@ export class FellowshipManager {
         // Display negative attributes
         if (themeCard.negativeAttributes && themeCard.negativeAttributes.length > 0) {
             themeCard.negativeAttributes.forEach(attr => {
-                const tag = this.gameClient.tagSystem.createTagElement(attr);
+                const tag = this.gameClient.tagSystem.createTagElement(attr, false, {
+                    objectId: this.fellowshipId,
+                    tagKey: attr
+                });
                 tag.classList.add('negative');
                 fellowshipList.appendChild(tag);
             });
@@ -155,6 +174,106 @@ export class FellowshipManager {
         }
     }
 
+    // Each character's relationship tags toward the other members, rollable like any other tag
+    renderRelationships(fellowshipList) {
+        const fellowship = this.getFellowshipObject();
+        const gameObjects = this.gameClient.gameState?.gameObjects || [];
+        const rows = getMembers(gameObjects)
+            .map(member => ({ member, relationships: getRelationshipsFrom(fellowship, gameObjects, member.id) }))
+            .filter(row => row.relationships.length > 0);
+
+        if (rows.length === 0) return;
+
+        const relationshipsDiv = document.createElement('div');
+        relationshipsDiv.className = 'fellowship-relationships-list';
+
+        const relationshipsLabel = document.createElement('div');
+        relationshipsLabel.innerHTML = '<strong>Relationships:</strong>';
+        relationshipsLabel.style.cssText = 'margin-bottom: 8px; color: #8b4513; font-weight: bold;';
+        relationshipsDiv.appendChild(relationshipsLabel);
+
+        rows.forEach(({ member, relationships }) => {
+            const memberDiv = document.createElement('div');
+            memberDiv.className = 'fellowship-member-relationships';
+
+            const memberName = document.createElement('div');
+            memberName.className = 'fellowship-member-name';
+            memberName.textContent = this.getMemberName(member);
+            memberDiv.appendChild(memberName);
+
+            const table = document.createElement('div');
+            table.className = 'relationships-table';
+            relationships.forEach(entry => {
+                table.appendChild(this.createRelationshipPair(entry));
+            });
+            memberDiv.appendChild(table);
+
+            relationshipsDiv.appendChild(memberDiv);
+        });
+
+        fellowshipList.appendChild(relationshipsDiv);
+    }
+
+    // One row of a character's relationships: the member it is toward, and the tag
+    createRelationshipPair({ member, tag, tagRef }) {
+        const pairRow = document.createElement('div');
+        pairRow.className = 'relationship-pair';
+
+        const companionCell = document.createElement('div');
+        companionCell.className = 'companion-name';
+        companionCell.textContent = this.getMemberName(member);
+
+        const relationshipCell = document.createElement('div');
+        relationshipCell.className = 'relationship-tag';
+        relationshipCell.appendChild(this.gameClient.tagSystem.createTagElement(tag.relationship, false, tagRef));
+
+        pairRow.appendChild(companionCell);
+        pairRow.appendChild(relationshipCell);
+        return pairRow;
+    }
+
+    getFellowshipObject() {
+        return this.gameClient.gameState?.gameObjects?.find(obj => obj.type === OBJECT_TYPES.FELLOWSHIP) || null;
+    }
+
+    getMemberName(member) {
+        return member.contents?.characterName || member.contents?.name || 'Unnamed';
+    }
+
+    // Get a character's relationships toward the other members, for its character sheet
+    getRelationshipsFrom(characterId) {
+        return getRelationshipsFrom(this.getFellowshipObject(), this.gameClient.gameState?.gameObjects || [], characterId);
+    }
+
+    // The relationship to show for editing: the fellowship's tag, or else the companion
+    // of the same name that characters recorded on their own sheet before the fellowship held them
+    getEditableRelationship(from, to) {
+        const stored = getRelationship(this.getFellowshipObject(), from.id, to.id);
+        if (stored) return stored.relationship;
+
+        return from.tags?.companions?.[this.getMemberName(to)]?.relationship || '';
+    }
+
+    // Send the relationships that differ from the fellowship's, one action each so
+    // edits to different characters' relationships don't overwrite each other
+    sendRelationshipChanges(changes) {
+        const fellowship = this.getFellowshipObject();
+        if (!fellowship) return;
+
+        changes.forEach(({ fromId, toId, relationship }) => {
+            const stored = getRelationship(fellowship, fromId, toId)?.relationship || '';
+            if (relationship === stored) return;
+
+            this.gameClient.webSocketManager.sendGameAction({
+                type: ACTION_TYPES.SET_RELATIONSHIP,
+                objectId: fellowship.id,
+                fromId: fromId,
+                toId: toId,
+                relationship: relationship
+            });
+        });
+    }
+
     showFellowshipEdit() {
         // Initialize fellowship if it doesn't exist
         if (!this.fellowship) {
@@ -229,9 +348,74 @@ export class FellowshipManager {
 
         console.log('🔍 themeCard to populate:', themeCard);
         this.createFellowshipThemeCard(container, themeCard);
+        this.populateRelationshipMatrix();
         console.log('🔍 Form populated');
     }
 
+    // Rows are the characters a relationship belongs to, columns the members it is toward
+    populateRelationshipMatrix() {
+        const container = document.getElementById('fellowship-relationships-container');
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        const members = getMembers(this.gameClient.gameState?.gameObjects || []);
+        if (members.length < 2) {
+            container.innerHTML = '<p class="empty-state">Relationships can be set once the fellowship has two characters</p>';
+            return;
+        }
+
+        const player = this.gameClient.sessionManager.getCurrentPlayer();
+        const table = document.createElement('table');
+        table.className = 'relationship-matrix';
+
+        const headerRow = document.createElement('tr');
+        headerRow.appendChild(document.createElement('th'));
+        members.forEach(member => {
+            const th = document.createElement('th');
+            th.textContent = this.getMemberName(member);
+            headerRow.appendChild(th);
+        });
+        table.appendChild(headerRow);
+
+        members.forEach(from => {
+            const row = document.createElement('tr');
+            const rowHeader = document.createElement('th');
+            rowHeader.textContent = this.getMemberName(from);
+            row.appendChild(rowHeader);
+
+            members.forEach(to => {
+                const cell = document.createElement('td');
+                if (from.id === to.id) {
+                    cell.className = 'relationship-matrix-self';
+                    cell.textContent = '—';
+                } else {
+                    const input = document.createElement('input');
+                    input.type = 'text';
+                    input.className = 'relationship-matrix-input';
+                    input.dataset.from = from.id;
+                    input.dataset.to = to.id;
+                    input.value = this.getEditableRelationship(from, to);
+                    input.placeholder = `Toward ${this.getMemberName(to)}`;
+                    input.disabled = !canEditObject(from, player);
+                    cell.appendChild(input);
+                }
+                row.appendChild(cell);
+            });
+            table.appendChild(row);
+        });
+
+        container.appendChild(table);
+    }
+
+    collectRelationshipMatrix() {
+        return Array.from(document.querySelectorAll('.relationship-matrix-input:not([disabled])')).map(input => ({
+            fromId: input.dataset.from,
+            toId: input.dataset.to,
+            relationship: input.value.trim()
+        }));
+    }
+
     createFellowshipThemeCard(container, theme) {
         const themeCard = document.createElement('div');
         themeCard.className = 'theme-card';
@@ -647,28 +831,31 @@ export class FellowshipManager {
         console.log('🔍 fellowshipData to send:', fellowshipData);
         
         // Check if fellowship object exists
-        const existingFellowship = this.gameClient.gameState?.gameObjects?.find(obj => obj.type === 'fellowship');
+        const existingFellowship = this.getFellowshipObject();
         console.log('🔍 existingFellowship found:', !!existingFellowship);
         console.log('🔍 existingFellowship:', existingFellowship);
         
+        const relationships = this.collectRelationshipMatrix();
+        
         if (existingFellowship) {
-            // Update existing fellowship
+            // Update existing fellowship; its tags (scratched fellowship tags and the
+            // relationships) are left alone and the relationships are sent one by one
             const updateAction = {
                 type: ACTION_TYPES.UPDATE_OBJECT,
                 objectType: OBJECT_TYPES.FELLOWSHIP,
                 objectId: existingFellowship.id,
-                contents: fellowshipData,
-                tags: []
+                contents: fellowshipData
             };
             console.log('🔍 Sending UPDATE_OBJECT action:', updateAction);
             this.gameClient.webSocketManager.sendGameAction(updateAction);
+            this.sendRelationshipChanges(relationships);
         } else {
-            // Create new fellowship
+            // Create new fellowship, with the relationships already filled in
             const createAction = {
                 type: ACTION_TYPES.CREATE_OBJECT,
                 objectType: OBJECT_TYPES.FELLOWSHIP,
                 contents: fellowshipData,
-                tags: []
+                tags: { [RELATIONSHIP_TAG_TYPE]: this.createRelationshipTags(relationships) }
             };
             console.log('🔍 Sending CREATE_OBJECT action:', createAction);
             this.gameClient.webSocketManager.sendGameAction(createAction);
@@ -677,4 +864,14 @@ export class FellowshipManager {
         console.log('🔍 Hiding fellowship edit');
         this.hideFellowshipEdit();
     }
+
+    // Relationship tags for a new fellowship, stored the way the server's set_relationship stores them
+    createRelationshipTags(relationships) {
+        return relationships
+            .filter(({ relationship }) => relationship)
+            .reduce((acc, { fromId, toId, relationship }) => {
+                acc[getRelationshipKey(fromId, toId)] = createRelationshipTag(fromId, toId, relationship, this.gameClient.currentPlayer?.id || null);
+                return acc;
+            }, {});
+    }
 }
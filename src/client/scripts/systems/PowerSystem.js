@@ -0,0 +1,267 @@
+/**
+ * Power System for LitMPlayer Game Client
+ * Handles spending the power of a detailed roll on effects
+ */
+
+import { ACTION_TYPES, ELEMENT_IDS, OBJECT_TYPES, POWER_EFFECTS, POWER_SPEND_STATUS, ROLL_OUTCOMES, ROLL_TYPES } from '../utils/constants.js';
+import { escapeHtml, getElement, showElement, hideElement } from '../utils/helpers.js';
+
+export class PowerSystem {
+  constructor(gameClient) {
+    this.gameClient = gameClient;
+    this.activeRollId = null; // Roll whose power is being spent
+  }
+
+  /**
+   * Setup event listeners for the spend power panel
+   */
+  setupEventListeners() {
+    getElement(ELEMENT_IDS.POWER_SPEND_CLOSE)?.addEventListener('click', () => this.closeSpendPanel());
+    getElement(ELEMENT_IDS.POWER_SPEND_CONFIRM)?.addEventListener('click', () => this.handleSpendPower());
+    getElement(ELEMENT_IDS.POWER_SPEND_EFFECT)?.addEventListener('change', () => this.updateEffectFields());
+  }
+
+  /**
+   * Check whether the current player can spend power from a roll
+   * @param {Object} roll - Roll record
+   * @returns {boolean} True if the roll has power the current player may spend
+   */
+  canSpendPower(roll) {
+    if (!roll || roll.rollType !== ROLL_TYPES.DETAILED || roll.outcome === ROLL_OUTCOMES.MISS) {
+      return false;
+    }
+    if (!(roll.powerRemaining > 0)) {
+      return false;
+    }
+
+    const player = this.gameClient.currentPlayer;
+    return !!player && (player.id === roll.playerId || player.isGM);
+  }
+
+  /**
+   * Find a roll in the current game state
+   * @param {string} rollId - Roll ID
+   * @returns {Object|null} Roll record or null
+   */
+  getRoll(rollId) {
+    return this.gameClient.gameState?.diceRolls?.find(roll => roll.id === rollId) || null;
+  }
+
+  /**
+   * Open the spend power panel for a roll
+   * @param {string} rollId - Roll ID
+   * @param {Object} roll - Roll record, for rolls not yet in the game state
+   */
+  openSpendPanel(rollId, roll = this.getRoll(rollId)) {
+    if (!this.canSpendPower(roll)) return;
+
+    this.activeRollId = rollId;
+    this.populateTargets();
+    this.updateEffectFields();
+    this.updateSpendPanel(roll);
+    showElement(ELEMENT_IDS.POWER_SPEND_PANEL);
+  }
+
+  /**
+   * Close the spend power panel
+   */
+  closeSpendPanel() {
+    this.activeRollId = null;
+    hideElement(ELEMENT_IDS.POWER_SPEND_PANEL);
+  }
+
+  /**
+   * Refresh the panel after a game state update
+   * @param {Object} roll - Roll record (defaults to the active roll in the game state)
+   */
+  updateSpendPanel(roll = this.getRoll(this.activeRollId)) {
+    if (!this.activeRollId || !roll) return;
+
+    const remaining = getElement(ELEMENT_IDS.POWER_SPEND_REMAINING);
+    if (remaining) {
+      remaining.textContent = `${roll.playerName}'s roll: ${roll.powerRemaining} power left`;
+    }
+
+    const log = getElement(ELEMENT_IDS.POWER_SPEND_LOG);
+    if (log) {
+      log.innerHTML = this.renderSpendLog(roll);
+    }
+
+    const confirmBtn = getElement(ELEMENT_IDS.POWER_SPEND_CONFIRM);
+    if (confirmBtn) {
+      confirmBtn.disabled = !this.canSpendPower(roll);
+    }
+  }
+
+  /**
+   * Fill the target picker with the characters, current scene and active challenge
+   */
+  populateTargets() {
+    const targetSelect = getElement(ELEMENT_IDS.POWER_SPEND_TARGET);
+    if (!targetSelect) return;
+
+    const targets = [];
+    const gameObjects = this.gameClient.gameState?.gameObjects || [];
+
+    gameObjects
+      .filter(obj => obj.type === OBJECT_TYPES.CHARACTER)
+      .forEach(character => {
+        targets.push({
+          value: character.id,
+          label: character.contents?.characterName || 'Unnamed Character'
+        });
+      });
+
+    const currentScene = this.gameClient.sceneManager.getCurrentScene();
+    if (currentScene) {
+      targets.push({
+        value: currentScene.id,
+        label: `Scene: ${currentScene.contents?.name || 'Untitled Scene'}`
+      });
+    }
+
+    const activeChallenge = this.gameClient.challengeManager.getActiveChallenge();
+    if (activeChallenge) {
+      const isSceneChallenge = currentScene?.contents?.challenges?.some(c => c.id === activeChallenge.id);
+      targets.push({
+        value: isSceneChallenge ? `${currentScene.id}|${activeChallenge.id}` : activeChallenge.id,
+        label: `Challenge: ${activeChallenge.title || 'Untitled Challenge'}`
+      });
+    }
+
+    targetSelect.innerHTML = targets
+      .map(target => `<option value="${escapeHtml(target.value)}">${escapeHtml(target.label)}</option>`)
+      .join('');
+  }
+
+  /**
+   * Show the fields that apply to the chosen effect
+   */
+  updateEffectFields() {
+    const effect = getElement(ELEMENT_IDS.POWER_SPEND_EFFECT)?.value;
+
+    if (effect === POWER_EFFECTS.GIVE_STATUS) {
+      showElement(ELEMENT_IDS.POWER_SPEND_TIER);
+    } else {
+      hideElement(ELEMENT_IDS.POWER_SPEND_TIER);
+    }
+
+    if (effect === POWER_EFFECTS.DISCOVER) {
+      hideElement(ELEMENT_IDS.POWER_SPEND_TARGET);
+    } else {
+      showElement(ELEMENT_IDS.POWER_SPEND_TARGET);
+    }
+
+    const nameInput = getElement(ELEMENT_IDS.POWER_SPEND_NAME);
+    if (nameInput) {
+      nameInput.placeholder = effect === POWER_EFFECTS.DISCOVER ? 'What is discovered' :
+                              effect === POWER_EFFECTS.CREATE_TAG ? 'Tag name' : 'Status name';
+    }
+  }
+
+  /**
+   * Send a spend_power action for the active roll
+   */
+  handleSpendPower() {
+    if (!this.activeRollId) return;
+
+    const effect = getElement(ELEMENT_IDS.POWER_SPEND_EFFECT)?.value;
+    const name = getElement(ELEMENT_IDS.POWER_SPEND_NAME)?.value.trim();
+    const tier = parseInt(getElement(ELEMENT_IDS.POWER_SPEND_TIER)?.value, 10);
+    const [targetObjectId, targetChallengeId] = (getElement(ELEMENT_IDS.POWER_SPEND_TARGET)?.value || '').split('|');
+
+    if (!name) {
+      this.gameClient.uiManager.showNotification('Please describe the effect');
+      return;
+    }
+    if (effect !== POWER_EFFECTS.DISCOVER && !targetObjectId) {
+      this.gameClient.uiManager.showNotification('Please choose a target');
+      return;
+    }
+
+    this.gameClient.webSocketManager.sendGameAction({
+      type: ACTION_TYPES.SPEND_POWER,
+      rollId: this.activeRollId,
+      effect: effect,
+      name: name,
+      tier: effect === POWER_EFFECTS.GIVE_STATUS ? tier : undefined,
+      targetObjectId: targetObjectId || undefined,
+      targetChallengeId: targetChallengeId || undefined
+    });
+
+    const nameInput = getElement(ELEMENT_IDS.POWER_SPEND_NAME);
+    if (nameInput) nameInput.value = '';
+  }
+
+  /**
+   * Confirm or reject a player's power spend (narrator only)
+   * @param {string} rollId - Roll ID
+   * @param {number} spendIndex - Position of the spend in the roll's spends
+   * @param {boolean} approved - True to carry the spend out, false to give its power back
+   */
+  confirmSpend(rollId, spendIndex, approved) {
+    if (!this.gameClient.currentPlayer?.isGM) return;
+
+    this.gameClient.webSocketManager.sendGameAction({
+      type: ACTION_TYPES.CONFIRM_POWER_SPEND,
+      rollId: rollId,
+      spendIndex: spendIndex,
+      approved: approved
+    });
+  }
+
+  /**
+   * Render the list of power spends on a roll
+   * Spends waiting for the narrator get confirm and reject buttons for the narrator.
+   * @param {Object} roll - Roll record
+   * @returns {string} HTML for the spend log
+   */
+  renderSpendLog(roll) {
+    const spends = roll.powerSpends || [];
+    if (spends.length === 0) return '';
+
+    const isGM = !!this.gameClient.currentPlayer?.isGM;
+    return spends.map((spend, index) => {
+      const target = this.getTargetName(spend.targetObjectId, spend.targetChallengeId);
+      let text;
+      if (spend.effect === POWER_EFFECTS.GIVE_STATUS) {
+        text = `${spend.name}-${spend.tier}${target ? ` on ${target}` : ''}`;
+      } else if (spend.effect === POWER_EFFECTS.CREATE_TAG) {
+        text = `tag "${spend.name}"${target ? ` on ${target}` : ''}`;
+      } else {
+        text = `discovered: ${spend.name}`;
+      }
+
+      if (spend.status === POWER_SPEND_STATUS.REJECTED) {
+        return `<div class="power-spend-entry rejected">⚡ ${spend.cost}: ${escapeHtml(text)} (rejected)</div>`;
+      }
+      if (spend.status !== POWER_SPEND_STATUS.PENDING) {
+        return `<div class="power-spend-entry">⚡ ${spend.cost}: ${escapeHtml(text)}</div>`;
+      }
+
+      const rollId = escapeHtml(roll.id);
+      const buttons = isGM ? `
+        <button class="btn btn-secondary btn-small" onclick="gameClient.powerSystem.confirmSpend('${rollId}', ${index}, true)">Confirm</button>
+        <button class="btn btn-secondary btn-small" onclick="gameClient.powerSystem.confirmSpend('${rollId}', ${index}, false)">Reject</button>
+      ` : '';
+      return `<div class="power-spend-entry pending">⚡ ${spend.cost}: ${escapeHtml(text)} (awaiting the narrator)${buttons}</div>`;
+    }).join('');
+  }
+
+  /**
+   * Get a display name for a spend target
+   * @param {string} objectId - Target object ID
+   * @param {string} challengeId - Target scene challenge ID
+   * @returns {string} Target name, or an empty string if it no longer exists
+   */
+  getTargetName(objectId, challengeId) {
+    const target = this.gameClient.gameState?.gameObjects?.find(obj => obj.id === objectId);
+    if (!target) return '';
+
+    if (challengeId) {
+      const challenge = target.contents?.challenges?.find(c => c.id === challengeId);
+      return challenge?.title || '';
+    }
+    return target.contents?.characterName || target.contents?.name || target.contents?.title || '';
+  }
+}
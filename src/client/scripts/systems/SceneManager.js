@@ -4,7 +4,7 @@
  */
 
 import { ACTION_TYPES, OBJECT_TYPES } from '../utils/constants.js';
-import { escapeHtml } from '../utils/helpers.js';
+import { escapeHtml, parseChallengeLimits, formatChallengeLimits } from '../utils/helpers.js';
 
 export class SceneManager {
   constructor(gameClient) {
@@ -620,6 +620,7 @@ export class SceneManager {
       details: 'Challenge details...',
       success: 'Success outcome...',
       consequences: 'Failure consequences...',
+      limits: [],
       tags: {}
     };
 
@@ -666,6 +667,7 @@ export class SceneManager {
       const successInput = challengeEditFormInner.querySelector('[name="challengeSuccess"]');
       const consequencesInput = challengeEditFormInner.querySelector('[name="challengeConsequences"]');
       const tagsInput = challengeEditFormInner.querySelector('[name="challengeTags"]');
+      const limitsInput = challengeEditFormInner.querySelector('[name="challengeLimits"]');
       
       console.log('🔧 Found form inputs:', { titleInput, detailsInput, successInput, consequencesInput, tagsInput });
       
@@ -673,6 +675,7 @@ export class SceneManager {
       if (detailsInput) detailsInput.value = challenge.details || '';
       if (successInput) successInput.value = challenge.success || '';
       if (consequencesInput) consequencesInput.value = challenge.consequences || '';
+      if (limitsInput) limitsInput.value = formatChallengeLimits(challenge.limits);
       
       // Populate challenge tags using dynamic system
       const tags = challenge.tags || {};
@@ -727,6 +730,7 @@ export class SceneManager {
     const challengeDetails = formData.get('challengeDetails').trim();
     const challengeSuccess = formData.get('challengeSuccess').trim();
     const challengeConsequences = formData.get('challengeConsequences').trim();
+    const challengeLimits = formData.get('challengeLimits').trim();
 
     if (!challengeTitle) {
       this.gameClient.uiManager.showError('Please enter a challenge title');
@@ -747,6 +751,14 @@ export class SceneManager {
       }
     });
 
+    // Statuses are not edited here, so keep the ones the challenge already has
+    const existingTags = this.editingScene.contents.challenges[challengeIndex].tags || {};
+    Object.entries(existingTags).forEach(([tagName, tagData]) => {
+      if (tagData && tagData.isStatus) {
+        tags[tagName] = tagData;
+      }
+    });
+
     // Update the challenge locally
     this.editingScene.contents.challenges[challengeIndex] = {
       ...this.editingScene.contents.challenges[challengeIndex],
@@ -754,6 +766,7 @@ export class SceneManager {
       details: challengeDetails,
       success: challengeSuccess,
       consequences: challengeConsequences,
+      limits: parseChallengeLimits(challengeLimits),
       tags: tags
     };
 
@@ -918,7 +931,7 @@ export class SceneManager {
       sceneTags.innerHTML = '';
       const tags = scene.tags || {};
       Object.keys(tags).forEach(tag => {
-        const tagElement = this.gameClient.tagSystem.createTagElement(tag);
+        const tagElement = this.gameClient.tagSystem.createTagElement(tag, false, { objectId: scene.id, tagKey: tag });
         sceneTags.appendChild(tagElement);
       });
     }
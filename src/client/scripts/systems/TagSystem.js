@@ -3,28 +3,34 @@
  * Manages tag creation, selection, and dice rolling integration
  */
 
-import { TAG_EFFECTS, CSS_CLASSES } from '../utils/constants.js';
+import { TAG_EFFECTS, CSS_CLASSES, ACTION_TYPES } from '../utils/constants.js';
 import { escapeHtml } from '../utils/helpers.js';
 
 export class TagSystem {
   constructor(gameClient) {
     this.gameClient = gameClient;
-    this.selectedTags = []; // Array of {tag: string, effect: 'positive'|'negative'}
+    this.selectedTags = []; // Array of {tag, effect, tagData, objectId, tagKey, tagType, challengeId}
   }
 
   /**
    * Create a tag element
    * @param {string} tagText - The tag text
    * @param {boolean} isEditing - Whether the tag is in editing mode
+   * @param {Object} tagRef - Where the tag is stored ({ objectId, tagKey, tagType?, challengeId? })
    * @returns {HTMLElement} The tag element
    */
-  createTagElement(tagText, isEditing = false) {
+  createTagElement(tagText, isEditing = false, tagRef = null) {
     const tagElement = document.createElement('span');
     tagElement.className = `tag ${isEditing ? 'editing' : ''}`;
     tagElement.textContent = tagText;
     
+    // Scratched state lives on the stored tag so every player sees it
+    if (tagRef && this.findTagData(tagRef)?.scratched) {
+      tagElement.classList.add(CSS_CLASSES.SCRATCHED);
+    }
+    
     if (!isEditing) {
-      this.setupTagContextMenu(tagElement, tagText);
+      this.setupTagContextMenu(tagElement, tagText, tagRef);
     }
     
     return tagElement;
@@ -34,8 +40,9 @@ export class TagSystem {
    * Setup context menu for a tag
    * @param {HTMLElement} tagElement - The tag element
    * @param {string} tagText - The tag text
+   * @param {Object} tagRef - Where the tag is stored ({ objectId, tagKey, tagType?, challengeId? })
    */
-  setupTagContextMenu(tagElement, tagText) {
+  setupTagContextMenu(tagElement, tagText, tagRef = null) {
     // Show context menu on click with dynamic positioning
     tagElement.addEventListener('click', (e) => {
       e.stopPropagation();
@@ -49,6 +56,7 @@ export class TagSystem {
         <button class="add-weakness">Add Weakness</button>
         <button class="burn-tag">Burn Tag</button>
         <button class="scratch-tag">${tagElement.classList.contains(CSS_CLASSES.SCRATCHED) ? 'Unscratch Tag' : 'Scratch Tag'}</button>
+        ${tagRef && this.findTagData(tagRef)?.isStatus ? '<button class="reduce-status">Reduce Status</button>' : ''}
       `;
       
       // Append to document body to break free from DOM hierarchy
@@ -90,31 +98,37 @@ export class TagSystem {
       // Handle context menu actions
       contextMenu.querySelector('.add-power').addEventListener('click', (e) => {
         e.stopPropagation();
-        this.addTagToRoll(tagText, TAG_EFFECTS.POSITIVE);
+        this.addTagToRoll(tagText, TAG_EFFECTS.POSITIVE, tagRef);
         this.hideAllContextMenus();
       });
       
       contextMenu.querySelector('.add-weakness').addEventListener('click', (e) => {
         e.stopPropagation();
-        this.addTagToRoll(tagText, TAG_EFFECTS.NEGATIVE);
+        this.addTagToRoll(tagText, TAG_EFFECTS.NEGATIVE, tagRef);
         this.hideAllContextMenus();
       });
       
       contextMenu.querySelector('.burn-tag').addEventListener('click', (e) => {
         e.stopPropagation();
-        this.burnTag(tagElement, tagText);
+        this.burnTag(tagElement, tagText, tagRef);
         this.hideAllContextMenus();
       });
       
       contextMenu.querySelector('.scratch-tag').addEventListener('click', (e) => {
         e.stopPropagation();
         if (tagElement.classList.contains(CSS_CLASSES.SCRATCHED)) {
-          this.unscratchTag(tagElement, tagText);
+          this.unscratchTag(tagElement, tagText, tagRef);
         } else {
-          this.scratchTag(tagElement, tagText);
+          this.scratchTag(tagElement, tagText, tagRef);
         }
         this.hideAllContextMenus();
       });
+      
+      contextMenu.querySelector('.reduce-status')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.reduceStatus(tagRef);
+        this.hideAllContextMenus();
+      });
     });
   }
 
@@ -134,53 +148,47 @@ export class TagSystem {
   /**
    * Add a tag to the dice roll
    * @param {string} tagText - The tag text
-   * @param {string} effect - 'positive' or 'negative'
+   * @param {string} effect - 'positive', 'negative' or 'burn'
+   * @param {Object} tagRef - Where the tag is stored ({ objectId, tagKey, tagType?, challengeId? })
    */
-  addTagToRoll(tagText, effect) {
+  addTagToRoll(tagText, effect, tagRef = null) {
     console.log(`🏷️ Adding tag to roll: "${tagText}" as ${effect}`);
     
-    // Check if tag is scratched
-    const tagElements = Array.from(document.querySelectorAll('.tag'));
-    const tagElement = tagElements.find(el => el.textContent.trim() === tagText);
-    if (tagElement && tagElement.classList.contains(CSS_CLASSES.SCRATCHED)) {
-      console.log(`❌ Cannot add scratched tag "${tagText}" to roll`);
+    // The server works out the roll from tag references, so every rolled tag needs one
+    if (!tagRef || !tagRef.objectId || !tagRef.tagKey) {
+      console.log(`❌ Tag "${tagText}" has no stored source, cannot add to roll`);
+      this.gameClient.uiManager.showNotification('This tag cannot be added to a roll');
       return;
     }
     
-    // For theme attributes and statuses, we need to find the full stored tag name
-    let storedTagName = tagText;
-    let tagData = null;
-    if (this.gameClient.gameState?.gameObjects) {
-      this.gameClient.gameState.gameObjects.forEach(obj => {
-        if (obj.tags) {
-          Object.entries(obj.tags).forEach(([storedTag, storedTagData]) => {
-            if (typeof storedTag === 'string' && storedTag.includes(': ')) {
-              const tagPart = storedTag.split(': ')[1];
-              if (tagPart === tagText) {
-                storedTagName = storedTag; // Use the full stored tag name
-                tagData = storedTagData;
-              }
-            } else if (storedTag === tagText) {
-              tagData = storedTagData;
-            }
-          });
-        }
-      });
+    // Look up the stored tag data (used for status tiers in the preview)
+    const tagData = this.findTagData(tagRef);
+    
+    // Check if tag is scratched
+    if (tagData?.scratched) {
+      console.log(`❌ Cannot add scratched tag "${tagText}" to roll`);
+      this.gameClient.uiManager.showNotification(`"${tagText}" is scratched and cannot be used`);
+      return;
     }
+    const refKey = this.getTagRefKey(tagRef);
     
     // Check if tag is already selected
-    const existingIndex = this.selectedTags.findIndex(t => t.tag === storedTagName);
+    const existingIndex = this.selectedTags.findIndex(t => this.getTagRefKey(t) === refKey);
     if (existingIndex !== -1) {
       // Update existing tag effect
-      console.log(`🔄 Updating existing tag "${storedTagName}" effect from ${this.selectedTags[existingIndex].effect} to ${effect}`);
+      console.log(`🔄 Updating existing tag "${tagText}" effect from ${this.selectedTags[existingIndex].effect} to ${effect}`);
       this.selectedTags[existingIndex].effect = effect;
     } else {
       // Add new tag
-      console.log(`➕ Adding new tag "${storedTagName}" as ${effect}`);
+      console.log(`➕ Adding new tag "${tagText}" as ${effect}`);
       this.selectedTags.push({ 
-        tag: storedTagName, 
+        tag: tagText, 
         effect: effect,
-        tagData: tagData // Store the tag data for status processing
+        tagData: tagData, // Store the tag data for status processing
+        objectId: tagRef.objectId,
+        tagKey: tagRef.tagKey,
+        tagType: tagRef.tagType || null,
+        challengeId: tagRef.challengeId || null
       });
     }
     
@@ -191,76 +199,111 @@ export class TagSystem {
   }
 
   /**
-   * Burn a tag (add to roll with +3 power and scratch it)
+   * Build a key identifying the stored tag a reference points at
+   * @param {Object} tagRef - Tag reference
+   * @returns {string} Reference key
+   */
+  getTagRefKey(tagRef) {
+    return [tagRef.objectId, tagRef.challengeId || '', tagRef.tagType || '', tagRef.tagKey].join('|');
+  }
+
+  /**
+   * Find the stored data for a tag reference in the current game state
+   * @param {Object} tagRef - Tag reference
+   * @returns {Object|null} Tag data, or null for tags without stored data
+   */
+  findTagData(tagRef) {
+    const gameObject = this.gameClient.gameState?.gameObjects?.find(obj => obj.id === tagRef.objectId);
+    if (!gameObject) return null;
+    
+    let tags = gameObject.tags || {};
+    if (tagRef.challengeId) {
+      const challenge = (gameObject.contents?.challenges || []).find(c => c.id === tagRef.challengeId);
+      tags = challenge?.tags || {};
+    }
+    
+    const group = tagRef.tagType ? tags[tagRef.tagType] : tags;
+    return group?.[tagRef.tagKey] || null;
+  }
+
+  /**
+   * Burn a tag (add to roll with +3 power; the server scratches it when the roll is made)
    * @param {HTMLElement} tagElement - The tag element
    * @param {string} tagText - The tag text
+   * @param {Object} tagRef - Where the tag is stored ({ objectId, tagKey, tagType?, challengeId? })
    */
-  burnTag(tagElement, tagText) {
+  burnTag(tagElement, tagText, tagRef = null) {
     console.log(`🔥 Burning tag: "${tagText}"`);
     
     // Add the tag to the roll with BURN effect (which gives +3 power)
-    this.addTagToRoll(tagText, TAG_EFFECTS.BURN);
-    
-    // Scratch the tag (mark as unusable)
-    this.scratchTag(tagElement, tagText);
-    
-    console.log(`✅ Tag "${tagText}" burned successfully`);
+    this.addTagToRoll(tagText, TAG_EFFECTS.BURN, tagRef);
   }
 
   /**
    * Scratch a tag (mark as unusable)
    * @param {HTMLElement} tagElement - The tag element
    * @param {string} tagText - The tag text
+   * @param {Object} tagRef - Where the tag is stored ({ objectId, tagKey, tagType?, challengeId? })
    */
-  scratchTag(tagElement, tagText) {
+  scratchTag(tagElement, tagText, tagRef = null) {
     console.log(`❌ Scratching tag: "${tagText}"`);
     
-    // Add scratched class to tag element
-    tagElement.classList.add(CSS_CLASSES.SCRATCHED);
-    
-    // Check if this tag is being burned (should stay in selected tags)
-    const isBeingBurned = this.selectedTags.some(t => t.tag === tagText && t.effect === TAG_EFFECTS.BURN);
-    
-    // Only remove from selected tags if it's not being burned
-    if (!isBeingBurned) {
-      this.removeTagFromRoll(tagText);
+    if (!tagRef) {
+      this.gameClient.uiManager.showNotification('This tag cannot be scratched');
+      return;
     }
     
-    // Update the tag's context menu to show "unscratch" option
-    const contextMenu = tagElement.querySelector('.tag-context-menu');
-    if (contextMenu) {
-      const scratchButton = contextMenu.querySelector('.scratch-tag');
-      if (scratchButton) {
-        scratchButton.textContent = 'Unscratch Tag';
-        scratchButton.classList.add('unscratch');
-      }
-    }
+    // A scratched tag can no longer be part of the roll
+    this.removeTagFromRoll(tagText);
     
-    console.log(`✅ Tag "${tagText}" scratched successfully`);
+    this.sendScratchAction(ACTION_TYPES.SCRATCH_TAG, tagRef);
   }
 
   /**
    * Unscratch a tag (mark as usable again)
    * @param {HTMLElement} tagElement - The tag element
    * @param {string} tagText - The tag text
+   * @param {Object} tagRef - Where the tag is stored ({ objectId, tagKey, tagType?, challengeId? })
    */
-  unscratchTag(tagElement, tagText) {
+  unscratchTag(tagElement, tagText, tagRef = null) {
     console.log(`✅ Unscratching tag: "${tagText}"`);
     
-    // Remove scratched class from tag element
-    tagElement.classList.remove(CSS_CLASSES.SCRATCHED);
-    
-    // Update the tag's context menu to show "scratch" option
-    const contextMenu = tagElement.querySelector('.tag-context-menu');
-    if (contextMenu) {
-      const scratchButton = contextMenu.querySelector('.scratch-tag');
-      if (scratchButton) {
-        scratchButton.textContent = 'Scratch Tag';
-        scratchButton.classList.remove('unscratch');
-      }
+    if (!tagRef) {
+      this.gameClient.uiManager.showNotification('This tag cannot be unscratched');
+      return;
     }
     
-    console.log(`✅ Tag "${tagText}" unscratched successfully`);
+    this.sendScratchAction(ACTION_TYPES.UNSCRATCH_TAG, tagRef);
+  }
+
+  /**
+   * Reduce a stored status by a number of tiers
+   * @param {Object} tagRef - Tag reference to the status
+   * @param {number} amount - Number of tiers to reduce by
+   */
+  reduceStatus(tagRef, amount = 1) {
+    this.gameClient.webSocketManager.sendGameAction({
+      type: ACTION_TYPES.REDUCE_STATUS,
+      objectId: tagRef.objectId,
+      challengeId: tagRef.challengeId,
+      name: tagRef.tagKey,
+      amount: amount
+    });
+  }
+
+  /**
+   * Send a scratch or unscratch action for a stored tag
+   * @param {string} type - ACTION_TYPES.SCRATCH_TAG or ACTION_TYPES.UNSCRATCH_TAG
+   * @param {Object} tagRef - Tag reference
+   */
+  sendScratchAction(type, tagRef) {
+    this.gameClient.webSocketManager.sendGameAction({
+      type: type,
+      objectId: tagRef.objectId,
+      tagKey: tagRef.tagKey,
+      tagType: tagRef.tagType,
+      challengeId: tagRef.challengeId
+    });
   }
 
   /**
@@ -290,11 +333,7 @@ export class TagSystem {
     container.classList.remove('empty');
     
     this.selectedTags.forEach(tagData => {
-      // For theme attributes, show only the tag part (after the colon)
       let displayTag = tagData.tag;
-      if (tagData.tag.includes(': ')) {
-        displayTag = tagData.tag.split(': ')[1];
-      }
       
       // For status tags, append the track value
       if (tagData.tagData && tagData.tagData.isStatus && tagData.tagData.trackValue > 0) {
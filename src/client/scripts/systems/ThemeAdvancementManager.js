@@ -0,0 +1,276 @@
+/**
+ * Theme Advancement Manager for LitMPlayer Game Client
+ * Enforces what happens when a theme card track fills up
+ *
+ * A full milestone track raises the theme's level straight away. A full improve
+ * track opens a chooser for the improvement, and a full abandon track offers to
+ * replace the theme. Either can be put off and resolved later from the
+ * character sheet, where full tracks get an "Advance" button.
+ */
+
+import { ACTION_TYPES, ELEMENT_IDS } from '../utils/constants.js';
+import { escapeHtml, getElement } from '../utils/helpers.js';
+import { THEME_TRACK_LENGTH } from '../utils/themeCards.js';
+
+export class ThemeAdvancementManager {
+  constructor(gameClient) {
+    this.gameClient = gameClient;
+    this.pending = []; // Advancements waiting for the chooser ({ characterId, themeIndex, track, card })
+    this.current = null;
+  }
+
+  /**
+   * Setup event listeners for the advancement chooser
+   */
+  setupEventListeners() {
+    getElement(ELEMENT_IDS.CLOSE_THEME_ADVANCEMENT)?.addEventListener('click', () => this.skip());
+
+    getElement(ELEMENT_IDS.THEME_ADVANCEMENT_CONTENT)?.addEventListener('click', (e) => {
+      if (e.target.closest('[data-advancement-confirm]')) {
+        this.confirm();
+      } else if (e.target.closest('[data-advancement-skip]')) {
+        this.skip();
+      }
+    });
+  }
+
+  /**
+   * Check whether a theme card track is full
+   * @param {Object} card - Theme card
+   * @param {string} track - Track name
+   * @returns {boolean} True if every pip on the track is filled
+   */
+  isTrackFull(card, track) {
+    return (card?.tracks?.[track] || 0) >= THEME_TRACK_LENGTH;
+  }
+
+  /**
+   * Advance every full track on a character's theme cards
+   * Milestones are applied at once; improvements and replacements are chosen one at a time.
+   * @param {string} characterId - Character object ID
+   * @param {Array} themeCards - The character's theme cards
+   */
+  advanceFullTracks(characterId, themeCards = []) {
+    themeCards.forEach((card, themeIndex) => {
+      if (this.isTrackFull(card, 'milestone')) {
+        this.sendAdvancement(characterId, themeIndex, 'milestone');
+      }
+      ['improve', 'abandon'].forEach(track => {
+        if (this.isTrackFull(card, track)) {
+          this.pending.push({ characterId, themeIndex, track, card });
+        }
+      });
+    });
+
+    if (!this.current) {
+      this.showNext();
+    }
+  }
+
+  /**
+   * Advance one full track of a theme card
+   * @param {string} characterId - Character object ID
+   * @param {number} themeIndex - Index of the theme card
+   * @param {string} track - Full track
+   */
+  advanceTrack(characterId, themeIndex, track) {
+    if (track === 'milestone') {
+      this.sendAdvancement(characterId, themeIndex, 'milestone');
+      return;
+    }
+
+    const character = this.gameClient.gameState?.gameObjects?.find(obj => obj.id === characterId);
+    const card = character?.contents?.themeCards?.[themeIndex];
+    if (!card) return;
+
+    this.pending = this.pending.filter(item => item.characterId !== characterId || item.themeIndex !== themeIndex || item.track !== track);
+    this.pending.unshift({ characterId, themeIndex, track, card });
+    this.showNext();
+  }
+
+  /**
+   * Show the chooser for the next pending advancement, or close it if there are none
+   */
+  showNext() {
+    this.current = this.pending.shift() || null;
+    if (!this.current) {
+      this.gameClient.modalManager.hideModal(ELEMENT_IDS.THEME_ADVANCEMENT_OVERLAY);
+      return;
+    }
+
+    const title = getElement(ELEMENT_IDS.THEME_ADVANCEMENT_TITLE);
+    if (title) {
+      title.textContent = this.current.track === 'improve' ? 'IMPROVE THEME' : 'ABANDON THEME';
+    }
+
+    const content = getElement(ELEMENT_IDS.THEME_ADVANCEMENT_CONTENT);
+    if (content) {
+      content.innerHTML = this.current.track === 'improve'
+        ? this.renderImprovementChooser(this.current.card)
+        : this.renderReplacementPrompt(this.current.card);
+    }
+
+    this.gameClient.modalManager.showModal(ELEMENT_IDS.THEME_ADVANCEMENT_OVERLAY);
+  }
+
+  /**
+   * Render the choice of improvements for a theme card
+   * @param {Object} card - Theme card
+   * @returns {string} Chooser HTML
+   */
+  renderImprovementChooser(card) {
+    const weaknesses = (card.attributes || []).filter(attr => attr.effect === 'negative');
+    const weaknessOptions = weaknesses
+      .map(attr => `<option value="${escapeHtml(attr.name)}">${escapeHtml(attr.name)}</option>`)
+      .join('');
+    // Suggest the special improvements of the card's themebook
+    const themebook = this.gameClient.themebookManager.getThemebook(card.themebook);
+    const improvementOptions = (themebook?.specialImprovements || [])
+      .filter(improvement => !(card.specialImprovements || []).includes(improvement.name))
+      .map(improvement => `<option value="${escapeHtml(improvement.name)}">${escapeHtml(improvement.description || '')}</option>`)
+      .join('');
+
+    return `
+      <p class="theme-advancement-intro">
+        The improve track of <strong>${escapeHtml(card.type || 'this theme')}</strong> is full. Choose an improvement; the track will be cleared.
+      </p>
+      <label class="theme-advancement-option">
+        <input type="radio" name="improvement-kind" value="power_tag" checked>
+        <span>New power tag</span>
+        <input type="text" class="theme-advancement-input" data-improvement="power_tag" placeholder="Power tag">
+      </label>
+      <label class="theme-advancement-option">
+        <input type="radio" name="improvement-kind" value="remove_weakness" ${weaknesses.length === 0 ? 'disabled' : ''}>
+        <span>Remove a weakness</span>
+        <select class="theme-advancement-input" data-improvement="remove_weakness" ${weaknesses.length === 0 ? 'disabled' : ''}>
+          ${weaknessOptions || '<option value="">No weaknesses</option>'}
+        </select>
+      </label>
+      <label class="theme-advancement-option">
+        <input type="radio" name="improvement-kind" value="special_improvement">
+        <span>Special improvement</span>
+        <input type="text" class="theme-advancement-input" data-improvement="special_improvement" placeholder="Special improvement" list="special-improvement-options">
+        <datalist id="special-improvement-options">${improvementOptions}</datalist>
+      </label>
+      <div class="theme-advancement-actions">
+        <button type="button" class="btn btn-secondary" data-advancement-skip>Later</button>
+        <button type="button" class="btn btn-primary" data-advancement-confirm>Improve</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Render the prompt to replace an abandoned theme
+   * @param {Object} card - Theme card
+   * @returns {string} Prompt HTML
+   */
+  renderReplacementPrompt(card) {
+    return `
+      <p class="theme-advancement-intro">
+        The abandon track of <strong>${escapeHtml(card.type || 'this theme')}</strong> is full. Replace it with a new theme?
+      </p>
+      <label class="theme-advancement-field">
+        <span>New theme tag</span>
+        <input type="text" class="theme-advancement-input" data-replacement="type" placeholder="Theme tag">
+      </label>
+      <label class="theme-advancement-field">
+        <span>Quest</span>
+        <textarea class="theme-advancement-input" data-replacement="quest" rows="2" placeholder="Quest"></textarea>
+      </label>
+      <label class="theme-advancement-field">
+        <span>Power tags (one per line)</span>
+        <textarea class="theme-advancement-input" data-replacement="positive" rows="3"></textarea>
+      </label>
+      <label class="theme-advancement-field">
+        <span>Weakness tags (one per line)</span>
+        <textarea class="theme-advancement-input" data-replacement="negative" rows="2"></textarea>
+      </label>
+      <div class="theme-advancement-actions">
+        <button type="button" class="btn btn-secondary" data-advancement-skip>Keep Theme</button>
+        <button type="button" class="btn btn-primary" data-advancement-confirm>Replace Theme</button>
+      </div>
+    `;
+  }
+
+  /**
+   * Send the advancement chosen in the chooser and move on to the next one
+   */
+  confirm() {
+    const content = getElement(ELEMENT_IDS.THEME_ADVANCEMENT_CONTENT);
+    if (!this.current || !content) return;
+
+    const outcome = this.current.track === 'improve'
+      ? this.collectImprovement(content)
+      : this.collectReplacement(content);
+    if (!outcome) return;
+
+    this.sendAdvancement(this.current.characterId, this.current.themeIndex, this.current.track, outcome);
+    this.showNext();
+  }
+
+  /**
+   * Put off the current advancement; it can be made later from the character sheet
+   */
+  skip() {
+    this.showNext();
+  }
+
+  /**
+   * Read the chosen improvement from the chooser
+   * @param {HTMLElement} content - Chooser content
+   * @returns {Object|null} { improvement } or null if nothing was entered
+   */
+  collectImprovement(content) {
+    const kind = content.querySelector('input[name="improvement-kind"]:checked')?.value;
+    const name = content.querySelector(`[data-improvement="${kind}"]`)?.value.trim();
+    if (!kind || !name) {
+      this.gameClient.uiManager.showError('Please enter the improvement');
+      return null;
+    }
+    return { improvement: { kind, name } };
+  }
+
+  /**
+   * Read the new theme from the replacement prompt
+   * @param {HTMLElement} content - Prompt content
+   * @returns {Object|null} { replacement } or null if the new theme has no tag
+   */
+  collectReplacement(content) {
+    const field = name => content.querySelector(`[data-replacement="${name}"]`)?.value.trim() || '';
+    const lines = name => field(name).split('\n').map(line => line.trim()).filter(Boolean);
+
+    const type = field('type');
+    if (!type) {
+      this.gameClient.uiManager.showError('Please enter the new theme tag');
+      return null;
+    }
+
+    return {
+      replacement: {
+        type: type,
+        quest: field('quest'),
+        attributes: [
+          ...lines('positive').map(name => ({ name, effect: 'positive' })),
+          ...lines('negative').map(name => ({ name, effect: 'negative' }))
+        ]
+      }
+    };
+  }
+
+  /**
+   * Send a theme advancement to the server
+   * @param {string} characterId - Character object ID
+   * @param {number} themeIndex - Index of the theme card
+   * @param {string} track - Full track
+   * @param {Object} outcome - What the advancement takes ({ improvement } or { replacement })
+   */
+  sendAdvancement(characterId, themeIndex, track, outcome = {}) {
+    this.gameClient.webSocketManager.sendGameAction({
+      type: ACTION_TYPES.ADVANCE_THEME,
+      objectId: characterId,
+      themeIndex: themeIndex,
+      track: track,
+      ...outcome
+    });
+  }
+}
@@ -0,0 +1,205 @@
+/**
+ * Themebook Manager for LitMPlayer Game Client
+ * Offers the themebook library in character creation and prefills theme cards from it
+ *
+ * The library comes from the server, which adds the group's custom themebooks to
+ * the built-in ones; until it has loaded (or if it can't be), the built-in
+ * themebooks are offered.
+ */
+
+import { escapeHtml } from '../utils/helpers.js';
+import { THEMEBOOKS, getMightName, groupByMight } from '../utils/themebooks.js';
+
+// Power and weakness tags a blank theme card is prefilled with
+const PREFILLED_POWER_TAGS = 2;
+const PREFILLED_WEAKNESS_TAGS = 1;
+
+export class ThemebookManager {
+  constructor(gameClient) {
+    this.gameClient = gameClient;
+    this.themebooks = THEMEBOOKS;
+    this.loading = null;
+  }
+
+  /**
+   * Load the themebook library from the server, once
+   * @returns {Promise<Array>} Themebooks
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = fetch('/api/themebooks')
+        .then(response => {
+          if (!response.ok) throw new Error(`HTTP ${response.status}`);
+          return response.json();
+        })
+        .then(data => {
+          this.themebooks = data.themebooks;
+          return this.themebooks;
+        })
+        .catch(error => {
+          console.warn('Could not load the themebook library, using the built-in themebooks:', error);
+          this.loading = null;
+          return this.themebooks;
+        });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Get a themebook by ID
+   * @param {string} themebookId - Themebook ID
+   * @returns {Object|null} Themebook or null
+   */
+  getThemebook(themebookId) {
+    return this.themebooks.find(themebook => themebook.id === themebookId) || null;
+  }
+
+  /**
+   * Create the themebook picker for a theme card in the creation form
+   * @param {HTMLElement} themeCard - Theme card element
+   * @returns {HTMLElement} Picker section
+   */
+  createThemebookPicker(themeCard) {
+    const section = document.createElement('div');
+    section.className = 'theme-section themebook-section';
+
+    const label = document.createElement('label');
+    label.textContent = 'THEMEBOOK';
+    label.className = 'themebook-label';
+
+    const select = document.createElement('select');
+    select.className = 'themebook-select';
+    select.addEventListener('change', () => this.applyThemebook(themeCard, this.getThemebook(select.value), true));
+
+    const guide = document.createElement('div');
+    guide.className = 'themebook-guide hidden';
+    guide.addEventListener('click', (e) => {
+      const example = e.target.closest('[data-example-tag]');
+      if (example) {
+        this.gameClient.characterManager.addThemeAttribute(themeCard, example.dataset.exampleTag, example.dataset.effect);
+      }
+    });
+
+    section.appendChild(label);
+    section.appendChild(select);
+    section.appendChild(guide);
+
+    this.populateOptions(select);
+    this.load().then(() => {
+      this.populateOptions(select);
+      // A card filled in before the library loaded may use a custom themebook
+      this.applyThemebook(themeCard, this.getThemebook(themeCard.dataset.themebook), false);
+    });
+
+    return section;
+  }
+
+  /**
+   * Fill a themebook select with the library, grouped by might level
+   * @param {HTMLSelectElement} select - Themebook select
+   */
+  populateOptions(select) {
+    const selected = select.value;
+    const groups = groupByMight(this.themebooks)
+      .filter(group => group.themebooks.length > 0)
+      .map(group => `
+        <optgroup label="${escapeHtml(group.name)}">
+          ${group.themebooks.map(themebook => `<option value="${escapeHtml(themebook.id)}">${escapeHtml(themebook.name)}</option>`).join('')}
+        </optgroup>
+      `).join('');
+
+    select.innerHTML = `<option value="">No themebook</option>${groups}`;
+    select.value = this.getThemebook(selected) ? selected : '';
+  }
+
+  /**
+   * Show the themebook a saved theme card was made from
+   * @param {HTMLElement} themeCard - Theme card element
+   * @param {Object} themeData - Saved theme card ({ themebook, might })
+   */
+  setThemebook(themeCard, themeData) {
+    if (themeData.themebook) {
+      themeCard.dataset.themebook = themeData.themebook;
+      themeCard.dataset.might = themeData.might || '';
+    }
+    this.applyThemebook(themeCard, this.getThemebook(themeData.themebook), false);
+  }
+
+  /**
+   * Use a themebook for a theme card
+   * @param {HTMLElement} themeCard - Theme card element
+   * @param {Object|null} themebook - Themebook, or null for a card without one
+   * @param {boolean} chosen - The player just picked it; a blank card is prefilled with its example tags
+   */
+  applyThemebook(themeCard, themebook, chosen) {
+    const select = themeCard.querySelector('.themebook-select');
+    const guide = themeCard.querySelector('.themebook-guide');
+    const header = themeCard.querySelector('.theme-card-header');
+
+    if (themebook) {
+      themeCard.dataset.themebook = themebook.id;
+      themeCard.dataset.might = themebook.might;
+    } else if (chosen) {
+      delete themeCard.dataset.themebook;
+      delete themeCard.dataset.might;
+    }
+    // Otherwise a saved card keeps a themebook the library doesn't have (any more)
+
+    if (select) {
+      select.value = themebook ? themebook.id : '';
+    }
+    if (header) {
+      header.textContent = themebook ? `${themebook.name.toUpperCase()} (${getMightName(themebook.might)})` : 'THEME CARD';
+    }
+    if (guide) {
+      guide.innerHTML = themebook ? this.renderGuide(themebook) : '';
+      guide.classList.toggle('hidden', !themebook);
+    }
+
+    if (themebook && chosen && !this.hasAttributes(themeCard)) {
+      themebook.examplePowerTags.slice(0, PREFILLED_POWER_TAGS)
+        .forEach(tag => this.gameClient.characterManager.addThemeAttribute(themeCard, tag, 'positive'));
+      themebook.exampleWeaknessTags.slice(0, PREFILLED_WEAKNESS_TAGS)
+        .forEach(tag => this.gameClient.characterManager.addThemeAttribute(themeCard, tag, 'negative'));
+    }
+  }
+
+  /**
+   * Check whether any attribute of a theme card has been filled in
+   * @param {HTMLElement} themeCard - Theme card element
+   * @returns {boolean} True if an attribute has a name
+   */
+  hasAttributes(themeCard) {
+    return Array.from(themeCard.querySelectorAll('.attribute-input')).some(input => input.value.trim());
+  }
+
+  /**
+   * Render a themebook's questions, example tags and special improvements
+   * @param {Object} themebook - Themebook
+   * @returns {string} Guide HTML
+   */
+  renderGuide(themebook) {
+    const questions = list => list.map(question => `<li>${escapeHtml(question)}</li>`).join('');
+    const examples = (tags, effect) => tags
+      .map(tag => `<button type="button" class="themebook-example themebook-example-${effect}" data-example-tag="${escapeHtml(tag)}" data-effect="${effect}" title="Add this tag">${escapeHtml(tag)}</button>`)
+      .join('');
+
+    return `
+      <details>
+        <summary>Tag questions and examples</summary>
+        <h6>Power tags</h6>
+        <ul>${questions(themebook.powerTagQuestions)}</ul>
+        <div class="themebook-examples">${examples(themebook.examplePowerTags, 'positive')}</div>
+        <h6>Weakness tags</h6>
+        <ul>${questions(themebook.weaknessTagQuestions)}</ul>
+        <div class="themebook-examples">${examples(themebook.exampleWeaknessTags, 'negative')}</div>
+        <h6>Special improvements</h6>
+        <ul>
+          ${themebook.specialImprovements.map(improvement => `
+            <li><strong>${escapeHtml(improvement.name)}</strong>${improvement.description ? ` &mdash; ${escapeHtml(improvement.description)}` : ''}</li>
+          `).join('')}
+        </ul>
+      </details>
+    `;
+  }
+}
@@ -0,0 +1,11 @@
+/**
+ * Challenge limits for LitMPlayer Game Client
+ * Re-exports the limit rules shared with the server (served from /shared)
+ */
+
+import '/shared/statusTiers.js';
+import '/shared/challengeLimits.js';
+
+export const {
+  getChallengeLimitProgress
+} = self.ChallengeLimits;
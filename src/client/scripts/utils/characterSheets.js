@@ -0,0 +1,17 @@
+/**
+ * Character sheet files for LitMPlayer Game Client
+ * Re-exports the character sheet format shared with the server (served from /shared)
+ */
+
+import '/shared/statusTiers.js';
+import '/shared/themeCards.js';
+import '/shared/characterSheets.js';
+
+export const {
+  CHARACTER_SHEET_FORMAT,
+  CHARACTER_SHEET_VERSION,
+  createCharacterSheet,
+  toCharacterSheet,
+  validateCharacterSheet,
+  readCharacterSheet
+} = self.CharacterSheets;
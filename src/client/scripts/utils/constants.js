@@ -13,11 +13,14 @@ export const SOCKET_EVENTS = {
   PLAYER_LEFT: 'player-left',
   PLAYER_DISCONNECTED: 'player-disconnected',
   GAME_STATE_UPDATED: 'game-state-updated',
+  GAME_STATE_PATCH: 'game-state-patch',
   CURRENT_GAME_STATE: 'current-game-state',
   CHAT_MESSAGE: 'chat-message',
   DICE_ROLLED: 'dice-rolled',
   SAVED_SESSIONS: 'saved-sessions',
   SESSION_PLAYERS: 'session-players',
+  CAMPAIGN_CREATED: 'campaign-created',
+  JOURNAL_PAGE: 'journal-page',
   ERROR: 'error'
 };
 
@@ -30,7 +33,10 @@ export const CLIENT_EVENTS = {
   ROLL_DICE: 'roll-dice',
   GET_SAVED_SESSIONS: 'get-saved-sessions',
   GET_SESSION_PLAYERS: 'get-session-players',
+  CREATE_CAMPAIGN: 'create-campaign',
   GET_CURRENT_GAME_STATE: 'get-current-game-state',
+  GET_JOURNAL: 'get-journal',
+  REQUEST_GAME_STATE: 'request-game-state',
   GET_CURRENT_SESSION_STATE: 'get-current-session-state'
 };
 
@@ -41,6 +47,8 @@ export const ACTION_TYPES = {
   DELETE_OBJECT: 'delete_object',
   ADD_TAG: 'add_tag',
   REMOVE_TAG: 'remove_tag',
+  SCRATCH_TAG: 'scratch_tag',
+  UNSCRATCH_TAG: 'unscratch_tag',
   ROLL_DICE: 'roll_dice',
   SET_SCENE: 'set_scene',
   SET_CHALLENGE: 'set_challenge',
@@ -48,7 +56,18 @@ export const ACTION_TYPES = {
   CLEAR_ACTIVE_CHALLENGE: 'clear_active_challenge',
   OVERCOME_CHALLENGE: 'overcome_challenge',
   TOGGLE_OVERCOME_CHALLENGE: 'toggle_overcome_challenge',
-  ADD_NOTE: 'add_note'
+  ADD_NOTE: 'add_note',
+  SPEND_POWER: 'spend_power',
+  CONFIRM_POWER_SPEND: 'confirm_power_spend',
+  ADD_STATUS: 'add_status',
+  REDUCE_STATUS: 'reduce_status',
+  SET_RELATIONSHIP: 'set_relationship',
+  ADVANCE_THEME: 'advance_theme',
+  IMPORT_CHARACTER: 'import_character',
+  SET_OBJECT_ACL: 'set_object_acl',
+  RESTORE_OBJECT: 'restore_object',
+  UNDO: 'undo',
+  REDO: 'redo'
 };
 
 // Object Types
@@ -66,6 +85,57 @@ export const TAG_EFFECTS = {
   BURN: 'burn'
 };
 
+// Roll Outcomes
+export const ROLL_OUTCOMES = {
+  SUCCESS: 'success',
+  SUCCESS_WITH_CONSEQUENCES: 'success_with_consequences',
+  MISS: 'miss'
+};
+
+// Roll Outcome Labels
+export const ROLL_OUTCOME_LABELS = {
+  success: 'Success',
+  success_with_consequences: 'Success with Consequences',
+  miss: 'Miss'
+};
+
+// Roll Types
+export const ROLL_TYPES = {
+  QUICK: 'quick',
+  DETAILED: 'detailed',
+  REACTION: 'reaction',
+  MITIGATE: 'mitigate'
+};
+
+// Roll Type Labels
+export const ROLL_TYPE_LABELS = {
+  quick: 'Quick Outcome',
+  detailed: 'Detailed',
+  reaction: 'Reaction',
+  mitigate: 'Mitigate'
+};
+
+// Power Effects
+export const POWER_EFFECTS = {
+  GIVE_STATUS: 'give_status',
+  CREATE_TAG: 'create_tag',
+  DISCOVER: 'discover'
+};
+
+// Whether a player's power spend has been confirmed by the narrator
+export const POWER_SPEND_STATUS = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  REJECTED: 'rejected'
+};
+
+// Who may edit an object, as shown to the narrator
+export const OBJECT_ACL_LABELS = {
+  owner: 'Owner',
+  narrator: 'Narrator only',
+  everyone: 'Everyone'
+};
+
 // UI States
 export const UI_STATES = {
   CONNECTING: 'connecting',
@@ -89,7 +159,15 @@ export const DEFAULTS = {
   SESSION_ID_LENGTH: 6,
   MAX_FILE_SIZE: 10 * 1024 * 1024, // 10MB
   AUTO_SAVE_INTERVAL: 30000, // 30 seconds
-  SESSION_TIMEOUT: 3600000 // 1 hour
+  SESSION_TIMEOUT: 3600000, // 1 hour
+  MAX_DICE_ROLLS: 50, // Rolls kept in the game state, as on the server
+  MAX_NOTES: 50, // Notes kept in the game state, as on the server
+  JOURNAL_PAGE_SIZE: 50 // Older chat messages or rolls loaded at a time
+};
+
+// Browser Storage Keys
+export const STORAGE_KEYS = {
+  PLAYER_IDENTITY: 'litm-player-identity' // Followed by ':<sessionId>' or ':campaign:<campaignId>'
 };
 
 // DOM Element IDs
@@ -106,13 +184,25 @@ export const ELEMENT_IDS = {
   PLAYER_COUNT: 'player-count',
   PLAYERS_LIST: 'players-list',
   CHAT_MESSAGES: 'chat-messages',
+  LOAD_OLDER_CHAT: 'load-older-chat',
   CHAT_INPUT: 'chat-input',
   SEND_CHAT_BTN: 'send-chat-btn',
   NOTES_LIST: 'notes-list',
   NOTES_INPUT: 'notes-input',
   ADD_NOTE_BTN: 'add-note-btn',
   DICE_RESULTS: 'dice-results',
+  LOAD_OLDER_ROLLS: 'load-older-rolls',
   ROLL_DICE_BTN: 'roll-dice-btn',
+  ROLL_TYPE_SELECT: 'roll-type-select',
+  POWER_SPEND_PANEL: 'power-spend-panel',
+  POWER_SPEND_REMAINING: 'power-spend-remaining',
+  POWER_SPEND_CLOSE: 'close-power-spend',
+  POWER_SPEND_EFFECT: 'power-spend-effect',
+  POWER_SPEND_TARGET: 'power-spend-target',
+  POWER_SPEND_NAME: 'power-spend-name',
+  POWER_SPEND_TIER: 'power-spend-tier',
+  POWER_SPEND_CONFIRM: 'power-spend-confirm',
+  POWER_SPEND_LOG: 'power-spend-log',
   SELECTED_TAGS_CONTAINER: 'selected-tags-container',
   CHARACTERS_LIST: 'characters-list',
   SCENE_TITLE: 'scene-title',
@@ -124,5 +214,15 @@ export const ELEMENT_IDS = {
   ACTIVE_CHALLENGE_TAGS: 'active-challenge-tags',
   ACTIVE_CHALLENGE_DETAILS: 'active-challenge-details',
   ACTIVE_CHALLENGE_SUCCESS: 'active-challenge-success',
-  ACTIVE_CHALLENGE_CONSEQUENCES: 'active-challenge-consequences'
+  ACTIVE_CHALLENGE_CONSEQUENCES: 'active-challenge-consequences',
+  UNDO_BTN: 'undo-btn',
+  REDO_BTN: 'redo-btn',
+  TRASH_BTN: 'trash-btn',
+  TRASH_OVERLAY: 'trash-overlay',
+  TRASH_LIST: 'trash-list',
+  CLOSE_TRASH: 'close-trash',
+  THEME_ADVANCEMENT_OVERLAY: 'theme-advancement-overlay',
+  THEME_ADVANCEMENT_TITLE: 'theme-advancement-title',
+  THEME_ADVANCEMENT_CONTENT: 'theme-advancement-content',
+  CLOSE_THEME_ADVANCEMENT: 'close-theme-advancement'
 };
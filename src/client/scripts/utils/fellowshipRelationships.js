@@ -0,0 +1,15 @@
+/**
+ * Fellowship relationships for LitMPlayer Game Client
+ * Re-exports the relationship rules shared with the server (served from /shared)
+ */
+
+import '/shared/fellowshipRelationships.js';
+
+export const {
+  RELATIONSHIP_TAG_TYPE,
+  getRelationshipKey,
+  createRelationshipTag,
+  getMembers,
+  getRelationship,
+  getRelationshipsFrom
+} = self.FellowshipRelationships;
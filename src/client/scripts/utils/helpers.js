@@ -35,6 +35,28 @@ export function generateChallengeId() {
   return 'challenge_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 }
 
+/**
+ * Parse challenge limits written as "harm 3, convinced 4"
+ * @param {string} text - Limits text
+ * @returns {Array} Array of { name, max } limits
+ */
+export function parseChallengeLimits(text) {
+  return (text || '')
+    .split(',')
+    .map(part => part.trim().match(/^(.+?)\s+(\d+)$/))
+    .filter(match => match)
+    .map(match => ({ name: match[1].trim(), max: Math.min(6, Math.max(1, parseInt(match[2], 10))) }));
+}
+
+/**
+ * Format challenge limits for editing
+ * @param {Array} limits - Array of { name, max } limits
+ * @returns {string} Limits text, e.g. "harm 3, convinced 4"
+ */
+export function formatChallengeLimits(limits = []) {
+  return limits.map(limit => `${limit.name} ${limit.max}`).join(', ');
+}
+
 /**
  * Format timestamp for display
  * @param {string|Date} timestamp - Timestamp to format
@@ -0,0 +1,15 @@
+/**
+ * Game object access rules for LitMPlayer Game Client
+ * Re-exports the rules module shared with the server (served from /shared)
+ */
+
+import '/shared/objectAccess.js';
+
+export const {
+  OBJECT_ACLS,
+  isValidAcl,
+  getDefaultAcl,
+  getObjectAcl,
+  isObjectOwner,
+  canEditObject
+} = self.ObjectAccess;
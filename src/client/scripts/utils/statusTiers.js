@@ -0,0 +1,16 @@
+/**
+ * Status tier rules for LitMPlayer Game Client
+ * Re-exports the rules module shared with the server (served from /shared)
+ */
+
+import '/shared/statusTiers.js';
+
+export const {
+  MIN_TIER,
+  MAX_TIER,
+  isValidTier,
+  getMarkedBoxes,
+  getStatusTier,
+  addStatus,
+  reduceStatus
+} = self.StatusTiers;
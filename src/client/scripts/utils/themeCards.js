@@ -0,0 +1,12 @@
+/**
+ * Theme card track sizes for LitMPlayer Game Client
+ * Re-exports the sizes shared with the server (served from /shared)
+ */
+
+import '/shared/themeCards.js';
+
+export const {
+  THEME_TRACKS,
+  THEME_TRACK_LENGTH,
+  MAX_PROMISE
+} = self.ThemeCards;
@@ -0,0 +1,14 @@
+/**
+ * Themebooks for LitMPlayer Game Client
+ * Re-exports the built-in themebook library shared with the server (served from /shared)
+ */
+
+import '/shared/themebooks.js';
+
+export const {
+  MIGHT_LEVELS,
+  THEMEBOOKS,
+  isValidThemebook,
+  getMightName,
+  groupByMight
+} = self.Themebooks;
@@ -0,0 +1,322 @@
+/**
+ * Session Archives for LitMPlayer
+ * Packs a session into a single portable file and unpacks it on another host
+ *
+ * An archive is gzipped JSON holding the saved session, its journal and every
+ * upload the session refers to. A session of a campaign is archived on its own,
+ * with the campaign's objects and players folded into it. On import, game object IDs are reissued so
+ * they can't clash with objects already on this host, and uploads are stored
+ * under new file names with the session's image URLs pointing at them.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { createObjectId, migrateObjectIds } = require('./objectIds');
+const FellowshipRelationships = require('../shared/fellowshipRelationships');
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const ARCHIVE_FORMAT = 'litm-session-archive';
+const ARCHIVE_VERSION = 1;
+const UPLOAD_URL_PATTERN = /\/uploads\/([A-Za-z0-9._-]+)/g;
+const UPLOAD_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.bmp', '.svg'];
+const MAX_ARCHIVE_SIZE = 200 * 1024 * 1024; // Unpacked size limit
+
+/**
+ * Thrown when an archive can't be imported because of its contents
+ */
+class InvalidArchiveError extends Error {
+  /**
+   * @param {string} message - What is wrong with the archive
+   * @param {number} status - HTTP status to answer an import with
+   */
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'InvalidArchiveError';
+    this.status = status;
+  }
+}
+
+class SessionArchiver {
+  /**
+   * @param {SessionManager} sessionManager - Session manager
+   * @param {string} uploadsDir - Directory holding uploaded images
+   */
+  constructor(sessionManager, uploadsDir) {
+    this.sessionManager = sessionManager;
+    this.uploadsDir = uploadsDir;
+  }
+
+  /**
+   * Pack a saved session into an archive
+   * A loaded session is saved first, so the archive has its latest state.
+   * @param {string} sessionId - Session identifier
+   * @returns {Buffer|null} Gzipped archive, or null if the session hasn't been saved
+   */
+  async exportSession(sessionId) {
+    if (this.sessionManager.getSession(sessionId)) {
+      await this.sessionManager.saveSession(sessionId);
+    }
+
+    const saved = await this.sessionManager.persistence.loadSessionData(sessionId);
+    if (!saved) return null;
+
+    // A session that hasn't been loaded since object IDs changed still has its old ones
+    const gameState = migrateObjectIds(saved.gameState, this.sessionManager.persistence.getObjectIdScope(sessionId, saved.session));
+    const data = await this.includeCampaign({ lastSaved: saved.lastSaved, session: saved.session, gameState: gameState });
+    const journal = await this.sessionManager.journal.getAllEntries(sessionId);
+
+    const uploads = [];
+    for (const name of this.findUploads([data, journal])) {
+      try {
+        const contents = await fs.readFile(path.join(this.uploadsDir, name));
+        uploads.push({ name: name, data: contents.toString('base64') });
+      } catch (error) {
+        // The session can still be moved without an image that has gone missing
+        console.warn(`⚠️ Upload ${name} referenced by session ${sessionId} is missing`);
+      }
+    }
+
+    const archive = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exportedAt: new Date().toISOString(),
+      sessionId: sessionId,
+      data: data,
+      journal: journal,
+      uploads: uploads
+    };
+
+    console.log(`📦 Exported session ${sessionId} with ${uploads.length} upload(s)`);
+    return await gzip(JSON.stringify(archive));
+  }
+
+  /**
+   * Fold the objects, player identities and narrator passphrase of a session's campaign into its saved data
+   * @param {Object} data - Saved session data ({ lastSaved, session, gameState })
+   * @returns {Object} Saved data of a session with no campaign
+   */
+  async includeCampaign(data) {
+    const campaignId = data.session?.campaignId;
+    const campaign = campaignId ? await this.sessionManager.campaigns.getCampaign(campaignId) : null;
+    if (!campaign) return data;
+
+    return {
+      ...data,
+      session: {
+        ...data.session,
+        campaignId: null,
+        narratorCredential: campaign.narratorCredential,
+        playerIdentities: { ...campaign.playerIdentities, ...data.session.playerIdentities }
+      },
+      gameState: {
+        ...data.gameState,
+        gameObjects: this.sessionManager.campaigns.mergeGameObjects(campaign, data.gameState?.gameObjects || [])
+      }
+    };
+  }
+
+  /**
+   * Unpack an archive into a new saved session
+   * @param {Buffer} buffer - Gzipped archive
+   * @param {Object} options - Import options
+   * @param {string} options.sessionId - ID to import the session under (defaults to its ID in the archive)
+   * @param {string} options.narratorPassphrase - Narrator passphrase of the archived session
+   * @returns {string} ID of the imported session
+   */
+  async importSession(buffer, { sessionId = null, narratorPassphrase = null } = {}) {
+    const archive = await this.readArchive(buffer);
+    const targetId = sessionId || archive.sessionId;
+
+    if (!this.sessionManager.matchesNarratorCredential(archive.data.session.narratorCredential, narratorPassphrase)) {
+      throw new InvalidArchiveError('Incorrect narrator passphrase', 403);
+    }
+
+    if (!/^[\w-]+$/.test(targetId)) {
+      throw new InvalidArchiveError('Invalid session ID');
+    }
+    if (await this.sessionManager.sessionExists(targetId)) {
+      throw new InvalidArchiveError(`Session ${targetId} already exists`, 409);
+    }
+
+    // New file names for the uploads, and new IDs for the objects, live and in the trash
+    const uploadNames = new Map();
+    for (const upload of archive.uploads) {
+      const newName = await this.saveUpload(upload);
+      uploadNames.set(upload.name, newName);
+    }
+
+    const { gameState } = archive.data;
+    const objectIds = new Map();
+    let lastObjectId = null;
+    [...gameState.gameObjects, ...(gameState.trash || []).map(item => item.object)].forEach(gameObject => {
+      if (!objectIds.has(gameObject.id)) {
+        lastObjectId = createObjectId(lastObjectId);
+        objectIds.set(gameObject.id, lastObjectId);
+      }
+    });
+
+    const remap = value => this.remapReferences(value, objectIds, uploadNames);
+    const session = {
+      ...remap(archive.data.session),
+      id: targetId,
+      players: [], // Nobody is connected to the imported copy yet
+      isActive: false
+    };
+
+    await this.sessionManager.persistence.saveSessionData(targetId, {
+      session: session,
+      gameState: remap(gameState)
+    });
+    await this.sessionManager.journal.importEntries(targetId, remap(archive.journal));
+
+    console.log(`📦 Imported session ${archive.sessionId} as ${targetId} with ${gameState.gameObjects.length} object(s) and ${uploadNames.size} upload(s)`);
+    return targetId;
+  }
+
+  /**
+   * Unzip and check an archive
+   * @param {Buffer} buffer - Gzipped archive
+   * @returns {Object} Archive contents
+   */
+  async readArchive(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+      throw new InvalidArchiveError('No archive provided');
+    }
+
+    let archive;
+    try {
+      archive = JSON.parse(await gunzip(buffer, { maxOutputLength: MAX_ARCHIVE_SIZE }));
+    } catch (error) {
+      throw new InvalidArchiveError('Archive is not a gzipped session archive');
+    }
+
+    if (archive?.format !== ARCHIVE_FORMAT) {
+      throw new InvalidArchiveError('Archive is not a session archive');
+    }
+    if (archive.version !== ARCHIVE_VERSION) {
+      throw new InvalidArchiveError(`Unsupported archive version: ${archive.version}`);
+    }
+    if (typeof archive.sessionId !== 'string' || !archive.data || typeof archive.data.session !== 'object' || !archive.data.session) {
+      throw new InvalidArchiveError('Archive has no session');
+    }
+
+    const gameState = archive.data.gameState;
+    if (!gameState || !Array.isArray(gameState.gameObjects)) {
+      throw new InvalidArchiveError('Archive has no game state');
+    }
+    if (gameState.trash !== undefined && !Array.isArray(gameState.trash)) {
+      throw new InvalidArchiveError('Archive has a malformed trash');
+    }
+    const objects = [...gameState.gameObjects, ...(gameState.trash || []).map(item => item?.object)];
+    if (objects.some(gameObject => !gameObject || typeof gameObject.id !== 'string' || typeof gameObject.type !== 'string')) {
+      throw new InvalidArchiveError('Archive has a malformed game object');
+    }
+
+    if (!Array.isArray(archive.journal) || archive.journal.some(entry => !Number.isInteger(entry?.seq))) {
+      throw new InvalidArchiveError('Archive has a malformed journal');
+    }
+
+    if (!Array.isArray(archive.uploads) || archive.uploads.some(upload => !this.isValidUpload(upload))) {
+      throw new InvalidArchiveError('Archive has a malformed upload');
+    }
+
+    return archive;
+  }
+
+  /**
+   * Check an upload from an archive
+   * @param {Object} upload - Upload ({ name, data })
+   * @returns {boolean} True if it is an image with a safe name
+   */
+  isValidUpload(upload) {
+    return typeof upload?.name === 'string' &&
+      path.basename(upload.name) === upload.name &&
+      UPLOAD_EXTENSIONS.includes(path.extname(upload.name).toLowerCase()) &&
+      typeof upload.data === 'string';
+  }
+
+  /**
+   * Store an upload from an archive under a new file name
+   * @param {Object} upload - Upload ({ name, data })
+   * @returns {string} New file name
+   */
+  async saveUpload(upload) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    const name = 'scene-' + uniqueSuffix + path.extname(upload.name).toLowerCase();
+
+    await fs.mkdir(this.uploadsDir, { recursive: true });
+    await fs.writeFile(path.join(this.uploadsDir, name), Buffer.from(upload.data, 'base64'));
+    return name;
+  }
+
+  /**
+   * Find the uploads a value refers to
+   * @param {*} value - Value to search
+   * @returns {Set} Upload file names
+   */
+  findUploads(value) {
+    const names = new Set();
+    JSON.stringify(value, (key, item) => {
+      if (typeof item === 'string') {
+        for (const match of item.matchAll(UPLOAD_URL_PATTERN)) {
+          names.add(match[1]);
+        }
+      }
+      return item;
+    });
+    return names;
+  }
+
+  /**
+   * Get the new value of an object ID, or of a relationship key made of object IDs
+   * @param {string} value - Value or key
+   * @param {Map} objectIds - Old object ID -> new object ID
+   * @returns {string} The value with its object IDs replaced
+   */
+  remapObjectReference(value, objectIds) {
+    if (objectIds.has(value)) return objectIds.get(value);
+
+    const relationship = FellowshipRelationships.parseRelationshipKey(value);
+    if (relationship && (objectIds.has(relationship.fromId) || objectIds.has(relationship.toId))) {
+      return FellowshipRelationships.getRelationshipKey(
+        objectIds.get(relationship.fromId) || relationship.fromId,
+        objectIds.get(relationship.toId) || relationship.toId
+      );
+    }
+    return value;
+  }
+
+  /**
+   * Copy a value, replacing object IDs and upload URLs with their new ones
+   * Object IDs are replaced wherever they appear whole, as values or as keys,
+   * and in both halves of relationship keys ('<fromId>><toId>').
+   * @param {*} value - Value to copy
+   * @param {Map} objectIds - Old object ID -> new object ID
+   * @param {Map} uploadNames - Old upload file name -> new file name
+   * @returns {*} Copy with the references replaced
+   */
+  remapReferences(value, objectIds, uploadNames) {
+    if (typeof value === 'string') {
+      const remapped = this.remapObjectReference(value, objectIds);
+      if (remapped !== value) return remapped;
+      return value.replace(UPLOAD_URL_PATTERN, (url, name) =>
+        (uploadNames.has(name) ? `/uploads/${uploadNames.get(name)}` : url));
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.remapReferences(item, objectIds, uploadNames));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        this.remapObjectReference(key, objectIds),
+        this.remapReferences(item, objectIds, uploadNames)
+      ]));
+    }
+    return value;
+  }
+}
+
+module.exports = { SessionArchiver, InvalidArchiveError };
@@ -0,0 +1,111 @@
+/**
+ * Tests for session archives
+ */
+
+const os = require('os');
+const path = require('path');
+const { SessionArchiver, InvalidArchiveError } = require('./archive');
+const SessionManager = require('./sessions');
+const FellowshipRelationships = require('../shared/fellowshipRelationships');
+
+/**
+ * Make a session manager holding saved sessions in memory
+ * @param {Object} saves - Session ID -> saved data
+ * @returns {Object} Just enough of a SessionManager for the archiver
+ */
+function createSessionManager(saves) {
+  return {
+    getSession: () => null,
+    sessionExists: async sessionId => sessionId in saves,
+    matchesNarratorCredential: SessionManager.prototype.matchesNarratorCredential,
+    persistence: {
+      loadSessionData: async sessionId => saves[sessionId] || null,
+      saveSessionData: async (sessionId, data) => {
+        saves[sessionId] = data;
+      },
+      getObjectIdScope: (sessionId, session) => session?.campaignId || sessionId
+    },
+    journal: {
+      getAllEntries: async () => [],
+      importEntries: async () => {}
+    },
+    campaigns: {
+      getCampaign: async () => null
+    }
+  };
+}
+
+const CREDENTIAL = SessionManager.prototype.createNarratorCredential('lantern');
+
+describe('SessionArchiver', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps fellowship relationships through an export and import', async () => {
+    const heroId = 'obj_01HZY00000000000000000000A';
+    const friendId = 'obj_01HZY00000000000000000000B';
+    const key = FellowshipRelationships.getRelationshipKey(heroId, friendId);
+    const saves = {
+      original: {
+        session: { id: 'original', name: 'Original', players: [], narratorCredential: CREDENTIAL },
+        gameState: {
+          gameObjects: [
+            { id: heroId, type: 'character', contents: { characterName: 'Hero' }, tags: {} },
+            { id: friendId, type: 'character', contents: { characterName: 'Friend' }, tags: {} },
+            {
+              id: 'obj_01HZY00000000000000000000C',
+              type: 'fellowship',
+              contents: { themeCards: [] },
+              tags: { relationships: { [key]: FellowshipRelationships.createRelationshipTag(heroId, friendId, 'owes a debt') } }
+            }
+          ],
+          lastRoll: { tags: [{ objectId: 'obj_01HZY00000000000000000000C', tagType: 'relationships', tagKey: key }] }
+        }
+      }
+    };
+    const archiver = new SessionArchiver(createSessionManager(saves), path.join(os.tmpdir(), 'litm-archive-test'));
+
+    const buffer = await archiver.exportSession('original');
+    await archiver.importSession(buffer, { sessionId: 'copy', narratorPassphrase: 'lantern' });
+
+    const { gameObjects, lastRoll } = saves.copy.gameState;
+    const hero = gameObjects.find(obj => obj.contents.characterName === 'Hero');
+    const friend = gameObjects.find(obj => obj.contents.characterName === 'Friend');
+    const fellowship = gameObjects.find(obj => obj.type === 'fellowship');
+
+    expect(hero.id).not.toBe(heroId);
+    expect(FellowshipRelationships.getRelationship(fellowship, hero.id, friend.id)).toMatchObject({
+      from: hero.id,
+      to: friend.id,
+      relationship: 'owes a debt'
+    });
+    expect(lastRoll.tags[0]).toEqual({
+      objectId: fellowship.id,
+      tagType: 'relationships',
+      tagKey: FellowshipRelationships.getRelationshipKey(hero.id, friend.id)
+    });
+  });
+
+  test('only imports an archive with the narrator passphrase of its session', async () => {
+    const saves = {
+      original: {
+        session: { id: 'original', name: 'Original', players: [], narratorCredential: CREDENTIAL },
+        gameState: { gameObjects: [] }
+      }
+    };
+    const archiver = new SessionArchiver(createSessionManager(saves), path.join(os.tmpdir(), 'litm-archive-test'));
+    const buffer = await archiver.exportSession('original');
+
+    for (const narratorPassphrase of [undefined, 'candle']) {
+      const error = await archiver.importSession(buffer, { sessionId: 'copy', narratorPassphrase }).catch(e => e);
+      expect(error).toBeInstanceOf(InvalidArchiveError);
+      expect(error.status).toBe(403);
+    }
+    expect(saves.copy).toBeUndefined();
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Campaign Manager for LitMPlayer
+ * Handles campaigns, which group sessions and own what carries over between them
+ *
+ * A campaign keeps the characters, fellowship, scenes and challenges its sessions
+ * play with, along with the narrator passphrase and player identities they share.
+ * Each session of a campaign is one dated evening of play: it saves its own chat,
+ * rolls, notes and trash, and starts from the campaign's objects.
+ */
+
+const crypto = require('crypto');
+const { migrateObjectIds } = require('./objectIds');
+
+// Object types that belong to the campaign rather than to any one of its sessions
+const CAMPAIGN_OBJECT_TYPES = ['character', 'fellowship', 'scene', 'challenge'];
+
+class CampaignManager {
+  /**
+   * @param {Object} storage - Storage backend
+   */
+  constructor(storage) {
+    this.storage = storage;
+    this.writeQueues = new Map(); // campaignId -> promise of the last queued save
+  }
+
+  /**
+   * Create a new campaign
+   * @param {string} name - Campaign name
+   * @param {Object} narratorCredential - Narrator credential shared by its sessions ({ salt, hash })
+   * @returns {Object} The created campaign
+   */
+  async createCampaign(name, narratorCredential) {
+    const campaign = {
+      id: `campaign_${crypto.randomUUID()}`,
+      name: name,
+      created: new Date().toISOString(),
+      narratorCredential: narratorCredential,
+      playerIdentities: {},
+      gameObjects: []
+    };
+
+    await this.enqueue(campaign.id, () => this.storage.saveCampaign(campaign.id, {
+      campaignId: campaign.id,
+      lastSaved: new Date().toISOString(),
+      campaign: campaign
+    }));
+
+    console.log(`🗺️ Created campaign ${campaign.id}: ${name}`);
+    return campaign;
+  }
+
+  /**
+   * Get a saved campaign
+   * @param {string} campaignId - Campaign identifier
+   * @returns {Object|null} Campaign, or null if there is no such campaign
+   */
+  async getCampaign(campaignId) {
+    // A queued save may be about to change it
+    await this.writeQueues.get(campaignId);
+
+    try {
+      const data = await this.storage.loadCampaign(campaignId);
+      if (!data) return null;
+
+      // Campaigns saved before per-session object IDs have their 'obj_N' IDs replaced
+      return { ...data.campaign, gameObjects: migrateObjectIds(data.campaign.gameObjects || [], campaignId) };
+    } catch (error) {
+      console.error(`Error loading campaign ${campaignId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Get the summaries of every saved campaign
+   * @returns {Array} Campaign summaries, most recently played first
+   */
+  async listCampaigns() {
+    try {
+      const summaries = await this.storage.listCampaigns();
+      return summaries.sort((a, b) => new Date(b.lastSaved) - new Date(a.lastSaved));
+    } catch (error) {
+      console.error('Error getting campaigns:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Save into a campaign what one of its sessions has changed
+   * The data is copied straight away, so queued saves keep the state they were called with.
+   * @param {string} campaignId - Campaign identifier
+   * @param {Array} gameObjects - The session's campaign objects, which replace the campaign's
+   * @returns {Promise} Resolves once the campaign has been written, rejects if it failed or the campaign is missing
+   * @returns {Promise} Resolves once the campaign has been written
+   */
+  saveFromSession(campaignId, gameObjects, playerIdentities) {
+    const changes = JSON.parse(JSON.stringify({ gameObjects, playerIdentities }));
+
+    return this.enqueue(campaignId, async () => {
+      const data = await this.storage.loadCampaign(campaignId);
+      if (!data) {
+        throw new Error(`Campaign ${campaignId} not found; its session's objects were not saved to it`);
+      }
+
+      const campaign = {
+        ...data.campaign,
+        gameObjects: changes.gameObjects,
+        playerIdentities: { ...data.campaign.playerIdentities, ...changes.playerIdentities }
+      };
+      await this.storage.saveCampaign(campaignId, {
+        campaignId: campaignId,
+        lastSaved: new Date().toISOString(),
+        campaign: campaign
+      });
+      console.log(`💾 Saved campaign ${campaignId}`);
+    });
+  }
+
+  /**
+   * Queue a write to a campaign behind the ones already queued
+   * @param {string} campaignId - Campaign identifier
+   * @param {Function} write - Async function doing the write
+   * @returns {Promise} Resolves once the write is done, rejects if it failed
+   */
+  enqueue(campaignId, write) {
+    const previous = this.writeQueues.get(campaignId) || Promise.resolve();
+    const queued = previous.then(write);
+
+    // The queue carries on after a failed write; the caller hears about it
+    this.writeQueues.set(campaignId, queued.catch(error => {
+      console.error(`Error saving campaign ${campaignId}:`, error);
+    }));
+    return queued;
+  }
+
+  /**
+   * Check whether a game object belongs to the campaign rather than to a session
+   * @param {Object} gameObject - Game object
+   * @returns {boolean} True if the campaign owns objects of its type
+   */
+  isCampaignObject(gameObject) {
+    return CAMPAIGN_OBJECT_TYPES.includes(gameObject.type);
+  }
+
+  /**
+   * Split a session's game objects into the campaign's and the session's own
+   * @param {Array} gameObjects - Game objects of a campaign session
+   * @returns {Object} { campaignObjects, sessionObjects }
+   */
+  splitGameObjects(gameObjects) {
+    return {
+      campaignObjects: gameObjects.filter(gameObject => this.isCampaignObject(gameObject)),
+      sessionObjects: gameObjects.filter(gameObject => !this.isCampaignObject(gameObject))
+    };
+  }
+
+  /**
+   * Get the game objects a session of a campaign plays with
+   * Objects the session saved itself are kept, unless the campaign has its own copy.
+   * @param {Object} campaign - Campaign
+   * @param {Array} gameObjects - The session's saved game objects
+   * @returns {Array} The campaign's objects followed by the session's own
+   */
+  mergeGameObjects(campaign, gameObjects) {
+    const campaignObjectIds = new Set(campaign.gameObjects.map(gameObject => gameObject.id));
+    return [
+      ...campaign.gameObjects,
+      ...gameObjects.filter(gameObject => !campaignObjectIds.has(gameObject.id))
+    ];
+  }
+
+  /**
+   * Finish queued saves
+   */
+  async flush() {
+    await Promise.all(this.writeQueues.values());
+  }
+}
+
+module.exports = CampaignManager;
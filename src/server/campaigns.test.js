@@ -0,0 +1,64 @@
+/**
+ * Tests for the campaign manager
+ */
+
+const CampaignManager = require('./campaigns');
+
+/**
+ * Make a storage backend holding campaigns in memory
+ * @param {Object} campaigns - Campaign ID -> saved data
+ * @returns {Object} Just enough of a storage backend for the campaign manager
+ */
+function createStorage(campaigns) {
+  return {
+    loadCampaign: async campaignId => campaigns[campaignId] || null,
+    saveCampaign: async (campaignId, data) => {
+      campaigns[campaignId] = data;
+    }
+  };
+}
+
+describe('CampaignManager', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('saves a session\'s objects into its campaign', async () => {
+    const campaigns = {};
+    const manager = new CampaignManager(createStorage(campaigns));
+    const campaign = await manager.createCampaign('Mistfall', { salt: 's', hash: 'h' });
+
+    await manager.saveFromSession(campaign.id, [{ id: 'obj_A', type: 'character' }], { Wren: { id: 'player_1' } });
+
+    expect(campaigns[campaign.id].campaign.gameObjects).toEqual([{ id: 'obj_A', type: 'character' }]);
+    expect(campaigns[campaign.id].campaign.playerIdentities).toEqual({ Wren: { id: 'player_1' } });
+  });
+
+  test('rejects a save into a campaign that does not exist', async () => {
+    const manager = new CampaignManager(createStorage({}));
+
+    await expect(manager.saveFromSession('campaign_missing', [], {})).rejects.toThrow('not found');
+  });
+
+  test('rejects a failed write and carries on with the next one', async () => {
+    const campaigns = {};
+    const storage = createStorage(campaigns);
+    const manager = new CampaignManager(storage);
+    const campaign = await manager.createCampaign('Mistfall', { salt: 's', hash: 'h' });
+
+    const saveCampaign = storage.saveCampaign;
+    storage.saveCampaign = async () => {
+      storage.saveCampaign = saveCampaign;
+      throw new Error('disk full');
+    };
+    await expect(manager.saveFromSession(campaign.id, [{ id: 'obj_A', type: 'scene' }], {})).rejects.toThrow('disk full');
+
+    await manager.saveFromSession(campaign.id, [{ id: 'obj_B', type: 'scene' }], {});
+    expect(campaigns[campaign.id].campaign.gameObjects).toEqual([{ id: 'obj_B', type: 'scene' }]);
+  });
+});
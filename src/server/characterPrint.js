@@ -0,0 +1,154 @@
+/**
+ * Printable Character Sheets for LitMPlayer
+ * Renders a character sheet file as a standalone HTML page for printing or keeping offline
+ *
+ * The page has no scripts or outside assets beyond a print button, so it can be
+ * saved and opened without the server.
+ */
+
+const Themebooks = require('../shared/themebooks');
+const ThemeCards = require('../shared/themeCards');
+const StatusTiers = require('../shared/statusTiers');
+
+const PIP_FILLED = '&#9679;';
+const PIP_EMPTY = '&#9675;';
+
+/**
+ * Escape text for HTML
+ * @param {*} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render a row of pips
+ * @param {number} filled - Filled pips
+ * @param {number} total - Total pips
+ * @returns {string} Pips HTML
+ */
+function renderPips(filled, total) {
+  return `<span class="pips">${Array.from({ length: total }, (_, i) => (i < filled ? PIP_FILLED : PIP_EMPTY)).join('')}</span>`;
+}
+
+/**
+ * Render a tag, struck through if it is scratched
+ * @param {string} name - Tag name
+ * @param {string} effect - positive or negative
+ * @param {boolean} scratched - Whether the tag is scratched
+ * @returns {string} Tag HTML
+ */
+function renderTag(name, effect, scratched) {
+  const classes = ['tag', effect, scratched ? 'scratched' : ''].filter(Boolean).join(' ');
+  return `<span class="${classes}">${escapeHtml(name)}</span>`;
+}
+
+/**
+ * Render a list section, or nothing if the list is empty
+ * @param {string} title - Section title
+ * @param {Array} items - Items to render
+ * @param {Function} renderItem - Renders one item as HTML
+ * @returns {string} Section HTML
+ */
+function renderListSection(title, items, renderItem) {
+  if (items.length === 0) return '';
+  return `<section><h2>${escapeHtml(title)}</h2><ul>${items.map(item => `<li>${renderItem(item)}</li>`).join('')}</ul></section>`;
+}
+
+/**
+ * Render a theme card
+ * @param {Object} card - Theme card from a character sheet
+ * @param {Array} themebooks - Themebook library, to name the card's themebook
+ * @returns {string} Theme card HTML
+ */
+function renderThemeCard(card, themebooks) {
+  const themebook = themebooks.find(book => book.id === card.themebook);
+  const subtitle = [
+    `Level ${card.level || 1}`,
+    themebook?.name,
+    card.might && Themebooks.getMightName(card.might)
+  ].filter(Boolean).map(escapeHtml).join(' &middot; ');
+
+  return `
+    <div class="theme-card">
+      <h3>${renderTag(card.type, 'positive', card.scratched)}</h3>
+      <div class="subtitle">${subtitle}</div>
+      <div class="tags">${card.attributes.map(attr => renderTag(attr.name, attr.effect, attr.scratched)).join(' ')}</div>
+      ${card.quest ? `<p class="quest">${escapeHtml(card.quest)}</p>` : ''}
+      <div class="tracks">
+        ${ThemeCards.THEME_TRACKS.map(track => `<span>${track.toUpperCase()} ${renderPips(card.tracks[track], ThemeCards.THEME_TRACK_LENGTH)}</span>`).join('')}
+      </div>
+      ${card.specialImprovements.length > 0
+        ? `<ul class="improvements">${card.specialImprovements.map(name => `<li>${escapeHtml(name)}</li>`).join('')}</ul>`
+        : ''}
+    </div>
+  `;
+}
+
+/**
+ * Render a character sheet as a printable HTML page
+ * @param {Object} sheet - Valid character sheet
+ * @param {Array} themebooks - Themebook library, custom themebooks included
+ * @returns {string} HTML document
+ */
+function renderCharacterSheet(sheet, themebooks = Themebooks.THEMEBOOKS) {
+  const character = sheet.character;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(character.name)} - Character Sheet</title>
+<style>
+  body { font-family: Georgia, serif; color: #222; max-width: 900px; margin: 24px auto; padding: 0 16px; }
+  header { display: flex; justify-content: space-between; align-items: baseline; border-bottom: 2px solid #8b4513; margin-bottom: 16px; }
+  h1 { margin: 0; color: #8b4513; }
+  h2 { font-size: 1.1rem; color: #2c5530; border-bottom: 1px solid #ccc; margin: 20px 0 8px; }
+  h3 { margin: 0; }
+  .pips { letter-spacing: 2px; }
+  .theme-cards { display: grid; grid-template-columns: repeat(2, 1fr); gap: 12px; }
+  .theme-card { border: 1px solid #8b4513; border-radius: 6px; padding: 10px; break-inside: avoid; }
+  .subtitle { color: #666; font-size: 0.85rem; margin-bottom: 6px; }
+  .tag { display: inline-block; padding: 1px 6px; margin: 2px 0; border-radius: 4px; border: 1px solid #999; }
+  .tag.positive { border-color: #4caf50; }
+  .tag.negative { border-color: #f44336; font-style: italic; }
+  .tag.scratched { text-decoration: line-through; color: #888; }
+  .quest { font-style: italic; margin: 8px 0; }
+  .tracks { display: flex; gap: 16px; font-size: 0.8rem; }
+  .improvements { margin: 8px 0 0; padding-left: 18px; font-size: 0.9rem; }
+  .notes { white-space: pre-wrap; }
+  .print-button { float: right; }
+  @media print { .print-button { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+<button class="print-button" onclick="window.print()">Print</button>
+<header>
+  <h1>${escapeHtml(character.name)}</h1>
+  <div>${character.playerName ? `Played by ${escapeHtml(character.playerName)}` : ''}</div>
+</header>
+<section>
+  <h2>Promise</h2>
+  ${renderPips(character.promise || 0, ThemeCards.MAX_PROMISE)}
+</section>
+<section>
+  <h2>Themes</h2>
+  <div class="theme-cards">${character.themeCards.map(card => renderThemeCard(card, themebooks)).join('')}</div>
+</section>
+${renderListSection('Statuses', character.statuses, status => `${escapeHtml(status.name)}-${status.tier || StatusTiers.getStatusTier(status)}`)}
+${renderListSection('Backpack', character.backpack, item => renderTag(item.name, 'positive', item.scratched))}
+${renderListSection('Quintessences', character.quintessences, escapeHtml)}
+${renderListSection('Companions', character.companions, companion => `${escapeHtml(companion.name)}${companion.relationship ? ` &mdash; ${escapeHtml(companion.relationship)}` : ''}`)}
+${character.notes ? `<section><h2>Notes</h2><div class="notes">${escapeHtml(character.notes)}</div></section>` : ''}
+</body>
+</html>
+`;
+}
+
+module.exports = { renderCharacterSheet };
@@ -3,10 +3,22 @@
  * Manages all game objects (characters, scenes, challenges, etc.) with universal JSON structure
  */
 
+const StatusTiers = require('../shared/statusTiers');
+const ObjectAccess = require('../shared/objectAccess');
+const FellowshipRelationships = require('../shared/fellowshipRelationships');
+const CharacterSheets = require('../shared/characterSheets');
+const ThemeCards = require('../shared/themeCards');
+const { TAG_GROUPS } = require('./objectSchemas');
+const { createObjectId, isLegacyObjectId } = require('./objectIds');
+
+const THEME_IMPROVEMENTS = ['power_tag', 'remove_weakness', 'special_improvement'];
+// Tag fields that only change through their own actions (scratching and statuses)
+const SERVER_TAG_FIELDS = ['scratched', 'isStatus', 'trackValue', 'checkedValues'];
+
 class GameObjectManager {
   constructor() {
     this.gameObjects = new Map(); // sessionId -> Map of objectId -> gameObject
-    this.nextObjectId = 1;
+    this.lastObjectIds = new Map(); // sessionId -> last object ID issued or restored
   }
 
   /**
@@ -24,7 +36,7 @@ class GameObjectManager {
     }
 
     const sessionObjects = this.gameObjects.get(sessionId);
-    const objectId = this.generateObjectId();
+    const objectId = this.generateObjectId(sessionId);
     
     const gameObject = {
       id: objectId,
@@ -32,6 +44,7 @@ class GameObjectManager {
       contents: contents,
       tags: tags,
       createdBy: createdBy,
+      acl: ObjectAccess.getDefaultAcl(type),
       createdAt: new Date().toISOString(),
       lastModified: new Date().toISOString(),
       lastModifiedBy: createdBy
@@ -84,6 +97,8 @@ class GameObjectManager {
 
   /**
    * Update a game object
+   * Contents are merged into the object. Tags replace the tags players edit, while
+   * statuses, scratched flags and fellowship relationships keep their stored values.
    * @param {string} sessionId - Session identifier
    * @param {string} objectId - Object identifier
    * @param {Object} updates - Object with fields to update
@@ -96,13 +111,23 @@ class GameObjectManager {
 
     // Update allowed fields
     if (updates.contents !== undefined) {
+      const storedChallenges = gameObject.contents?.challenges || [];
       gameObject.contents = { ...gameObject.contents, ...updates.contents };
+
+      // Scene challenges keep their tags inside the scene contents
+      if (Array.isArray(updates.contents.challenges)) {
+        gameObject.contents.challenges = updates.contents.challenges.map(challenge => ({
+          ...challenge,
+          tags: this.mergeTags(storedChallenges.find(stored => stored.id === challenge.id)?.tags, challenge.tags || {})
+        }));
+      }
     }
     
     if (updates.tags !== undefined) {
-      gameObject.tags = updates.tags;
+      gameObject.tags = this.mergeTags(gameObject.tags, updates.tags, TAG_GROUPS[gameObject.type]);
     }
 
+    this.syncChallengeContentsTags(gameObject);
     gameObject.lastModified = new Date().toISOString();
     gameObject.lastModifiedBy = modifiedBy;
 
@@ -111,6 +136,74 @@ class GameObjectManager {
     return gameObject;
   }
 
+  /**
+   * Merge the tags a player sent into an object's stored tags
+   * @param {Object} storedTags - Tags the object has
+   * @param {Object} sentTags - Tags sent in an update
+   * @param {Array} groups - Tags holding tags of their own
+   * @returns {Object} The sent tags, with the stored statuses, scratched flags and relationships
+   */
+  mergeTags(storedTags, sentTags, groups = []) {
+    const stored = storedTags && !Array.isArray(storedTags) ? storedTags : {};
+    const isRelationships = key => key === FellowshipRelationships.RELATIONSHIP_TAG_TYPE && groups.includes(key);
+    const merged = {};
+
+    Object.entries(sentTags).forEach(([key, tag]) => {
+      if (isRelationships(key) || tag?.isStatus || stored[key]?.isStatus) return;
+
+      if (groups.includes(key)) {
+        merged[key] = Object.fromEntries(Object.entries(tag)
+          .map(([name, groupTag]) => [name, this.mergeTag(stored[key]?.[name], groupTag)]));
+      } else {
+        merged[key] = this.mergeTag(stored[key], tag);
+      }
+    });
+
+    // Statuses, relationships and scratched theme card tags can't be removed by an update
+    Object.entries(stored).forEach(([key, tag]) => {
+      if (isRelationships(key) || tag?.isStatus || (tag?.isThemeCardTag && !(key in merged))) {
+        merged[key] = tag;
+      }
+    });
+
+    return merged;
+  }
+
+  /**
+   * Take a tag sent in an update, keeping the stored tag's scratched flag
+   * @param {Object} storedTag - Stored tag, if the object has it already
+   * @param {Object} sentTag - Tag sent in the update
+   * @returns {Object} Tag to store
+   */
+  mergeTag(storedTag, sentTag) {
+    const tag = Object.fromEntries(Object.entries(sentTag).filter(([field]) => !SERVER_TAG_FIELDS.includes(field)));
+    if (storedTag && storedTag.scratched !== undefined) {
+      tag.scratched = storedTag.scratched;
+    }
+    return tag;
+  }
+
+  /**
+   * Set who may edit a game object
+   * @param {string} sessionId - Session identifier
+   * @param {string} objectId - Object identifier
+   * @param {string} acl - 'owner', 'narrator' or 'everyone'
+   * @param {string} modifiedBy - Player who changed the ACL
+   * @returns {Object|null} Updated game object or null
+   */
+  setObjectAcl(sessionId, objectId, acl, modifiedBy = null) {
+    const gameObject = this.getGameObject(sessionId, objectId);
+    if (!gameObject) return null;
+
+    gameObject.acl = acl;
+    gameObject.lastModified = new Date().toISOString();
+    gameObject.lastModifiedBy = modifiedBy;
+
+    console.log(`🔒 Set ${gameObject.type} object ${objectId} editable by ${acl}`);
+
+    return gameObject;
+  }
+
   /**
    * Delete a game object
    * @param {string} sessionId - Session identifier
@@ -191,6 +284,392 @@ class GameObjectManager {
     return gameObject;
   }
 
+  /**
+   * Mark a tag as scratched or unscratched
+   * @param {string} sessionId - Session identifier
+   * @param {Object} tagRef - Tag reference ({ objectId, tagKey, tagType?, challengeId? })
+   * @param {boolean} scratched - Whether the tag is scratched
+   * @param {string} modifiedBy - Player ID who changed the tag
+   * @returns {Object|null} Updated game object or null
+   */
+  setTagScratched(sessionId, tagRef, scratched, modifiedBy = null) {
+    const tagData = this.resolveTagReference(sessionId, tagRef);
+    if (!tagData) return null;
+
+    const gameObject = this.getGameObject(sessionId, tagRef.objectId);
+
+    if (tagData.isThemeCardTag && !Object.prototype.hasOwnProperty.call(gameObject.tags || {}, tagRef.tagKey)) {
+      // Theme card tags have no entry of their own until they are first scratched
+      if (!gameObject.tags || Array.isArray(gameObject.tags)) {
+        gameObject.tags = {};
+      }
+      gameObject.tags[tagRef.tagKey] = { ...tagData, scratched: scratched };
+    } else {
+      tagData.scratched = scratched;
+    }
+
+    this.syncChallengeContentsTags(gameObject);
+    gameObject.lastModified = new Date().toISOString();
+    gameObject.lastModifiedBy = modifiedBy;
+
+    console.log(`🏷️ ${scratched ? 'Scratched' : 'Unscratched'} tag ${tagRef.tagKey} on ${gameObject.type} ${tagRef.objectId}`);
+
+    return gameObject;
+  }
+
+  /**
+   * Set the relationship tag one character has toward another on the fellowship
+   * Changing the wording makes it a new tag, so it starts unscratched.
+   * @param {string} sessionId - Session identifier
+   * @param {string} fellowshipId - Fellowship object identifier
+   * @param {string} fromId - Character the relationship belongs to
+   * @param {string} toId - Character the relationship is toward
+   * @param {string} relationship - Relationship tag, or an empty string to remove it
+   * @param {string} modifiedBy - Player who set it
+   * @returns {Object|null} Updated fellowship or null
+   */
+  setRelationship(sessionId, fellowshipId, fromId, toId, relationship, modifiedBy = null) {
+    const fellowship = this.getGameObject(sessionId, fellowshipId);
+    if (!fellowship) return null;
+
+    if (!fellowship.tags || Array.isArray(fellowship.tags)) {
+      fellowship.tags = {};
+    }
+    const tagType = FellowshipRelationships.RELATIONSHIP_TAG_TYPE;
+    const relationships = fellowship.tags[tagType] || (fellowship.tags[tagType] = {});
+    const key = FellowshipRelationships.getRelationshipKey(fromId, toId);
+
+    if (!relationship) {
+      delete relationships[key];
+    } else if (relationships[key]?.relationship !== relationship) {
+      relationships[key] = FellowshipRelationships.createRelationshipTag(fromId, toId, relationship, modifiedBy);
+    }
+
+    fellowship.lastModified = new Date().toISOString();
+    fellowship.lastModifiedBy = modifiedBy;
+
+    console.log(`🤝 Set relationship of ${fromId} toward ${toId} in session ${sessionId}`);
+
+    return fellowship;
+  }
+
+  /**
+   * Advance a character's theme card along a full track, then reset the track
+   * A full improve track takes an improvement, a full abandon track replaces the
+   * theme with a new one, and a full milestone track raises the theme's level.
+   * @param {string} sessionId - Session identifier
+   * @param {string} objectId - Character object identifier
+   * @param {number} themeIndex - Index of the theme card
+   * @param {string} track - Full track (improve, abandon or milestone)
+   * @param {Object} outcome - What the advancement takes ({ improvement } or { replacement })
+   * @param {string} modifiedBy - Player who advanced the theme
+   * @returns {Object|null} Resulting theme card or null
+   */
+  advanceTheme(sessionId, objectId, themeIndex, track, outcome = {}, modifiedBy = null) {
+    const character = this.getGameObject(sessionId, objectId);
+    const card = character?.contents?.themeCards?.[themeIndex];
+    if (!card) return null;
+
+    if (!character.tags || Array.isArray(character.tags)) {
+      character.tags = {};
+    }
+
+    let result;
+    if (track === 'improve') {
+      result = this.improveTheme(character, themeIndex, outcome.improvement, modifiedBy);
+    } else if (track === 'abandon') {
+      result = this.replaceTheme(character, themeIndex, outcome.replacement, modifiedBy);
+    } else {
+      result = { ...card, level: (card.level || 1) + 1 };
+    }
+    result.tracks = { ...result.tracks, [track]: 0 };
+    character.contents.themeCards[themeIndex] = result;
+
+    character.lastModified = new Date().toISOString();
+    character.lastModifiedBy = modifiedBy;
+
+    console.log(`📈 Advanced ${track} track of theme ${themeIndex} on character ${objectId} in session ${sessionId}`);
+
+    return result;
+  }
+
+  /**
+   * Apply an improvement to a theme card
+   * @param {Object} character - Character object
+   * @param {number} themeIndex - Index of the theme card
+   * @param {Object} improvement - Improvement ({ kind, name })
+   * @param {string} addedBy - Player who chose it
+   * @returns {Object} Improved theme card
+   */
+  improveTheme(character, themeIndex, improvement, addedBy) {
+    const card = character.contents.themeCards[themeIndex];
+    const attributes = [...(card.attributes || [])];
+    const specialImprovements = [...(card.specialImprovements || [])];
+
+    const name = improvement.name.trim();
+
+    if (improvement.kind === 'power_tag') {
+      const attribute = { name: name, effect: 'positive' };
+      attributes.push(attribute);
+      character.tags[`${card.type}: ${name}`] = this.createThemeAttributeTag(themeIndex, attribute, addedBy);
+    } else if (improvement.kind === 'remove_weakness') {
+      attributes.splice(attributes.findIndex(attr => attr.effect === 'negative' && attr.name === name), 1);
+      delete character.tags[`${card.type}: ${name}`];
+    } else {
+      specialImprovements.push(name);
+    }
+
+    return { ...card, attributes, specialImprovements };
+  }
+
+  /**
+   * Replace an abandoned theme card with a new theme
+   * The old theme's tags go with it; the new theme starts at level 1.
+   * @param {Object} character - Character object
+   * @param {number} themeIndex - Index of the theme card
+   * @param {Object} replacement - New theme ({ type, quest, attributes })
+   * @param {string} addedBy - Player who chose it
+   * @returns {Object} New theme card
+   */
+  replaceTheme(character, themeIndex, replacement, addedBy) {
+    const card = character.contents.themeCards[themeIndex];
+    delete character.tags[card.type];
+    (card.attributes || []).forEach(attr => {
+      delete character.tags[`${card.type}: ${attr.name}`];
+    });
+
+    const type = replacement.type.trim();
+    const attributes = (replacement.attributes || []).map(attr => ({ name: attr.name.trim(), effect: attr.effect }));
+    attributes.forEach(attr => {
+      character.tags[`${type}: ${attr.name}`] = this.createThemeAttributeTag(themeIndex, attr, addedBy);
+    });
+
+    return {
+      type: type,
+      attributes: attributes,
+      quest: (replacement.quest || '').trim(),
+      specialImprovements: [],
+      tracks: { abandon: 0, improve: 0, milestone: 0 },
+      level: 1
+    };
+  }
+
+  /**
+   * Create the tag entry for a theme card attribute, as character sheets store them
+   * @param {number} themeIndex - Index of the theme card
+   * @param {Object} attribute - Attribute ({ name, effect })
+   * @param {string} addedBy - Player who added it
+   * @returns {Object} Tag data
+   */
+  createThemeAttributeTag(themeIndex, attribute, addedBy) {
+    return {
+      modifier: attribute.effect === 'positive' ? 1 : -1,
+      addedBy: addedBy,
+      themeCardIndex: themeIndex,
+      attributeName: attribute.name,
+      effect: attribute.effect,
+      scratched: false
+    };
+  }
+
+  /**
+   * Check whether a theme card track is full
+   * @param {Object} card - Theme card
+   * @param {string} track - Track name
+   * @returns {boolean} True if every pip on the track is filled
+   */
+  isThemeTrackFull(card, track) {
+    return (card?.tracks?.[track] || 0) >= ThemeCards.THEME_TRACK_LENGTH;
+  }
+
+  /**
+   * Check what a theme advancement takes before it is applied
+   * @param {Object} card - Theme card
+   * @param {string} track - Full track (improve, abandon or milestone)
+   * @param {Object} outcome - What the advancement takes ({ improvement } or { replacement })
+   * @returns {boolean} True if the track is full and the outcome fits it
+   */
+  isValidThemeAdvancement(card, track, outcome = {}) {
+    if (!this.isThemeTrackFull(card, track)) return false;
+    const isName = value => typeof value === 'string' && value.trim().length > 0;
+
+    if (track === 'improve') {
+      const improvement = outcome.improvement;
+      if (!THEME_IMPROVEMENTS.includes(improvement?.kind) || !isName(improvement.name)) return false;
+      const attributes = card.attributes || [];
+      if (improvement.kind === 'power_tag') {
+        return !attributes.some(attr => attr.name === improvement.name.trim());
+      }
+      if (improvement.kind === 'remove_weakness') {
+        return attributes.some(attr => attr.effect === 'negative' && attr.name === improvement.name.trim());
+      }
+      return true;
+    }
+
+    if (track === 'abandon') {
+      const replacement = outcome.replacement;
+      return isName(replacement?.type) &&
+             (replacement.quest === undefined || typeof replacement.quest === 'string') &&
+             (replacement.attributes === undefined || (Array.isArray(replacement.attributes) &&
+               replacement.attributes.every(attr => isName(attr?.name) && ['positive', 'negative'].includes(attr.effect))));
+    }
+
+    return track === 'milestone';
+  }
+
+  /**
+   * Make a character sheet file from a character
+   * Its relationships toward fellowship members go with it as companions, by member name.
+   * @param {string} sessionId - Session identifier
+   * @param {string} characterId - Character object identifier
+   * @returns {Object|null} Character sheet or null if there is no such character
+   */
+  getCharacterSheet(sessionId, characterId) {
+    const character = this.getGameObject(sessionId, characterId);
+    if (character?.type !== 'character') return null;
+
+    const fellowship = this.getSessionObjects(sessionId, 'fellowship')[0];
+    const relationships = FellowshipRelationships.getRelationshipsFrom(fellowship, this.getSessionObjects(sessionId), characterId)
+      .map(({ member, tag }) => ({ name: member.contents?.characterName || member.id, relationship: tag.relationship }));
+
+    return CharacterSheets.createCharacterSheet(character, relationships);
+  }
+
+  /**
+   * Get the tags map of a game object, or of a challenge inside a scene
+   * @param {string} sessionId - Session identifier
+   * @param {string} objectId - Object identifier
+   * @param {string} challengeId - Scene challenge identifier (optional)
+   * @param {boolean} create - Attach an empty tags map if there is none yet
+   * @returns {Object|null} Tags map or null if the target does not exist
+   */
+  getTagContainer(sessionId, objectId, challengeId = null, create = false) {
+    const gameObject = this.getGameObject(sessionId, objectId);
+    if (!gameObject) return null;
+
+    // Scene challenges keep their own tags inside the scene contents
+    let owner = gameObject;
+    if (challengeId) {
+      const challenges = gameObject.contents?.challenges || [];
+      owner = challenges.find(c => c.id === challengeId);
+      if (!owner) return null;
+    }
+
+    if (!owner.tags || Array.isArray(owner.tags)) {
+      if (!create) return {};
+      owner.tags = {};
+    }
+    return owner.tags;
+  }
+
+  /**
+   * Add a story tag to a game object in the shape that object type stores tags
+   * @param {string} sessionId - Session identifier
+   * @param {Object} target - Tag target ({ objectId, challengeId? })
+   * @param {string} tagName - Name of the tag
+   * @param {string} addedBy - Player ID who added the tag
+   * @returns {Object|null} Updated game object or null
+   */
+  addStoryTag(sessionId, target, tagName, addedBy = null) {
+    const tags = this.getTagContainer(sessionId, target.objectId, target.challengeId, true);
+    if (!tags) return null;
+
+    const gameObject = this.getGameObject(sessionId, target.objectId);
+    const tagData = { modifier: 1, scratched: false, addedBy: addedBy, addedAt: new Date().toISOString() };
+
+    if (target.challengeId || gameObject.type === 'challenge') {
+      tags[tagName] = { ...tagData, isChallengeTag: true };
+    } else if (gameObject.type === 'scene') {
+      tags[tagName] = { ...tagData, isSceneTag: true };
+    } else if (gameObject.type === 'character') {
+      // A character's story tags are kept in their backpack
+      tags.backpack = tags.backpack || {};
+      tags.backpack[tagName] = { ...tagData, isBackpackItem: true };
+    } else {
+      tags[tagName] = tagData;
+    }
+
+    this.syncChallengeContentsTags(gameObject);
+    gameObject.lastModified = new Date().toISOString();
+    gameObject.lastModifiedBy = addedBy;
+
+    console.log(`🏷️ Added story tag ${tagName} to ${gameObject.type} ${target.objectId}`);
+
+    return gameObject;
+  }
+
+  /**
+   * Give a status to a game object, stacking it onto any status of the same name
+   * @param {string} sessionId - Session identifier
+   * @param {Object} target - Status target ({ objectId, challengeId? })
+   * @param {string} statusName - Name of the status
+   * @param {number} tier - Tier of the status (1-6)
+   * @param {string} addedBy - Player ID who gave the status
+   * @returns {Object|null} Updated game object or null
+   */
+  giveStatus(sessionId, target, statusName, tier, addedBy = null) {
+    const tags = this.getTagContainer(sessionId, target.objectId, target.challengeId, true);
+    if (!tags) return null;
+
+    const gameObject = this.getGameObject(sessionId, target.objectId);
+    const existing = tags[statusName] && tags[statusName].isStatus ? tags[statusName] : null;
+
+    tags[statusName] = {
+      scratched: false,
+      addedBy: addedBy,
+      ...StatusTiers.addStatus(existing, tier)
+    };
+
+    this.syncChallengeContentsTags(gameObject);
+    gameObject.lastModified = new Date().toISOString();
+    gameObject.lastModifiedBy = addedBy;
+
+    console.log(`🏷️ Gave status ${statusName}-${tags[statusName].trackValue} to ${gameObject.type} ${target.objectId}`);
+
+    return gameObject;
+  }
+
+  /**
+   * Reduce a status on a game object, removing it once its track is empty
+   * @param {string} sessionId - Session identifier
+   * @param {Object} target - Status target ({ objectId, challengeId? })
+   * @param {string} statusName - Name of the status
+   * @param {number} amount - Number of tiers to reduce by
+   * @param {string} modifiedBy - Player ID who reduced the status
+   * @returns {Object|null} Updated game object or null
+   */
+  reduceStatus(sessionId, target, statusName, amount, modifiedBy = null) {
+    const tags = this.getTagContainer(sessionId, target.objectId, target.challengeId);
+    if (!tags || !tags[statusName] || !tags[statusName].isStatus) return null;
+
+    const gameObject = this.getGameObject(sessionId, target.objectId);
+    const status = StatusTiers.reduceStatus(tags[statusName], amount);
+
+    if (status.trackValue === 0) {
+      delete tags[statusName];
+    } else {
+      tags[statusName] = status;
+    }
+
+    this.syncChallengeContentsTags(gameObject);
+    gameObject.lastModified = new Date().toISOString();
+    gameObject.lastModifiedBy = modifiedBy;
+
+    console.log(`🏷️ Reduced status ${statusName} by ${amount} on ${gameObject.type} ${target.objectId} (now ${status.trackValue})`);
+
+    return gameObject;
+  }
+
+  /**
+   * Standalone challenges are displayed from contents.tags, so keep it in step with tags
+   * @param {Object} gameObject - Game object
+   */
+  syncChallengeContentsTags(gameObject) {
+    if (gameObject.type === 'challenge' && gameObject.contents) {
+      gameObject.contents.tags = { ...gameObject.tags };
+    }
+  }
+
   /**
    * Calculate total modifier for a dice roll based on relevant tags
    * @param {string} sessionId - Session identifier
@@ -216,6 +695,75 @@ class GameObjectManager {
     return totalModifier;
   }
 
+  /**
+   * Resolve a tag reference sent by a client to the tag data stored on a game object
+   * @param {string} sessionId - Session identifier
+   * @param {Object} tagRef - Tag reference ({ objectId, tagKey, tagType?, challengeId? })
+   * @returns {Object|null} Tag data or null if the reference does not resolve
+   */
+  resolveTagReference(sessionId, tagRef) {
+    if (!tagRef || typeof tagRef.objectId !== 'string' || typeof tagRef.tagKey !== 'string') {
+      return null;
+    }
+
+    const gameObject = this.getGameObject(sessionId, tagRef.objectId);
+    const tags = this.getTagContainer(sessionId, tagRef.objectId, tagRef.challengeId);
+    if (!tags) return null;
+
+    // Grouped tags (companions, backpack, ...) live one level deeper
+    const group = tagRef.tagType ? tags[tagRef.tagType] : tags;
+    if (group && typeof group === 'object' && Object.prototype.hasOwnProperty.call(group, tagRef.tagKey)) {
+      const tagData = group[tagRef.tagKey];
+      if (tagData && typeof tagData === 'object' && !this.isTagGroup(tagData)) {
+        return tagData;
+      }
+    }
+
+    // Theme tags and fellowship attributes are only stored on the theme cards
+    const themeCardModifier = !tagRef.tagType && !tagRef.challengeId ? this.getThemeCardTagModifier(gameObject, tagRef.tagKey) : 0;
+    if (themeCardModifier !== 0) {
+      return { modifier: themeCardModifier, isThemeCardTag: true };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a tags entry is a group of tags rather than a single tag
+   * @param {Object} value - Tags entry
+   * @returns {boolean} True if every value in the entry is itself a tag object
+   */
+  isTagGroup(value) {
+    const entries = Object.values(value);
+    if (entries.length === 0) return true;
+    return entries.every(entry => entry && typeof entry === 'object' && !Array.isArray(entry));
+  }
+
+  /**
+   * Find a tag name on an object's theme cards
+   * @param {Object} gameObject - Game object
+   * @param {string} tagName - Name of the tag
+   * @returns {number} 1 for a theme tag or positive attribute, -1 for a negative one, 0 if no card carries it
+   */
+  getThemeCardTagModifier(gameObject, tagName) {
+    const themeCards = gameObject.contents?.themeCards;
+    if (!Array.isArray(themeCards)) return 0;
+
+    const cards = themeCards.filter(card => card);
+    const attributes = cards.flatMap(card => (card.attributes || []).filter(attr => attr));
+    const positive = [
+      ...cards.flatMap(card => [card.type, card.themeTag, ...(card.positiveAttributes || [])]),
+      ...attributes.filter(attr => attr.effect !== 'negative').map(attr => attr.name)
+    ];
+    const negative = [
+      ...cards.flatMap(card => card.negativeAttributes || []),
+      ...attributes.filter(attr => attr.effect === 'negative').map(attr => attr.name)
+    ];
+
+    if (positive.includes(tagName)) return 1;
+    return negative.includes(tagName) ? -1 : 0;
+  }
+
   /**
    * Get all tags from relevant objects for display
    * @param {string} sessionId - Session identifier
@@ -271,10 +819,10 @@ class GameObjectManager {
     const sessionObjects = this.gameObjects.get(sessionId);
     sessionObjects.set(gameObject.id, gameObject);
     
-    // Update nextObjectId to ensure it's higher than any existing object ID
-    const objectIdNumber = parseInt(gameObject.id.replace('obj_', ''));
-    if (objectIdNumber >= this.nextObjectId) {
-      this.nextObjectId = objectIdNumber + 1;
+    // IDs issued afterwards must sort after every restored one
+    const lastObjectId = this.lastObjectIds.get(sessionId);
+    if (!isLegacyObjectId(gameObject.id) && (!lastObjectId || gameObject.id > lastObjectId)) {
+      this.lastObjectIds.set(sessionId, gameObject.id);
     }
     
     console.log(`📂 Restored ${gameObject.type} object ${gameObject.id} in session ${sessionId}`);
@@ -286,15 +834,20 @@ class GameObjectManager {
    */
   cleanupSession(sessionId) {
     this.gameObjects.delete(sessionId);
+    this.lastObjectIds.delete(sessionId);
     console.log(`🧹 Cleaned up game objects for session ${sessionId}`);
   }
 
   /**
    * Generate a unique object ID
+   * IDs are ULIDs issued in order within each session (see objectIds.js).
+   * @param {string} sessionId - Session the object belongs to
    * @returns {string} Unique object ID
    */
-  generateObjectId() {
-    return `obj_${this.nextObjectId++}`;
+  generateObjectId(sessionId) {
+    const objectId = createObjectId(this.lastObjectIds.get(sessionId));
+    this.lastObjectIds.set(sessionId, objectId);
+    return objectId;
   }
 
   /**
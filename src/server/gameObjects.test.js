@@ -0,0 +1,93 @@
+/**
+ * Tests for updating game objects
+ */
+
+const GameObjectManager = require('./gameObjects');
+const FellowshipRelationships = require('../shared/fellowshipRelationships');
+
+const SESSION_ID = 'session_1';
+
+describe('updateGameObject', () => {
+  let gameObjects;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    gameObjects = new GameObjectManager();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('replaces the tags players edit but keeps statuses and scratched flags', () => {
+    const character = gameObjects.createGameObject(SESSION_ID, 'character', { characterName: 'Wren' }, {
+      Wounded: { isStatus: true, modifier: -2, trackValue: 2, checkedValues: [2] },
+      'Wanderer: light step': { modifier: 1, scratched: true },
+      backpack: { Rope: { modifier: 1, scratched: true }, Lamp: { modifier: 1 } }
+    });
+
+    gameObjects.updateGameObject(SESSION_ID, character.id, {
+      tags: {
+        Wounded: { isStatus: true, modifier: 0, trackValue: 0, checkedValues: [] },
+        Cursed: { isStatus: true, modifier: -3, trackValue: 3, checkedValues: [3] },
+        'Wanderer: light step': { modifier: 1, scratched: false },
+        backpack: { Rope: { modifier: 1, scratched: false }, Map: { modifier: 1, scratched: true } }
+      }
+    });
+
+    expect(character.tags).toEqual({
+      Wounded: { isStatus: true, modifier: -2, trackValue: 2, checkedValues: [2] },
+      'Wanderer: light step': { modifier: 1, scratched: true },
+      backpack: { Rope: { modifier: 1, scratched: true }, Map: { modifier: 1 } }
+    });
+  });
+
+  test('keeps the relationships and scratched theme tags of a fellowship', () => {
+    const relationships = {
+      'obj_a>obj_b': FellowshipRelationships.createRelationshipTag('obj_a', 'obj_b', 'owes a debt')
+    };
+    const fellowship = gameObjects.createGameObject(SESSION_ID, 'fellowship', { themeCards: [] }, {
+      relationships: relationships,
+      'Sworn to the road': { modifier: 1, isThemeCardTag: true, scratched: true }
+    });
+
+    gameObjects.updateGameObject(SESSION_ID, fellowship.id, { tags: { relationships: {}, 'in good spirits': { modifier: 1 } } });
+
+    expect(fellowship.tags).toEqual({
+      relationships: relationships,
+      'Sworn to the road': { modifier: 1, isThemeCardTag: true, scratched: true },
+      'in good spirits': { modifier: 1 }
+    });
+  });
+
+  test('keeps the statuses that count towards the limits of a scene challenge', () => {
+    const scene = gameObjects.createGameObject(SESSION_ID, 'scene', {
+      name: 'The Drowned Chapel',
+      challenges: [{
+        id: 'challenge_1',
+        title: 'Rising tide',
+        limits: [{ name: 'flooded', max: 3 }],
+        tags: { flooded: { isStatus: true, modifier: -2, trackValue: 2, checkedValues: [2] } }
+      }]
+    });
+
+    gameObjects.updateGameObject(SESSION_ID, scene.id, {
+      contents: { challenges: [{ id: 'challenge_1', title: 'Rising tide', limits: [{ name: 'flooded', max: 3 }], tags: {} }] }
+    });
+
+    expect(scene.contents.challenges[0].tags).toEqual({
+      flooded: { isStatus: true, modifier: -2, trackValue: 2, checkedValues: [2] }
+    });
+  });
+
+  test('keeps the contents tags of a challenge in step with its tags', () => {
+    const challenge = gameObjects.createGameObject(SESSION_ID, 'challenge', { title: 'Bog Troll' }, {
+      harm: { isStatus: true, modifier: -1, trackValue: 1, checkedValues: [1] }
+    });
+
+    gameObjects.updateGameObject(SESSION_ID, challenge.id, { contents: { tags: {} }, tags: { huge: { modifier: 1 } } });
+
+    expect(challenge.contents.tags).toEqual(challenge.tags);
+    expect(Object.keys(challenge.tags)).toEqual(['huge', 'harm']);
+  });
+});
@@ -3,10 +3,78 @@
  * Manages game state, dice rolls, and Legend in the Mist specific mechanics
  */
 
+const StatusTiers = require('../shared/statusTiers');
+const ObjectAccess = require('../shared/objectAccess');
+const ChallengeLimits = require('../shared/challengeLimits');
+const CharacterSheets = require('../shared/characterSheets');
+const ObjectSchemas = require('./objectSchemas');
+
+const TAG_EFFECTS = ['positive', 'negative', 'burn'];
+
+const ROLL_OUTCOMES = {
+  SUCCESS: 'success',
+  SUCCESS_WITH_CONSEQUENCES: 'success_with_consequences',
+  MISS: 'miss'
+};
+
+// Quick outcomes are resolved on the tier alone; every other roll type has power to use
+const ROLL_TYPES = {
+  quick: { usesPower: false },
+  detailed: { usesPower: true },
+  reaction: { usesPower: true },
+  mitigate: { usesPower: true }
+};
+
+const DEFAULT_ROLL_TYPE = 'detailed';
+
+// Actions that can be undone, and how much history and trash each session keeps
+const UNDOABLE_ACTIONS = [
+  'create_object',
+  'update_object',
+  'delete_object',
+  'restore_object',
+  'add_tag',
+  'remove_tag',
+  'scratch_tag',
+  'unscratch_tag',
+  'add_status',
+  'reduce_status',
+  'set_relationship',
+  'advance_theme',
+  'import_character',
+  'set_challenge',
+  'set_active_challenge',
+  'clear_active_challenge',
+  'overcome_challenge',
+  'toggle_overcome_challenge',
+  'spend_power',
+  'confirm_power_spend'
+];
+const MAX_UNDO_HISTORY = 100;
+const MAX_TRASH_ITEMS = 100;
+
+// Power cost of each effect a detailed roll can buy (statuses cost their tier)
+const POWER_EFFECT_COSTS = {
+  give_status: null,
+  create_tag: 2,
+  discover: 1
+};
+
+// Players' power spends wait for the narrator to confirm them before they take effect
+const POWER_SPEND_STATUS = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  REJECTED: 'rejected'
+};
+
+// Tag type of an add_tag action that adds a story tag wherever its target keeps them
+const STORY_TAG_TYPE = 'story';
+
 class GameStateManager {
   constructor(gameObjectManager) {
     this.gameObjectManager = gameObjectManager;
     this.sessionStates = new Map(); // sessionId -> gameState
+    this.actionHistories = new Map(); // sessionId -> { undo: [], redo: [] }, kept in memory only
   }
 
   /**
@@ -38,7 +106,9 @@ class GameStateManager {
       diceRolls: [],
       notes: [],
       lastRoll: null,
-      gameObjects: []
+      gameObjects: [],
+      trash: [], // Objects removed from the session, newest last
+      version: 0 // Sequence number of the last patch sent to clients
     };
   }
 
@@ -54,6 +124,86 @@ class GameStateManager {
     return state;
   }
 
+  /**
+   * Record the parts of the game state that patches are worked out from
+   * @param {string} sessionId - Session identifier
+   * @returns {Object} Snapshot to pass to getPatchesSince
+   */
+  createSnapshot(sessionId) {
+    const state = this.getSessionState(sessionId);
+    return {
+      objects: new Map(state.gameObjects.map(obj => [obj.id, JSON.stringify(obj)])),
+      rolls: new Map(state.diceRolls.map(roll => [roll.id, JSON.stringify(roll)])),
+      noteIds: new Set(state.notes.map(note => note.id)),
+      trash: JSON.stringify(state.trash.map(item => item.object.id)),
+      currentScene: state.currentScene,
+      activeChallenge: state.activeChallenge
+    };
+  }
+
+  /**
+   * Work out the patches that turn a snapshot into the current game state
+   * @param {string} sessionId - Session identifier
+   * @param {Object} snapshot - Snapshot from createSnapshot
+   * @returns {Array} Patches ({ type, ... })
+   */
+  getPatchesSince(sessionId, snapshot) {
+    const state = this.getSessionState(sessionId);
+    const patches = [];
+
+    state.gameObjects.forEach(obj => {
+      const before = snapshot.objects.get(obj.id);
+      if (before === undefined) {
+        patches.push({ type: 'object_created', object: obj });
+      } else if (before !== JSON.stringify(obj)) {
+        patches.push({ type: 'object_updated', object: obj });
+      }
+    });
+    const objectIds = new Set(state.gameObjects.map(obj => obj.id));
+    snapshot.objects.forEach((_, objectId) => {
+      if (!objectIds.has(objectId)) {
+        patches.push({ type: 'object_deleted', objectId: objectId });
+      }
+    });
+
+    if (state.currentScene !== snapshot.currentScene) {
+      patches.push({ type: 'scene_changed', currentScene: state.currentScene });
+    }
+    if (state.activeChallenge !== snapshot.activeChallenge) {
+      patches.push({ type: 'active_challenge_changed', activeChallenge: state.activeChallenge });
+    }
+
+    state.diceRolls.forEach(roll => {
+      const before = snapshot.rolls.get(roll.id);
+      if (before === undefined) {
+        patches.push({ type: 'roll_added', roll: roll });
+      } else if (before !== JSON.stringify(roll)) {
+        patches.push({ type: 'roll_updated', roll: roll });
+      }
+    });
+
+    state.notes
+      .filter(note => !snapshot.noteIds.has(note.id))
+      .forEach(note => patches.push({ type: 'note_added', note: note }));
+
+    if (JSON.stringify(state.trash.map(item => item.object.id)) !== snapshot.trash) {
+      patches.push({ type: 'trash_changed', trash: state.trash });
+    }
+
+    return patches;
+  }
+
+  /**
+   * Move a session on to its next state version
+   * @param {string} sessionId - Session identifier
+   * @returns {number} New version
+   */
+  nextVersion(sessionId) {
+    const state = this.getSessionState(sessionId);
+    state.version = (state.version || 0) + 1;
+    return state.version;
+  }
+
   /**
    * Add a chat message to the game state
    * @param {string} sessionId - Session identifier
@@ -122,6 +272,31 @@ class GameStateManager {
   setActiveChallenge(sessionId, challengeObjectId) {
     const state = this.getSessionState(sessionId);
     state.activeChallenge = challengeObjectId;
+
+    if (challengeObjectId) {
+      this.revealChallenge(sessionId, challengeObjectId);
+    }
+  }
+
+  /**
+   * Mark a challenge as revealed to the players once it has been presented
+   * @param {string} sessionId - Session identifier
+   * @param {string} challengeId - Standalone challenge object ID or scene challenge ID
+   */
+  revealChallenge(sessionId, challengeId) {
+    const standaloneChallenge = this.gameObjectManager.getGameObject(sessionId, challengeId);
+    if (standaloneChallenge && standaloneChallenge.type === 'challenge') {
+      standaloneChallenge.contents.revealed = true;
+      return;
+    }
+
+    this.gameObjectManager.getSessionObjects(sessionId, 'scene').forEach(scene => {
+      (scene.contents.challenges || [])
+        .filter(challenge => challenge.id === challengeId)
+        .forEach(challenge => {
+          challenge.revealed = true;
+        });
+    });
   }
 
   /**
@@ -193,6 +368,305 @@ class GameStateManager {
     return description;
   }
 
+  /**
+   * Check a list of tag references for a roll
+   * The stored tag decides how it may be used: weaknesses only hinder, the
+   * roller's own power tags only help, and only those can be burnt. Statuses
+   * and the tags of the scene, challenges and other characters can go either
+   * way, so the roller says which. Players can't use tags of hidden challenges.
+   * @param {string} sessionId - Session identifier
+   * @param {Array} tagRefs - Tag references ({ objectId, tagKey, tagType?, challengeId?, effect })
+   * @param {Object} roller - Rolling player ({ id, name, isGM })
+   * @returns {string|null} Error message, or null if every reference is usable
+   */
+  getTagReferenceError(sessionId, tagRefs, roller = {}) {
+    if (!Array.isArray(tagRefs)) {
+      return 'Invalid tag references';
+    }
+
+    const seen = new Set();
+    for (const tagRef of tagRefs) {
+      if (!tagRef || !TAG_EFFECTS.includes(tagRef.effect)) {
+        return 'Invalid tag effect';
+      }
+
+      const tagData = this.gameObjectManager.resolveTagReference(sessionId, tagRef);
+      if (!tagData) {
+        return `Unknown tag: ${tagRef.tagKey}`;
+      }
+      if (tagData.scratched) {
+        return `Tag is scratched: ${tagRef.tagKey}`;
+      }
+      if (!roller.isGM && this.isHiddenChallengeTag(sessionId, tagRef)) {
+        return `Unknown tag: ${tagRef.tagKey}`;
+      }
+
+      const isWeakness = !tagData.isStatus && (tagData.modifier < 0 || tagData.effect === 'negative');
+      const isOwnPowerTag = !tagData.isStatus && !isWeakness && this.isRollerTag(sessionId, tagRef, roller);
+      if (isWeakness && tagRef.effect !== 'negative') {
+        return `Weakness tags can only hinder a roll: ${tagRef.tagKey}`;
+      }
+      if (tagRef.effect === 'burn' && !isOwnPowerTag) {
+        return `Only your own power tags can be burnt: ${tagRef.tagKey}`;
+      }
+      if (isOwnPowerTag && tagRef.effect === 'negative') {
+        return `Your own power tags can only help a roll: ${tagRef.tagKey}`;
+      }
+
+      const refKey = [tagRef.objectId, tagRef.challengeId, tagRef.tagType, tagRef.tagKey].join('|');
+      if (seen.has(refKey)) {
+        return `Tag selected more than once: ${tagRef.tagKey}`;
+      }
+      seen.add(refKey);
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether a tag belongs to the roller's side: a character or fellowship they may edit
+   * @param {string} sessionId - Session identifier
+   * @param {Object} tagRef - Tag reference
+   * @param {Object} roller - Rolling player ({ id, name, isGM })
+   * @returns {boolean} True for the roller's own tags
+   */
+  isRollerTag(sessionId, tagRef, roller) {
+    const gameObject = this.gameObjectManager.getGameObject(sessionId, tagRef.objectId);
+    return !tagRef.challengeId &&
+           (gameObject.type === 'character' || gameObject.type === 'fellowship') &&
+           ObjectAccess.canEditObject(gameObject, { id: roller.id, name: roller.name, isGM: roller.isGM === true });
+  }
+
+  /**
+   * Check whether a tag belongs to a challenge the players haven't been shown
+   * @param {string} sessionId - Session identifier
+   * @param {Object} tagRef - Tag reference
+   * @returns {boolean} True for tags of unrevealed challenges
+   */
+  isHiddenChallengeTag(sessionId, tagRef) {
+    const state = this.getSessionState(sessionId);
+    const gameObject = this.gameObjectManager.getGameObject(sessionId, tagRef.objectId);
+    const challengeId = tagRef.challengeId || (gameObject.type === 'challenge' ? gameObject.id : null);
+    if (!challengeId || challengeId === state.activeChallenge) {
+      return false;
+    }
+
+    const challenge = tagRef.challengeId
+      ? (gameObject.contents?.challenges || []).find(entry => entry.id === tagRef.challengeId)
+      : gameObject.contents;
+    return challenge?.revealed !== true;
+  }
+
+  /**
+   * Calculate the roll modifier from tag references using the stored tag data
+   * @param {string} sessionId - Session identifier
+   * @param {Array} tagRefs - Validated tag references
+   * @returns {Object} { modifier, selectedTags } with the power of each tag
+   */
+  calculateTagModifier(sessionId, tagRefs) {
+    let modifier = 0;
+    const selectedTags = tagRefs.map(tagRef => {
+      const tagData = this.gameObjectManager.resolveTagReference(sessionId, tagRef);
+      const power = this.getTagPower(tagData, tagRef.effect);
+      modifier += power;
+
+      return {
+        tag: tagData.relationship || tagData.attributeName || tagRef.tagKey,
+        effect: tagRef.effect,
+        objectId: tagRef.objectId,
+        tagKey: tagRef.tagKey,
+        tagType: tagRef.tagType || null,
+        challengeId: tagRef.challengeId || null,
+        power: power
+      };
+    });
+
+    return { modifier, selectedTags };
+  }
+
+  /**
+   * Get the signed power a single tag adds to a roll
+   * Statuses count their tier, burnt tags count +3 and everything else counts 1
+   * @param {Object} tagData - Stored tag data
+   * @param {string} effect - 'positive', 'negative' or 'burn'
+   * @returns {number} Signed power
+   */
+  getTagPower(tagData, effect) {
+    if (effect === 'burn') {
+      return 3;
+    }
+
+    const strength = tagData.isStatus ? StatusTiers.getStatusTier(tagData) : 1;
+    return effect === 'negative' ? -strength : strength;
+  }
+
+  /**
+   * Classify a roll total into a Legend in the Mist outcome tier
+   * @param {number} total - Dice total including the modifier
+   * @returns {string} 'success' (10+), 'success_with_consequences' (7-9) or 'miss' (6-)
+   */
+  getRollOutcome(total) {
+    if (total >= 10) {
+      return ROLL_OUTCOMES.SUCCESS;
+    }
+    if (total >= 7) {
+      return ROLL_OUTCOMES.SUCCESS_WITH_CONSEQUENCES;
+    }
+    return ROLL_OUTCOMES.MISS;
+  }
+
+  /**
+   * Work out the power a roll has to spend on effects
+   * A successful roll always has at least 1 power; a miss has none
+   * @param {string} outcome - Outcome tier of the roll
+   * @param {number} modifier - Total power of the tags in the roll
+   * @returns {number} Power available to spend
+   */
+  getRollPower(outcome, modifier) {
+    if (outcome === ROLL_OUTCOMES.MISS) {
+      return 0;
+    }
+    return Math.max(1, modifier);
+  }
+
+  /**
+   * Check whether a roll type is supported (a missing type means the default)
+   * @param {string} rollType - Roll type sent by the client
+   * @returns {boolean} True if the roll type is supported
+   */
+  isValidRollType(rollType) {
+    return rollType === undefined || Object.prototype.hasOwnProperty.call(ROLL_TYPES, rollType);
+  }
+
+  /**
+   * Build the type-specific part of a roll result
+   * @param {string} rollType - 'quick', 'detailed', 'reaction' or 'mitigate'
+   * @param {string} outcome - Outcome tier of the roll
+   * @param {number} power - Power the roll has to use
+   * @returns {Object} Follow-up bookkeeping for the roll type
+   */
+  getRollTypeResult(rollType, outcome, power) {
+    switch (rollType) {
+      case 'quick':
+        // The narrator describes what happens; there is nothing to spend
+        return {
+          achieved: outcome !== ROLL_OUTCOMES.MISS,
+          consequences: outcome !== ROLL_OUTCOMES.SUCCESS
+        };
+      case 'reaction':
+        // Power reduces the tier of the status the threat would inflict
+        return {
+          tierReduction: power,
+          threatAvoided: outcome === ROLL_OUTCOMES.SUCCESS ? 'fully' :
+                         outcome === ROLL_OUTCOMES.SUCCESS_WITH_CONSEQUENCES ? 'partially' : 'not'
+        };
+      case 'mitigate':
+        // Power cancels tiers of a consequence that has already landed
+        return {
+          tiersMitigated: power
+        };
+      case 'detailed':
+      default:
+        return {
+          powerToSpend: power
+        };
+    }
+  }
+
+  /**
+   * Find a dice roll in the session's roll history
+   * @param {string} sessionId - Session identifier
+   * @param {string} rollId - Roll identifier
+   * @returns {Object|null} Roll record or null
+   */
+  findDiceRoll(sessionId, rollId) {
+    const state = this.getSessionState(sessionId);
+    return state.diceRolls.find(roll => roll.id === rollId) || null;
+  }
+
+  /**
+   * Get the power a roll still has available
+   * @param {Object} roll - Roll record
+   * @returns {number} Power not yet spent
+   */
+  getPowerRemaining(roll) {
+    const spent = (roll.powerSpends || [])
+      .filter(spend => spend.status !== POWER_SPEND_STATUS.REJECTED)
+      .reduce((total, spend) => total + spend.cost, 0);
+    return Math.max(0, (roll.power || 0) - spent);
+  }
+
+  /**
+   * Get the power cost of a spend_power action
+   * @param {Object} action - spend_power action
+   * @returns {number} Power cost
+   */
+  getPowerCost(action) {
+    if (action.effect === 'give_status') {
+      return action.tier;
+    }
+    return POWER_EFFECT_COSTS[action.effect];
+  }
+
+  /**
+   * Find a challenge, in a scene or as a challenge object of its own
+   * @param {string} sessionId - Session identifier
+   * @param {string|null} sceneId - Scene holding the challenge, or null for a challenge object
+   * @param {string} challengeId - Scene challenge ID or challenge object ID
+   * @returns {Object|null} { challenge, tags }: the scene challenge or the challenge object's contents, and its tags
+   */
+  findChallenge(sessionId, sceneId, challengeId) {
+    if (sceneId) {
+      const scene = this.gameObjectManager.getGameObject(sessionId, sceneId);
+      const challenge = (scene?.contents?.challenges || []).find(c => c.id === challengeId);
+      return challenge ? { challenge: challenge, tags: challenge.tags } : null;
+    }
+
+    const gameObject = this.gameObjectManager.getGameObject(sessionId, challengeId);
+    return gameObject?.type === 'challenge' ? { challenge: gameObject.contents, tags: gameObject.tags } : null;
+  }
+
+  /**
+   * Overcome a challenge once one of its statuses reaches a limit
+   * The change is made as part of the action that gave the status, so undoing that undoes it too.
+   * @param {string} sessionId - Session identifier
+   * @param {Object} target - Status target ({ objectId, challengeId? })
+   */
+  checkChallengeLimits(sessionId, target) {
+    const gameObject = this.gameObjectManager.getGameObject(sessionId, target.objectId);
+    if (!gameObject) return;
+
+    const sceneId = target.challengeId ? gameObject.id : null;
+    const challengeId = target.challengeId || gameObject.id;
+    const found = this.findChallenge(sessionId, sceneId, challengeId);
+    if (!found || found.challenge.overcome) return;
+
+    const progress = ChallengeLimits.getChallengeLimitProgress(found.challenge.limits, found.tags);
+    if (progress.some(limit => limit.reached)) {
+      console.log(`🏆 Challenge ${challengeId} reached a limit and is overcome`);
+      this.dispatchAction(sessionId, {
+        type: 'overcome_challenge',
+        sceneId: sceneId,
+        challengeId: challengeId
+      });
+    }
+  }
+
+  /**
+   * Check whether the player taking an action may edit its target object
+   * @param {string} sessionId - Session identifier
+   * @param {Object} action - Action with objectId and the acting player's details
+   * @returns {boolean} True if the object exists and the player may edit it
+   */
+  canEditObject(sessionId, action) {
+    const gameObject = this.gameObjectManager.getGameObject(sessionId, action.objectId);
+    return ObjectAccess.canEditObject(gameObject, {
+      id: action.playerId,
+      name: action.playerName,
+      isGM: action.isGM === true
+    });
+  }
+
   /**
    * Validate a game action
    * @param {string} sessionId - Session identifier
@@ -202,7 +676,7 @@ class GameStateManager {
   validateAction(sessionId, action) {
     switch (action.type) {
       case 'create_object':
-        return this.validateCreateObject(action);
+        return this.validateCreateObject(sessionId, action);
       case 'update_object':
         return this.validateUpdateObject(sessionId, action);
       case 'delete_object':
@@ -211,8 +685,11 @@ class GameStateManager {
         return this.validateAddTag(sessionId, action);
       case 'remove_tag':
         return this.validateRemoveTag(sessionId, action);
+      case 'scratch_tag':
+      case 'unscratch_tag':
+        return this.validateScratchTag(sessionId, action);
       case 'roll_dice':
-        return this.validateDiceRoll(action);
+        return this.validateDiceRoll(sessionId, action);
       case 'set_scene':
         return this.validateSetScene(sessionId, action);
       case 'set_challenge':
@@ -227,6 +704,27 @@ class GameStateManager {
         return this.validateToggleOvercomeChallenge(sessionId, action);
       case 'add_note':
         return this.validateAddNote(action);
+      case 'spend_power':
+        return this.validateSpendPower(sessionId, action);
+      case 'confirm_power_spend':
+        return this.validateConfirmPowerSpend(sessionId, action);
+      case 'add_status':
+        return this.validateAddStatus(sessionId, action);
+      case 'reduce_status':
+        return this.validateReduceStatus(sessionId, action);
+      case 'set_object_acl':
+        return this.validateSetObjectAcl(sessionId, action);
+      case 'set_relationship':
+        return this.validateSetRelationship(sessionId, action);
+      case 'advance_theme':
+        return this.validateAdvanceTheme(sessionId, action);
+      case 'import_character':
+        return CharacterSheets.validateCharacterSheet(action.sheet).length === 0;
+      case 'restore_object':
+        return this.validateRestoreObject(sessionId, action);
+      case 'undo':
+      case 'redo':
+        return this.getHistoryError(sessionId, action) === null;
       default:
         return false;
     }
@@ -234,11 +732,29 @@ class GameStateManager {
 
   /**
    * Apply a game action to the state
+   * Undoable actions record what they changed so it can be reversed
    * @param {string} sessionId - Session identifier
    * @param {Object} action - Action object
    * @returns {Object} Updated game state
    */
   applyAction(sessionId, action) {
+    if (!UNDOABLE_ACTIONS.includes(action.type)) {
+      return this.dispatchAction(sessionId, action);
+    }
+
+    const snapshot = this.createSnapshot(sessionId);
+    const state = this.dispatchAction(sessionId, action);
+    this.recordUndoEntry(sessionId, action, snapshot);
+    return state;
+  }
+
+  /**
+   * Apply a game action without recording it in the undo history
+   * @param {string} sessionId - Session identifier
+   * @param {Object} action - Action object
+   * @returns {Object} Updated game state
+   */
+  dispatchAction(sessionId, action) {
     switch (action.type) {
       case 'create_object':
         return this.applyCreateObject(sessionId, action);
@@ -250,6 +766,10 @@ class GameStateManager {
         return this.applyAddTag(sessionId, action);
       case 'remove_tag':
         return this.applyRemoveTag(sessionId, action);
+      case 'scratch_tag':
+        return this.applyScratchTag(sessionId, action, true);
+      case 'unscratch_tag':
+        return this.applyScratchTag(sessionId, action, false);
       case 'roll_dice':
         return this.applyDiceRoll(sessionId, action);
       case 'set_scene':
@@ -266,41 +786,159 @@ class GameStateManager {
         return this.applyToggleOvercomeChallenge(sessionId, action);
       case 'add_note':
         return this.applyAddNote(sessionId, action);
+      case 'spend_power':
+        return this.applySpendPower(sessionId, action);
+      case 'confirm_power_spend':
+        return this.applyConfirmPowerSpend(sessionId, action);
+      case 'add_status':
+        return this.applyAddStatus(sessionId, action);
+      case 'reduce_status':
+        return this.applyReduceStatus(sessionId, action);
+      case 'set_object_acl':
+        return this.applySetObjectAcl(sessionId, action);
+      case 'set_relationship':
+        return this.applySetRelationship(sessionId, action);
+      case 'advance_theme':
+        return this.applyAdvanceTheme(sessionId, action);
+      case 'import_character':
+        return this.applyImportCharacter(sessionId, action);
+      case 'restore_object':
+        return this.applyRestoreObject(sessionId, action);
+      case 'undo':
+        return this.applyHistoryStep(sessionId, action, 'undo');
+      case 'redo':
+        return this.applyHistoryStep(sessionId, action, 'redo');
       default:
         throw new Error(`Unknown action type: ${action.type}`);
     }
   }
 
+  /**
+   * Check the contents and tags an object is created or updated with against its type's schema
+   * @param {string} sessionId - Session identifier
+   * @param {Object} action - create_object or update_object action
+   * @returns {Array} Invalid fields as { field, message }, empty if there are none
+   */
+  getObjectErrors(sessionId, action) {
+    if (action.type === 'create_object') {
+      return ObjectSchemas.validateObject(action.objectType, action);
+    }
+
+    // An object that isn't there is rejected by validateUpdateObject
+    const gameObject = this.gameObjectManager.getGameObject(sessionId, action.objectId);
+    return gameObject ? ObjectSchemas.validateObject(gameObject.type, action, true) : [];
+  }
+
   // Validation methods
-  validateCreateObject(action) {
-    return action.objectType && action.contents && typeof action.contents === 'object';
+  validateCreateObject(sessionId, action) {
+    return this.getObjectErrors(sessionId, action).length === 0;
   }
 
   validateUpdateObject(sessionId, action) {
-    return action.objectId && this.gameObjectManager.getGameObject(sessionId, action.objectId);
+    return action.objectId &&
+           this.canEditObject(sessionId, action) &&
+           this.getObjectErrors(sessionId, action).length === 0;
   }
 
   validateDeleteObject(sessionId, action) {
-    return action.objectId && this.gameObjectManager.getGameObject(sessionId, action.objectId);
+    return action.objectId && this.canEditObject(sessionId, action);
   }
 
   validateAddTag(sessionId, action) {
+    if (action.tagType === STORY_TAG_TYPE) {
+      return typeof action.tagName === 'string' &&
+             action.tagName.trim().length > 0 &&
+             !!this.gameObjectManager.getTagContainer(sessionId, action.objectId, action.challengeId) &&
+             this.canEditObject(sessionId, action);
+    }
     return action.objectId && 
            action.tagType && 
            action.tagName && 
            (action.modifier === 1 || action.modifier === -1) &&
-           this.gameObjectManager.getGameObject(sessionId, action.objectId);
+           this.canEditObject(sessionId, action);
   }
 
   validateRemoveTag(sessionId, action) {
     return action.objectId && 
            action.tagType && 
            action.tagName &&
-           this.gameObjectManager.getGameObject(sessionId, action.objectId);
+           this.canEditObject(sessionId, action);
+  }
+
+  validateSetObjectAcl(sessionId, action) {
+    return action.isGM === true &&
+           ObjectAccess.isValidAcl(action.acl) &&
+           !!this.gameObjectManager.getGameObject(sessionId, action.objectId);
+  }
+
+  validateSetRelationship(sessionId, action) {
+    const fellowship = this.gameObjectManager.getGameObject(sessionId, action.objectId);
+    const from = this.gameObjectManager.getGameObject(sessionId, action.fromId);
+    const to = this.gameObjectManager.getGameObject(sessionId, action.toId);
+    if (fellowship?.type !== 'fellowship' || from?.type !== 'character' || to?.type !== 'character' || from === to) {
+      return false;
+    }
+    if (typeof action.relationship !== 'string') {
+      return false;
+    }
+
+    // Players set the relationships of the characters they may edit
+    return this.canEditObject(sessionId, action) &&
+           ObjectAccess.canEditObject(from, { id: action.playerId, name: action.playerName, isGM: action.isGM === true });
+  }
+
+  validateAdvanceTheme(sessionId, action) {
+    const character = this.gameObjectManager.getGameObject(sessionId, action.objectId);
+    if (character?.type !== 'character' || !Number.isInteger(action.themeIndex)) {
+      return false;
+    }
+
+    const card = character.contents?.themeCards?.[action.themeIndex];
+    return !!card &&
+           this.gameObjectManager.isValidThemeAdvancement(card, action.track, action) &&
+           this.canEditObject(sessionId, action);
+  }
+
+  validateRestoreObject(sessionId, action) {
+    const item = this.getSessionState(sessionId).trash.find(entry => entry.object.id === action.objectId);
+    return !!item &&
+           !this.gameObjectManager.getGameObject(sessionId, action.objectId) &&
+           ObjectAccess.canEditObject(item.object, { id: action.playerId, name: action.playerName, isGM: action.isGM === true });
   }
 
-  validateDiceRoll(action) {
-    return action.relevantObjectIds && Array.isArray(action.relevantObjectIds);
+  validateScratchTag(sessionId, action) {
+    return this.gameObjectManager.resolveTagReference(sessionId, action) !== null &&
+           this.canEditObject(sessionId, action);
+  }
+
+  validateAddStatus(sessionId, action) {
+    if (typeof action.name !== 'string' || action.name.trim().length === 0) {
+      return false;
+    }
+    if (!StatusTiers.isValidTier(action.tier)) {
+      return false;
+    }
+    return !!this.gameObjectManager.getTagContainer(sessionId, action.objectId, action.challengeId) &&
+           this.canEditObject(sessionId, action);
+  }
+
+  validateReduceStatus(sessionId, action) {
+    if (!StatusTiers.isValidTier(action.amount)) {
+      return false;
+    }
+    const tags = this.gameObjectManager.getTagContainer(sessionId, action.objectId, action.challengeId);
+    return !!tags && !!tags[action.name] && tags[action.name].isStatus === true &&
+           this.canEditObject(sessionId, action);
+  }
+
+  validateDiceRoll(sessionId, action) {
+    return this.isValidRollType(action.rollType) &&
+           Array.isArray(action.tags) &&
+           this.getTagReferenceError(sessionId, action.tags, {
+             id: action.playerId,
+             name: action.playerName,
+             isGM: action.isGM === true
+           }) === null;
   }
 
   validateSetScene(sessionId, action) {
@@ -321,8 +959,7 @@ class GameStateManager {
   }
 
   validateOvercomeChallenge(sessionId, action) {
-    return action.challengeId && action.sceneId && 
-           this.gameObjectManager.getGameObject(sessionId, action.sceneId);
+    return !!action.challengeId && !!this.findChallenge(sessionId, action.sceneId || null, action.challengeId);
   }
 
   validateToggleOvercomeChallenge(sessionId, action) {
@@ -334,6 +971,49 @@ class GameStateManager {
     return action.text && typeof action.text === 'string' && action.text.trim().length > 0;
   }
 
+  validateSpendPower(sessionId, action) {
+    const roll = this.findDiceRoll(sessionId, action.rollId);
+    if (!roll || roll.rollType !== 'detailed' || roll.outcome === ROLL_OUTCOMES.MISS) {
+      return false;
+    }
+
+    // Only the player who rolled or the narrator can spend the power
+    if (roll.playerId !== action.playerId && !action.isGM) {
+      return false;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(POWER_EFFECT_COSTS, action.effect)) {
+      return false;
+    }
+    if (typeof action.name !== 'string' || action.name.trim().length === 0) {
+      return false;
+    }
+    if (action.effect === 'give_status' && !StatusTiers.isValidTier(action.tier)) {
+      return false;
+    }
+    if (action.effect !== 'discover' &&
+        !this.gameObjectManager.getTagContainer(sessionId, action.targetObjectId, action.targetChallengeId)) {
+      return false;
+    }
+
+    return this.getPowerCost(action) <= this.getPowerRemaining(roll);
+  }
+
+  validateConfirmPowerSpend(sessionId, action) {
+    if (action.isGM !== true || !Number.isInteger(action.spendIndex)) {
+      return false;
+    }
+    const roll = this.findDiceRoll(sessionId, action.rollId);
+    const spend = roll?.powerSpends?.[action.spendIndex];
+    if (!spend || spend.status !== POWER_SPEND_STATUS.PENDING) {
+      return false;
+    }
+
+    // The target may have been deleted while the spend waited
+    return action.approved !== true || spend.effect === 'discover' ||
+           !!this.gameObjectManager.getTagContainer(sessionId, spend.targetObjectId, spend.targetChallengeId);
+  }
+
   // Application methods
   applyCreateObject(sessionId, action) {
     const gameObject = this.gameObjectManager.createGameObject(
@@ -341,7 +1021,7 @@ class GameStateManager {
       action.objectType,
       action.contents,
       action.tags || {},
-      action.createdBy
+      action.playerId || null
     );
     
     // Update the game state's gameObjects array
@@ -362,7 +1042,7 @@ class GameStateManager {
       sessionId,
       action.objectId,
       updates,
-      action.lastModifiedBy
+      action.playerId || null
     );
     
     // Update the game state's gameObjects array
@@ -373,6 +1053,10 @@ class GameStateManager {
   }
 
   applyDeleteObject(sessionId, action) {
+    const gameObject = this.gameObjectManager.getGameObject(sessionId, action.objectId);
+    if (gameObject) {
+      this.moveToTrash(sessionId, gameObject, action.playerId);
+    }
     this.gameObjectManager.deleteGameObject(sessionId, action.objectId);
     
     // Update game state if deleted object was current scene or challenge
@@ -391,6 +1075,12 @@ class GameStateManager {
   }
 
   applyAddTag(sessionId, action) {
+    if (action.tagType === STORY_TAG_TYPE) {
+      const target = { objectId: action.objectId, challengeId: action.challengeId || null };
+      this.gameObjectManager.addStoryTag(sessionId, target, action.tagName.trim(), action.playerId || null);
+      return this.getSessionState(sessionId);
+    }
+
     this.gameObjectManager.addTag(
       sessionId,
       action.objectId,
@@ -415,12 +1105,85 @@ class GameStateManager {
     return this.getSessionState(sessionId);
   }
 
+  applyRestoreObject(sessionId, action) {
+    const state = this.getSessionState(sessionId);
+    const item = state.trash.find(entry => entry.object.id === action.objectId);
+
+    this.gameObjectManager.restoreGameObject(sessionId, item.object);
+    this.removeFromTrash(sessionId, action.objectId);
+
+    console.log(`♻️ Restored ${item.object.type} object ${action.objectId} from the trash`);
+    return this.getSessionState(sessionId);
+  }
+
+  applySetObjectAcl(sessionId, action) {
+    this.gameObjectManager.setObjectAcl(sessionId, action.objectId, action.acl, action.playerId);
+
+    return this.getSessionState(sessionId);
+  }
+
+  applySetRelationship(sessionId, action) {
+    this.gameObjectManager.setRelationship(
+      sessionId,
+      action.objectId,
+      action.fromId,
+      action.toId,
+      action.relationship.trim(),
+      action.playerId
+    );
+
+    return this.getSessionState(sessionId);
+  }
+
+  applyAdvanceTheme(sessionId, action) {
+    this.gameObjectManager.advanceTheme(
+      sessionId,
+      action.objectId,
+      action.themeIndex,
+      action.track,
+      { improvement: action.improvement, replacement: action.replacement },
+      action.playerId
+    );
+
+    return this.getSessionState(sessionId);
+  }
+
+  applyImportCharacter(sessionId, action) {
+    const { contents, tags } = CharacterSheets.readCharacterSheet(action.sheet, action.playerName);
+    this.gameObjectManager.createGameObject(sessionId, 'character', contents, tags, action.playerId || null);
+
+    const state = this.getSessionState(sessionId);
+    state.gameObjects = this.gameObjectManager.getSessionObjects(sessionId);
+
+    return state;
+  }
+
+  applyAddStatus(sessionId, action) {
+    const target = { objectId: action.objectId, challengeId: action.challengeId || null };
+    this.gameObjectManager.giveStatus(sessionId, target, action.name.trim(), action.tier, action.playerId);
+    this.checkChallengeLimits(sessionId, target);
+
+    return this.getSessionState(sessionId);
+  }
+
+  applyReduceStatus(sessionId, action) {
+    const target = { objectId: action.objectId, challengeId: action.challengeId || null };
+    this.gameObjectManager.reduceStatus(sessionId, target, action.name, action.amount, action.playerId);
+
+    return this.getSessionState(sessionId);
+  }
+
+  applyScratchTag(sessionId, action, scratched) {
+    this.gameObjectManager.setTagScratched(sessionId, action, scratched, action.playerId || null);
+    return this.getSessionState(sessionId);
+  }
+
   applyDiceRoll(sessionId, action) {
     console.log('🎲 applyDiceRoll called with action:', action);
     
-    // Use the modifier provided by the client
-    const modifier = action.modifier || 0;
-    const selectedTags = action.selectedTags || [];
+    // Power is worked out from the referenced tags, never taken from the client
+    const { modifier, selectedTags } = this.calculateTagModifier(sessionId, action.tags);
+    const relevantObjectIds = [...new Set(selectedTags.map(t => t.objectId))];
     
     console.log('🎲 Dice roll parameters - modifier:', modifier, 'selectedTags:', selectedTags);
     
@@ -431,8 +1194,12 @@ class GameStateManager {
     
     console.log('🎲 Dice roll results - roll1:', roll1, 'roll2:', roll2, 'total:', total);
     
+    const rollType = action.rollType || DEFAULT_ROLL_TYPE;
+    const outcome = this.getRollOutcome(total);
+    const power = ROLL_TYPES[rollType].usesPower ? this.getRollPower(outcome, modifier) : 0;
+    
     // Create description from selected tags
-    const positiveTags = selectedTags.filter(t => t.effect === 'positive').map(t => t.tag);
+    const positiveTags = selectedTags.filter(t => t.effect !== 'negative').map(t => t.tag);
     const negativeTags = selectedTags.filter(t => t.effect === 'negative').map(t => t.tag);
     
     let description = '2d6';
@@ -453,7 +1220,13 @@ class GameStateManager {
       rolls: [roll1, roll2],
       modifier: modifier,
       total: total,
-      relevantObjectIds: action.relevantObjectIds,
+      rollType: rollType,
+      outcome: outcome,
+      power: power,
+      typeResult: this.getRollTypeResult(rollType, outcome, power),
+      powerRemaining: power,
+      powerSpends: [],
+      relevantObjectIds: relevantObjectIds,
       selectedTags: selectedTags,
       description: description,
       timestamp: new Date().toISOString()
@@ -461,6 +1234,11 @@ class GameStateManager {
     
     console.log('🎲 Created roll data:', rollData);
     
+    // Burning a tag scratches it once the roll is made
+    action.tags
+      .filter(tagRef => tagRef.effect === 'burn')
+      .forEach(tagRef => this.gameObjectManager.setTagScratched(sessionId, tagRef, true, action.playerId));
+    
     this.addDiceRoll(sessionId, rollData);
     
     const sessionState = this.getSessionState(sessionId);
@@ -497,19 +1275,16 @@ class GameStateManager {
   }
 
   applyOvercomeChallenge(sessionId, action) {
-    // Mark challenge as overcome in the scene
-    const scene = this.gameObjectManager.getGameObject(sessionId, action.sceneId);
-    if (scene && scene.contents.challenges) {
-      const challenge = scene.contents.challenges.find(c => c.id === action.challengeId);
-      if (challenge) {
-        challenge.overcome = true;
-        challenge.overcomeAt = new Date().toISOString();
-        
-        // If this was the active challenge, clear it
-        const state = this.getSessionState(sessionId);
-        if (state.activeChallenge === challenge.id) {
-          this.setActiveChallenge(sessionId, null);
-        }
+    // Mark the challenge as overcome, in its scene or on the challenge object
+    const found = this.findChallenge(sessionId, action.sceneId || null, action.challengeId);
+    if (found) {
+      found.challenge.overcome = true;
+      found.challenge.overcomeAt = new Date().toISOString();
+
+      // If this was the active challenge, clear it
+      const state = this.getSessionState(sessionId);
+      if (state.activeChallenge === action.challengeId) {
+        this.setActiveChallenge(sessionId, null);
       }
     }
     return this.getSessionState(sessionId);
@@ -540,11 +1315,100 @@ class GameStateManager {
     return this.getSessionState(sessionId);
   }
 
+  applySpendPower(sessionId, action) {
+    const roll = this.findDiceRoll(sessionId, action.rollId);
+    const isDiscovery = action.effect === 'discover';
+    const spend = {
+      effect: action.effect,
+      cost: this.getPowerCost(action),
+      name: action.name.trim(),
+      tier: action.effect === 'give_status' ? action.tier : null,
+      targetObjectId: isDiscovery ? null : action.targetObjectId,
+      targetChallengeId: isDiscovery ? null : action.targetChallengeId || null,
+      playerId: action.playerId,
+      playerName: action.playerName,
+      status: action.isGM === true ? POWER_SPEND_STATUS.CONFIRMED : POWER_SPEND_STATUS.PENDING,
+      timestamp: new Date().toISOString()
+    };
+
+    roll.powerSpends = roll.powerSpends || [];
+    roll.powerSpends.push(spend);
+    if (spend.status === POWER_SPEND_STATUS.CONFIRMED) {
+      this.applyPowerEffect(sessionId, spend);
+    }
+    this.updateRollPower(sessionId, roll);
+
+    console.log(`⚡ Spent ${spend.cost} power on ${spend.effect} "${spend.name}" from roll ${roll.id} (${spend.status})`);
+
+    return this.getSessionState(sessionId);
+  }
+
+  applyConfirmPowerSpend(sessionId, action) {
+    const roll = this.findDiceRoll(sessionId, action.rollId);
+    const spend = roll.powerSpends[action.spendIndex];
+
+    spend.status = action.approved === true ? POWER_SPEND_STATUS.CONFIRMED : POWER_SPEND_STATUS.REJECTED;
+    spend.resolvedBy = action.playerName || null;
+    if (spend.status === POWER_SPEND_STATUS.CONFIRMED) {
+      this.applyPowerEffect(sessionId, spend);
+    }
+    this.updateRollPower(sessionId, roll);
+
+    console.log(`⚡ Power spend on ${spend.effect} "${spend.name}" from roll ${roll.id} ${spend.status}`);
+
+    return this.getSessionState(sessionId);
+  }
+
+  /**
+   * Carry out a confirmed power spend as the status or tag action it stands for
+   * It is applied as part of the spend, so one undo reverses both.
+   * @param {string} sessionId - Session identifier
+   * @param {Object} spend - Power spend record
+   */
+  applyPowerEffect(sessionId, spend) {
+    const target = { objectId: spend.targetObjectId, challengeId: spend.targetChallengeId };
+
+    if (spend.effect === 'give_status') {
+      this.dispatchAction(sessionId, {
+        type: 'add_status',
+        ...target,
+        name: spend.name,
+        tier: spend.tier,
+        playerId: spend.playerId
+      });
+    } else if (spend.effect === 'create_tag') {
+      this.dispatchAction(sessionId, {
+        type: 'add_tag',
+        ...target,
+        tagType: STORY_TAG_TYPE,
+        tagName: spend.name,
+        playerId: spend.playerId
+      });
+    }
+  }
+
+  /**
+   * Update the power a roll has left after its spends change
+   * @param {string} sessionId - Session identifier
+   * @param {Object} roll - Roll record
+   */
+  updateRollPower(sessionId, roll) {
+    roll.powerRemaining = this.getPowerRemaining(roll);
+
+    // A restored session keeps lastRoll as a separate copy of the record
+    const state = this.getSessionState(sessionId);
+    if (state.lastRoll && state.lastRoll.id === roll.id) {
+      state.lastRoll = roll;
+    }
+  }
+
   applyAddNote(sessionId, action) {
     const note = {
       id: Date.now().toString(),
       text: action.text.trim(),
-      author: action.author,
+      author: action.playerName || action.author,
+      authorId: action.playerId || null,
+      isPrivate: action.isPrivate === true,
       timestamp: new Date().toISOString()
     };
     
@@ -552,12 +1416,216 @@ class GameStateManager {
     return this.getSessionState(sessionId);
   }
 
+  /**
+   * Move a game object into the session trash, from where it can be restored
+   * @param {string} sessionId - Session identifier
+   * @param {Object} gameObject - Game object being removed
+   * @param {string} deletedBy - Player ID who removed it
+   */
+  moveToTrash(sessionId, gameObject, deletedBy = null) {
+    const state = this.getSessionState(sessionId);
+    state.trash = state.trash.filter(item => item.object.id !== gameObject.id);
+    state.trash.push({
+      object: JSON.parse(JSON.stringify(gameObject)),
+      deletedAt: new Date().toISOString(),
+      deletedBy: deletedBy
+    });
+
+    if (state.trash.length > MAX_TRASH_ITEMS) {
+      state.trash = state.trash.slice(-MAX_TRASH_ITEMS);
+    }
+  }
+
+  /**
+   * Take a game object out of the session trash
+   * @param {string} sessionId - Session identifier
+   * @param {string} objectId - Object identifier
+   */
+  removeFromTrash(sessionId, objectId) {
+    const state = this.getSessionState(sessionId);
+    state.trash = state.trash.filter(item => item.object.id !== objectId);
+  }
+
+  /**
+   * Get the undo and redo history of a session
+   * @param {string} sessionId - Session identifier
+   * @returns {Object} { undo, redo } lists of history entries, newest last
+   */
+  getActionHistory(sessionId) {
+    if (!this.actionHistories.has(sessionId)) {
+      this.actionHistories.set(sessionId, { undo: [], redo: [] });
+    }
+    return this.actionHistories.get(sessionId);
+  }
+
+  /**
+   * Record what an action changed as an undo history entry
+   * Objects are kept as JSON images from before and after the action (null where
+   * the object did not exist), so undo and redo just put the images back.
+   * @param {string} sessionId - Session identifier
+   * @param {Object} action - Action that was applied
+   * @param {Object} snapshot - Snapshot taken before the action
+   */
+  recordUndoEntry(sessionId, action, snapshot) {
+    const state = this.getSessionState(sessionId);
+    const currentObjects = new Map(state.gameObjects.map(obj => [obj.id, JSON.stringify(obj)]));
+
+    const objects = [];
+    snapshot.objects.forEach((before, objectId) => {
+      const after = currentObjects.has(objectId) ? currentObjects.get(objectId) : null;
+      if (after !== before) {
+        objects.push({ objectId, before, after });
+      }
+    });
+    currentObjects.forEach((after, objectId) => {
+      if (!snapshot.objects.has(objectId)) {
+        objects.push({ objectId, before: null, after });
+      }
+    });
+
+    // Rolls change when their power is spent
+    const rolls = [];
+    state.diceRolls.forEach(roll => {
+      const before = snapshot.rolls.get(roll.id);
+      const after = JSON.stringify(roll);
+      if (before !== undefined && after !== before) {
+        rolls.push({ rollId: roll.id, before, after });
+      }
+    });
+
+    const sceneChanged = state.currentScene !== snapshot.currentScene;
+    const challengeChanged = state.activeChallenge !== snapshot.activeChallenge;
+    if (objects.length === 0 && rolls.length === 0 && !sceneChanged && !challengeChanged) return;
+
+    const history = this.getActionHistory(sessionId);
+    history.undo.push({
+      type: action.type,
+      actorId: action.playerId || null,
+      actorName: action.playerName || null,
+      timestamp: new Date().toISOString(),
+      objects: objects,
+      rolls: rolls,
+      currentScene: { before: snapshot.currentScene, after: state.currentScene },
+      activeChallenge: { before: snapshot.activeChallenge, after: state.activeChallenge }
+    });
+    if (history.undo.length > MAX_UNDO_HISTORY) {
+      history.undo.shift();
+    }
+
+    // A new action replaces whatever its actor could have redone
+    history.redo = history.redo.filter(entry => entry.actorId !== action.playerId);
+  }
+
+  /**
+   * Find the history entry an undo or redo action applies to
+   * Players can only undo and redo their own actions; the narrator can step through anyone's
+   * @param {string} sessionId - Session identifier
+   * @param {Object} action - Undo or redo action
+   * @returns {Object|null} History entry or null
+   */
+  findHistoryEntry(sessionId, action) {
+    const history = this.getActionHistory(sessionId);
+    const entries = action.type === 'undo' ? history.undo : history.redo;
+
+    for (let i = entries.length - 1; i >= 0; i--) {
+      if (action.isGM === true || (action.playerId && entries[i].actorId === action.playerId)) {
+        return entries[i];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check whether an undo or redo action can be applied
+   * An entry can only be stepped over while its objects and rolls are exactly as it left
+   * them, so undoing never overwrites somebody else's later changes.
+   * @param {string} sessionId - Session identifier
+   * @param {Object} action - Undo or redo action
+   * @returns {string|null} Error message, or null if the action can be applied
+   */
+  getHistoryError(sessionId, action) {
+    const entry = this.findHistoryEntry(sessionId, action);
+    if (!entry) {
+      return `Nothing to ${action.type}`;
+    }
+
+    const expectedKey = action.type === 'undo' ? 'after' : 'before';
+    for (const change of entry.objects) {
+      const current = this.gameObjectManager.getGameObject(sessionId, change.objectId);
+      const currentImage = current ? JSON.stringify(current) : null;
+      if (currentImage === change[expectedKey]) continue;
+
+      const image = current || JSON.parse(change.before || change.after);
+      const name = image.contents?.characterName || image.contents?.name || image.contents?.title || image.type;
+      return `Can't ${action.type}: ${name} has been changed since`;
+    }
+    for (const change of entry.rolls || []) {
+      const current = this.findDiceRoll(sessionId, change.rollId);
+      if (current && JSON.stringify(current) === change[expectedKey]) continue;
+
+      return `Can't ${action.type}: ${JSON.parse(change.before).playerName}'s roll has been changed since`;
+    }
+    return null;
+  }
+
+  /**
+   * Undo or redo a history entry
+   * Objects an undo or redo removes go to the trash like any other deletion
+   * @param {string} sessionId - Session identifier
+   * @param {Object} action - Undo or redo action
+   * @param {string} direction - 'undo' or 'redo'
+   * @returns {Object} Updated game state
+   */
+  applyHistoryStep(sessionId, action, direction) {
+    const entry = this.findHistoryEntry(sessionId, action);
+    const imageKey = direction === 'undo' ? 'before' : 'after';
+    const otherKey = direction === 'undo' ? 'after' : 'before';
+
+    entry.objects.forEach(change => {
+      const image = change[imageKey];
+      if (image === null) {
+        const gameObject = this.gameObjectManager.getGameObject(sessionId, change.objectId);
+        if (gameObject) {
+          this.moveToTrash(sessionId, gameObject, action.playerId);
+          this.gameObjectManager.deleteGameObject(sessionId, change.objectId);
+        }
+      } else {
+        this.gameObjectManager.restoreGameObject(sessionId, JSON.parse(image));
+        this.removeFromTrash(sessionId, change.objectId);
+      }
+    });
+
+    const state = this.getSessionState(sessionId);
+    (entry.rolls || []).forEach(change => {
+      const index = state.diceRolls.findIndex(roll => roll.id === change.rollId);
+      state.diceRolls[index] = JSON.parse(change[imageKey]);
+      this.updateRollPower(sessionId, state.diceRolls[index]);
+    });
+
+    // The scene and challenge pointers only move back if nobody has moved them since
+    ['currentScene', 'activeChallenge'].forEach(field => {
+      if (state[field] === entry[field][otherKey]) {
+        state[field] = entry[field][imageKey];
+      }
+    });
+
+    const history = this.getActionHistory(sessionId);
+    const from = direction === 'undo' ? history.undo : history.redo;
+    const to = direction === 'undo' ? history.redo : history.undo;
+    from.splice(from.indexOf(entry), 1);
+    to.push(entry);
+
+    console.log(`↩️ ${direction} of ${entry.type} by ${entry.actorName || 'unknown'} in session ${sessionId}`);
+    return this.getSessionState(sessionId);
+  }
+
   /**
    * Clean up game state for a session
    * @param {string} sessionId - Session identifier
    */
   cleanupSession(sessionId) {
     this.sessionStates.delete(sessionId);
+    this.actionHistories.delete(sessionId);
     this.gameObjectManager.cleanupSession(sessionId);
     console.log(`🧹 Cleaned up game state for session ${sessionId}`);
   }
@@ -617,7 +1685,9 @@ class GameStateManager {
       diceRolls: savedState.diceRolls || [],
       notes: savedState.notes || [],
       lastRoll: savedState.lastRoll || null,
-      gameObjects: savedState.gameObjects || []
+      gameObjects: savedState.gameObjects || [],
+      trash: savedState.trash || [],
+      version: savedState.version || 0
     });
 
     // Restore game objects to the game object manager
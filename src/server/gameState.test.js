@@ -0,0 +1,153 @@
+/**
+ * Tests for the game state manager
+ */
+
+const GameObjectManager = require('./gameObjects');
+const GameStateManager = require('./gameState');
+
+const SESSION_ID = 'session';
+const WREN = { id: 'player_wren', name: 'Wren', isGM: false };
+const ASH = { id: 'player_ash', name: 'Ash', isGM: false };
+const NARRATOR = { id: 'player_gm', name: 'Narrator', isGM: true };
+
+describe('GameStateManager', () => {
+  let gameObjects;
+  let gameState;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    gameObjects = new GameObjectManager();
+    gameState = new GameStateManager(gameObjects);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getTagReferenceError', () => {
+    let wren;
+    let ash;
+    let scene;
+
+    beforeEach(() => {
+      wren = gameObjects.createGameObject(SESSION_ID, 'character', {
+        characterName: 'Wren',
+        themeCards: [{
+          type: 'Wanderer',
+          attributes: [{ name: 'light step', effect: 'positive' }, { name: 'rootless', effect: 'negative' }]
+        }]
+      }, {
+        Wounded: { modifier: 2, isStatus: true, trackValue: 2, checkedValues: [2] },
+        backpack: { Rope: { modifier: 1, isBackpackItem: true } }
+      }, WREN.id);
+      ash = gameObjects.createGameObject(SESSION_ID, 'character', { characterName: 'Ash' }, { Stubborn: { modifier: 1 } }, ASH.id);
+      scene = gameObjects.createGameObject(SESSION_ID, 'scene', {
+        name: 'Bridge',
+        challenges: [
+          { id: 'troll', title: 'Troll', revealed: true, tags: { huge: { modifier: 1, isChallengeTag: true } } },
+          { id: 'ambush', title: 'Ambush', tags: { hidden: { modifier: 1, isChallengeTag: true } } }
+        ]
+      }, { fog: { modifier: 1, isSceneTag: true } }, NARRATOR.id);
+    });
+
+    const tag = (objectId, tagKey, effect, extra = {}) => ({ objectId, tagKey, effect, ...extra });
+
+    test('takes a weakness as hindering only', () => {
+      expect(gameState.getTagReferenceError(SESSION_ID, [tag(wren.id, 'rootless', 'negative')], WREN)).toBeNull();
+      expect(gameState.getTagReferenceError(SESSION_ID, [tag(wren.id, 'rootless', 'positive')], WREN)).toMatch('Weakness');
+      expect(gameState.getTagReferenceError(SESSION_ID, [tag(wren.id, 'rootless', 'burn')], WREN)).toMatch('Weakness');
+    });
+
+    test('takes the roller\'s own power tags as helping only', () => {
+      expect(gameState.getTagReferenceError(SESSION_ID, [tag(wren.id, 'light step', 'positive')], WREN)).toBeNull();
+      expect(gameState.getTagReferenceError(SESSION_ID, [tag(wren.id, 'light step', 'negative')], WREN)).toMatch('only help');
+    });
+
+    test('only burns the roller\'s own power tags', () => {
+      expect(gameState.getTagReferenceError(SESSION_ID, [tag(wren.id, 'Wanderer', 'burn')], WREN)).toBeNull();
+      expect(gameState.getTagReferenceError(SESSION_ID, [tag(wren.id, 'Rope', 'burn', { tagType: 'backpack' })], WREN)).toBeNull();
+      expect(gameState.getTagReferenceError(SESSION_ID, [tag(wren.id, 'Wounded', 'burn')], WREN)).toMatch('burnt');
+      expect(gameState.getTagReferenceError(SESSION_ID, [tag(ash.id, 'Stubborn', 'burn')], WREN)).toMatch('burnt');
+      expect(gameState.getTagReferenceError(SESSION_ID, [tag(scene.id, 'fog', 'burn')], WREN)).toMatch('burnt');
+      expect(gameState.getTagReferenceError(SESSION_ID, [tag(scene.id, 'huge', 'burn', { challengeId: 'troll' })], NARRATOR))
+        .toMatch('burnt');
+    });
+
+    test('lets statuses and other objects\' tags go either way', () => {
+      ['positive', 'negative'].forEach(effect => {
+        expect(gameState.getTagReferenceError(SESSION_ID, [tag(wren.id, 'Wounded', effect)], WREN)).toBeNull();
+        expect(gameState.getTagReferenceError(SESSION_ID, [tag(ash.id, 'Stubborn', effect)], WREN)).toBeNull();
+        expect(gameState.getTagReferenceError(SESSION_ID, [tag(scene.id, 'fog', effect)], WREN)).toBeNull();
+      });
+    });
+
+    test('hides the tags of unrevealed challenges from players', () => {
+      const hidden = [tag(scene.id, 'hidden', 'negative', { challengeId: 'ambush' })];
+      expect(gameState.getTagReferenceError(SESSION_ID, hidden, WREN)).toMatch('Unknown tag');
+      expect(gameState.getTagReferenceError(SESSION_ID, hidden, NARRATOR)).toBeNull();
+
+      gameState.setActiveChallenge(SESSION_ID, 'ambush');
+      expect(gameState.getTagReferenceError(SESSION_ID, hidden, WREN)).toBeNull();
+    });
+  });
+
+  describe('undo and redo', () => {
+    let character;
+
+    const act = (player, action) => {
+      const playerAction = { ...action, playerId: player.id, playerName: player.name, isGM: player.isGM };
+      if (!gameState.validateAction(SESSION_ID, playerAction)) {
+        return gameState.getHistoryError(SESSION_ID, playerAction) || 'Invalid game action';
+      }
+      gameState.applyAction(SESSION_ID, playerAction);
+      return null;
+    };
+    const setNotes = (player, notes) => act(player, { type: 'update_object', objectId: character.id, contents: { notes } });
+
+    beforeEach(() => {
+      act(WREN, { type: 'create_object', objectType: 'character', contents: { characterName: 'Wren', notes: '' }, tags: {} });
+      character = gameState.getSessionState(SESSION_ID).gameObjects[0];
+    });
+
+    test('steps a player\'s own action back and forth', () => {
+      setNotes(WREN, 'Owes the ferryman');
+
+      expect(act(WREN, { type: 'undo' })).toBeNull();
+      expect(gameObjects.getGameObject(SESSION_ID, character.id).contents.notes).toBe('');
+      expect(act(WREN, { type: 'redo' })).toBeNull();
+      expect(gameObjects.getGameObject(SESSION_ID, character.id).contents.notes).toBe('Owes the ferryman');
+    });
+
+    test('only lets players undo their own actions', () => {
+      setNotes(WREN, 'Owes the ferryman');
+
+      expect(act(ASH, { type: 'undo' })).toBe('Nothing to undo');
+      expect(act(NARRATOR, { type: 'undo' })).toBeNull();
+    });
+
+    test('refuses to undo an action whose object has been changed since', () => {
+      setNotes(WREN, 'Owes the ferryman');
+      setNotes(NARRATOR, 'Paid the ferryman');
+
+      expect(act(WREN, { type: 'undo' })).toBe('Can\'t undo: Wren has been changed since');
+      expect(gameObjects.getGameObject(SESSION_ID, character.id).contents.notes).toBe('Paid the ferryman');
+    });
+
+    test('refuses to redo an action whose object has been changed since it was undone', () => {
+      setNotes(WREN, 'Owes the ferryman');
+      act(WREN, { type: 'undo' });
+      setNotes(NARRATOR, 'Never met the ferryman');
+
+      expect(act(WREN, { type: 'redo' })).toBe('Can\'t redo: Wren has been changed since');
+      expect(gameObjects.getGameObject(SESSION_ID, character.id).contents.notes).toBe('Never met the ferryman');
+    });
+
+    test('drops what a player could redo once they act again', () => {
+      setNotes(WREN, 'Owes the ferryman');
+      act(WREN, { type: 'undo' });
+      setNotes(WREN, 'Paid the ferryman');
+
+      expect(act(WREN, { type: 'redo' })).toBe('Nothing to redo');
+    });
+  });
+});
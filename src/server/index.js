@@ -10,6 +10,12 @@ const SessionManager = require('./sessions');
 const GameObjectManager = require('./gameObjects');
 const GameStateManager = require('./gameState');
 const WebSocketHandler = require('./websocket');
+const { createStorage } = require('./storage');
+const { SessionArchiver, InvalidArchiveError } = require('./archive');
+const ThemebookLibrary = require('./themebooks');
+const Themebooks = require('../shared/themebooks');
+const CharacterSheets = require('../shared/characterSheets');
+const { renderCharacterSheet } = require('./characterPrint');
 
 // Create Express app
 const app = express();
@@ -23,19 +29,34 @@ const io = socketIo(server, {
   }
 });
 
+// Saved sessions go to JSON files unless STORAGE=sqlite
+const storageType = process.env.STORAGE || 'json';
+
 // Initialize managers
-const sessionManager = new SessionManager();
 const gameObjectManager = new GameObjectManager();
 const gameStateManager = new GameStateManager(gameObjectManager);
+const sessionManager = new SessionManager(gameStateManager, {
+  storage: createStorage(storageType)
+});
 
 // Initialize WebSocket handler
 const webSocketHandler = new WebSocketHandler(io, sessionManager, gameStateManager);
 
+// Uploaded images are kept outside the source tree
+const uploadsDir = path.join(__dirname, '../../uploads');
+const sessionArchiver = new SessionArchiver(sessionManager, uploadsDir);
+
+// Groups add their own themebooks as JSON files in data/themebooks/
+const themebookLibrary = new ThemebookLibrary();
+
 // Serve static files
 app.use(express.static(path.join(__dirname, '../client')));
 
+// Serve modules shared between the server and the client
+app.use('/shared', express.static(path.join(__dirname, '../shared')));
+
 // Serve uploaded files
-app.use('/uploads', express.static(path.join(__dirname, '../../uploads')));
+app.use('/uploads', express.static(uploadsDir));
 
 // Parse JSON bodies
 app.use(express.json());
@@ -43,12 +64,11 @@ app.use(express.json());
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    const uploadDir = path.join(__dirname, '../../uploads');
     // Ensure upload directory exists
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
+    if (!fs.existsSync(uploadsDir)) {
+      fs.mkdirSync(uploadsDir, { recursive: true });
     }
-    cb(null, uploadDir);
+    cb(null, uploadsDir);
   },
   filename: function (req, file, cb) {
     // Generate unique filename with timestamp
@@ -93,12 +113,60 @@ app.get('/api/sessions', async (req, res) => {
   }
 });
 
+// API endpoint to get all campaigns
+app.get('/api/campaigns', async (req, res) => {
+  try {
+    const campaigns = await sessionManager.getCampaigns();
+    res.json({ campaigns });
+  } catch (error) {
+    console.error('Error getting campaigns:', error);
+    res.status(500).json({ error: 'Failed to get campaigns' });
+  }
+});
+
+// API endpoint to create a campaign; its sessions share the narrator passphrase
+app.post('/api/campaigns', async (req, res) => {
+  try {
+    const { name, narratorPassphrase } = req.body || {};
+    if (typeof name !== 'string' || !name.trim()) {
+      return res.status(400).json({ error: 'Campaign name is required' });
+    }
+    if (typeof narratorPassphrase !== 'string' || narratorPassphrase.length === 0) {
+      return res.status(400).json({ error: 'A narrator passphrase is required' });
+    }
+
+    const campaign = await sessionManager.createCampaign(name.trim(), narratorPassphrase);
+    res.status(201).json({ campaignId: campaign.id, name: campaign.name, created: campaign.created });
+  } catch (error) {
+    console.error('Error creating campaign:', error);
+    res.status(500).json({ error: 'Failed to create campaign' });
+  }
+});
+
+// API endpoint to get a campaign and the sessions played in it
+app.get('/api/campaigns/:campaignId', async (req, res) => {
+  try {
+    const { campaignId } = req.params;
+    const campaign = (await sessionManager.getCampaigns()).find(summary => summary.campaignId === campaignId);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const sessions = (await sessionManager.getSavedSessions()).filter(session => session.campaignId === campaignId);
+    res.json({ ...campaign, sessions });
+  } catch (error) {
+    console.error('Error getting campaign:', error);
+    res.status(500).json({ error: 'Failed to get campaign' });
+  }
+});
+
 // API endpoint to get session data
 app.get('/api/sessions/:sessionId', async (req, res) => {
   try {
     const { sessionId } = req.params;
     const sessionData = gameStateManager.getSessionData(sessionId);
-    res.json(sessionData);
+    // Requests here are anonymous, so they get the players' view
+    res.json(webSocketHandler.projectGameState(sessionData, null));
   } catch (error) {
     console.error('Error getting session data:', error);
     res.status(500).json({ error: 'Failed to get session data' });
@@ -129,6 +197,96 @@ app.get('/api/sessions/:sessionId/stats', async (req, res) => {
   }
 });
 
+// API endpoint to page through a session's journal
+app.get('/api/sessions/:sessionId/journal', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { kinds, before, limit } = req.query;
+    // Requests here are anonymous, so they get the players' view
+    const page = await webSocketHandler.getJournalPage(sessionId, null, {
+      kinds: kinds ? kinds.split(',') : undefined,
+      before: before,
+      limit: limit
+    });
+    res.json({ sessionId, ...page });
+  } catch (error) {
+    console.error('Error getting session journal:', error);
+    res.status(500).json({ error: 'Failed to get session journal' });
+  }
+});
+
+// API endpoint to list a session's backups
+app.get('/api/sessions/:sessionId/backups', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const backups = await sessionManager.getSessionBackups(sessionId);
+    res.json({ sessionId, backups });
+  } catch (error) {
+    console.error('Error getting session backups:', error);
+    res.status(500).json({ error: 'Failed to get session backups' });
+  }
+});
+
+// API endpoint to restore a session from a backup (narrator only)
+app.post('/api/sessions/:sessionId/backups/:backupId/restore', async (req, res) => {
+  try {
+    const { sessionId, backupId } = req.params;
+    const { narratorPassphrase } = req.body || {};
+
+    if (!(await sessionManager.verifyStoredNarratorPassphrase(sessionId, narratorPassphrase))) {
+      return res.status(403).json({ error: 'Incorrect narrator passphrase' });
+    }
+
+    if (!(await webSocketHandler.restoreBackup(sessionId, backupId))) {
+      return res.status(404).json({ error: 'Backup not found' });
+    }
+    res.json({ message: 'Backup restored successfully' });
+  } catch (error) {
+    console.error('Error restoring session backup:', error);
+    res.status(500).json({ error: 'Failed to restore session backup' });
+  }
+});
+
+// API endpoint to export a session, with its journal and images, as a single archive (narrator only)
+app.get('/api/sessions/:sessionId/export', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!(await sessionManager.verifyStoredNarratorPassphrase(sessionId, req.get('X-Narrator-Passphrase')))) {
+      return res.status(403).json({ error: 'Incorrect narrator passphrase' });
+    }
+
+    const archive = await sessionArchiver.exportSession(sessionId);
+    if (!archive) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.set('Content-Type', 'application/gzip');
+    res.attachment(`${sessionId}.litm.gz`);
+    res.send(archive);
+  } catch (error) {
+    console.error('Error exporting session:', error);
+    res.status(500).json({ error: 'Failed to export session' });
+  }
+});
+
+// API endpoint to import a session archive, under its own ID or the one given as ?sessionId= (narrator only)
+app.post('/api/sessions/import', express.raw({ type: () => true, limit: '20mb' }), async (req, res) => {
+  try {
+    const sessionId = await sessionArchiver.importSession(req.body, {
+      sessionId: req.query.sessionId,
+      narratorPassphrase: req.get('X-Narrator-Passphrase')
+    });
+    res.status(201).json({ message: 'Session imported successfully', sessionId });
+  } catch (error) {
+    if (error instanceof InvalidArchiveError) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    console.error('Error importing session:', error);
+    res.status(500).json({ error: 'Failed to import session' });
+  }
+});
+
 // API endpoint to delete a session
 app.delete('/api/sessions/:sessionId', async (req, res) => {
   try {
@@ -141,11 +299,85 @@ app.delete('/api/sessions/:sessionId', async (req, res) => {
   }
 });
 
+// API endpoint to export a character as a character sheet file
+app.get('/api/sessions/:sessionId/characters/:characterId/export', (req, res) => {
+  try {
+    const { sessionId, characterId } = req.params;
+    const sheet = gameObjectManager.getCharacterSheet(sessionId, characterId);
+    if (!sheet) {
+      return res.status(404).json({ error: 'Character not found' });
+    }
+
+    const fileName = (sheet.character.name || 'character').replace(/[^\w-]+/g, '-');
+    res.attachment(`${fileName}.litm-character.json`);
+    res.json(sheet);
+  } catch (error) {
+    console.error('Error exporting character:', error);
+    res.status(500).json({ error: 'Failed to export character' });
+  }
+});
+
+// API endpoint to get a character as a printable HTML sheet
+app.get('/api/sessions/:sessionId/characters/:characterId/print', async (req, res) => {
+  try {
+    const { sessionId, characterId } = req.params;
+    const sheet = gameObjectManager.getCharacterSheet(sessionId, characterId);
+    if (!sheet) {
+      return res.status(404).json({ error: 'Character not found' });
+    }
+
+    res.type('html').send(renderCharacterSheet(sheet, await themebookLibrary.getThemebooks()));
+  } catch (error) {
+    console.error('Error printing character:', error);
+    res.status(500).json({ error: 'Failed to print character' });
+  }
+});
+
+// API endpoint to import a character sheet file into a running session (narrator only)
+app.post('/api/sessions/:sessionId/characters/import', async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!(await sessionManager.verifyStoredNarratorPassphrase(sessionId, req.get('X-Narrator-Passphrase')))) {
+      return res.status(403).json({ error: 'Incorrect narrator passphrase' });
+    }
+
+    const sheet = CharacterSheets.toCharacterSheet(req.body);
+    const errors = CharacterSheets.validateCharacterSheet(sheet);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid character sheet', details: errors });
+    }
+
+    const characterId = webSocketHandler.importCharacter(sessionId, sheet);
+    if (!characterId) {
+      return res.status(409).json({ error: 'Session is not running' });
+    }
+    res.status(201).json({ message: 'Character imported successfully', characterId });
+  } catch (error) {
+    console.error('Error importing character:', error);
+    res.status(500).json({ error: 'Failed to import character' });
+  }
+});
+
+// API endpoint to get the themebook library, custom themebooks included
+app.get('/api/themebooks', async (req, res) => {
+  try {
+    const themebooks = await themebookLibrary.getThemebooks();
+    res.json({ mightLevels: Themebooks.MIGHT_LEVELS, themebooks });
+  } catch (error) {
+    console.error('Error getting themebooks:', error);
+    res.status(500).json({ error: 'Failed to get themebooks' });
+  }
+});
+
 // API endpoint to get game objects by type
 app.get('/api/sessions/:sessionId/objects/:type', (req, res) => {
   const { sessionId, type } = req.params;
-  const objects = gameObjectManager.getSessionObjects(sessionId, type);
-  res.json(objects);
+  const { gameObjects } = webSocketHandler.projectGameState({
+    gameObjects: gameObjectManager.getSessionObjects(sessionId, type),
+    activeChallenge: gameStateManager.getSessionState(sessionId).activeChallenge
+  }, null);
+  res.json(gameObjects);
 });
 
 // API endpoint for image upload
@@ -198,30 +430,33 @@ app.use((err, req, res, next) => {
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => {
   console.log(`🚀 LitMPlayer server running on port ${PORT}`);
-  console.log(`📁 Data directory: ${path.join(process.cwd(), 'data')}`);
+  console.log(`📁 Data directory: ${path.join(process.cwd(), 'data')} (${storageType} storage)`);
   console.log(`🌐 Access the game at: http://localhost:${PORT}`);
 });
 
 // Graceful shutdown
-process.on('SIGINT', async () => {
+async function shutdown() {
   console.log('\n🛑 Shutting down server...');
   
-  // Save all active sessions
-  const activeSessions = sessionManager.getActiveSessions();
-  for (const session of activeSessions) {
-    try {
-      const gameState = gameStateManager.getSessionState(session.id);
-      await sessionManager.saveSession(session.id, gameState);
-      console.log(`💾 Saved session ${session.id}`);
-    } catch (error) {
-      console.error(`Error saving session ${session.id}:`, error);
-    }
+  // Save every session with unsaved changes
+  sessionManager.stopAutoSave();
+  sessionManager.stopSessionCleanup();
+  try {
+    await sessionManager.flushDirtySessions();
+    await sessionManager.journal.flush();
+    await sessionManager.campaigns.flush();
+    await sessionManager.persistence.close();
+  } catch (error) {
+    console.error('Error saving sessions:', error);
   }
   
   server.close(() => {
     console.log('✅ Server shutdown complete');
     process.exit(0);
   });
-});
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
 
 module.exports = { app, server, io };
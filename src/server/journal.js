@@ -0,0 +1,146 @@
+/**
+ * Session Journal for LitMPlayer
+ * Keeps an append-only record of everything that happens in a session
+ *
+ * The game state only holds the most recent chat messages, rolls and notes; the
+ * journal keeps all of them, along with every game action, in the storage
+ * backend (one JSON entry per line in data/sessions/<sessionId>/journal.ndjson
+ * for JSON storage).
+ */
+
+const JOURNAL_KINDS = ['chat', 'roll', 'note', 'action'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+class SessionJournal {
+  /**
+   * @param {Object} storage - Storage backend holding the journal entries
+   */
+  constructor(storage) {
+    this.storage = storage;
+    this.sequences = new Map(); // sessionId -> last sequence number written
+    this.writeQueues = new Map(); // sessionId -> promise of the last queued write
+  }
+
+  /**
+   * Append an entry to a session's journal
+   * Writes are queued per session so entries land in the order they were made.
+   * Chat messages, rolls and notes keep their own timestamp, so they can be paged
+   * by the timestamps the client already has.
+   * @param {string} sessionId - Session identifier
+   * @param {string} kind - Entry kind (chat, roll, note or action)
+   * @param {Object} actor - Player who caused the entry ({ id, name }), or null
+   * @param {Object} data - Entry data
+   * @returns {Promise} Resolves once the entry has been written
+   */
+  append(sessionId, kind, actor, data) {
+    if (!JOURNAL_KINDS.includes(kind)) {
+      throw new Error(`Unknown journal entry kind: ${kind}`);
+    }
+
+    const timestamp = data?.timestamp || new Date().toISOString();
+    const previous = this.writeQueues.get(sessionId) || Promise.resolve();
+
+    const write = previous.then(async () => {
+      const seq = (await this.getLastSequence(sessionId)) + 1;
+      const entry = {
+        seq: seq,
+        timestamp: timestamp,
+        kind: kind,
+        actorId: actor ? actor.id : null,
+        actorName: actor ? actor.name : null,
+        data: data
+      };
+
+      await this.storage.appendJournalEntry(sessionId, entry);
+      this.sequences.set(sessionId, seq);
+    }).catch(error => {
+      console.error(`Error writing journal entry for session ${sessionId}:`, error);
+    });
+
+    this.writeQueues.set(sessionId, write);
+    return write;
+  }
+
+  /**
+   * Get the sequence number of the last entry in a session's journal
+   * @param {string} sessionId - Session identifier
+   * @returns {number} Last sequence number, or 0 for an empty journal
+   */
+  async getLastSequence(sessionId) {
+    if (!this.sequences.has(sessionId)) {
+      this.sequences.set(sessionId, await this.storage.getLastJournalSequence(sessionId));
+    }
+    return this.sequences.get(sessionId);
+  }
+
+  /**
+   * Get a page of journal entries, working back from the newest
+   * Entries that share a timestamp with the oldest one on the page are kept
+   * together, so paging by timestamp never skips an entry.
+   * @param {string} sessionId - Session identifier
+   * @param {Object} options - Paging options
+   * @param {Array} options.kinds - Entry kinds to include (defaults to all)
+   * @param {string} options.before - Only include entries older than this ISO timestamp
+   * @param {number} options.limit - Page size
+   * @returns {Object} { entries (oldest first), hasMore }
+   */
+  async getEntries(sessionId, { kinds = JOURNAL_KINDS, before = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+    // Let queued writes finish so the page includes them
+    await this.writeQueues.get(sessionId);
+
+    if (kinds.length === 0) return { entries: [], hasMore: false };
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    return await this.storage.getJournalEntries(sessionId, { kinds, before, limit: pageSize });
+  }
+
+  /**
+   * Get every entry of a session's journal
+   * @param {string} sessionId - Session identifier
+   * @returns {Array} Entries, oldest first
+   */
+  async getAllEntries(sessionId) {
+    await this.writeQueues.get(sessionId);
+    return await this.storage.readJournal(sessionId);
+  }
+
+  /**
+   * Write entries from another journal, keeping their sequence numbers
+   * @param {string} sessionId - Session identifier
+   * @param {Array} entries - Entries, oldest first
+   */
+  async importEntries(sessionId, entries) {
+    await this.writeQueues.get(sessionId);
+    for (const entry of entries) {
+      await this.storage.appendJournalEntry(sessionId, entry);
+    }
+    this.sequences.delete(sessionId);
+  }
+
+  /**
+   * Wait for every queued write to finish
+   */
+  async flush() {
+    await Promise.all(this.writeQueues.values());
+  }
+
+  /**
+   * Delete a session's journal
+   * @param {string} sessionId - Session identifier
+   */
+  async deleteJournal(sessionId) {
+    await this.writeQueues.get(sessionId);
+    this.sequences.delete(sessionId);
+    this.writeQueues.delete(sessionId);
+
+    try {
+      await this.storage.deleteJournal(sessionId);
+      console.log(`🗑️ Deleted journal for session ${sessionId}`);
+    } catch (error) {
+      console.error(`Error deleting journal for session ${sessionId}:`, error);
+    }
+  }
+}
+
+module.exports = SessionJournal;
@@ -0,0 +1,122 @@
+/**
+ * Tests for session journals
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SessionJournal = require('./journal');
+const WebSocketHandler = require('./websocket');
+const { STORAGE_TYPES, createStorage } = require('./storage');
+
+const SESSION_ID = 'session';
+const WREN = { id: 'player_wren', name: 'Wren', isGM: false };
+const ASH = { id: 'player_ash', name: 'Ash', isGM: false };
+const NARRATOR = { id: 'player_gm', name: 'Narrator', isGM: true };
+
+/**
+ * Make an ISO timestamp a number of minutes into the session
+ * @param {number} minute - Minutes since the session started
+ * @returns {string} ISO timestamp
+ */
+function at(minute) {
+  return new Date(Date.UTC(2026, 0, 1, 19, minute)).toISOString();
+}
+
+describe.each(STORAGE_TYPES)('SessionJournal with %s storage', storageType => {
+  let dataDir;
+  let storage;
+  let journal;
+
+  const seqs = page => page.entries.map(entry => entry.seq);
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'litm-journal-test-'));
+    storage = createStorage(storageType, dataDir);
+    journal = new SessionJournal(storage);
+  });
+
+  afterEach(async () => {
+    await storage.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  test('pages back from the newest entries', async () => {
+    for (let minute = 1; minute <= 5; minute++) {
+      journal.append(SESSION_ID, 'chat', WREN, { message: `line ${minute}`, timestamp: at(minute) });
+    }
+
+    const newest = await journal.getEntries(SESSION_ID, { limit: 2 });
+    expect(seqs(newest)).toEqual([4, 5]);
+    expect(newest.hasMore).toBe(true);
+
+    const older = await journal.getEntries(SESSION_ID, { limit: 2, before: newest.entries[0].timestamp });
+    expect(seqs(older)).toEqual([2, 3]);
+    expect(older.hasMore).toBe(true);
+
+    const oldest = await journal.getEntries(SESSION_ID, { limit: 2, before: older.entries[0].timestamp });
+    expect(seqs(oldest)).toEqual([1]);
+    expect(oldest.hasMore).toBe(false);
+  });
+
+  test('keeps entries with the same timestamp on one page', async () => {
+    journal.append(SESSION_ID, 'chat', WREN, { message: 'first', timestamp: at(1) });
+    journal.append(SESSION_ID, 'roll', WREN, { total: 9, timestamp: at(2) });
+    journal.append(SESSION_ID, 'chat', ASH, { message: 'nice', timestamp: at(2) });
+    journal.append(SESSION_ID, 'chat', WREN, { message: 'thanks', timestamp: at(3) });
+
+    const page = await journal.getEntries(SESSION_ID, { limit: 2 });
+    expect(seqs(page)).toEqual([2, 3, 4]);
+    expect(page.hasMore).toBe(true);
+  });
+
+  test('only includes the kinds asked for', async () => {
+    journal.append(SESSION_ID, 'chat', WREN, { message: 'hello', timestamp: at(1) });
+    journal.append(SESSION_ID, 'action', NARRATOR, { type: 'set_scene', timestamp: at(2) });
+    journal.append(SESSION_ID, 'note', WREN, { content: 'a clue', timestamp: at(3) });
+
+    expect(seqs(await journal.getEntries(SESSION_ID, { kinds: ['chat', 'note'] }))).toEqual([1, 3]);
+    expect(await journal.getEntries(SESSION_ID, { kinds: [] })).toEqual({ entries: [], hasMore: false });
+  });
+});
+
+describe('WebSocketHandler.getJournalPage', () => {
+  let handler;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const entries = [
+      { seq: 1, timestamp: at(1), kind: 'chat', data: { message: 'hello' } },
+      { seq: 2, timestamp: at(2), kind: 'action', data: { type: 'set_scene' } },
+      { seq: 3, timestamp: at(3), kind: 'note', data: { content: 'for everyone', isPrivate: false } },
+      { seq: 4, timestamp: at(4), kind: 'note', data: { content: 'for Wren', isPrivate: true, authorId: WREN.id } }
+    ];
+    const journal = {
+      getEntries: async (sessionId, { kinds }) => ({
+        entries: entries.filter(entry => kinds.includes(entry.kind)),
+        hasMore: false
+      })
+    };
+    handler = new WebSocketHandler({ on: () => {} }, { journal }, {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const seqs = page => page.entries.map(entry => entry.seq);
+
+  test('shows game actions to the narrator only', async () => {
+    expect(seqs(await handler.getJournalPage(SESSION_ID, NARRATOR))).toEqual([1, 2, 3, 4]);
+    expect(seqs(await handler.getJournalPage(SESSION_ID, WREN))).toEqual([1, 3, 4]);
+
+    const asked = await handler.getJournalPage(SESSION_ID, ASH, { kinds: ['action', 'chat'] });
+    expect(asked.kinds).toEqual(['chat']);
+    expect(seqs(asked)).toEqual([1]);
+  });
+
+  test('shows private notes only to their author and the narrator', async () => {
+    expect(seqs(await handler.getJournalPage(SESSION_ID, ASH))).toEqual([1, 3]);
+    expect(seqs(await handler.getJournalPage(SESSION_ID, null))).toEqual([1, 3]);
+  });
+});
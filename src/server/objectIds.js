@@ -0,0 +1,168 @@
+/**
+ * Game Object IDs for LitMPlayer
+ * Issues object IDs and migrates the IDs of older saves
+ *
+ * Object IDs are 'obj_' followed by a ULID: 48 bits of millisecond timestamp
+ * and 80 random bits in Crockford base32, so IDs sort in the order they were
+ * issued and can't collide between sessions. Saves from before ULIDs numbered
+ * their objects with one counter shared by every session ('obj_1', 'obj_2', ...);
+ * those IDs are replaced as the saves are loaded.
+ */
+
+const crypto = require('crypto');
+const FellowshipRelationships = require('../shared/fellowshipRelationships');
+
+const OBJECT_ID_PREFIX = 'obj_';
+const LEGACY_OBJECT_ID_PATTERN = /^obj_(\d+)$/;
+const ENCODING = '0123456789ABCDEFGHJKMNPQRSTVWXYZ'; // Crockford base32
+const TIME_LENGTH = 10;
+const RANDOM_LENGTH = 16;
+
+/**
+ * Encode a timestamp as the time part of a ULID
+ * @param {number} time - Milliseconds since the epoch
+ * @returns {string} 10 base32 characters
+ */
+function encodeTime(time) {
+  let encoded = '';
+  for (let i = 0; i < TIME_LENGTH; i++) {
+    encoded = ENCODING[time % 32] + encoded;
+    time = Math.floor(time / 32);
+  }
+  return encoded;
+}
+
+/**
+ * Encode 80 bits as the random part of a ULID
+ * @param {Buffer} bytes - At least 10 bytes
+ * @returns {string} 16 base32 characters
+ */
+function encodeRandom(bytes) {
+  let value = BigInt('0x' + bytes.subarray(0, 10).toString('hex'));
+  let encoded = '';
+  for (let i = 0; i < RANDOM_LENGTH; i++) {
+    encoded = ENCODING[Number(value % 32n)] + encoded;
+    value /= 32n;
+  }
+  return encoded;
+}
+
+/**
+ * Add one to a base32 string
+ * @param {string} encoded - Base32 string
+ * @returns {string} The next base32 string of the same length
+ */
+function incrementBase32(encoded) {
+  const digits = encoded.split('');
+  for (let i = digits.length - 1; i >= 0; i--) {
+    const digit = ENCODING.indexOf(digits[i]);
+    if (digit < 31) {
+      digits[i] = ENCODING[digit + 1];
+      return digits.join('');
+    }
+    digits[i] = ENCODING[0];
+  }
+  throw new Error('ULID random part overflowed');
+}
+
+/**
+ * Create a ULID that sorts after the previous one
+ * Within the same millisecond, or if the clock has gone back, the previous
+ * ULID's random part is incremented instead of drawing a new one.
+ * @param {string} previous - Last ULID issued in the same sequence, if any
+ * @returns {string} ULID
+ */
+function createUlid(previous = null) {
+  const time = encodeTime(Date.now());
+  if (previous && time <= previous.slice(0, TIME_LENGTH)) {
+    return previous.slice(0, TIME_LENGTH) + incrementBase32(previous.slice(TIME_LENGTH));
+  }
+  return time + encodeRandom(crypto.randomBytes(10));
+}
+
+/**
+ * Create a game object ID
+ * @param {string} previousId - Last object ID issued in the same session, if any
+ * @returns {string} Object ID
+ */
+function createObjectId(previousId = null) {
+  const previous = previousId && !isLegacyObjectId(previousId) ? previousId.slice(OBJECT_ID_PREFIX.length) : null;
+  return OBJECT_ID_PREFIX + createUlid(previous);
+}
+
+/**
+ * Check whether an ID was issued by the counter older saves used
+ * @param {string} id - Object ID
+ * @returns {boolean} True for 'obj_<number>' IDs
+ */
+function isLegacyObjectId(id) {
+  return typeof id === 'string' && LEGACY_OBJECT_ID_PATTERN.test(id);
+}
+
+/**
+ * Get the ID that replaces a legacy object ID
+ * The same legacy ID always becomes the same ID within a scope, so saves that
+ * refer to each other's objects (a campaign and its sessions) can be migrated
+ * separately. The old number becomes the time part, keeping the old order.
+ * @param {string} id - Legacy object ID
+ * @param {string} scope - Session or campaign the ID was issued in
+ * @returns {string} Object ID
+ */
+function migrateLegacyObjectId(id, scope) {
+  const number = Number(id.match(LEGACY_OBJECT_ID_PATTERN)[1]);
+  const hash = crypto.createHash('sha256').update(`${scope}:${id}`).digest();
+  return OBJECT_ID_PREFIX + encodeTime(number) + encodeRandom(hash);
+}
+
+/**
+ * Migrate a value that may be a legacy object ID or a relationship key made of them
+ * @param {string} value - Value or key from saved data
+ * @param {string} scope - Session or campaign the value belongs to
+ * @returns {string} The value with its legacy IDs replaced
+ */
+function migrateObjectReference(value, scope) {
+  if (isLegacyObjectId(value)) {
+    return migrateLegacyObjectId(value, scope);
+  }
+  const relationship = FellowshipRelationships.parseRelationshipKey(value);
+  if (relationship && (isLegacyObjectId(relationship.fromId) || isLegacyObjectId(relationship.toId))) {
+    return FellowshipRelationships.getRelationshipKey(
+      migrateObjectReference(relationship.fromId, scope),
+      migrateObjectReference(relationship.toId, scope)
+    );
+  }
+  return value;
+}
+
+/**
+ * Copy saved data, replacing every legacy object ID in it
+ * IDs are replaced wherever they appear whole, as values or as keys, which
+ * covers the current scene, the active challenge, rolls' relevant objects,
+ * references between objects and the trash. Relationship keys
+ * ('<fromId>><toId>') have both of their IDs replaced.
+ * @param {*} value - Saved data
+ * @param {string} scope - Session or campaign the data belongs to
+ * @returns {*} Copy with the IDs replaced
+ */
+function migrateObjectIds(value, scope) {
+  if (typeof value === 'string') {
+    return migrateObjectReference(value, scope);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => migrateObjectIds(item, scope));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      migrateObjectReference(key, scope),
+      migrateObjectIds(item, scope)
+    ]));
+  }
+  return value;
+}
+
+module.exports = {
+  createUlid,
+  createObjectId,
+  isLegacyObjectId,
+  migrateObjectIds
+};
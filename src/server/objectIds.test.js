@@ -0,0 +1,118 @@
+/**
+ * Tests for game object IDs
+ */
+
+const { createObjectId, isLegacyObjectId, migrateObjectIds } = require('./objectIds');
+const FellowshipRelationships = require('../shared/fellowshipRelationships');
+
+const OBJECT_ID_PATTERN = /^obj_[0-9A-HJKMNP-TV-Z]{26}$/;
+
+/**
+ * Issue object IDs one after another, each from the last
+ * @param {number} count - Number of IDs
+ * @returns {Array} Object IDs in the order they were issued
+ */
+function issueObjectIds(count) {
+  const ids = [];
+  for (let i = 0; i < count; i++) {
+    ids.push(createObjectId(ids[ids.length - 1]));
+  }
+  return ids;
+}
+
+describe('createObjectId', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('issues a ULID with the object ID prefix', () => {
+    expect(createObjectId()).toMatch(OBJECT_ID_PATTERN);
+    expect(isLegacyObjectId(createObjectId())).toBe(false);
+  });
+
+  test('sorts IDs issued in the same millisecond in the order they were issued', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+
+    const ids = issueObjectIds(50);
+
+    expect(new Set(ids).size).toBe(50);
+    expect([...ids].sort()).toEqual(ids);
+  });
+
+  test('sorts IDs by the time they were issued', () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+    const earlier = createObjectId();
+    now.mockReturnValue(1700000000001);
+
+    expect(createObjectId() > earlier).toBe(true);
+  });
+
+  test('keeps sorting after the last ID when the clock goes back', () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+    const last = createObjectId();
+    now.mockReturnValue(1600000000000);
+
+    expect(createObjectId(last) > last).toBe(true);
+  });
+});
+
+describe('isLegacyObjectId', () => {
+  test('recognises the counter IDs of older saves', () => {
+    expect(isLegacyObjectId('obj_12')).toBe(true);
+    expect(isLegacyObjectId('obj_')).toBe(false);
+    expect(isLegacyObjectId('obj_01HZY00000000000000000000A')).toBe(false);
+    expect(isLegacyObjectId(12)).toBe(false);
+  });
+});
+
+describe('migrateObjectIds', () => {
+  test('replaces legacy IDs as values and keys, keeping their order', () => {
+    const saved = {
+      currentScene: 'obj_10',
+      gameObjects: [{ id: 'obj_2' }, { id: 'obj_10' }],
+      positions: { obj_2: 1 }
+    };
+
+    const migrated = migrateObjectIds(saved, 'session');
+    const [first, second] = migrated.gameObjects;
+
+    expect(first.id).toMatch(OBJECT_ID_PATTERN);
+    expect(second.id).toMatch(OBJECT_ID_PATTERN);
+    expect(first.id < second.id).toBe(true);
+    expect(migrated.currentScene).toBe(second.id);
+    expect(migrated.positions).toEqual({ [first.id]: 1 });
+  });
+
+  test('replaces a legacy ID the same way each time within a scope', () => {
+    expect(migrateObjectIds('obj_1', 'campaign')).toBe(migrateObjectIds('obj_1', 'campaign'));
+    expect(migrateObjectIds('obj_1', 'campaign')).not.toBe(migrateObjectIds('obj_1', 'other campaign'));
+  });
+
+  test('leaves current IDs and the saved data alone', () => {
+    const saved = { id: 'obj_01HZY00000000000000000000A', parentId: 'obj_7' };
+
+    expect(migrateObjectIds(saved, 'session').id).toBe('obj_01HZY00000000000000000000A');
+    expect(saved.parentId).toBe('obj_7');
+  });
+
+  test('replaces both IDs of a relationship key', () => {
+    const key = FellowshipRelationships.getRelationshipKey('obj_1', 'obj_2');
+    const fellowship = {
+      id: 'obj_3',
+      type: 'fellowship',
+      tags: { relationships: { [key]: FellowshipRelationships.createRelationshipTag('obj_1', 'obj_2', 'trusts') } }
+    };
+
+    const [hero, friend, migrated] = migrateObjectIds([{ id: 'obj_1' }, { id: 'obj_2' }, fellowship], 'session');
+
+    expect(FellowshipRelationships.getRelationship(migrated, hero.id, friend.id)).toMatchObject({
+      from: hero.id,
+      to: friend.id,
+      relationship: 'trusts'
+    });
+  });
+
+  test('leaves other text with ">" alone', () => {
+    expect(migrateObjectIds({ text: 'a>b' }, 'session')).toEqual({ text: 'a>b' });
+  });
+});
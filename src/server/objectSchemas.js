@@ -0,0 +1,246 @@
+/**
+ * Game Object Schemas for LitMPlayer
+ * Checks the contents and tags of characters, scenes, challenges and fellowships
+ *
+ * A new object must have every required contents field. An update only carries
+ * the contents fields that change, since they are merged into the object, so
+ * only those are checked; its tags replace the tags players edit on the object
+ * and are checked in full. Problems come back as { field, message } so they can be sent to whoever
+ * sent the action.
+ */
+
+const StatusTiers = require('../shared/statusTiers');
+const FellowshipRelationships = require('../shared/fellowshipRelationships');
+const ThemeCards = require('../shared/themeCards');
+
+const isPlainObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Make a check for a single value
+ * @param {Function} test - Returns true if the value is valid
+ * @param {string} message - What is wrong with an invalid value
+ * @returns {Function} Check taking (value, field, errors)
+ */
+function check(test, message) {
+  return (value, field, errors) => {
+    if (!test(value)) {
+      errors.push({ field, message });
+    }
+  };
+}
+
+const text = check(value => typeof value === 'string', 'must be text');
+const name = check(value => typeof value === 'string' && value.trim().length > 0, 'must not be empty');
+const flag = check(value => typeof value === 'boolean', 'must be true or false');
+const number = check(Number.isFinite, 'must be a number');
+
+function wholeNumber(min, max) {
+  return check(value => Number.isInteger(value) && value >= min && (max === undefined || value <= max),
+    max === undefined ? `must be a whole number from ${min}` : `must be a whole number from ${min} to ${max}`);
+}
+
+function oneOf(values) {
+  return check(value => values.includes(value), `must be one of ${values.join(', ')}`);
+}
+
+// A field that may be left out
+function optional(validate) {
+  const validateOptional = (value, field, errors) => validate(value, field, errors);
+  validateOptional.optional = true;
+  return validateOptional;
+}
+
+function nullable(validate) {
+  return (value, field, errors) => {
+    if (value !== null) validate(value, field, errors);
+  };
+}
+
+function listOf(validateItem) {
+  return (value, field, errors) => {
+    if (!Array.isArray(value)) {
+      errors.push({ field, message: 'must be a list' });
+      return;
+    }
+    value.forEach((item, index) => validateItem(item, `${field}[${index}]`, errors));
+  };
+}
+
+// An object keyed by name, such as a group of tags
+function mapOf(validateEntry) {
+  return (value, field, errors) => {
+    if (!isPlainObject(value)) {
+      errors.push({ field, message: 'must be an object' });
+      return;
+    }
+    Object.entries(value).forEach(([key, entry]) => validateEntry(entry, `${field}.${key}`, errors));
+  };
+}
+
+/**
+ * Check the fields of an object
+ * @param {Object} fields - Check for each field, marked optional if it may be left out
+ * @param {Object} value - Object to check
+ * @param {string} path - Field name of the object
+ * @param {Array} errors - Problems found so far
+ * @param {boolean} partial - Only check the fields that are there
+ */
+function checkFields(fields, value, path, errors, partial = false) {
+  Object.entries(fields).forEach(([key, validate]) => {
+    const field = `${path}.${key}`;
+    if (value[key] === undefined) {
+      if (!partial && !validate.optional) {
+        errors.push({ field, message: 'is required' });
+      }
+    } else {
+      validate(value[key], field, errors);
+    }
+  });
+}
+
+// An object with the given fields; fields not listed are left alone
+function shape(fields) {
+  return (value, field, errors) => {
+    if (!isPlainObject(value)) {
+      errors.push({ field, message: 'must be an object' });
+      return;
+    }
+    checkFields(fields, value, field, errors);
+  };
+}
+
+const TAG = shape({
+  modifier: optional(number),
+  scratched: optional(flag),
+  trackValue: optional(wholeNumber(0, StatusTiers.MAX_TIER)),
+  checkedValues: optional(listOf(wholeNumber(StatusTiers.MIN_TIER, StatusTiers.MAX_TIER)))
+});
+
+// Tags of an object, where the named groups hold tags of their own
+function tags(groups = []) {
+  return (value, field, errors) => {
+    if (!isPlainObject(value)) {
+      errors.push({ field, message: 'must be an object' });
+      return;
+    }
+    Object.entries(value).forEach(([key, tag]) => {
+      (groups.includes(key) ? mapOf(TAG) : TAG)(tag, `${field}.${key}`, errors);
+    });
+  };
+}
+
+const THEME_TRACK = optional(wholeNumber(0, ThemeCards.THEME_TRACK_LENGTH));
+
+const THEME_CARD = shape({
+  type: text,
+  quest: optional(text),
+  level: optional(wholeNumber(1)),
+  themebook: optional(text),
+  might: optional(text),
+  attributes: listOf(shape({ name: name, effect: oneOf(['positive', 'negative']) })),
+  specialImprovements: optional(listOf(text)),
+  tracks: optional(shape({ abandon: THEME_TRACK, improve: THEME_TRACK, milestone: THEME_TRACK }))
+});
+
+const FELLOWSHIP_THEME_CARD = shape({
+  themeTag: text,
+  quest: optional(text),
+  positiveAttributes: listOf(text),
+  negativeAttributes: listOf(text),
+  specialImprovements: optional(listOf(text)),
+  abandonTrack: THEME_TRACK,
+  improveTrack: THEME_TRACK,
+  milestoneTrack: THEME_TRACK
+});
+
+const CHALLENGE_FIELDS = {
+  title: name,
+  details: optional(text),
+  success: optional(text),
+  consequences: optional(text),
+  limits: optional(listOf(shape({ name: name, max: wholeNumber(StatusTiers.MIN_TIER, StatusTiers.MAX_TIER) }))),
+  tags: optional(tags()),
+  revealed: optional(flag),
+  overcome: optional(flag),
+  overcomeAt: optional(nullable(text))
+};
+
+// Tags of each object type that hold tags of their own
+const TAG_GROUPS = {
+  character: ['companions', 'quintessences', 'backpack'],
+  scene: [],
+  challenge: [],
+  fellowship: [FellowshipRelationships.RELATIONSHIP_TAG_TYPE]
+};
+
+// Contents fields and tag groups of each object type
+const OBJECT_SCHEMAS = {
+  character: {
+    contents: {
+      characterName: name,
+      playerName: optional(text),
+      promise: optional(shape({ progress: wholeNumber(0, ThemeCards.MAX_PROMISE) })),
+      themeCards: optional(listOf(THEME_CARD)),
+      notes: optional(text)
+    },
+    tags: tags(TAG_GROUPS.character)
+  },
+  scene: {
+    contents: {
+      name: name,
+      description: optional(text),
+      image: optional(nullable(text)),
+      challenges: optional(listOf(shape({ id: name, ...CHALLENGE_FIELDS })))
+    },
+    tags: tags(TAG_GROUPS.scene)
+  },
+  challenge: {
+    contents: CHALLENGE_FIELDS,
+    tags: tags(TAG_GROUPS.challenge)
+  },
+  fellowship: {
+    contents: {
+      themeCards: listOf(FELLOWSHIP_THEME_CARD)
+    },
+    tags: tags(TAG_GROUPS.fellowship)
+  }
+};
+
+const OBJECT_TYPES = Object.keys(OBJECT_SCHEMAS);
+
+/**
+ * Check the contents and tags of a game object against its type's schema
+ * @param {string} type - Object type
+ * @param {Object} data - { contents, tags } being created or sent in an update
+ * @param {boolean} isUpdate - The contents are merged into an existing object, so may leave fields out
+ * @returns {Array} Invalid fields as { field, message }, empty if there are none
+ */
+function validateObject(type, data, isUpdate = false) {
+  const schema = OBJECT_SCHEMAS[type];
+  if (!schema) {
+    return [{ field: 'objectType', message: `must be one of ${OBJECT_TYPES.join(', ')}` }];
+  }
+
+  const errors = [];
+  if (data.contents !== undefined || !isUpdate) {
+    if (isPlainObject(data.contents)) {
+      checkFields(schema.contents, data.contents, 'contents', errors, isUpdate);
+      // Contents are merged into the object, so nothing outside the schema may come along
+      Object.keys(data.contents)
+        .filter(key => !(key in schema.contents))
+        .forEach(key => errors.push({ field: `contents.${key}`, message: `is not a ${type} field` }));
+    } else {
+      errors.push({ field: 'contents', message: 'must be an object' });
+    }
+  }
+  if (data.tags !== undefined) {
+    schema.tags(data.tags, 'tags', errors);
+  }
+  return errors;
+}
+
+module.exports = {
+  OBJECT_TYPES,
+  TAG_GROUPS,
+  validateObject
+};
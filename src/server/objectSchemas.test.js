@@ -0,0 +1,165 @@
+/**
+ * Tests for the game object schemas
+ */
+
+const { OBJECT_TYPES, validateObject } = require('./objectSchemas');
+
+const fields = errors => errors.map(error => error.field);
+
+describe('validateObject', () => {
+  test('rejects an unknown object type', () => {
+    expect(fields(validateObject('dragon', { contents: {} }))).toEqual(['objectType']);
+  });
+
+  test('knows every object type', () => {
+    expect(OBJECT_TYPES).toEqual(['character', 'scene', 'challenge', 'fellowship']);
+  });
+
+  describe('character', () => {
+    const character = {
+      contents: {
+        characterName: 'Wren',
+        playerName: 'Sam',
+        promise: { progress: 2 },
+        themeCards: [{
+          type: 'Wanderer',
+          quest: 'See the far shore',
+          level: 1,
+          attributes: [{ name: 'light step', effect: 'positive' }, { name: 'rootless', effect: 'negative' }],
+          specialImprovements: [],
+          tracks: { abandon: 0, improve: 1, milestone: 3 }
+        }],
+        notes: ''
+      },
+      tags: {
+        Wounded: { modifier: -2, trackValue: 2, checkedValues: [2] },
+        backpack: { Rope: { modifier: 1, scratched: false } },
+        companions: {},
+        quintessences: {}
+      }
+    };
+
+    test('accepts a valid new character', () => {
+      expect(validateObject('character', character)).toEqual([]);
+    });
+
+    test('accepts an update with only the changed fields', () => {
+      expect(validateObject('character', { contents: { notes: 'Owes the ferryman' } }, true)).toEqual([]);
+    });
+
+    test('requires a name for a new character but not for an update', () => {
+      expect(fields(validateObject('character', { contents: {} }))).toEqual(['contents.characterName']);
+      expect(validateObject('character', { contents: {} }, true)).toEqual([]);
+    });
+
+    test('rejects unknown contents fields', () => {
+      const errors = validateObject('character', { contents: { ...character.contents, isGM: true } });
+      expect(errors).toEqual([{ field: 'contents.isGM', message: 'is not a character field' }]);
+    });
+
+    test('rejects tracks and promise beyond their length', () => {
+      const card = { ...character.contents.themeCards[0], tracks: { abandon: 4, improve: 0, milestone: 0 } };
+      const errors = validateObject('character', { contents: { promise: { progress: 6 }, themeCards: [card] } }, true);
+      expect(fields(errors)).toEqual(['contents.promise.progress', 'contents.themeCards[0].tracks.abandon']);
+    });
+  });
+
+  describe('scene', () => {
+    const scene = {
+      contents: {
+        name: 'The Drowned Chapel',
+        description: 'Water to the knees',
+        image: null,
+        challenges: [{ id: 'challenge_1', title: 'Rising tide', limits: [{ name: 'flooded', max: 3 }], tags: {} }]
+      },
+      tags: { 'dim light': { modifier: -1 } }
+    };
+
+    test('accepts a valid new scene', () => {
+      expect(validateObject('scene', scene)).toEqual([]);
+    });
+
+    test('accepts an update with only the changed fields', () => {
+      expect(validateObject('scene', { contents: { description: 'Water to the waist' } }, true)).toEqual([]);
+    });
+
+    test('rejects unknown contents fields', () => {
+      const errors = validateObject('scene', { contents: { ...scene.contents, owner: 'someone' } });
+      expect(errors).toEqual([{ field: 'contents.owner', message: 'is not a scene field' }]);
+    });
+
+    test('rejects a scene challenge with a limit out of range', () => {
+      const challenges = [{ id: 'challenge_1', title: 'Rising tide', limits: [{ name: 'flooded', max: 7 }] }];
+      const errors = validateObject('scene', { contents: { challenges } }, true);
+      expect(fields(errors)).toEqual(['contents.challenges[0].limits[0].max']);
+    });
+  });
+
+  describe('challenge', () => {
+    const challenge = {
+      contents: {
+        title: 'Bog Troll',
+        details: 'Hungry',
+        limits: [{ name: 'harm', max: 4 }],
+        revealed: false,
+        overcome: false,
+        overcomeAt: null
+      },
+      tags: { huge: { modifier: 1 } }
+    };
+
+    test('accepts a valid new challenge', () => {
+      expect(validateObject('challenge', challenge)).toEqual([]);
+    });
+
+    test('accepts an update with only the changed fields', () => {
+      expect(validateObject('challenge', { contents: { revealed: true } }, true)).toEqual([]);
+    });
+
+    test('rejects unknown contents fields', () => {
+      const errors = validateObject('challenge', { contents: { ...challenge.contents, hitPoints: 10 } });
+      expect(errors).toEqual([{ field: 'contents.hitPoints', message: 'is not a challenge field' }]);
+    });
+
+    test('checks the tags of an update in full', () => {
+      expect(fields(validateObject('challenge', { tags: null }, true))).toEqual(['tags']);
+      expect(fields(validateObject('challenge', { tags: { huge: { modifier: 'big' } } }, true)))
+        .toEqual(['tags.huge.modifier']);
+    });
+  });
+
+  describe('fellowship', () => {
+    const fellowship = {
+      contents: {
+        themeCards: [{
+          themeTag: 'Sworn to the road',
+          quest: 'Reach the capital',
+          positiveAttributes: ['shared supplies'],
+          negativeAttributes: ['old grudges'],
+          specialImprovements: [],
+          abandonTrack: 0,
+          improveTrack: 2,
+          milestoneTrack: 1
+        }]
+      },
+      tags: {}
+    };
+
+    test('accepts a valid new fellowship', () => {
+      expect(validateObject('fellowship', fellowship)).toEqual([]);
+    });
+
+    test('accepts an update with only the changed fields', () => {
+      expect(validateObject('fellowship', { tags: { 'in good spirits': { modifier: 1 } } }, true)).toEqual([]);
+    });
+
+    test('rejects unknown contents fields', () => {
+      const errors = validateObject('fellowship', { contents: { ...fellowship.contents, leader: 'Wren' } });
+      expect(errors).toEqual([{ field: 'contents.leader', message: 'is not a fellowship field' }]);
+    });
+
+    test('requires the theme cards of a new fellowship', () => {
+      expect(fields(validateObject('fellowship', { contents: {} }))).toEqual(['contents.themeCards']);
+    });
+  });
+});
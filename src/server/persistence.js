@@ -1,68 +1,161 @@
 /**
  * Data Persistence Manager for LitMPlayer
- * Handles saving and loading session data to/from JSON files
+ * Handles saving and loading session data through a storage backend
+ *
+ * Saves are queued per session, so overlapping saves land in the order they
+ * were made. Before a save replaces a session, the previous copy is kept as a
+ * timestamped backup.
  */
 
-const fs = require('fs').promises;
-const path = require('path');
+const { createStorage } = require('./storage');
+const { migrateObjectIds } = require('./objectIds');
+
+const MAX_BACKUPS = 10;
+const BACKUP_INTERVAL = 5 * 60 * 1000; // At most one backup every 5 minutes
+const BACKUP_ID_PATTERN = /^[0-9TZ-]+$/;
 
 class PersistenceManager {
-  constructor() {
-    this.dataDir = path.join(process.cwd(), 'data');
-    this.sessionsDir = path.join(this.dataDir, 'sessions');
-    this.ensureDataDirectories();
+  /**
+   * @param {Object} storage - Storage backend (defaults to JSON files under data/)
+   */
+  constructor(storage = createStorage()) {
+    this.storage = storage;
+    this.maxBackups = MAX_BACKUPS;
+    this.backupInterval = BACKUP_INTERVAL;
+    this.writeQueues = new Map(); // sessionId -> promise of the last queued save
+  }
+
+  /**
+   * Save session data
+   * The data is serialized straight away, so queued saves keep the state they were called with.
+   * @param {string} sessionId - Session identifier
+   * @param {Object} sessionData - Complete session data
+   * @returns {Promise} Resolves once the data has been written, rejects if the write failed
+   */
+  saveSessionData(sessionId, sessionData) {
+    const dataToSave = JSON.parse(JSON.stringify({
+      sessionId,
+      lastSaved: new Date().toISOString(),
+      ...sessionData
+    }));
+    const previous = this.writeQueues.get(sessionId) || Promise.resolve();
+
+    const write = previous.then(async () => {
+      // A failed backup is no reason to lose the save itself
+      try {
+        await this.backupSession(sessionId);
+      } catch (error) {
+        console.error(`Error backing up session ${sessionId}:`, error);
+      }
+      await this.storage.saveSession(sessionId, dataToSave);
+      console.log(`💾 Saved session data for ${sessionId}`);
+    });
+
+    // The queue carries on after a failed write; the caller hears about it
+    this.writeQueues.set(sessionId, write.catch(error => {
+      console.error(`Error saving session data for ${sessionId}:`, error);
+    }));
+    return write;
+  }
+
+  /**
+   * Keep a copy of a session's saved data as a backup before it is replaced
+   * Skipped if the newest backup is recent; the oldest backups beyond the limit are removed.
+   * @param {string} sessionId - Session identifier
+   */
+  async backupSession(sessionId) {
+    const backupIds = (await this.storage.listBackups(sessionId))
+      .map(backup => backup.backupId)
+      .filter(backupId => BACKUP_ID_PATTERN.test(backupId));
+
+    const newest = backupIds[backupIds.length - 1];
+    if (newest && Date.now() - this.getBackupTime(newest) < this.backupInterval) {
+      return;
+    }
+
+    const backupId = new Date().toISOString().replace(/[:.]/g, '-');
+    // Nothing to back up before the first save
+    if (!(await this.storage.createBackup(sessionId, backupId))) return;
+
+    const expired = [...backupIds, backupId].slice(0, -this.maxBackups);
+    for (const expiredId of expired) {
+      await this.storage.deleteBackup(sessionId, expiredId);
+    }
   }
 
   /**
-   * Ensure data directories exist
+   * Get the time a backup was taken from its ID
+   * @param {string} backupId - Backup ID (an ISO timestamp with ':' and '.' replaced by '-')
+   * @returns {number} Milliseconds since the epoch
    */
-  async ensureDataDirectories() {
+  getBackupTime(backupId) {
+    const [date, time] = backupId.split('T');
+    const [hours, minutes, seconds, millis] = time.replace('Z', '').split('-');
+    return Date.parse(`${date}T${hours}:${minutes}:${seconds}.${millis}Z`);
+  }
+
+  /**
+   * Get list of a session's backups
+   * @param {string} sessionId - Session identifier
+   * @returns {Array} Backup metadata, newest first
+   */
+  async getSessionBackups(sessionId) {
     try {
-      await fs.mkdir(this.dataDir, { recursive: true });
-      await fs.mkdir(this.sessionsDir, { recursive: true });
+      const backups = await this.storage.listBackups(sessionId);
+      return backups
+        .filter(backup => BACKUP_ID_PATTERN.test(backup.backupId))
+        .reverse()
+        .map(backup => ({
+          backupId: backup.backupId,
+          created: new Date(this.getBackupTime(backup.backupId)).toISOString(),
+          size: backup.size
+        }));
     } catch (error) {
-      console.error('Error creating data directories:', error);
+      console.error(`Error getting backups for session ${sessionId}:`, error);
+      return [];
     }
   }
 
   /**
-   * Save session data to file
+   * Load a session backup
    * @param {string} sessionId - Session identifier
-   * @param {Object} sessionData - Complete session data
+   * @param {string} backupId - Backup identifier
+   * @returns {Object|null} Complete session data or null if not found
    */
-  async saveSessionData(sessionId, sessionData) {
+  async loadBackup(sessionId, backupId) {
+    if (!BACKUP_ID_PATTERN.test(backupId || '')) return null;
+
     try {
-      const filePath = path.join(this.sessionsDir, `${sessionId}.json`);
-      const dataToSave = {
-        sessionId,
-        lastSaved: new Date().toISOString(),
-        ...sessionData
+      const data = await this.storage.loadBackup(sessionId, backupId);
+      if (!data) return null;
+
+      console.log(`📂 Loaded backup ${backupId} for session ${sessionId}`);
+      const session = this.deserializeSession(data.session);
+      return {
+        session: session,
+        gameState: this.deserializeGameState(data.gameState, this.getObjectIdScope(sessionId, session))
       };
-      
-      await fs.writeFile(filePath, JSON.stringify(dataToSave, null, 2));
-      console.log(`💾 Saved session data for ${sessionId}`);
     } catch (error) {
-      console.error(`Error saving session data for ${sessionId}:`, error);
+      console.error(`Error loading backup ${backupId} for session ${sessionId}:`, error);
+      return null;
     }
   }
 
   /**
-   * Load session data from file
+   * Load session data
    * @param {string} sessionId - Session identifier
    * @returns {Object|null} Session data or null if not found
    */
   async loadSessionData(sessionId) {
     try {
-      const filePath = path.join(this.sessionsDir, `${sessionId}.json`);
-      const data = await fs.readFile(filePath, 'utf8');
-      const sessionData = JSON.parse(data);
-      console.log(`📂 Loaded session data for ${sessionId}`);
-      return sessionData;
-    } catch (error) {
-      if (error.code === 'ENOENT') {
+      const sessionData = await this.storage.loadSession(sessionId);
+      if (!sessionData) {
         console.log(`📂 No saved data found for session ${sessionId}`);
         return null;
       }
+      console.log(`📂 Loaded session data for ${sessionId}`);
+      return sessionData;
+    } catch (error) {
       console.error(`Error loading session data for ${sessionId}:`, error);
       return null;
     }
@@ -74,25 +167,16 @@ class PersistenceManager {
    */
   async getAllSessions() {
     try {
-      const files = await fs.readdir(this.sessionsDir);
-      const sessions = [];
-      
-      for (const file of files) {
-        if (file.endsWith('.json')) {
-          const sessionId = file.replace('.json', '');
-          const sessionData = await this.loadSessionData(sessionId);
-          if (sessionData) {
-            sessions.push({
-              sessionId,
-              name: sessionData.session?.name || sessionId,
-              created: sessionData.session?.created,
-              lastSaved: sessionData.lastSaved,
-              playerCount: sessionData.session?.players?.size || 0,
-              isActive: sessionData.session?.isActive || false
-            });
-          }
-        }
-      }
+      const summaries = await this.storage.listSessions();
+      const sessions = summaries.map(summary => ({
+        sessionId: summary.sessionId,
+        name: summary.name,
+        campaignId: summary.campaignId,
+        created: summary.created,
+        lastSaved: summary.lastSaved,
+        playerCount: summary.playerCount,
+        isActive: summary.isActive
+      }));
       
       return sessions.sort((a, b) => new Date(b.lastSaved) - new Date(a.lastSaved));
     } catch (error) {
@@ -108,22 +192,8 @@ class PersistenceManager {
    */
   async getSessionPlayers(sessionId) {
     try {
-      const sessionData = await this.loadSessionData(sessionId);
-      if (!sessionData || !sessionData.session) return [];
-      
-      const players = [];
-      if (sessionData.session.players) {
-        // Handle both Map and Array formats
-        const playerList = sessionData.session.players instanceof Map 
-          ? Array.from(sessionData.session.players.values())
-          : Array.isArray(sessionData.session.players) 
-            ? sessionData.session.players 
-            : Object.values(sessionData.session.players);
-        
-        players.push(...playerList.map(p => p.name).filter(Boolean));
-      }
-      
-      return [...new Set(players)]; // Remove duplicates
+      const summary = await this.storage.getSessionSummary(sessionId);
+      return summary ? summary.players : [];
     } catch (error) {
       console.error(`Error getting players for session ${sessionId}:`, error);
       return [];
@@ -135,15 +205,17 @@ class PersistenceManager {
    * @param {string} sessionId - Session identifier
    */
   async deleteSessionData(sessionId) {
+    // Let a queued save finish first so it can't put the session back
+    await this.writeQueues.get(sessionId);
+    this.writeQueues.delete(sessionId);
+
     try {
-      const filePath = path.join(this.sessionsDir, `${sessionId}.json`);
-      await fs.unlink(filePath);
-      console.log(`🗑️ Deleted session data for ${sessionId}`);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
+      if (await this.storage.deleteSession(sessionId)) {
+        console.log(`🗑️ Deleted session data for ${sessionId}`);
+      } else {
         console.log(`🗑️ No data to delete for session ${sessionId}`);
-        return;
       }
+    } catch (error) {
       console.error(`Error deleting session data for ${sessionId}:`, error);
     }
   }
@@ -172,12 +244,25 @@ class PersistenceManager {
     const data = await this.loadSessionData(sessionId);
     if (!data) return null;
     
+    const session = this.deserializeSession(data.session);
     return {
-      session: this.deserializeSession(data.session),
-      gameState: this.deserializeGameState(data.gameState)
+      session: session,
+      gameState: this.deserializeGameState(data.gameState, this.getObjectIdScope(sessionId, session))
     };
   }
 
+  /**
+   * Get the scope legacy object IDs in a session's save were issued in
+   * A campaign session's objects are shared with the campaign, so they are
+   * migrated the same way as the campaign's own save.
+   * @param {string} sessionId - Session identifier
+   * @param {Object} session - Deserialized session
+   * @returns {string} Campaign or session ID
+   */
+  getObjectIdScope(sessionId, session) {
+    return session?.campaignId || sessionId;
+  }
+
   /**
    * Serialize session data for storage
    * @param {Object} session - Session object
@@ -231,11 +316,17 @@ class PersistenceManager {
 
   /**
    * Deserialize game state from storage
+   * Saves from before per-session object IDs have their 'obj_N' IDs replaced.
    * @param {Object} gameStateData - Serialized game state data
+   * @param {string} objectIdScope - Session or campaign the save's object IDs were issued in
    * @returns {Object} Deserialized game state
    */
-  deserializeGameState(gameStateData) {
+  deserializeGameState(gameStateData, objectIdScope = null) {
     if (!gameStateData) return null;
+
+    if (objectIdScope) {
+      gameStateData = migrateObjectIds(gameStateData, objectIdScope);
+    }
     
     return {
       ...gameStateData,
@@ -268,23 +359,31 @@ class PersistenceManager {
    */
   async getSessionStats(sessionId) {
     try {
-      const sessionData = await this.loadSessionData(sessionId);
-      if (!sessionData) return null;
+      const summary = await this.storage.getSessionSummary(sessionId);
+      if (!summary) return null;
       
       return {
         sessionId,
-        totalChatMessages: sessionData.gameState?.chat?.length || 0,
-        totalDiceRolls: sessionData.gameState?.diceRolls?.length || 0,
-        totalNotes: sessionData.gameState?.notes?.length || 0,
-        totalGameObjects: sessionData.gameState?.gameObjects?.length || 0,
-        lastSaved: sessionData.lastSaved,
-        created: sessionData.session?.created
+        totalChatMessages: summary.totalChatMessages,
+        totalDiceRolls: summary.totalDiceRolls,
+        totalNotes: summary.totalNotes,
+        totalGameObjects: summary.totalGameObjects,
+        lastSaved: summary.lastSaved,
+        created: summary.created
       };
     } catch (error) {
       console.error(`Error getting stats for session ${sessionId}:`, error);
       return null;
     }
   }
+
+  /**
+   * Finish queued saves and release the storage
+   */
+  async close() {
+    await Promise.all(this.writeQueues.values());
+    await this.storage.close();
+  }
 }
 
 module.exports = PersistenceManager;
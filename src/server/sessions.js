@@ -3,28 +3,58 @@
  * Handles game session creation, management, and player tracking
  */
 
+const crypto = require('crypto');
 const PersistenceManager = require('./persistence');
+const SessionJournal = require('./journal');
+const CampaignManager = require('./campaigns');
 
 class SessionManager {
-  constructor() {
+  /**
+   * @param {GameStateManager} gameStateManager - Holds the game state saved with each session
+   * @param {Object} options - Storage and timing options
+   * @param {Object} options.storage - Storage backend (defaults to JSON files)
+   * @param {number} options.sessionTimeout - How long a session with no players stays in memory (ms)
+   * @param {number} options.autoSaveInterval - How often changed sessions are saved (ms)
+   */
+  constructor(gameStateManager, options = {}) {
+    this.gameStateManager = gameStateManager;
     this.sessions = new Map();
     this.maxPlayersPerSession = 10;
-    this.sessionTimeout = 3600000; // 1 hour in milliseconds
-    this.persistence = new PersistenceManager();
-    this.autoSaveInterval = 30000; // 30 seconds
-    this.autoSaveTimers = new Map();
+    this.sessionTimeout = options.sessionTimeout || 3600000; // 1 hour in milliseconds
+    this.persistence = new PersistenceManager(options.storage);
+    this.journal = new SessionJournal(this.persistence.storage);
+    this.campaigns = new CampaignManager(this.persistence.storage);
+    this.autoSaveInterval = options.autoSaveInterval || 30000; // 30 seconds
+    this.dirtySessions = new Set(); // Sessions changed since they were last saved
+    this.autoSaveTimer = null;
+    this.cleanupTimer = null;
     
-    // Start auto-save cleanup
-    this.startAutoSaveCleanup();
+    // Start saving changed sessions and evicting idle ones
+    this.startAutoSave();
+    this.startSessionCleanup();
   }
 
   /**
    * Create a new game session
    * @param {string} sessionId - Unique session identifier
    * @param {Object} options - Session configuration options
+   * @param {string} options.campaignId - Campaign the session is played in
+   * @param {string} options.narratorPassphrase - Narrator passphrase chosen by the session's creator
+   *   (a session of a campaign is only created with the campaign's passphrase)
    * @returns {Object} The created session
    */
   async createSession(sessionId, options = {}) {
+    if (options.campaignId) {
+      const campaign = await this.campaigns.getCampaign(options.campaignId);
+      if (!campaign) {
+        throw new Error('Campaign not found');
+      }
+      // Starting a session sets the campaign's idle sessions aside, so only its narrator may
+      if (!this.matchesNarratorCredential(campaign.narratorCredential, options.narratorPassphrase)) {
+        throw new Error('Incorrect narrator passphrase for this campaign');
+      }
+    }
+
     if (this.sessions.has(sessionId)) {
       throw new Error('Session already exists');
     }
@@ -32,6 +62,7 @@ class SessionManager {
     const session = {
       id: sessionId,
       name: options.name || `Session ${sessionId}`,
+      campaignId: options.campaignId || null,
       created: new Date().toISOString(),
       lastActivity: new Date().toISOString(),
       players: new Map(),
@@ -43,14 +74,12 @@ class SessionManager {
         ...options.settings
       }
     };
+    if (options.narratorPassphrase && !session.campaignId) {
+      session.narratorCredential = this.createNarratorCredential(options.narratorPassphrase);
+    }
 
     this.sessions.set(sessionId, session);
     
-    // Start auto-save if enabled
-    if (session.settings.autoSave) {
-      this.startAutoSave(sessionId);
-    }
-    
     console.log(`🎮 Created new session: ${sessionId}`);
     
     return session;
@@ -62,31 +91,105 @@ class SessionManager {
    * @returns {Object|null} The loaded session or null
    */
   async loadSession(sessionId) {
+    let savedData;
     try {
-      const savedData = await this.persistence.loadCompleteSession(sessionId);
-      if (!savedData) return null;
-
-      const session = savedData.session;
-      const gameState = savedData.gameState;
-
-      // Restore session to memory
-      this.sessions.set(sessionId, session);
-      
-      // Start auto-save if enabled
-      if (session.settings.autoSave) {
-        this.startAutoSave(sessionId);
-      }
-      
-      console.log(`📂 Loaded existing session: ${sessionId}`);
-      console.log(`   - Session data: ${!!session}`);
-      console.log(`   - Game state data: ${!!gameState}`);
-      console.log(`   - Game objects count: ${gameState?.gameObjects?.length || 0}`);
-      
-      return { session, gameState };
+      savedData = await this.persistence.loadCompleteSession(sessionId);
     } catch (error) {
       console.error(`Error loading session ${sessionId}:`, error);
       return null;
     }
+    if (!savedData) return null;
+
+    const session = savedData.session;
+    let gameState = savedData.gameState;
+
+    // A session of a campaign plays with the campaign's objects (and can't while another session has them)
+    if (session.campaignId) {
+      gameState = await this.attachCampaign(session, gameState);
+    }
+
+    // Restore session to memory
+    this.sessions.set(sessionId, session);
+    
+    console.log(`📂 Loaded existing session: ${sessionId}`);
+    console.log(`   - Session data: ${!!session}`);
+    console.log(`   - Game state data: ${!!gameState}`);
+    console.log(`   - Game objects count: ${gameState?.gameObjects?.length || 0}`);
+    
+    return { session, gameState };
+  }
+
+  /**
+   * Create a campaign, which new sessions can then be played in
+   * @param {string} name - Campaign name
+   * @param {string} narratorPassphrase - Narrator passphrase shared by the campaign's sessions
+   * @returns {Object} The created campaign
+   */
+  async createCampaign(name, narratorPassphrase) {
+    return await this.campaigns.createCampaign(name, this.createNarratorCredential(narratorPassphrase));
+  }
+
+  /**
+   * Get the summaries of every saved campaign
+   * @returns {Array} Campaign summaries
+   */
+  async getCampaigns() {
+    return await this.campaigns.listCampaigns();
+  }
+
+  /**
+   * Bring a session up to date with its campaign
+   * The session gets the campaign's objects, narrator passphrase and player
+   * identities, so players keep their name and characters from one session to the next.
+   * @param {Object} session - Session of a campaign
+   * @param {Object} gameState - The session's saved game state, if it has one
+   * @returns {Object} Game state with the campaign's objects
+   */
+  async attachCampaign(session, gameState) {
+    await this.releaseCampaign(session.campaignId, session.id);
+
+    const campaign = await this.campaigns.getCampaign(session.campaignId);
+    if (!campaign) {
+      console.warn(`⚠️ Campaign ${session.campaignId} of session ${session.id} not found; playing the session on its own`);
+      session.campaignId = null;
+      return gameState;
+    }
+
+    session.narratorCredential = campaign.narratorCredential;
+    session.playerIdentities = { ...campaign.playerIdentities, ...this.getPlayerIdentities(session) };
+
+    return {
+      ...gameState,
+      gameObjects: this.campaigns.mergeGameObjects(campaign, gameState?.gameObjects || [])
+    };
+  }
+
+  /**
+   * Make sure no other session of a campaign is loaded
+   * Each session saves its objects back to the campaign, so a campaign is played
+   * one session at a time. Idle sessions of the campaign are saved and evicted.
+   * @param {string} campaignId - Campaign identifier
+   * @param {string} sessionId - Session about to play the campaign
+   */
+  async releaseCampaign(campaignId, sessionId) {
+    const otherSessions = this.getAllSessions()
+      .filter(session => session.campaignId === campaignId && session.id !== sessionId);
+
+    for (const session of otherSessions) {
+      await this.evictSession(session.id);
+      if (this.sessions.has(session.id)) {
+        throw new Error(`This campaign is being played in session ${session.id}`);
+      }
+    }
+  }
+
+  /**
+   * Check whether a session is loaded or saved
+   * @param {string} sessionId - Session identifier
+   * @returns {boolean} True if the session exists
+   */
+  async sessionExists(sessionId) {
+    return this.sessions.has(sessionId) || !!(await this.persistence.storage.getSessionSummary(sessionId));
   }
 
   /**
@@ -96,6 +199,12 @@ class SessionManager {
    * @returns {Object} Session data
    */
   async getOrCreateSession(sessionId, options = {}) {
+    // A session already in memory is live; reloading it would drop its players
+    const liveSession = this.getSession(sessionId);
+    if (liveSession) {
+      return { session: liveSession, gameState: null };
+    }
+
     // Try to load existing session first
     const existingData = await this.loadSession(sessionId);
     if (existingData) {
@@ -104,13 +213,25 @@ class SessionManager {
 
     // Create new session if none exists
     const session = await this.createSession(sessionId, options);
-    return { session, gameState: null };
+    if (!session.campaignId) {
+      return { session, gameState: null };
+    }
+
+    // A new session of a campaign starts from the campaign's objects
+    try {
+      return { session, gameState: await this.attachCampaign(session, null) };
+    } catch (error) {
+      this.sessions.delete(sessionId);
+      throw error;
+    }
   }
 
   /**
    * Add a player to a session
+   * Players are keyed by their player id, so a player already in the session is
+   * reconnecting and simply moves to their new socket
    * @param {string} sessionId - Session identifier
-   * @param {Object} player - Player object
+   * @param {Object} player - Player object ({ id, socketId, name, isGM })
    * @returns {Object} Updated session
    */
   addPlayerToSession(sessionId, player) {
@@ -119,29 +240,14 @@ class SessionManager {
       throw new Error('Session not found');
     }
 
-    if (session.players.size >= session.maxPlayers) {
-      throw new Error('Session is full');
-    }
-
-    // Check if player with same ID already exists
-    if (session.players.has(player.id)) {
-      throw new Error('Player already in session');
-    }
-
-    // Check if a player with the same name already exists and handle reconnection
-    const existingPlayer = Array.from(session.players.values()).find(p => p.name === player.name);
+    const existingPlayer = session.players.get(player.id);
     if (existingPlayer) {
-      // Remove the existing player entry completely
-      session.players.delete(existingPlayer.id);
-      
-      // Create a new player entry with the new socket ID
-      const updatedPlayer = {
+      session.players.set(player.id, {
         ...existingPlayer,
-        id: player.id, // Use the new socket ID
+        socketId: player.socketId, // Use the new socket
         isGM: player.isGM, // Update GM status if changed
         joinedAt: new Date().toISOString() // Update join time
-      };
-      session.players.set(player.id, updatedPlayer);
+      });
       session.lastActivity = new Date().toISOString();
       session.isActive = true;
 
@@ -149,6 +255,10 @@ class SessionManager {
       return session;
     }
 
+    if (session.players.size >= session.maxPlayers) {
+      throw new Error('Session is full');
+    }
+
     // Add new player to session
     session.players.set(player.id, player);
     session.lastActivity = new Date().toISOString();
@@ -159,6 +269,85 @@ class SessionManager {
     return session;
   }
 
+  /**
+   * Work out who is joining a session
+   * A player presenting the reconnect token of their player id keeps it. Anyone
+   * else gets a new player id and reconnect token, unless their name already
+   * belongs to another player of the session.
+   * @param {string} sessionId - Session identifier
+   * @param {string} playerName - Player name
+   * @param {Object} credentials - Player id and reconnect token stored by the client
+   * @returns {Object|null} { playerId, reconnectToken } with a token only when a new
+   *   one was issued, or null if the name is taken
+   */
+  identifyPlayer(sessionId, playerName, credentials = {}) {
+    const session = this.getSession(sessionId);
+    if (!session) {
+      throw new Error('Session not found');
+    }
+
+    const identities = this.getPlayerIdentities(session);
+    const { playerId, reconnectToken } = credentials;
+
+    const identity = playerId ? identities[playerId] : null;
+    if (identity && identity.name === playerName && this.verifyReconnectToken(identity, reconnectToken)) {
+      return { playerId, reconnectToken: null };
+    }
+
+    if (Object.values(identities).some(existing => existing.name === playerName)) {
+      return null;
+    }
+
+    const newPlayerId = `player_${crypto.randomUUID()}`;
+    const newToken = crypto.randomBytes(32).toString('hex');
+    identities[newPlayerId] = {
+      name: playerName,
+      tokenHash: this.hashReconnectToken(newToken),
+      created: new Date().toISOString()
+    };
+
+    console.log(`🪪 Issued player id ${newPlayerId} to ${playerName} in session ${sessionId}`);
+    return { playerId: newPlayerId, reconnectToken: newToken };
+  }
+
+  /**
+   * Get the player identities of a session, keyed by player id
+   * @param {Object} session - Session object
+   * @returns {Object} Player id -> { name, tokenHash, created }
+   */
+  getPlayerIdentities(session) {
+    if (!session.playerIdentities) {
+      session.playerIdentities = {};
+    }
+    return session.playerIdentities;
+  }
+
+  /**
+   * Hash a reconnect token for storage
+   * Tokens are long and random, so a plain SHA-256 is enough
+   * @param {string} token - Reconnect token
+   * @returns {string} Hex digest
+   */
+  hashReconnectToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Check a reconnect token against a player identity
+   * @param {Object} identity - Player identity
+   * @param {string} token - Reconnect token sent by the client
+   * @returns {boolean} True if the token matches
+   */
+  verifyReconnectToken(identity, token) {
+    if (!identity.tokenHash || typeof token !== 'string' || token.length === 0) {
+      return false;
+    }
+
+    const expected = Buffer.from(identity.tokenHash, 'hex');
+    const actual = Buffer.from(this.hashReconnectToken(token), 'hex');
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
   /**
    * Remove a player from a session
    * @param {string} sessionId - Session identifier
@@ -224,6 +413,19 @@ class SessionManager {
     return null;
   }
 
+  /**
+   * Find the player connected on a socket
+   * @param {string} sessionId - Session identifier
+   * @param {string} socketId - Socket ID
+   * @returns {Object|null} Player object or null
+   */
+  getPlayerBySocket(sessionId, socketId) {
+    const session = this.getSession(sessionId);
+    if (!session) return null;
+
+    return Array.from(session.players.values()).find(player => player.socketId === socketId) || null;
+  }
+
   /**
    * Get player name by ID
    * @param {string} sessionId - Session identifier
@@ -238,6 +440,65 @@ class SessionManager {
     return player ? player.name : null;
   }
 
+  /**
+   * Hash a narrator passphrase with a new salt
+   * @param {string} passphrase - Narrator passphrase
+   * @returns {Object} Narrator credential ({ salt, hash })
+   */
+  createNarratorCredential(passphrase) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    return {
+      salt: salt,
+      hash: crypto.scryptSync(passphrase, salt, 64).toString('hex')
+    };
+  }
+
+  /**
+   * Check whether a session has a narrator passphrase
+   * @param {string} sessionId - Session identifier
+   * @returns {boolean} True if a passphrase has been set
+   */
+  hasNarratorPassphrase(sessionId) {
+    return !!this.getSession(sessionId)?.narratorCredential;
+  }
+
+  /**
+   * Check a passphrase against the narrator passphrase of a session
+   * @param {string} sessionId - Session identifier
+   * @param {string} passphrase - Passphrase to check
+   * @returns {boolean} True if the passphrase matches
+   */
+  verifyNarratorPassphrase(sessionId, passphrase) {
+    return this.matchesNarratorCredential(this.getSession(sessionId)?.narratorCredential, passphrase);
+  }
+
+  /**
+   * Check a passphrase against the narrator passphrase of a session, which need not be loaded
+   * @param {string} sessionId - Session identifier
+   * @param {string} passphrase - Passphrase to check
+   * @returns {boolean} True if the passphrase matches
+   */
+  async verifyStoredNarratorPassphrase(sessionId, passphrase) {
+    const session = this.getSession(sessionId) || (await this.persistence.loadCompleteSession(sessionId))?.session;
+    return this.matchesNarratorCredential(session?.narratorCredential, passphrase);
+  }
+
+  /**
+   * Check a passphrase against a narrator credential
+   * @param {Object} credential - Narrator credential ({ salt, hash })
+   * @param {string} passphrase - Passphrase to check
+   * @returns {boolean} True if the passphrase matches
+   */
+  matchesNarratorCredential(credential, passphrase) {
+    if (!credential || typeof passphrase !== 'string' || passphrase.length === 0) {
+      return false;
+    }
+
+    const expected = Buffer.from(credential.hash, 'hex');
+    const actual = crypto.scryptSync(passphrase, credential.salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
   /**
    * Update session activity
    * @param {string} sessionId - Session identifier
@@ -251,34 +512,138 @@ class SessionManager {
 
   /**
    * Delete a session
+   * Idle sessions are evicted from memory, so this deletes saved sessions that aren't loaded too.
    * @param {string} sessionId - Session identifier
    */
   async deleteSession(sessionId) {
-    const session = this.getSession(sessionId);
-    if (!session) return;
-
-    // Stop auto-save
-    this.stopAutoSave(sessionId);
+    // Drop any pending auto-save
+    this.dirtySessions.delete(sessionId);
 
     // Remove from memory
-    this.sessions.delete(sessionId);
+    if (this.sessions.delete(sessionId)) {
+      this.gameStateManager.cleanupSession(sessionId);
+    }
 
     // Delete from storage
     await this.persistence.deleteSessionData(sessionId);
+    await this.journal.deleteJournal(sessionId);
 
     console.log(`🗑️ Deleted session: ${sessionId}`);
   }
 
   /**
    * Save session data
+   * A session of a campaign saves the campaign's objects and player identities to the campaign.
    * @param {string} sessionId - Session identifier
-   * @param {Object} gameState - Game state to save with session
+   * @param {Object} gameState - Game state to save with session (defaults to the session's current state)
+   * @returns {Promise} Rejects if the save failed, leaving the session marked as changed
    */
   async saveSession(sessionId, gameState = null) {
     const session = this.getSession(sessionId);
     if (!session) return;
 
-    await this.persistence.saveCompleteSession(sessionId, session, gameState);
+    // Changes made while the save is under way mark the session dirty again
+    this.dirtySessions.delete(sessionId);
+    let stateToSave = gameState || this.gameStateManager.getSessionState(sessionId);
+
+    let campaignSave = null;
+    if (session.campaignId) {
+      const { campaignObjects, sessionObjects } = this.campaigns.splitGameObjects(stateToSave.gameObjects || []);
+      campaignSave = this.campaigns.saveFromSession(session.campaignId, campaignObjects, this.getPlayerIdentities(session));
+      stateToSave = { ...stateToSave, gameObjects: sessionObjects };
+    }
+
+    try {
+      await Promise.all([this.persistence.saveCompleteSession(sessionId, session, stateToSave), campaignSave]);
+    } catch (error) {
+      // Keep it dirty so the next auto-save tries again
+      this.dirtySessions.add(sessionId);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a session as changed, so the next auto-save writes it
+   * @param {string} sessionId - Session identifier
+   */
+  markSessionDirty(sessionId) {
+    const session = this.getSession(sessionId);
+    if (session && session.settings.autoSave) {
+      this.dirtySessions.add(sessionId);
+    }
+  }
+
+  /**
+   * Save every session that has changed since it was last saved
+   * Also called on shutdown so no changes are lost.
+   */
+  async flushDirtySessions() {
+    const sessionIds = Array.from(this.dirtySessions);
+    let saved = 0;
+    for (const sessionId of sessionIds) {
+      try {
+        await this.saveSession(sessionId);
+        saved++;
+      } catch (error) {
+        console.error(`Auto-save failed for session ${sessionId}, will retry:`, error);
+      }
+    }
+
+    if (saved > 0) {
+      console.log(`🔄 Auto-saved ${saved} session(s)`);
+    }
+  }
+
+  /**
+   * Get the backups kept of a session
+   * @param {string} sessionId - Session identifier
+   * @returns {Array} Backup metadata, newest first
+   */
+  async getSessionBackups(sessionId) {
+    return await this.persistence.getSessionBackups(sessionId);
+  }
+
+  /**
+   * Get the game state to restore from a session backup
+   * Chat, rolls and notes are a record of what happened rather than state to roll
+   * back, so they are kept from the current game state, as are the objects of a
+   * campaign session's campaign. A session that isn't loaded is restored on disk;
+   * a loaded one is left for the caller to restore.
+   * @param {string} sessionId - Session identifier
+   * @param {string} backupId - Backup identifier
+   * @param {Object} currentGameState - Game state of the loaded session, if it is loaded
+   * @returns {Object|null} Restored game state, or null if the backup doesn't exist
+   */
+  async restoreBackup(sessionId, backupId, currentGameState = null) {
+    const backup = await this.persistence.loadBackup(sessionId, backupId);
+    if (!backup) return null;
+
+    const session = this.getSession(sessionId);
+    const saved = session ? null : await this.persistence.loadCompleteSession(sessionId);
+    const current = session ? currentGameState : saved?.gameState;
+
+    const gameState = {
+      ...backup.gameState,
+      chat: current?.chat || backup.gameState?.chat || [],
+      diceRolls: current?.diceRolls || backup.gameState?.diceRolls || [],
+      notes: current?.notes || backup.gameState?.notes || [],
+      lastRoll: current ? current.lastRoll || null : backup.gameState?.lastRoll || null
+    };
+
+    // Saved campaign sessions hold no campaign objects, so only a loaded one has any to keep
+    if ((session || saved?.session || backup.session)?.campaignId) {
+      gameState.gameObjects = [
+        ...this.campaigns.splitGameObjects(backup.gameState?.gameObjects || []).sessionObjects,
+        ...this.campaigns.splitGameObjects(current?.gameObjects || []).campaignObjects
+      ];
+    }
+
+    if (!session) {
+      await this.persistence.saveCompleteSession(sessionId, saved?.session || backup.session, gameState);
+    }
+
+    console.log(`⏪ Restored backup ${backupId} for session ${sessionId}`);
+    return gameState;
   }
 
   /**
@@ -299,76 +664,87 @@ class SessionManager {
   }
 
   /**
-   * Start auto-save for a session
-   * @param {string} sessionId - Session identifier
+   * Start saving changed sessions periodically
    */
-  startAutoSave(sessionId) {
-    // Don't start auto-save if it's already running
-    if (this.autoSaveTimers.has(sessionId)) {
-      console.log(`⚠️ Auto-save already running for session ${sessionId}`);
-      return;
-    }
-    
-    this.stopAutoSave(sessionId); // Clear any existing timer
-    
-    const timer = setInterval(async () => {
-      const session = this.getSession(sessionId);
-      if (session && session.settings.autoSave) {
-        // Note: gameState will be passed by the caller
-        console.log(`🔄 Auto-saving session ${sessionId}`);
-      }
-    }, this.autoSaveInterval);
-    
-    this.autoSaveTimers.set(sessionId, timer);
-    console.log(`🔄 Started auto-save for session ${sessionId}`);
+  startAutoSave() {
+    if (this.autoSaveTimer) return;
+
+    this.autoSaveTimer = setInterval(() => this.flushDirtySessions(), this.autoSaveInterval);
+    // Don't keep the process alive just to save; shutdown flushes explicitly
+    this.autoSaveTimer.unref();
   }
 
   /**
-   * Stop auto-save for a session
-   * @param {string} sessionId - Session identifier
+   * Stop saving changed sessions periodically
    */
-  stopAutoSave(sessionId) {
-    const timer = this.autoSaveTimers.get(sessionId);
-    if (timer) {
-      clearInterval(timer);
-      this.autoSaveTimers.delete(sessionId);
-    }
+  stopAutoSave() {
+    clearInterval(this.autoSaveTimer);
+    this.autoSaveTimer = null;
   }
 
   /**
-   * Start auto-save cleanup process
+   * Start evicting idle sessions from memory
    */
-  startAutoSaveCleanup() {
-    setInterval(() => {
-      // Clean up auto-save timers for sessions that no longer exist
-      for (const [sessionId, timer] of this.autoSaveTimers.entries()) {
-        if (!this.sessions.has(sessionId)) {
-          clearInterval(timer);
-          this.autoSaveTimers.delete(sessionId);
-        }
-      }
-    }, 60000); // Check every minute
+  startSessionCleanup() {
+    if (this.cleanupTimer) return;
+
+    this.cleanupTimer = setInterval(() => this.cleanupInactiveSessions(), 60000); // Check every minute
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Stop evicting idle sessions from memory
+   */
+  stopSessionCleanup() {
+    clearInterval(this.cleanupTimer);
+    this.cleanupTimer = null;
   }
 
   /**
    * Clean up inactive sessions
+   * Sessions with no players and no activity for the session timeout are saved and
+   * removed from memory; the next player to join loads them again.
    */
-  cleanupInactiveSessions() {
+  async cleanupInactiveSessions() {
     const now = Date.now();
     const inactiveSessions = [];
 
     for (const [sessionId, session] of this.sessions.entries()) {
       const lastActivity = new Date(session.lastActivity).getTime();
-      if (now - lastActivity > this.sessionTimeout) {
+      if (session.players.size === 0 && now - lastActivity > this.sessionTimeout) {
         inactiveSessions.push(sessionId);
       }
     }
 
-    inactiveSessions.forEach(sessionId => {
-      console.log(`🧹 Cleaning up inactive session: ${sessionId}`);
-      this.sessions.delete(sessionId);
-      this.stopAutoSave(sessionId);
-    });
+    for (const sessionId of inactiveSessions) {
+      await this.evictSession(sessionId);
+    }
+  }
+
+  /**
+   * Save a session if it has changed and remove it and its game state from memory
+   * @param {string} sessionId - Session identifier
+   */
+  async evictSession(sessionId) {
+    const session = this.getSession(sessionId);
+    if (!session) return;
+
+    if (this.dirtySessions.has(sessionId)) {
+      try {
+        await this.saveSession(sessionId);
+      } catch (error) {
+        // Its unsaved changes only exist in memory, so keep it there
+        console.error(`Could not save idle session ${sessionId}, keeping it in memory:`, error);
+        return;
+      }
+    }
+
+    // A player may have joined while it was saving
+    if (session.players.size > 0 || this.dirtySessions.has(sessionId)) return;
+
+    console.log(`🧹 Evicting idle session from memory: ${sessionId}`);
+    this.sessions.delete(sessionId);
+    this.gameStateManager.cleanupSession(sessionId);
   }
 
   /**
@@ -382,9 +758,9 @@ class SessionManager {
 
     const disconnectedPlayers = [];
     
-    // Find players whose socket IDs are no longer active
+    // Find players whose sockets are no longer active
     for (const [playerId, player] of session.players.entries()) {
-      if (!activeSocketIds.has(playerId)) {
+      if (!activeSocketIds.has(player.socketId)) {
         disconnectedPlayers.push({ playerId, player });
       }
     }
@@ -0,0 +1,56 @@
+/**
+ * Tests for how the session manager identifies joining players
+ */
+
+const SessionManager = require('./sessions');
+
+const SESSION_ID = 'session_1';
+
+describe('identifyPlayer', () => {
+  let sessionManager;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    sessionManager = new SessionManager({}, { storage: {} });
+    sessionManager.stopAutoSave();
+    sessionManager.stopSessionCleanup();
+    await sessionManager.createSession(SESSION_ID);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('issues a new player a player id and reconnect token', () => {
+    const identity = sessionManager.identifyPlayer(SESSION_ID, 'Wren');
+
+    expect(identity.playerId).toMatch(/^player_/);
+    expect(identity.reconnectToken).toEqual(expect.any(String));
+    const stored = sessionManager.getSession(SESSION_ID).playerIdentities[identity.playerId];
+    expect(stored.name).toBe('Wren');
+    expect(stored.tokenHash).not.toBe(identity.reconnectToken);
+  });
+
+  test('keeps the player id of a player presenting its reconnect token', () => {
+    const { playerId, reconnectToken } = sessionManager.identifyPlayer(SESSION_ID, 'Wren');
+
+    expect(sessionManager.identifyPlayer(SESSION_ID, 'Wren', { playerId, reconnectToken }))
+      .toEqual({ playerId, reconnectToken: null });
+  });
+
+  test('refuses a name that belongs to another player', () => {
+    const { playerId } = sessionManager.identifyPlayer(SESSION_ID, 'Wren');
+
+    expect(sessionManager.identifyPlayer(SESSION_ID, 'Wren')).toBeNull();
+    expect(sessionManager.identifyPlayer(SESSION_ID, 'Wren', { playerId, reconnectToken: 'guess' })).toBeNull();
+  });
+
+  test('refuses the name of an identity without a reconnect token', () => {
+    sessionManager.getSession(SESSION_ID).playerIdentities = {
+      player_1: { name: 'Wren', tokenHash: null }
+    };
+
+    expect(sessionManager.identifyPlayer(SESSION_ID, 'Wren')).toBeNull();
+    expect(sessionManager.identifyPlayer(SESSION_ID, 'Wren', { playerId: 'player_1' })).toBeNull();
+  });
+});
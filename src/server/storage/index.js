@@ -0,0 +1,42 @@
+/**
+ * Storage backends for LitMPlayer
+ *
+ * A storage backend keeps saved sessions, their backups and their journals,
+ * and saved campaigns.
+ * Every backend provides the same async methods:
+ * - saveSession, loadSession, deleteSession: whole sessions ({ sessionId, lastSaved, session, gameState })
+ * - listSessionIds, listSessions, getSessionSummary: session summaries (see summary.js)
+ * - createBackup, saveBackup, listBackups, loadBackup, deleteBackup: copies of a session's saved data
+ * - appendJournalEntry, readJournal, getLastJournalSequence, getJournalEntries, deleteJournal: journal entries
+ * - saveCampaign, loadCampaign, listCampaigns: campaigns ({ campaignId, lastSaved, campaign }) and their summaries
+ * - close
+ *
+ * Backends only store and fetch; queueing, backup rotation and serialization
+ * are left to PersistenceManager, SessionJournal and CampaignManager.
+ */
+
+const path = require('path');
+const JsonStorage = require('./jsonStorage');
+
+const STORAGE_TYPES = ['json', 'sqlite'];
+
+/**
+ * Create a storage backend
+ * @param {string} type - Backend type (json or sqlite)
+ * @param {string} dataDir - Directory holding the saved data
+ * @returns {Object} Storage backend
+ */
+function createStorage(type = 'json', dataDir = path.join(process.cwd(), 'data')) {
+  if (!STORAGE_TYPES.includes(type)) {
+    throw new Error(`Unknown storage type: ${type} (expected ${STORAGE_TYPES.join(' or ')})`);
+  }
+
+  if (type === 'sqlite') {
+    // Loaded only when asked for, so JSON storage works without the native SQLite module
+    const SqliteStorage = require('./sqliteStorage');
+    return new SqliteStorage(dataDir);
+  }
+  return new JsonStorage(dataDir);
+}
+
+module.exports = { STORAGE_TYPES, createStorage };
@@ -0,0 +1,395 @@
+/**
+ * JSON File Storage for LitMPlayer
+ * Keeps each session in data/sessions/<sessionId>.json, with its backups and
+ * journal in data/sessions/<sessionId>/, and each campaign in
+ * data/campaigns/<campaignId>.json
+ *
+ * Session files are written to a temporary file that is then renamed into
+ * place, so a crash mid-write never leaves a partial file behind.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { summarizeSession, summarizeCampaign } = require('./summary');
+
+class JsonStorage {
+  /**
+   * @param {string} dataDir - Directory holding the saved data
+   */
+  constructor(dataDir) {
+    this.sessionsDir = path.join(dataDir, 'sessions');
+    this.campaignsDir = path.join(dataDir, 'campaigns');
+    this.ready = Promise.all([
+      fs.mkdir(this.sessionsDir, { recursive: true }),
+      fs.mkdir(this.campaignsDir, { recursive: true })
+    ]).catch(error => {
+      console.error('Error creating data directories:', error);
+    });
+  }
+
+  /**
+   * Check that an ID is safe to use in a file name
+   * @param {string} id - Session, backup or campaign identifier
+   */
+  checkId(id) {
+    // IDs become file names, so they must not reach outside the sessions directory
+    if (!id || path.basename(id) !== id) {
+      throw new Error('Invalid ID');
+    }
+  }
+
+  /**
+   * Get the path of a session's data file
+   * @param {string} sessionId - Session identifier
+   * @returns {string} Session file path
+   */
+  getSessionFilePath(sessionId) {
+    this.checkId(sessionId);
+    return path.join(this.sessionsDir, `${sessionId}.json`);
+  }
+
+  /**
+   * Get the directory holding a session's backups
+   * @param {string} sessionId - Session identifier
+   * @returns {string} Backups directory
+   */
+  getBackupsDir(sessionId) {
+    this.checkId(sessionId);
+    return path.join(this.sessionsDir, sessionId, 'backups');
+  }
+
+  /**
+   * Get the path of a session's journal file
+   * @param {string} sessionId - Session identifier
+   * @returns {string} Journal file path
+   */
+  getJournalPath(sessionId) {
+    this.checkId(sessionId);
+    return path.join(this.sessionsDir, sessionId, 'journal.ndjson');
+  }
+
+  /**
+   * Get the path of a campaign's data file
+   * @param {string} campaignId - Campaign identifier
+   * @returns {string} Campaign file path
+   */
+  getCampaignFilePath(campaignId) {
+    this.checkId(campaignId);
+    return path.join(this.campaignsDir, `${campaignId}.json`);
+  }
+
+  /**
+   * Write a file by writing a temporary file next to it and renaming it into place
+   * @param {string} filePath - File to write
+   * @param {string} contents - File contents
+   */
+  async writeFileAtomically(filePath, contents) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const file = await fs.open(tempPath, 'w');
+    try {
+      await file.writeFile(contents);
+      await file.sync();
+    } finally {
+      await file.close();
+    }
+    await fs.rename(tempPath, filePath);
+  }
+
+  /**
+   * Read and parse a JSON file
+   * @param {string} filePath - File to read
+   * @returns {Object|null} Parsed contents, or null if the file doesn't exist
+   */
+  async readJsonFile(filePath) {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Save a session
+   * @param {string} sessionId - Session identifier
+   * @param {Object} data - Session data ({ sessionId, lastSaved, session, gameState })
+   */
+  async saveSession(sessionId, data) {
+    await this.ready;
+    await this.writeFileAtomically(this.getSessionFilePath(sessionId), JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Load a session
+   * @param {string} sessionId - Session identifier
+   * @returns {Object|null} Session data, or null if it hasn't been saved
+   */
+  async loadSession(sessionId) {
+    return await this.readJsonFile(this.getSessionFilePath(sessionId));
+  }
+
+  /**
+   * Delete a session and its backups
+   * @param {string} sessionId - Session identifier
+   * @returns {boolean} True if there was a session to delete
+   */
+  async deleteSession(sessionId) {
+    await fs.rm(this.getBackupsDir(sessionId), { recursive: true, force: true });
+    await this.removeSessionDirIfEmpty(sessionId);
+    try {
+      await fs.unlink(this.getSessionFilePath(sessionId));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Get the IDs of every saved session
+   * @returns {Array} Session IDs
+   */
+  async listSessionIds() {
+    await this.ready;
+    const files = await fs.readdir(this.sessionsDir);
+    return files
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.replace('.json', ''));
+  }
+
+  /**
+   * Get the summaries of every saved session
+   * Each file has to be read in full, which the SQLite storage avoids.
+   * @returns {Array} Session summaries
+   */
+  async listSessions() {
+    const summaries = [];
+    for (const sessionId of await this.listSessionIds()) {
+      const summary = await this.getSessionSummary(sessionId);
+      if (summary) summaries.push(summary);
+    }
+    return summaries;
+  }
+
+  /**
+   * Get the summary of a saved session
+   * @param {string} sessionId - Session identifier
+   * @returns {Object|null} Session summary, or null if it hasn't been saved
+   */
+  async getSessionSummary(sessionId) {
+    const data = await this.loadSession(sessionId);
+    return data ? summarizeSession({ sessionId, ...data }) : null;
+  }
+
+  /**
+   * Copy a session's saved data to a backup
+   * @param {string} sessionId - Session identifier
+   * @param {string} backupId - Backup identifier
+   * @returns {boolean} True if there was saved data to back up
+   */
+  async createBackup(sessionId, backupId) {
+    this.checkId(backupId);
+    const backupsDir = this.getBackupsDir(sessionId);
+    try {
+      await fs.mkdir(backupsDir, { recursive: true });
+      await fs.copyFile(this.getSessionFilePath(sessionId), path.join(backupsDir, `${backupId}.json`));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Save session data as a backup
+   * @param {string} sessionId - Session identifier
+   * @param {string} backupId - Backup identifier
+   * @param {Object} data - Session data
+   */
+  async saveBackup(sessionId, backupId, data) {
+    this.checkId(backupId);
+    const backupsDir = this.getBackupsDir(sessionId);
+    await fs.mkdir(backupsDir, { recursive: true });
+    await this.writeFileAtomically(path.join(backupsDir, `${backupId}.json`), JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Get a session's backups
+   * @param {string} sessionId - Session identifier
+   * @returns {Array} Backups ({ backupId, size }), oldest first
+   */
+  async listBackups(sessionId) {
+    const backupsDir = this.getBackupsDir(sessionId);
+    let files;
+    try {
+      files = await fs.readdir(backupsDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const backups = [];
+    for (const file of files.filter(file => file.endsWith('.json')).sort()) {
+      const stats = await fs.stat(path.join(backupsDir, file));
+      backups.push({ backupId: file.replace('.json', ''), size: stats.size });
+    }
+    return backups;
+  }
+
+  /**
+   * Load a session backup
+   * @param {string} sessionId - Session identifier
+   * @param {string} backupId - Backup identifier
+   * @returns {Object|null} Session data, or null if there is no such backup
+   */
+  async loadBackup(sessionId, backupId) {
+    this.checkId(backupId);
+    return await this.readJsonFile(path.join(this.getBackupsDir(sessionId), `${backupId}.json`));
+  }
+
+  /**
+   * Delete a session backup
+   * @param {string} sessionId - Session identifier
+   * @param {string} backupId - Backup identifier
+   */
+  async deleteBackup(sessionId, backupId) {
+    this.checkId(backupId);
+    await fs.rm(path.join(this.getBackupsDir(sessionId), `${backupId}.json`), { force: true });
+  }
+
+  /**
+   * Append an entry to a session's journal
+   * @param {string} sessionId - Session identifier
+   * @param {Object} entry - Journal entry
+   */
+  async appendJournalEntry(sessionId, entry) {
+    const filePath = this.getJournalPath(sessionId);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(filePath, JSON.stringify(entry) + '\n');
+  }
+
+  /**
+   * Read every entry of a session's journal
+   * @param {string} sessionId - Session identifier
+   * @returns {Array} Entries, oldest first
+   */
+  async readJournal(sessionId) {
+    let contents;
+    try {
+      contents = await fs.readFile(this.getJournalPath(sessionId), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = [];
+    contents.split('\n').forEach(line => {
+      if (!line.trim()) return;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // A crash mid-write can leave a partial last line; skip it rather than lose the journal
+        console.error(`Skipping unreadable journal line for session ${sessionId}`);
+      }
+    });
+    return entries;
+  }
+
+  /**
+   * Get the sequence number of the last entry in a session's journal
+   * @param {string} sessionId - Session identifier
+   * @returns {number} Last sequence number, or 0 for an empty journal
+   */
+  async getLastJournalSequence(sessionId) {
+    const entries = await this.readJournal(sessionId);
+    return entries.length > 0 ? entries[entries.length - 1].seq : 0;
+  }
+
+  /**
+   * Get a page of journal entries, working back from the newest
+   * Entries that share a timestamp with the oldest one on the page are kept
+   * together, so paging by timestamp never skips an entry.
+   * @param {string} sessionId - Session identifier
+   * @param {Object} options - Paging options ({ kinds, before, limit })
+   * @returns {Object} { entries (oldest first), hasMore }
+   */
+  async getJournalEntries(sessionId, { kinds, before, limit }) {
+    const matching = (await this.readJournal(sessionId))
+      .filter(entry => kinds.includes(entry.kind))
+      .filter(entry => !before || entry.timestamp < before);
+
+    let start = Math.max(matching.length - limit, 0);
+    while (start > 0 && matching[start - 1].timestamp === matching[start].timestamp) {
+      start--;
+    }
+
+    return {
+      entries: matching.slice(start),
+      hasMore: start > 0
+    };
+  }
+
+  /**
+   * Delete a session's journal
+   * @param {string} sessionId - Session identifier
+   */
+  async deleteJournal(sessionId) {
+    await fs.rm(this.getJournalPath(sessionId), { force: true });
+    await this.removeSessionDirIfEmpty(sessionId);
+  }
+
+  /**
+   * Remove a session's directory once its backups and journal are gone
+   * @param {string} sessionId - Session identifier
+   */
+  async removeSessionDirIfEmpty(sessionId) {
+    this.checkId(sessionId);
+    try {
+      await fs.rmdir(path.join(this.sessionsDir, sessionId));
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.code !== 'ENOTEMPTY') throw error;
+    }
+  }
+
+  /**
+   * Save a campaign
+   * @param {string} campaignId - Campaign identifier
+   * @param {Object} data - Campaign data ({ campaignId, lastSaved, campaign })
+   */
+  async saveCampaign(campaignId, data) {
+    await this.ready;
+    await this.writeFileAtomically(this.getCampaignFilePath(campaignId), JSON.stringify(data, null, 2));
+  }
+
+  /**
+   * Load a campaign
+   * @param {string} campaignId - Campaign identifier
+   * @returns {Object|null} Campaign data, or null if it hasn't been saved
+   */
+  async loadCampaign(campaignId) {
+    return await this.readJsonFile(this.getCampaignFilePath(campaignId));
+  }
+
+  /**
+   * Get the summaries of every saved campaign
+   * @returns {Array} Campaign summaries
+   */
+  async listCampaigns() {
+    await this.ready;
+    const files = await fs.readdir(this.campaignsDir);
+
+    const summaries = [];
+    for (const file of files.filter(file => file.endsWith('.json'))) {
+      const data = await this.loadCampaign(file.replace('.json', ''));
+      if (data) summaries.push(summarizeCampaign(data));
+    }
+    return summaries;
+  }
+
+  /**
+   * Release the storage (nothing to do for files)
+   */
+  async close() {}
+}
+
+module.exports = JsonStorage;
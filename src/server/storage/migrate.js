@@ -0,0 +1,82 @@
+/**
+ * Storage migration for LitMPlayer
+ * Imports sessions saved as JSON files, with their backups and journals, and
+ * campaigns into SQLite storage
+ *
+ * Usage: npm run migrate:sqlite
+ *
+ * Sessions already in the database are replaced by their JSON copy. The JSON
+ * files are left in place, so the migration can be run again safely.
+ */
+
+const { createStorage } = require('./index');
+
+/**
+ * Copy every saved session and campaign from one storage backend to another
+ * @param {Object} source - Storage backend to copy from
+ * @param {Object} target - Storage backend to copy to
+ * @returns {Object} { migrated, failed } session and campaign counts
+ */
+async function migrateStorage(source, target) {
+  let migrated = 0;
+  let failed = 0;
+
+  for (const sessionId of await source.listSessionIds()) {
+    try {
+      const data = await source.loadSession(sessionId);
+      if (!data) continue;
+
+      await target.saveSession(sessionId, { sessionId, ...data });
+
+      const backups = await source.listBackups(sessionId);
+      for (const { backupId } of backups) {
+        await target.saveBackup(sessionId, backupId, await source.loadBackup(sessionId, backupId));
+      }
+
+      const entries = await source.readJournal(sessionId);
+      await target.deleteJournal(sessionId);
+      for (const entry of entries) {
+        await target.appendJournalEntry(sessionId, entry);
+      }
+
+      console.log(`✅ Migrated session ${sessionId}: ${data.gameState?.gameObjects?.length || 0} objects, ${backups.length} backups, ${entries.length} journal entries`);
+      migrated++;
+    } catch (error) {
+      console.error(`Error migrating session ${sessionId}:`, error);
+      failed++;
+    }
+  }
+
+  for (const { campaignId } of await source.listCampaigns()) {
+    try {
+      const data = await source.loadCampaign(campaignId);
+      if (!data) continue;
+
+      await target.saveCampaign(campaignId, { campaignId, ...data });
+
+      console.log(`✅ Migrated campaign ${campaignId}: ${data.campaign?.gameObjects?.length || 0} objects`);
+      migrated++;
+    } catch (error) {
+      console.error(`Error migrating campaign ${campaignId}:`, error);
+      failed++;
+    }
+  }
+
+  return { migrated, failed };
+}
+
+if (require.main === module) {
+  (async () => {
+    const source = createStorage('json');
+    const target = createStorage('sqlite');
+
+    console.log('🚚 Importing JSON sessions into SQLite storage...');
+    const { migrated, failed } = await migrateStorage(source, target);
+    await target.close();
+
+    console.log(`📦 Migrated ${migrated} session(s) and campaign(s)${failed > 0 ? `, ${failed} failed` : ''}`);
+    process.exit(failed > 0 ? 1 : 0);
+  })();
+}
+
+module.exports = { migrateStorage };
@@ -0,0 +1,449 @@
+/**
+ * SQLite Storage for LitMPlayer
+ * Keeps sessions, their game objects, backups and journal entries, and
+ * campaigns as rows in data/litm.sqlite
+ *
+ * Each session's summary is kept in columns alongside it, so listing sessions
+ * and answering stats and player queries never has to parse a saved game.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const Database = require('better-sqlite3');
+const { summarizeSession, summarizeCampaign } = require('./summary');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    campaign_id TEXT,
+    created TEXT,
+    last_saved TEXT,
+    player_count INTEGER NOT NULL DEFAULT 0,
+    is_active INTEGER NOT NULL DEFAULT 0,
+    total_chat_messages INTEGER NOT NULL DEFAULT 0,
+    total_dice_rolls INTEGER NOT NULL DEFAULT 0,
+    total_notes INTEGER NOT NULL DEFAULT 0,
+    total_game_objects INTEGER NOT NULL DEFAULT 0,
+    session TEXT,
+    game_state TEXT
+  );
+
+  CREATE INDEX IF NOT EXISTS sessions_last_saved ON sessions (last_saved);
+
+  CREATE TABLE IF NOT EXISTS session_players (
+    session_id TEXT NOT NULL REFERENCES sessions (id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    PRIMARY KEY (session_id, name)
+  );
+
+  CREATE TABLE IF NOT EXISTS game_objects (
+    session_id TEXT NOT NULL REFERENCES sessions (id) ON DELETE CASCADE,
+    id TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    type TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (session_id, id)
+  );
+
+  CREATE INDEX IF NOT EXISTS game_objects_type ON game_objects (session_id, type);
+
+  CREATE TABLE IF NOT EXISTS backups (
+    session_id TEXT NOT NULL,
+    id TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (session_id, id)
+  );
+
+  CREATE TABLE IF NOT EXISTS journal_entries (
+    session_id TEXT NOT NULL,
+    seq INTEGER NOT NULL,
+    timestamp TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    actor_id TEXT,
+    actor_name TEXT,
+    data TEXT,
+    PRIMARY KEY (session_id, seq)
+  );
+
+  CREATE INDEX IF NOT EXISTS journal_entries_kind ON journal_entries (session_id, kind, seq);
+
+  CREATE TABLE IF NOT EXISTS campaigns (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    created TEXT,
+    last_saved TEXT,
+    total_game_objects INTEGER NOT NULL DEFAULT 0,
+    campaign TEXT NOT NULL
+  );
+`;
+
+class SqliteStorage {
+  /**
+   * @param {string} dataDir - Directory holding the database file
+   */
+  constructor(dataDir) {
+    fs.mkdirSync(dataDir, { recursive: true });
+    this.db = new Database(path.join(dataDir, 'litm.sqlite'));
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.exec(SCHEMA);
+
+    // Databases created before campaigns have no campaign column
+    const sessionColumns = this.db.prepare('PRAGMA table_info(sessions)').all();
+    if (!sessionColumns.some(column => column.name === 'campaign_id')) {
+      this.db.exec('ALTER TABLE sessions ADD COLUMN campaign_id TEXT');
+    }
+  }
+
+  /**
+   * Save a session
+   * The session, its players and its objects are replaced in one transaction.
+   * @param {string} sessionId - Session identifier
+   * @param {Object} data - Session data ({ sessionId, lastSaved, session, gameState })
+   */
+  async saveSession(sessionId, data) {
+    const summary = summarizeSession({ sessionId, ...data });
+    const { gameObjects = [], ...gameState } = data.gameState || {};
+
+    this.db.transaction(() => {
+      this.db.prepare(`
+        INSERT INTO sessions (id, name, campaign_id, created, last_saved, player_count, is_active, total_chat_messages,
+          total_dice_rolls, total_notes, total_game_objects, session, game_state)
+        VALUES (@id, @name, @campaignId, @created, @lastSaved, @playerCount, @isActive, @totalChatMessages,
+          @totalDiceRolls, @totalNotes, @totalGameObjects, @session, @gameState)
+        ON CONFLICT (id) DO UPDATE SET
+          name = excluded.name, campaign_id = excluded.campaign_id, created = excluded.created,
+          last_saved = excluded.last_saved,
+          player_count = excluded.player_count, is_active = excluded.is_active,
+          total_chat_messages = excluded.total_chat_messages, total_dice_rolls = excluded.total_dice_rolls,
+          total_notes = excluded.total_notes, total_game_objects = excluded.total_game_objects,
+          session = excluded.session, game_state = excluded.game_state
+      `).run({
+        id: sessionId,
+        name: summary.name,
+        campaignId: summary.campaignId,
+        created: summary.created,
+        lastSaved: summary.lastSaved,
+        playerCount: summary.playerCount,
+        isActive: summary.isActive ? 1 : 0,
+        totalChatMessages: summary.totalChatMessages,
+        totalDiceRolls: summary.totalDiceRolls,
+        totalNotes: summary.totalNotes,
+        totalGameObjects: summary.totalGameObjects,
+        session: JSON.stringify(data.session ?? null),
+        gameState: data.gameState ? JSON.stringify(gameState) : null
+      });
+
+      this.db.prepare('DELETE FROM session_players WHERE session_id = ?').run(sessionId);
+      const insertPlayer = this.db.prepare('INSERT INTO session_players (session_id, name) VALUES (?, ?)');
+      summary.players.forEach(name => insertPlayer.run(sessionId, name));
+
+      this.db.prepare('DELETE FROM game_objects WHERE session_id = ?').run(sessionId);
+      const insertObject = this.db.prepare(
+        'INSERT INTO game_objects (session_id, id, position, type, data) VALUES (?, ?, ?, ?, ?)'
+      );
+      gameObjects.forEach((gameObject, position) => {
+        insertObject.run(sessionId, gameObject.id, position, gameObject.type, JSON.stringify(gameObject));
+      });
+    })();
+  }
+
+  /**
+   * Load a session
+   * @param {string} sessionId - Session identifier
+   * @returns {Object|null} Session data, or null if it hasn't been saved
+   */
+  async loadSession(sessionId) {
+    const row = this.db.prepare('SELECT * FROM sessions WHERE id = ?').get(sessionId);
+    if (!row) return null;
+
+    let gameState = null;
+    if (row.game_state) {
+      const gameObjects = this.db.prepare(
+        'SELECT data FROM game_objects WHERE session_id = ? ORDER BY position'
+      ).all(sessionId);
+      gameState = {
+        ...JSON.parse(row.game_state),
+        gameObjects: gameObjects.map(object => JSON.parse(object.data))
+      };
+    }
+
+    return {
+      sessionId: row.id,
+      lastSaved: row.last_saved,
+      session: JSON.parse(row.session),
+      gameState: gameState
+    };
+  }
+
+  /**
+   * Delete a session and its backups
+   * Players and objects go with the session.
+   * @param {string} sessionId - Session identifier
+   * @returns {boolean} True if there was a session to delete
+   */
+  async deleteSession(sessionId) {
+    return this.db.transaction(() => {
+      this.db.prepare('DELETE FROM backups WHERE session_id = ?').run(sessionId);
+      return this.db.prepare('DELETE FROM sessions WHERE id = ?').run(sessionId).changes > 0;
+    })();
+  }
+
+  /**
+   * Get the IDs of every saved session
+   * @returns {Array} Session IDs
+   */
+  async listSessionIds() {
+    return this.db.prepare('SELECT id FROM sessions').all().map(row => row.id);
+  }
+
+  /**
+   * Get the summaries of every saved session
+   * @returns {Array} Session summaries
+   */
+  async listSessions() {
+    const rows = this.db.prepare('SELECT * FROM sessions ORDER BY last_saved DESC').all();
+    return rows.map(row => this.toSummary(row));
+  }
+
+  /**
+   * Get the summary of a saved session
+   * @param {string} sessionId - Session identifier
+   * @returns {Object|null} Session summary, or null if it hasn't been saved
+   */
+  async getSessionSummary(sessionId) {
+    const row = this.db.prepare('SELECT * FROM sessions WHERE id = ?').get(sessionId);
+    return row ? this.toSummary(row) : null;
+  }
+
+  /**
+   * Turn a sessions row into a session summary
+   * @param {Object} row - Row from the sessions table
+   * @returns {Object} Session summary
+   */
+  toSummary(row) {
+    const players = this.db.prepare('SELECT name FROM session_players WHERE session_id = ?').all(row.id);
+    return {
+      sessionId: row.id,
+      name: row.name,
+      campaignId: row.campaign_id,
+      created: row.created,
+      lastSaved: row.last_saved,
+      playerCount: row.player_count,
+      isActive: row.is_active === 1,
+      players: players.map(player => player.name),
+      totalChatMessages: row.total_chat_messages,
+      totalDiceRolls: row.total_dice_rolls,
+      totalNotes: row.total_notes,
+      totalGameObjects: row.total_game_objects
+    };
+  }
+
+  /**
+   * Copy a session's saved data to a backup
+   * @param {string} sessionId - Session identifier
+   * @param {string} backupId - Backup identifier
+   * @returns {boolean} True if there was saved data to back up
+   */
+  async createBackup(sessionId, backupId) {
+    const data = await this.loadSession(sessionId);
+    if (!data) return false;
+
+    await this.saveBackup(sessionId, backupId, data);
+    return true;
+  }
+
+  /**
+   * Save session data as a backup
+   * @param {string} sessionId - Session identifier
+   * @param {string} backupId - Backup identifier
+   * @param {Object} data - Session data
+   */
+  async saveBackup(sessionId, backupId, data) {
+    this.db.prepare('INSERT OR REPLACE INTO backups (session_id, id, data) VALUES (?, ?, ?)')
+      .run(sessionId, backupId, JSON.stringify(data));
+  }
+
+  /**
+   * Get a session's backups
+   * @param {string} sessionId - Session identifier
+   * @returns {Array} Backups ({ backupId, size }), oldest first
+   */
+  async listBackups(sessionId) {
+    return this.db.prepare(
+      'SELECT id AS backupId, length(data) AS size FROM backups WHERE session_id = ? ORDER BY id'
+    ).all(sessionId);
+  }
+
+  /**
+   * Load a session backup
+   * @param {string} sessionId - Session identifier
+   * @param {string} backupId - Backup identifier
+   * @returns {Object|null} Session data, or null if there is no such backup
+   */
+  async loadBackup(sessionId, backupId) {
+    const row = this.db.prepare('SELECT data FROM backups WHERE session_id = ? AND id = ?').get(sessionId, backupId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  /**
+   * Delete a session backup
+   * @param {string} sessionId - Session identifier
+   * @param {string} backupId - Backup identifier
+   */
+  async deleteBackup(sessionId, backupId) {
+    this.db.prepare('DELETE FROM backups WHERE session_id = ? AND id = ?').run(sessionId, backupId);
+  }
+
+  /**
+   * Append an entry to a session's journal
+   * @param {string} sessionId - Session identifier
+   * @param {Object} entry - Journal entry
+   */
+  async appendJournalEntry(sessionId, entry) {
+    this.db.prepare(`
+      INSERT INTO journal_entries (session_id, seq, timestamp, kind, actor_id, actor_name, data)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(sessionId, entry.seq, entry.timestamp, entry.kind, entry.actorId, entry.actorName, JSON.stringify(entry.data ?? null));
+  }
+
+  /**
+   * Read every entry of a session's journal
+   * @param {string} sessionId - Session identifier
+   * @returns {Array} Entries, oldest first
+   */
+  async readJournal(sessionId) {
+    const rows = this.db.prepare('SELECT * FROM journal_entries WHERE session_id = ? ORDER BY seq').all(sessionId);
+    return rows.map(row => this.toJournalEntry(row));
+  }
+
+  /**
+   * Get the sequence number of the last entry in a session's journal
+   * @param {string} sessionId - Session identifier
+   * @returns {number} Last sequence number, or 0 for an empty journal
+   */
+  async getLastJournalSequence(sessionId) {
+    const row = this.db.prepare('SELECT MAX(seq) AS seq FROM journal_entries WHERE session_id = ?').get(sessionId);
+    return row.seq || 0;
+  }
+
+  /**
+   * Get a page of journal entries, working back from the newest
+   * Entries that share a timestamp with the oldest one on the page are kept
+   * together, so paging by timestamp never skips an entry.
+   * @param {string} sessionId - Session identifier
+   * @param {Object} options - Paging options ({ kinds, before, limit })
+   * @returns {Object} { entries (oldest first), hasMore }
+   */
+  async getJournalEntries(sessionId, { kinds, before, limit }) {
+    const kindParams = kinds.map(() => '?').join(', ');
+    const filter = `session_id = ? AND kind IN (${kindParams})${before ? ' AND timestamp < ?' : ''}`;
+    const params = [sessionId, ...kinds, ...(before ? [before] : [])];
+
+    const rows = this.db.prepare(`SELECT * FROM journal_entries WHERE ${filter} ORDER BY seq DESC LIMIT ?`)
+      .all(...params, limit);
+    if (rows.length === limit) {
+      const oldest = rows[rows.length - 1];
+      rows.push(...this.db.prepare(`SELECT * FROM journal_entries WHERE ${filter} AND timestamp = ? AND seq < ? ORDER BY seq DESC`)
+        .all(...params, oldest.timestamp, oldest.seq));
+    }
+
+    const oldestSeq = rows.length > 0 ? rows[rows.length - 1].seq : null;
+    const hasMore = oldestSeq !== null &&
+      !!this.db.prepare(`SELECT 1 FROM journal_entries WHERE ${filter} AND seq < ? LIMIT 1`).get(...params, oldestSeq);
+
+    return {
+      entries: rows.reverse().map(row => this.toJournalEntry(row)),
+      hasMore: hasMore
+    };
+  }
+
+  /**
+   * Turn a journal_entries row into a journal entry
+   * @param {Object} row - Row from the journal_entries table
+   * @returns {Object} Journal entry
+   */
+  toJournalEntry(row) {
+    return {
+      seq: row.seq,
+      timestamp: row.timestamp,
+      kind: row.kind,
+      actorId: row.actor_id,
+      actorName: row.actor_name,
+      data: JSON.parse(row.data)
+    };
+  }
+
+  /**
+   * Delete a session's journal
+   * @param {string} sessionId - Session identifier
+   */
+  async deleteJournal(sessionId) {
+    this.db.prepare('DELETE FROM journal_entries WHERE session_id = ?').run(sessionId);
+  }
+
+  /**
+   * Save a campaign
+   * @param {string} campaignId - Campaign identifier
+   * @param {Object} data - Campaign data ({ campaignId, lastSaved, campaign })
+   */
+  async saveCampaign(campaignId, data) {
+    const summary = summarizeCampaign({ campaignId, ...data });
+
+    this.db.prepare(`
+      INSERT INTO campaigns (id, name, created, last_saved, total_game_objects, campaign)
+      VALUES (@id, @name, @created, @lastSaved, @totalGameObjects, @campaign)
+      ON CONFLICT (id) DO UPDATE SET
+        name = excluded.name, created = excluded.created, last_saved = excluded.last_saved,
+        total_game_objects = excluded.total_game_objects, campaign = excluded.campaign
+    `).run({
+      id: campaignId,
+      name: summary.name,
+      created: summary.created,
+      lastSaved: summary.lastSaved,
+      totalGameObjects: summary.totalGameObjects,
+      campaign: JSON.stringify(data.campaign)
+    });
+  }
+
+  /**
+   * Load a campaign
+   * @param {string} campaignId - Campaign identifier
+   * @returns {Object|null} Campaign data, or null if it hasn't been saved
+   */
+  async loadCampaign(campaignId) {
+    const row = this.db.prepare('SELECT * FROM campaigns WHERE id = ?').get(campaignId);
+    if (!row) return null;
+
+    return {
+      campaignId: row.id,
+      lastSaved: row.last_saved,
+      campaign: JSON.parse(row.campaign)
+    };
+  }
+
+  /**
+   * Get the summaries of every saved campaign
+   * @returns {Array} Campaign summaries
+   */
+  async listCampaigns() {
+    const rows = this.db.prepare('SELECT * FROM campaigns ORDER BY last_saved DESC').all();
+    return rows.map(row => ({
+      campaignId: row.id,
+      name: row.name,
+      created: row.created,
+      lastSaved: row.last_saved,
+      totalGameObjects: row.total_game_objects
+    }));
+  }
+
+  /**
+   * Close the database
+   */
+  async close() {
+    this.db.close();
+  }
+}
+
+module.exports = SqliteStorage;
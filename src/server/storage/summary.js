@@ -0,0 +1,70 @@
+/**
+ * Session summaries for LitMPlayer storage backends
+ * The metadata that session and campaign lists, stats and player queries are answered from
+ */
+
+/**
+ * Get the players of a saved session, whatever form the players were saved in
+ * @param {Object} session - Serialized session
+ * @returns {Array} Players
+ */
+function getSavedPlayers(session) {
+  const players = session?.players;
+  if (!players) return [];
+  if (players instanceof Map) return Array.from(players.values());
+  if (!Array.isArray(players)) return Object.values(players);
+
+  // Maps are saved as [id, player] entries
+  return players.map(entry => (Array.isArray(entry) ? entry[1] : entry));
+}
+
+/**
+ * Summarize saved session data
+ * @param {Object} data - Saved session data ({ sessionId, lastSaved, session, gameState })
+ * @returns {Object} Session summary
+ */
+function summarizeSession(data) {
+  const session = data.session || {};
+  const gameState = data.gameState || {};
+  const players = getSavedPlayers(session);
+
+  // Everyone who has ever joined has an identity, not just those connected at the last save
+  const names = [
+    ...players.map(player => player?.name),
+    ...Object.values(session.playerIdentities || {}).map(identity => identity?.name)
+  ].filter(name => typeof name === 'string' && name.length > 0);
+
+  return {
+    sessionId: data.sessionId,
+    name: session.name || data.sessionId,
+    campaignId: session.campaignId || null,
+    created: session.created || null,
+    lastSaved: data.lastSaved || null,
+    playerCount: players.length,
+    isActive: session.isActive || false,
+    players: [...new Set(names)],
+    totalChatMessages: gameState.chat?.length || 0,
+    totalDiceRolls: gameState.diceRolls?.length || 0,
+    totalNotes: gameState.notes?.length || 0,
+    totalGameObjects: gameState.gameObjects?.length || 0
+  };
+}
+
+/**
+ * Summarize saved campaign data
+ * @param {Object} data - Saved campaign data ({ campaignId, lastSaved, campaign })
+ * @returns {Object} Campaign summary
+ */
+function summarizeCampaign(data) {
+  const campaign = data.campaign || {};
+
+  return {
+    campaignId: data.campaignId,
+    name: campaign.name || data.campaignId,
+    created: campaign.created || null,
+    lastSaved: data.lastSaved || null,
+    totalGameObjects: campaign.gameObjects?.length || 0
+  };
+}
+
+module.exports = { summarizeSession, summarizeCampaign };
@@ -0,0 +1,68 @@
+/**
+ * Themebook Library for LitMPlayer
+ * Serves the built-in themebooks along with a group's custom ones
+ *
+ * Custom themebooks are JSON files in data/themebooks/, each holding one
+ * themebook or an array of them, in the shape of the built-in ones (see
+ * src/shared/themebooks.js). They are read on every request, so new files show
+ * up without a restart. A custom themebook with the ID of a built-in one
+ * replaces it; files that aren't valid themebooks are skipped with a warning.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Themebooks = require('../shared/themebooks');
+
+class ThemebookLibrary {
+  /**
+   * @param {string} themebooksDir - Directory holding custom themebook files
+   */
+  constructor(themebooksDir = path.join(process.cwd(), 'data', 'themebooks')) {
+    this.themebooksDir = themebooksDir;
+  }
+
+  /**
+   * Get every themebook, built-in and custom
+   * @returns {Array} Themebooks, custom ones marked with custom: true
+   */
+  async getThemebooks() {
+    const themebooks = new Map(Themebooks.THEMEBOOKS.map(themebook => [themebook.id, themebook]));
+    for (const themebook of await this.loadCustomThemebooks()) {
+      themebooks.set(themebook.id, { ...themebook, custom: true });
+    }
+    return Array.from(themebooks.values());
+  }
+
+  /**
+   * Read the custom themebook files
+   * @returns {Array} Valid custom themebooks
+   */
+  async loadCustomThemebooks() {
+    let files;
+    try {
+      files = await fs.readdir(this.themebooksDir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const themebooks = [];
+    for (const file of files.filter(name => name.endsWith('.json')).sort()) {
+      try {
+        const data = JSON.parse(await fs.readFile(path.join(this.themebooksDir, file), 'utf8'));
+        for (const themebook of Array.isArray(data) ? data : [data]) {
+          if (Themebooks.isValidThemebook(themebook)) {
+            themebooks.push(themebook);
+          } else {
+            console.warn(`⚠️ Skipping invalid themebook ${themebook?.id || '(no id)'} in ${file}`);
+          }
+        }
+      } catch (error) {
+        console.warn(`⚠️ Could not read themebook file ${file}: ${error.message}`);
+      }
+    }
+    return themebooks;
+  }
+}
+
+module.exports = ThemebookLibrary;
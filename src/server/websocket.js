@@ -3,6 +3,33 @@
  * Manages real-time communication between clients and server
  */
 
+const CharacterSheets = require('../shared/characterSheets');
+
+// Actions that run the scene, which only the narrator may take
+const NARRATOR_ONLY_ACTIONS = [
+  'set_scene',
+  'set_challenge',
+  'set_active_challenge',
+  'clear_active_challenge',
+  'overcome_challenge',
+  'toggle_overcome_challenge',
+  'confirm_power_spend',
+  'set_object_acl'
+];
+
+// Object types only the narrator may delete
+const NARRATOR_OWNED_TYPES = ['scene', 'challenge'];
+
+// Fields that are stripped from the game state before it is sent to players
+const SCENE_NARRATOR_FIELDS = ['description'];
+const CHALLENGE_NARRATOR_FIELDS = ['details', 'success', 'consequences'];
+
+// Fields stamped on actions by the server, which journal entries record separately
+const ACTION_ACTOR_FIELDS = ['playerId', 'playerName', 'isGM'];
+
+// Journal entry kinds players may page through; game actions can reveal the narrator's secrets
+const PLAYER_JOURNAL_KINDS = ['chat', 'roll', 'note'];
+
 class WebSocketHandler {
   constructor(io, sessionManager, gameStateManager) {
     this.io = io;
@@ -61,11 +88,26 @@ class WebSocketHandler {
         await this.handleGetSavedSessions(socket);
       });
 
+      // Handle create campaign
+      socket.on('create-campaign', async (data) => {
+        await this.handleCreateCampaign(socket, data || {});
+      });
+
       // Handle get session players
       socket.on('get-session-players', async (data) => {
         await this.handleGetSessionPlayers(socket, data);
       });
 
+      // Handle requests for older journal entries
+      socket.on('get-journal', async (data) => {
+        await this.handleGetJournal(socket, data || {});
+      });
+
+      // Handle full game state requests (clients that missed a patch)
+      socket.on('request-game-state', () => {
+        this.handleRequestGameState(socket);
+      });
+
       // Handle get current game state (for reconnection scenarios)
       socket.on('get-current-game-state', async (data) => {
         await this.handleGetCurrentGameState(socket, data);
@@ -78,26 +120,53 @@ class WebSocketHandler {
    */
   async handleJoinSession(socket, data) {
     try {
-      const { sessionId, playerName, isGM = false } = data;
+      const { sessionId, playerName, isGM = false, narratorPassphrase, playerId, reconnectToken, campaignId } = data;
 
       if (!sessionId || !playerName) {
         socket.emit('error', { message: 'Session ID and player name are required' });
         return;
       }
 
-      // Get or create session (loads existing if available)
+      // A session is created by its narrator, who sets its passphrase; a campaign's sessions need the campaign's
+      const isNewSession = !(await this.sessionManager.sessionExists(sessionId));
+      if (isNewSession &&
+          (!isGM || typeof narratorPassphrase !== 'string' || narratorPassphrase.length === 0)) {
+        socket.emit('error', { message: 'Session not found. A new session is started by its narrator, with a narrator passphrase' });
+        return;
+      }
+
+      // Get or create session (loads existing if available); only a new session takes the campaign
       const { session, gameState } = await this.sessionManager.getOrCreateSession(sessionId, {
         name: `Session ${sessionId}`,
-        autoSave: true
+        autoSave: true,
+        campaignId: campaignId || null,
+        narratorPassphrase: isGM ? narratorPassphrase : undefined
       });
 
+      // Narrators have to prove it with the session's passphrase
+      if (isGM) {
+        const narratorError = this.getNarratorError(sessionId, narratorPassphrase);
+        if (narratorError) {
+          socket.emit('error', { message: narratorError });
+          return;
+        }
+      }
+
       // Clean up any disconnected players before adding the new one
       const activeSocketIds = new Set(Array.from(this.socketSessions.keys()));
       this.sessionManager.cleanupDisconnectedPlayers(sessionId, activeSocketIds);
 
+      // Players keep their id across connections by presenting their reconnect token
+      const identity = this.sessionManager.identifyPlayer(sessionId, playerName, { playerId, reconnectToken });
+      if (!identity) {
+        socket.emit('error', { message: `The name "${playerName}" is already taken in this session` });
+        return;
+      }
+
       // Create player object
       const player = {
-        id: socket.id,
+        id: identity.playerId,
+        socketId: socket.id,
         name: playerName,
         isGM: isGM,
         joinedAt: new Date().toISOString()
@@ -141,13 +210,19 @@ class WebSocketHandler {
         activeChallenge: currentGameState?.activeChallenge
       });
 
-      // Send session joined confirmation
+      // Send session joined confirmation, with the reconnect token if one was just issued
       socket.emit('session-joined', {
         session: this.convertSessionForClient(session),
         player: player,
-        gameState: currentGameState
+        gameState: this.projectGameState(currentGameState, player),
+        reconnectToken: identity.reconnectToken || undefined
       });
 
+      // A new session's passphrase and a new identity have to survive a restart
+      if (isNewSession || identity.reconnectToken) {
+        this.saveSessionData(sessionId);
+      }
+
       // Notify other players
       socket.to(sessionId).emit('player-joined', {
         player: player,
@@ -166,16 +241,59 @@ class WebSocketHandler {
     }
   }
 
+  /**
+   * Check a narrator's passphrase against the one the session was created with
+   * @param {string} sessionId - Session identifier
+   * @param {string} passphrase - Narrator passphrase sent by the client
+   * @returns {string|null} Error message, or null if the player is the narrator
+   */
+  getNarratorError(sessionId, passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length === 0) {
+      return 'A narrator passphrase is required';
+    }
+
+    // Joining never sets a passphrase, or the first client to claim the narrator role would get it
+    if (!this.sessionManager.hasNarratorPassphrase(sessionId)) {
+      return 'This session has no narrator passphrase, so nobody can join it as narrator';
+    }
+
+    if (!this.sessionManager.verifyNarratorPassphrase(sessionId, passphrase)) {
+      return 'Incorrect narrator passphrase';
+    }
+    return null;
+  }
+
+  /**
+   * Check whether an action may only be taken by the narrator
+   * @param {string} sessionId - Session identifier
+   * @param {Object} action - Game action
+   * @returns {boolean} True if the action is narrator-only
+   */
+  isNarratorOnlyAction(sessionId, action) {
+    if (NARRATOR_ONLY_ACTIONS.includes(action.type)) {
+      return true;
+    }
+    if (action.type === 'delete_object') {
+      const gameObject = this.gameStateManager.gameObjectManager.getGameObject(sessionId, action.objectId);
+      return !!gameObject && NARRATOR_OWNED_TYPES.includes(gameObject.type);
+    }
+    return false;
+  }
+
   /**
    * Convert session to client-safe format (Map to Array)
    * @param {Object} session - Server session object
    * @returns {Object} Client-safe session object
    */
   convertSessionForClient(session) {
-    return {
+    const clientSession = {
       ...session,
       players: Array.from(session.players.values())
     };
+    // The narrator passphrase and reconnect token hashes never leave the server
+    delete clientSession.narratorCredential;
+    delete clientSession.playerIdentities;
+    return clientSession;
   }
 
   /**
@@ -185,11 +303,12 @@ class WebSocketHandler {
     const sessionId = this.socketSessions.get(socket.id);
     if (!sessionId) return;
 
-    // Save session data before leaving
-    this.saveSessionData(sessionId);
+    // Save session data with the next auto-save
+    this.sessionManager.markSessionDirty(sessionId);
 
     // Remove player from session
-    const player = this.sessionManager.removePlayerFromSession(sessionId, socket.id);
+    const socketPlayer = this.sessionManager.getPlayerBySocket(sessionId, socket.id);
+    const player = socketPlayer ? this.sessionManager.removePlayerFromSession(sessionId, socketPlayer.id) : null;
     
     // Leave socket room
     socket.leave(sessionId);
@@ -223,18 +342,20 @@ class WebSocketHandler {
     const { message } = data;
     if (!message || typeof message !== 'string') return;
 
-    const playerName = this.sessionManager.getPlayerName(sessionId, socket.id);
-    if (!playerName) return;
+    const player = this.sessionManager.getPlayerBySocket(sessionId, socket.id);
+    if (!player) return;
 
     const chatMessage = {
       id: Date.now().toString(),
-      playerName: playerName,
+      playerId: player.id,
+      playerName: player.name,
       message: message,
       timestamp: new Date().toISOString()
     };
 
     // Add to game state
     this.gameStateManager.addChatMessage(sessionId, chatMessage);
+    this.recordJournalEntry(sessionId, 'chat', player, chatMessage);
 
     // Broadcast to all players in session
     this.io.to(sessionId).emit('chat-message', chatMessage);
@@ -251,6 +372,48 @@ class WebSocketHandler {
     if (!sessionId) return;
 
     try {
+      // Who is acting comes from the session, not from the client
+      const player = this.sessionManager.getPlayerBySocket(sessionId, socket.id);
+      data = {
+        ...data,
+        playerId: player ? player.id : null,
+        playerName: player ? player.name : null,
+        isGM: player ? player.isGM : false
+      };
+
+      if (!data.isGM && this.isNarratorOnlyAction(sessionId, data)) {
+        socket.emit('error', { message: 'Only the narrator can do that' });
+        return;
+      }
+
+      // Say why there is nothing to undo or redo rather than just rejecting it
+      if (data.type === 'undo' || data.type === 'redo') {
+        const historyError = this.gameStateManager.getHistoryError(sessionId, data);
+        if (historyError) {
+          socket.emit('error', { message: historyError });
+          return;
+        }
+      }
+
+      // Say what is wrong with an imported character sheet
+      if (data.type === 'import_character') {
+        const sheetErrors = CharacterSheets.validateCharacterSheet(data.sheet);
+        if (sheetErrors.length > 0) {
+          socket.emit('error', { message: `Invalid character sheet: ${sheetErrors[0]}` });
+          return;
+        }
+      }
+
+      // Send back which fields of a created or updated object are invalid
+      if (data.type === 'create_object' || data.type === 'update_object') {
+        const objectErrors = this.gameStateManager.getObjectErrors(sessionId, data);
+        if (objectErrors.length > 0) {
+          const fields = objectErrors.map(error => `${error.field} ${error.message}`).join('; ');
+          socket.emit('error', { message: `Invalid ${data.objectType || 'object'}: ${fields}`, errors: objectErrors });
+          return;
+        }
+      }
+
       // Validate the action first
       const isValid = this.gameStateManager.validateAction(sessionId, data);
       if (!isValid) {
@@ -280,7 +443,8 @@ class WebSocketHandler {
       }
 
       // Apply action to game state
-      const updatedGameState = this.gameStateManager.applyAction(sessionId, data);
+      const snapshot = this.gameStateManager.createSnapshot(sessionId);
+      this.gameStateManager.applyAction(sessionId, data);
       
       // Debug: Log after action
       if (data.type === 'create_object' && data.objectType === 'character') {
@@ -303,11 +467,25 @@ class WebSocketHandler {
         this.gameStateManager.debugGameObjects(sessionId);
       }
       
-      // Broadcast updated game state
-      this.io.to(sessionId).emit('game-state-updated', { gameState: updatedGameState });
+      // Broadcast what the action changed
+      this.broadcastPatches(sessionId, this.gameStateManager.getPatchesSince(sessionId, snapshot));
+
+      if (data.type === 'add_note') {
+        const { notes } = this.gameStateManager.getSessionState(sessionId);
+        this.recordJournalEntry(sessionId, 'note', player, notes[notes.length - 1]);
+      } else if (data.type === 'advance_theme') {
+        // Log what the theme became, not just what was chosen
+        const character = this.gameStateManager.gameObjectManager.getGameObject(sessionId, data.objectId);
+        this.recordJournalEntry(sessionId, 'action', player, {
+          ...this.omitFields(data, ACTION_ACTOR_FIELDS),
+          theme: character?.contents?.themeCards?.[data.themeIndex] || null
+        });
+      } else {
+        this.recordJournalEntry(sessionId, 'action', player, this.omitFields(data, ACTION_ACTOR_FIELDS));
+      }
       
-      // Save session data
-      this.saveSessionData(sessionId);
+      // Save session data with the next auto-save
+      this.sessionManager.markSessionDirty(sessionId);
       
       // Update session activity
       this.sessionManager.updateSessionActivity(sessionId);
@@ -335,22 +513,32 @@ class WebSocketHandler {
     console.log('🎲 Server received dice roll request:', data);
 
     try {
-      const { relevantObjectIds = [], selectedTags = [], modifier = 0 } = data;
+      const { tags = [], rollType } = data;
       
-      if (!Array.isArray(relevantObjectIds)) {
-        console.log('❌ Invalid relevant object IDs:', relevantObjectIds);
-        socket.emit('error', { message: 'Invalid relevant object IDs' });
+      if (!this.gameStateManager.isValidRollType(rollType)) {
+        console.log('❌ Invalid roll type:', rollType);
+        socket.emit('error', { message: 'Invalid roll type' });
+        return;
+      }
+      
+      // The modifier is calculated on the server from the referenced tags
+      const player = this.sessionManager.getPlayerBySocket(sessionId, socket.id);
+      const roller = player ? { id: player.id, name: player.name, isGM: player.isGM === true } : {};
+      const tagError = this.gameStateManager.getTagReferenceError(sessionId, tags, roller);
+      if (tagError) {
+        console.log('❌ Invalid tag references:', tagError);
+        socket.emit('error', { message: tagError });
         return;
       }
 
-      // Create roll action with selected tags information
+      // Create roll action from the tag references
       const rollAction = {
         type: 'roll_dice',
-        relevantObjectIds: relevantObjectIds,
-        selectedTags: selectedTags,
-        modifier: modifier,
-        playerId: socket.id,
-        playerName: this.sessionManager.getPlayerName(sessionId, socket.id)
+        rollType: rollType,
+        tags: tags,
+        playerId: player ? player.id : null,
+        playerName: player ? player.name : null,
+        isGM: roller.isGM === true
       };
 
       console.log('🎲 Created roll action:', rollAction);
@@ -366,6 +554,7 @@ class WebSocketHandler {
       console.log('✅ Dice roll action validated');
 
       // Apply the dice roll
+      const snapshot = this.gameStateManager.createSnapshot(sessionId);
       const updatedGameState = this.gameStateManager.applyDiceRoll(sessionId, rollAction);
       
       console.log('✅ Dice roll applied, updated game state:', updatedGameState);
@@ -375,16 +564,18 @@ class WebSocketHandler {
       
       console.log('🎲 Last roll result:', lastRoll);
       
+      this.recordJournalEntry(sessionId, 'roll', player, lastRoll);
+
       // Broadcast dice roll result
       this.io.to(sessionId).emit('dice-rolled', lastRoll);
       console.log('📤 Broadcasted dice roll result to session', sessionId);
       
-      // Broadcast updated game state
-      this.io.to(sessionId).emit('game-state-updated', { gameState: updatedGameState });
-      console.log('📤 Broadcasted updated game state to session', sessionId);
+      // Broadcast what the roll changed
+      this.broadcastPatches(sessionId, this.gameStateManager.getPatchesSince(sessionId, snapshot));
+      console.log('📤 Broadcasted game state patches to session', sessionId);
       
-      // Save session data
-      this.saveSessionData(sessionId);
+      // Save session data with the next auto-save
+      this.sessionManager.markSessionDirty(sessionId);
       
       // Update session activity
       this.sessionManager.updateSessionActivity(sessionId);
@@ -403,13 +594,42 @@ class WebSocketHandler {
   async handleGetSavedSessions(socket) {
     try {
       const sessions = await this.sessionManager.getSavedSessions();
-      socket.emit('saved-sessions', { sessions });
+      const campaigns = await this.sessionManager.getCampaigns();
+      socket.emit('saved-sessions', { sessions, campaigns });
     } catch (error) {
       console.error('Error getting saved sessions:', error);
       socket.emit('error', { message: 'Failed to get saved sessions' });
     }
   }
 
+  /**
+   * Handle creating a campaign
+   * The passphrase becomes the narrator passphrase of every session played in the campaign.
+   */
+  async handleCreateCampaign(socket, data) {
+    try {
+      const name = typeof data.name === 'string' ? data.name.trim() : '';
+      const { narratorPassphrase } = data;
+
+      if (!name) {
+        socket.emit('error', { message: 'Campaign name is required' });
+        return;
+      }
+      if (typeof narratorPassphrase !== 'string' || narratorPassphrase.length === 0) {
+        socket.emit('error', { message: 'A narrator passphrase is required' });
+        return;
+      }
+
+      const campaign = await this.sessionManager.createCampaign(name, narratorPassphrase);
+      socket.emit('campaign-created', {
+        campaign: { campaignId: campaign.id, name: campaign.name, created: campaign.created }
+      });
+    } catch (error) {
+      console.error('Error creating campaign:', error);
+      socket.emit('error', { message: 'Failed to create campaign' });
+    }
+  }
+
   /**
    * Handle get session players
    */
@@ -435,7 +655,7 @@ class WebSocketHandler {
   async handleGetCurrentGameState(socket, data) {
     try {
       console.log('🔄 handleGetCurrentGameState called with data:', data);
-      const { sessionId, playerName } = data;
+      const { sessionId, playerName, narratorPassphrase, playerId, reconnectToken } = data;
       
       if (!sessionId || !playerName) {
         console.log('❌ Validation failed:', { sessionId, playerName });
@@ -445,8 +665,15 @@ class WebSocketHandler {
 
       console.log(`🔄 Reconnection request for session ${sessionId}, player ${playerName}`);
 
-      // Get current session and game state
-      const session = this.sessionManager.getSession(sessionId);
+      // Get current session and game state, loading the session again if it was evicted while idle
+      let session = this.sessionManager.getSession(sessionId);
+      if (!session) {
+        const savedData = await this.sessionManager.loadSession(sessionId);
+        if (savedData) {
+          session = savedData.session;
+          this.gameStateManager.restoreSessionState(sessionId, savedData.gameState);
+        }
+      }
       if (!session) {
         console.log(`❌ Session not found for ID: ${sessionId}`);
         socket.emit('error', { message: 'Session not found' });
@@ -472,51 +699,50 @@ class WebSocketHandler {
         activeChallenge: gameState.activeChallenge
       });
 
-      // Check if player is already in the session
-      const playersArray = Array.from(session.players.values());
-      console.log(`🔍 Looking for player "${playerName}" in players:`, playersArray.map(p => ({ id: p.id, name: p.name })));
-      
-      const existingPlayer = playersArray.find(p => p.name === playerName);
-      if (!existingPlayer) {
-        console.log(`➕ Player "${playerName}" not found, adding to session`);
-        // Add player to session if they don't exist
-        const player = {
-          id: socket.id,
-          name: playerName,
-          isGM: false, // Default to non-GM for reconnections
-          joinedAt: new Date().toISOString()
-        };
-        
-        this.sessionManager.addPlayerToSession(sessionId, player);
-        this.socketSessions.set(socket.id, sessionId);
-        
-        console.log(`✅ Player ${playerName} reconnected to session ${sessionId}`);
-      } else {
-        console.log(`🔄 Player "${playerName}" found, updating socket ID from ${existingPlayer.id} to ${socket.id}`);
-        // Update existing player's socket ID
-        existingPlayer.id = socket.id;
-        this.socketSessions.set(socket.id, sessionId);
-        console.log(`✅ Existing player ${playerName} reconnected to session ${sessionId}`);
+      // Narrator authority comes from the passphrase, never from a previous connection
+      const isGM = this.sessionManager.verifyNarratorPassphrase(sessionId, narratorPassphrase);
+
+      // The player is whoever their reconnect token says, never whoever shares their name
+      const identity = this.sessionManager.identifyPlayer(sessionId, playerName, { playerId, reconnectToken });
+      if (!identity) {
+        socket.emit('error', { message: `The name "${playerName}" is already taken in this session` });
+        return;
+      }
+
+      const isReconnection = session.players.has(identity.playerId);
+      this.sessionManager.addPlayerToSession(sessionId, {
+        id: identity.playerId,
+        socketId: socket.id,
+        name: playerName,
+        isGM: isGM,
+        joinedAt: new Date().toISOString()
+      });
+      socket.join(sessionId);
+      this.socketSessions.set(socket.id, sessionId);
+      console.log(`✅ Player ${playerName} ${isReconnection ? 'reconnected' : 'added'} to session ${sessionId}`);
+
+      if (identity.reconnectToken) {
+        this.saveSessionData(sessionId);
       }
 
       // Send current game state
-      const finalPlayer = existingPlayer || playersArray.find(p => p.name === playerName);
+      const finalPlayer = session.players.get(identity.playerId);
       console.log(`📤 Sending current-game-state to socket ${socket.id}:`, {
         sessionId: session.id,
-        player: finalPlayer ? { id: finalPlayer.id, name: finalPlayer.name } : 'NOT FOUND',
+        player: { id: finalPlayer.id, name: finalPlayer.name },
         gameStateObjects: gameState.gameObjects?.length || 0
       });
       
       socket.emit('current-game-state', {
         session: this.convertSessionForClient(session),
         player: finalPlayer,
-        gameState: gameState
+        gameState: this.projectGameState(gameState, finalPlayer),
+        reconnectToken: identity.reconnectToken || undefined
       });
 
       // Notify other players about reconnection
       socket.to(sessionId).emit('player-joined', {
-        playerName: playerName,
-        playerId: socket.id,
+        player: finalPlayer,
         session: this.convertSessionForClient(session)
       });
 
@@ -532,11 +758,12 @@ class WebSocketHandler {
   handleDisconnect(socket) {
     const sessionId = this.socketSessions.get(socket.id);
     if (sessionId) {
-      // Save session data before disconnecting
-      this.saveSessionData(sessionId);
+      // Save session data with the next auto-save
+      this.sessionManager.markSessionDirty(sessionId);
 
-      // Remove player from session
-      const player = this.sessionManager.removePlayerFromSession(sessionId, socket.id);
+      // Remove player from session, unless they have already reconnected on another socket
+      const socketPlayer = this.sessionManager.getPlayerBySocket(sessionId, socket.id);
+      const player = socketPlayer ? this.sessionManager.removePlayerFromSession(sessionId, socketPlayer.id) : null;
       
       // Notify other players
       if (player) {
@@ -553,7 +780,7 @@ class WebSocketHandler {
   }
 
   /**
-   * Save session data
+   * Save session data straight away, for changes that can't wait for the next auto-save
    */
   async saveSessionData(sessionId) {
     try {
@@ -585,6 +812,284 @@ class WebSocketHandler {
     return this.socketSessions.get(socket.id);
   }
 
+  /**
+   * Send a set of patches to every player in a session as the session's next version
+   * Each player gets the patches projected for them
+   * @param {string} sessionId - Session identifier
+   * @param {Array} patches - Patches from GameStateManager.getPatchesSince
+   */
+  broadcastPatches(sessionId, patches) {
+    if (patches.length === 0) return;
+
+    const version = this.gameStateManager.nextVersion(sessionId);
+    const { activeChallenge } = this.gameStateManager.getSessionState(sessionId);
+
+    for (const [socketId, socketSessionId] of this.socketSessions.entries()) {
+      if (socketSessionId !== sessionId) continue;
+
+      const player = this.sessionManager.getPlayerBySocket(sessionId, socketId);
+      this.sendToPlayer(socketId, 'game-state-patch', {
+        version: version,
+        patches: this.projectPatches(patches, player, activeChallenge)
+      });
+    }
+  }
+
+  /**
+   * Send the full game state to one socket, for clients that have missed a patch
+   */
+  handleRequestGameState(socket) {
+    const sessionId = this.socketSessions.get(socket.id);
+    if (!sessionId) return;
+
+    const player = this.sessionManager.getPlayerBySocket(sessionId, socket.id);
+    const gameState = this.gameStateManager.getSessionState(sessionId);
+
+    console.log(`🔄 Full game state resync for ${socket.id} at version ${gameState.version}`);
+    socket.emit('game-state-updated', { gameState: this.projectGameState(gameState, player) });
+  }
+
+  /**
+   * Import a character sheet into a loaded session on the narrator's behalf
+   * Players in the session see the character appear as if it had been created in play.
+   * @param {string} sessionId - Session identifier
+   * @param {Object} sheet - Validated character sheet
+   * @returns {string|null} ID of the new character, or null if the session isn't loaded
+   */
+  importCharacter(sessionId, sheet) {
+    if (!this.sessionManager.getSession(sessionId)) return null;
+
+    const action = { type: 'import_character', sheet: sheet, playerId: null, playerName: null, isGM: true };
+    const existingIds = new Set(this.gameStateManager.gameObjectManager.getSessionObjects(sessionId).map(obj => obj.id));
+
+    const snapshot = this.gameStateManager.createSnapshot(sessionId);
+    this.gameStateManager.applyAction(sessionId, action);
+    this.broadcastPatches(sessionId, this.gameStateManager.getPatchesSince(sessionId, snapshot));
+    this.recordJournalEntry(sessionId, 'action', null, this.omitFields(action, ACTION_ACTOR_FIELDS));
+    this.sessionManager.markSessionDirty(sessionId);
+
+    const character = this.gameStateManager.gameObjectManager.getSessionObjects(sessionId, 'character')
+      .find(obj => !existingIds.has(obj.id));
+    return character.id;
+  }
+
+  /**
+   * Restore a session's game state from one of its backups
+   * Players in a loaded session are sent the restored state in full.
+   * @param {string} sessionId - Session identifier
+   * @param {string} backupId - Backup identifier
+   * @returns {boolean} True if the backup was restored, false if it doesn't exist
+   */
+  async restoreBackup(sessionId, backupId) {
+    const isLoaded = !!this.sessionManager.getSession(sessionId);
+    const currentGameState = isLoaded ? this.gameStateManager.getSessionState(sessionId) : null;
+
+    const gameState = await this.sessionManager.restoreBackup(sessionId, backupId, currentGameState);
+    if (!gameState) return false;
+    if (!isLoaded) return true;
+
+    // Start from a clean slate so objects created since the backup go, and carry on
+    // from the current version so clients don't mistake the restored state for an old one
+    this.gameStateManager.cleanupSession(sessionId);
+    this.gameStateManager.restoreSessionState(sessionId, { ...gameState, version: currentGameState.version });
+    this.gameStateManager.nextVersion(sessionId);
+
+    const restoredGameState = this.gameStateManager.getSessionState(sessionId);
+    for (const [socketId, socketSessionId] of this.socketSessions.entries()) {
+      if (socketSessionId !== sessionId) continue;
+
+      const player = this.sessionManager.getPlayerBySocket(sessionId, socketId);
+      this.sendToPlayer(socketId, 'game-state-updated', {
+        gameState: this.projectGameState(restoredGameState, player)
+      });
+    }
+
+    await this.saveSessionData(sessionId);
+    return true;
+  }
+
+  /**
+   * Record something that happened in the session journal
+   * @param {string} sessionId - Session identifier
+   * @param {string} kind - Entry kind (chat, roll, note or action)
+   * @param {Object|null} player - Player who caused it
+   * @param {Object} data - Entry data
+   */
+  recordJournalEntry(sessionId, kind, player, data) {
+    const actor = player ? { id: player.id, name: player.name } : null;
+    this.sessionManager.journal.append(sessionId, kind, actor, data);
+  }
+
+  /**
+   * Handle a request for a page of older journal entries
+   * @param {Object} socket - Requesting socket
+   * @param {Object} data - Paging options ({ kinds, before, limit })
+   */
+  async handleGetJournal(socket, data) {
+    const sessionId = this.socketSessions.get(socket.id);
+    if (!sessionId) return;
+
+    try {
+      const player = this.sessionManager.getPlayerBySocket(sessionId, socket.id);
+      const page = await this.getJournalPage(sessionId, player, data);
+      socket.emit('journal-page', page);
+    } catch (error) {
+      console.error('Error getting journal:', error);
+      socket.emit('error', { message: 'Failed to load history' });
+    }
+  }
+
+  /**
+   * Get a page of journal entries a recipient may see
+   * @param {string} sessionId - Session identifier
+   * @param {Object|null} player - Recipient (null for anonymous readers)
+   * @param {Object} options - Paging options ({ kinds, before, limit })
+   * @returns {Object} { kinds, entries, hasMore }
+   */
+  async getJournalPage(sessionId, player, { kinds, before, limit } = {}) {
+    const allowedKinds = player && player.isGM ? [...PLAYER_JOURNAL_KINDS, 'action'] : PLAYER_JOURNAL_KINDS;
+    const requestedKinds = Array.isArray(kinds) ? kinds.filter(kind => allowedKinds.includes(kind)) : allowedKinds;
+
+    const { entries, hasMore } = await this.sessionManager.journal.getEntries(sessionId, {
+      kinds: requestedKinds,
+      before: typeof before === 'string' ? before : null,
+      limit: limit
+    });
+
+    return {
+      kinds: requestedKinds,
+      entries: entries.filter(entry => entry.kind !== 'note' || this.canSeeNote(entry.data, player)),
+      hasMore: hasMore
+    };
+  }
+
+  /**
+   * Remove the narrator's secrets from the game state for one recipient
+   * Narrators get the full state; players lose scene descriptions, unrevealed
+   * challenges, the narrator's challenge notes and other people's private notes
+   * @param {Object} gameState - Full game state
+   * @param {Object|null} player - Recipient (null for anonymous readers)
+   * @returns {Object} Game state the recipient may see
+   */
+  projectGameState(gameState, player) {
+    if (player && player.isGM) {
+      return gameState;
+    }
+
+    const gameObjects = (gameState.gameObjects || [])
+      .map(obj => this.projectGameObject(obj, player, gameState.activeChallenge))
+      .filter(obj => obj !== null);
+    const notes = (gameState.notes || []).filter(note => this.canSeeNote(note, player));
+    const trash = this.projectTrash(gameState.trash || [], player, gameState.activeChallenge);
+
+    return { ...gameState, gameObjects, notes, trash };
+  }
+
+  /**
+   * Project patches for one recipient
+   * Objects a player may not see are sent as deletions, so they disappear if a
+   * player had them and are never revealed otherwise
+   * @param {Array} patches - Patches for the full game state
+   * @param {Object|null} player - Recipient
+   * @param {string|null} activeChallenge - Active challenge ID
+   * @returns {Array} Patches the recipient may see
+   */
+  projectPatches(patches, player, activeChallenge) {
+    if (player && player.isGM) {
+      return patches;
+    }
+
+    return patches
+      .map(patch => {
+        if (patch.type === 'object_created' || patch.type === 'object_updated') {
+          const object = this.projectGameObject(patch.object, player, activeChallenge);
+          return object ? { ...patch, object } : { type: 'object_deleted', objectId: patch.object.id };
+        }
+        if (patch.type === 'note_added' && !this.canSeeNote(patch.note, player)) {
+          return null;
+        }
+        if (patch.type === 'trash_changed') {
+          return { ...patch, trash: this.projectTrash(patch.trash, player, activeChallenge) };
+        }
+        return patch;
+      })
+      .filter(patch => patch !== null);
+  }
+
+  /**
+   * Project one game object for a player
+   * @param {Object} obj - Game object
+   * @param {Object|null} player - Recipient
+   * @param {string|null} activeChallenge - Active challenge ID
+   * @returns {Object|null} Object the player may see, or null if it is hidden
+   */
+  projectGameObject(obj, player, activeChallenge) {
+    if (player && player.isGM) {
+      return obj;
+    }
+
+    const isRevealed = (challenge, challengeId) => challenge.revealed === true || challengeId === activeChallenge;
+
+    if (obj.type === 'scene') {
+      const contents = this.omitFields(obj.contents, SCENE_NARRATOR_FIELDS);
+      if (Array.isArray(contents.challenges)) {
+        contents.challenges = contents.challenges
+          .filter(challenge => isRevealed(challenge, challenge.id))
+          .map(challenge => this.omitFields(challenge, CHALLENGE_NARRATOR_FIELDS));
+      }
+      return { ...obj, contents };
+    }
+    if (obj.type === 'challenge') {
+      if (!isRevealed(obj.contents || {}, obj.id)) {
+        return null;
+      }
+      return { ...obj, contents: this.omitFields(obj.contents, CHALLENGE_NARRATOR_FIELDS) };
+    }
+    return obj;
+  }
+
+  /**
+   * Project the session trash for a player, leaving out objects they may not see
+   * @param {Array} trash - Trash items ({ object, deletedAt, deletedBy })
+   * @param {Object|null} player - Recipient
+   * @param {string|null} activeChallenge - Active challenge ID
+   * @returns {Array} Trash items the player may see
+   */
+  projectTrash(trash, player, activeChallenge) {
+    return trash
+      .map(item => {
+        const object = this.projectGameObject(item.object, player, activeChallenge);
+        return object ? { ...item, object } : null;
+      })
+      .filter(item => item !== null);
+  }
+
+  /**
+   * Check whether a recipient may see a note
+   * @param {Object} note - Note
+   * @param {Object|null} player - Recipient
+   * @returns {boolean} True for public notes, and private notes the recipient wrote
+   */
+  canSeeNote(note, player) {
+    if (!note.isPrivate) return true;
+    if (!player) return false;
+    return player.isGM || (!!note.authorId && note.authorId === player.id);
+  }
+
+  /**
+   * Copy an object without some of its fields
+   * @param {Object} source - Object to copy
+   * @param {Array} fields - Field names to leave out
+   * @returns {Object} Copy without the fields
+   */
+  omitFields(source, fields) {
+    const copy = { ...(source || {}) };
+    fields.forEach(field => {
+      delete copy[field];
+    });
+    return copy;
+  }
+
   /**
    * Broadcast to all players in a session
    */
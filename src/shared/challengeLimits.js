@@ -0,0 +1,44 @@
+/**
+ * Challenge limits, shared by the server and the client
+ *
+ * A challenge's limits ([{ name, max }]) say how far a status must go before
+ * the challenge is overcome. A status counts towards the limit with the same
+ * name, case aside, and the highest tier among them is the limit's progress.
+ *
+ * Loaded with require() on the server and as a side-effect import in the
+ * browser, where it is exposed as self.ChallengeLimits (after self.StatusTiers).
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./statusTiers'));
+  } else {
+    root.ChallengeLimits = factory(root.StatusTiers);
+  }
+})(typeof self !== 'undefined' ? self : this, function (StatusTiers) {
+  /**
+   * Work out how far a challenge's statuses have progressed towards each of its limits
+   * @param {Array} limits - Challenge limits ([{ name, max }])
+   * @param {Object} tags - Challenge tags, including statuses
+   * @returns {Array} Limits with { name, max, current, reached }
+   */
+  function getChallengeLimitProgress(limits, tags) {
+    return (limits || []).map(limit => {
+      const limitName = String(limit.name).toLowerCase();
+      const current = Object.entries(tags || {})
+        .filter(([tagName, tagData]) => tagData && tagData.isStatus && tagName.toLowerCase() === limitName)
+        .reduce((highest, [, tagData]) => Math.max(highest, StatusTiers.getStatusTier(tagData)), 0);
+
+      return {
+        name: limit.name,
+        max: limit.max,
+        current: current,
+        reached: current >= limit.max
+      };
+    });
+  }
+
+  return {
+    getChallengeLimitProgress
+  };
+});
@@ -0,0 +1,293 @@
+/**
+ * Character sheet files, shared by the server and the client
+ *
+ * A character sheet file carries one character out of a session and into
+ * another, or into an offline copy. It is versioned JSON:
+ *
+ *   {
+ *     format: 'litm-character', version: 1, exportedAt,
+ *     character: {
+ *       name, playerName, promise (0-5), notes,
+ *       themeCards: [{ type, quest, level, themebook?, might?, scratched?,
+ *                      attributes: [{ name, effect: 'positive'|'negative', scratched? }],
+ *                      specialImprovements: [name], tracks: { abandon, improve, milestone } }],
+ *       statuses: [{ name, tier, checkedValues }],
+ *       backpack: [{ name, scratched? }],
+ *       quintessences: [name],
+ *       companions: [{ name, relationship }]
+ *     }
+ *   }
+ *
+ * In a session a character keeps its theme cards in its contents and
+ * everything else as tags; createCharacterSheet and readCharacterSheet convert
+ * between the two. Relationships toward fellowship members are exported as
+ * companions, since the members they point at stay behind in the session.
+ *
+ * Loaded with require() on the server and as a side-effect import in the
+ * browser, where it is exposed as self.CharacterSheets (after self.StatusTiers
+ * and self.ThemeCards).
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./statusTiers'), require('./themeCards'));
+  } else {
+    root.CharacterSheets = factory(root.StatusTiers, root.ThemeCards);
+  }
+})(typeof self !== 'undefined' ? self : this, function (StatusTiers, ThemeCards) {
+  const CHARACTER_SHEET_FORMAT = 'litm-character';
+  const CHARACTER_SHEET_VERSION = 1;
+
+  const { MAX_PROMISE, THEME_TRACKS, THEME_TRACK_LENGTH } = ThemeCards;
+  const TAG_EFFECTS = ['positive', 'negative'];
+  // Tag groups a character keeps alongside its statuses, which no status may be named after
+  const TAG_GROUPS = ['companions', 'quintessences', 'backpack', 'relationships'];
+
+  /**
+   * Make a character sheet from a character in a session
+   * @param {Object} character - Character game object
+   * @param {Array} relationships - Relationships toward fellowship members ([{ name, relationship }])
+   * @returns {Object} Character sheet
+   */
+  function createCharacterSheet(character, relationships = []) {
+    const contents = character.contents || {};
+    const tags = character.tags && !Array.isArray(character.tags) ? character.tags : {};
+    const isScratched = key => tags[key]?.scratched === true;
+
+    const themeCards = (contents.themeCards || []).filter(Boolean).map(card => ({
+      type: card.type || '',
+      quest: card.quest || '',
+      level: card.level || 1,
+      ...(card.themebook && { themebook: card.themebook, might: card.might }),
+      scratched: isScratched(card.type),
+      attributes: (card.attributes || []).map(attr => ({
+        name: attr.name,
+        effect: attr.effect === 'negative' ? 'negative' : 'positive',
+        scratched: isScratched(`${card.type}: ${attr.name}`)
+      })),
+      specialImprovements: [...(card.specialImprovements || [])],
+      tracks: THEME_TRACKS.reduce((tracks, track) => ({ ...tracks, [track]: card.tracks?.[track] || 0 }), {})
+    }));
+
+    const statuses = Object.entries(tags)
+      .filter(([, tag]) => tag?.isStatus)
+      .map(([name, tag]) => ({
+        name: name,
+        tier: StatusTiers.getStatusTier(tag),
+        checkedValues: StatusTiers.getMarkedBoxes(tag)
+      }))
+      .filter(status => status.tier > 0);
+
+    // Relationships toward fellowship members take the place of companions of the same name
+    const companions = Object.entries(tags.companions || {})
+      .filter(([name]) => !relationships.some(entry => entry.name === name))
+      .map(([name, tag]) => ({ name: name, relationship: tag?.relationship || '' }));
+
+    return {
+      format: CHARACTER_SHEET_FORMAT,
+      version: CHARACTER_SHEET_VERSION,
+      exportedAt: new Date().toISOString(),
+      character: {
+        name: contents.characterName || contents.name || '',
+        playerName: contents.playerName || '',
+        promise: contents.promise?.progress || 0,
+        notes: contents.notes || '',
+        themeCards: themeCards,
+        statuses: statuses,
+        backpack: Object.keys(tags.backpack || {}).map(name => ({ name: name, scratched: tags.backpack[name]?.scratched === true })),
+        quintessences: Object.keys(tags.quintessences || {}),
+        companions: [...relationships.map(entry => ({ name: entry.name, relationship: entry.relationship })), ...companions]
+      }
+    };
+  }
+
+  /**
+   * Get the character sheet in imported data
+   * A character game object copied out of a session file is converted to a sheet.
+   * @param {Object} data - Imported data
+   * @returns {Object} Character sheet (still to be validated)
+   */
+  function toCharacterSheet(data) {
+    if (data && data.format === undefined && data.type === 'character' && data.contents) {
+      return createCharacterSheet(data);
+    }
+    return data;
+  }
+
+  /**
+   * Check a character sheet against the version of the format it claims
+   * @param {Object} sheet - Character sheet
+   * @returns {Array} Problems found, as readable messages (empty if the sheet is valid)
+   */
+  function validateCharacterSheet(sheet) {
+    const errors = [];
+    const check = (ok, message) => {
+      if (!ok) errors.push(message);
+      return ok;
+    };
+    const isName = value => typeof value === 'string' && value.trim().length > 0;
+    const isOptional = (value, test) => value === undefined || test(value);
+    const isString = value => typeof value === 'string';
+    const isBoolean = value => typeof value === 'boolean';
+    const isCount = (value, max) => Number.isInteger(value) && value >= 0 && value <= max;
+    const checkList = (list, path, checkItem) => {
+      if (!check(Array.isArray(list), `${path} must be a list`)) return;
+      list.forEach((item, index) => {
+        if (check(!!item && typeof item === 'object', `${path}[${index}] must be an object`)) {
+          checkItem(item, `${path}[${index}]`);
+        }
+      });
+    };
+    const checkUniqueNames = (names, path) => {
+      const seen = new Set();
+      names.forEach(name => {
+        check(!seen.has(name), `${path} has "${name}" more than once`);
+        seen.add(name);
+      });
+    };
+
+    if (!check(!!sheet && typeof sheet === 'object', 'Character sheet must be a JSON object')) return errors;
+    if (!check(sheet.format === CHARACTER_SHEET_FORMAT, `Not a character sheet (format must be "${CHARACTER_SHEET_FORMAT}")`)) return errors;
+    if (!check(Number.isInteger(sheet.version) && sheet.version >= 1 && sheet.version <= CHARACTER_SHEET_VERSION,
+      `Unsupported character sheet version: ${sheet.version}`)) return errors;
+
+    const character = sheet.character;
+    if (!check(!!character && typeof character === 'object', 'character must be an object')) return errors;
+
+    check(isName(character.name), 'character.name is required');
+    check(isOptional(character.playerName, isString), 'character.playerName must be text');
+    check(isOptional(character.notes, isString), 'character.notes must be text');
+    check(isOptional(character.promise, value => isCount(value, MAX_PROMISE)), `character.promise must be a whole number from 0 to ${MAX_PROMISE}`);
+
+    checkList(character.themeCards, 'character.themeCards', (card, path) => {
+      check(isName(card.type), `${path}.type is required`);
+      check(isOptional(card.quest, isString), `${path}.quest must be text`);
+      check(isOptional(card.level, value => Number.isInteger(value) && value >= 1), `${path}.level must be a whole number from 1`);
+      check(isOptional(card.themebook, isString), `${path}.themebook must be text`);
+      check(isOptional(card.might, isString), `${path}.might must be text`);
+      check(isOptional(card.scratched, isBoolean), `${path}.scratched must be true or false`);
+      checkList(card.attributes, `${path}.attributes`, (attr, attrPath) => {
+        check(isName(attr.name), `${attrPath}.name is required`);
+        check(TAG_EFFECTS.includes(attr.effect), `${attrPath}.effect must be "positive" or "negative"`);
+        check(isOptional(attr.scratched, isBoolean), `${attrPath}.scratched must be true or false`);
+      });
+      if (Array.isArray(card.attributes)) {
+        checkUniqueNames(card.attributes.map(attr => attr?.name), `${path}.attributes`);
+      }
+      check(Array.isArray(card.specialImprovements) && card.specialImprovements.every(isName),
+        `${path}.specialImprovements must be a list of names`);
+      check(!!card.tracks && THEME_TRACKS.every(track => isCount(card.tracks[track], THEME_TRACK_LENGTH)),
+        `${path}.tracks must give ${THEME_TRACKS.join(', ')} from 0 to ${THEME_TRACK_LENGTH}`);
+    });
+
+    checkList(character.statuses, 'character.statuses', (status, path) => {
+      check(isName(status.name) && !TAG_GROUPS.includes(status.name), `${path}.name is required and can't be one of ${TAG_GROUPS.join(', ')}`);
+      check(Array.isArray(status.checkedValues) && status.checkedValues.length > 0 && status.checkedValues.every(StatusTiers.isValidTier),
+        `${path}.checkedValues must list the marked boxes (${StatusTiers.MIN_TIER}-${StatusTiers.MAX_TIER})`);
+      check(isOptional(status.tier, StatusTiers.isValidTier), `${path}.tier must be from ${StatusTiers.MIN_TIER} to ${StatusTiers.MAX_TIER}`);
+    });
+
+    checkList(character.backpack, 'character.backpack', (item, path) => {
+      check(isName(item.name), `${path}.name is required`);
+      check(isOptional(item.scratched, isBoolean), `${path}.scratched must be true or false`);
+    });
+
+    check(Array.isArray(character.quintessences) && character.quintessences.every(isName),
+      'character.quintessences must be a list of names');
+
+    checkList(character.companions, 'character.companions', (companion, path) => {
+      check(isName(companion.name), `${path}.name is required`);
+      check(isString(companion.relationship), `${path}.relationship must be text`);
+    });
+
+    // Names become tag keys, so they must be unique within each list
+    [
+      ['character.themeCards', character.themeCards, card => card?.type],
+      ['character.statuses', character.statuses, status => status?.name],
+      ['character.backpack', character.backpack, item => item?.name],
+      ['character.quintessences', character.quintessences, name => name],
+      ['character.companions', character.companions, companion => companion?.name]
+    ].forEach(([path, list, getName]) => {
+      if (Array.isArray(list)) checkUniqueNames(list.map(getName), path);
+    });
+
+    return errors;
+  }
+
+  /**
+   * Turn a valid character sheet into the contents and tags of a character
+   * @param {Object} sheet - Validated character sheet
+   * @param {string} addedBy - Who is importing it
+   * @returns {Object} { contents, tags } in the shape the character sheet form saves
+   */
+  function readCharacterSheet(sheet, addedBy = null) {
+    const character = sheet.character;
+    const tags = {
+      companions: {},
+      quintessences: {},
+      backpack: {}
+    };
+
+    character.companions.forEach(companion => {
+      tags.companions[companion.name] = { modifier: 1, addedBy: addedBy, isCompanion: true, relationship: companion.relationship || 'Unknown' };
+    });
+    character.quintessences.forEach(name => {
+      tags.quintessences[name] = { modifier: 0, addedBy: addedBy, isQuintessence: true };
+    });
+    character.backpack.forEach(item => {
+      tags.backpack[item.name] = { modifier: 1, scratched: item.scratched === true, addedBy: addedBy, isBackpackItem: true };
+    });
+    character.statuses.forEach(status => {
+      const checkedValues = StatusTiers.getMarkedBoxes({ checkedValues: status.checkedValues });
+      const tier = StatusTiers.getStatusTier({ checkedValues });
+      tags[status.name] = { isStatus: true, trackValue: tier, checkedValues: checkedValues, modifier: tier, scratched: false, addedBy: addedBy };
+    });
+
+    const themeCards = character.themeCards.map((card, index) => {
+      card.attributes.forEach(attr => {
+        tags[`${card.type}: ${attr.name}`] = {
+          modifier: attr.effect === 'positive' ? 1 : -1,
+          addedBy: addedBy,
+          themeCardIndex: index,
+          attributeName: attr.name,
+          effect: attr.effect,
+          scratched: attr.scratched === true
+        };
+      });
+      // Theme tags only get an entry once they have been scratched
+      if (card.scratched) {
+        tags[card.type] = { modifier: 1, isThemeCardTag: true, scratched: true };
+      }
+
+      return {
+        type: card.type,
+        attributes: card.attributes.map(attr => ({ name: attr.name, effect: attr.effect })),
+        quest: card.quest || '',
+        specialImprovements: [...card.specialImprovements],
+        tracks: THEME_TRACKS.reduce((tracks, track) => ({ ...tracks, [track]: card.tracks[track] }), {}),
+        level: card.level || 1,
+        ...(card.themebook && { themebook: card.themebook, might: card.might })
+      };
+    });
+
+    return {
+      contents: {
+        characterName: character.name.trim(),
+        playerName: character.playerName || '',
+        promise: { progress: character.promise || 0 },
+        themeCards: themeCards,
+        notes: character.notes || ''
+      },
+      tags: tags
+    };
+  }
+
+  return {
+    CHARACTER_SHEET_FORMAT,
+    CHARACTER_SHEET_VERSION,
+    createCharacterSheet,
+    toCharacterSheet,
+    validateCharacterSheet,
+    readCharacterSheet
+  };
+});
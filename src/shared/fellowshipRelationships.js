@@ -0,0 +1,119 @@
+/**
+ * Fellowship relationship rules, shared by the server and the client
+ *
+ * The fellowship holds the shared theme card and a relationship matrix: each
+ * character's relationship tag toward each other member of the fellowship.
+ * Every character in the session is a member. The tags are stored on the
+ * fellowship object under tags.relationships, keyed '<fromId>><toId>', so they
+ * are referenced, rolled and scratched like any other grouped tag.
+ *
+ * Loaded with require() on the server and as a side-effect import in the
+ * browser, where it is exposed as self.FellowshipRelationships.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.FellowshipRelationships = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const RELATIONSHIP_TAG_TYPE = 'relationships';
+
+  /**
+   * Get the key a relationship tag is stored under
+   * @param {string} fromId - Character the relationship belongs to
+   * @param {string} toId - Character the relationship is toward
+   * @returns {string} Tag key
+   */
+  function getRelationshipKey(fromId, toId) {
+    return `${fromId}>${toId}`;
+  }
+
+  /**
+   * Split a relationship tag key into the characters it joins
+   * @param {string} key - Tag key, '<fromId>><toId>'
+   * @returns {Object|null} { fromId, toId }, or null if the value isn't a relationship key
+   */
+  function parseRelationshipKey(key) {
+    if (typeof key !== 'string') return null;
+    const parts = key.split('>');
+    if (parts.length !== 2 || !parts[0] || !parts[1]) return null;
+    return { fromId: parts[0], toId: parts[1] };
+  }
+
+  /**
+   * Create a stored relationship tag
+   * @param {string} fromId - Character the relationship belongs to
+   * @param {string} toId - Character the relationship is toward
+   * @param {string} relationship - Relationship tag
+   * @param {string} addedBy - Player who set it
+   * @returns {Object} Tag data
+   */
+  function createRelationshipTag(fromId, toId, relationship, addedBy = null) {
+    return {
+      modifier: 1,
+      addedBy: addedBy,
+      isRelationship: true,
+      from: fromId,
+      to: toId,
+      relationship: relationship
+    };
+  }
+
+  /**
+   * Get the characters in the fellowship
+   * @param {Array} gameObjects - Game objects in the session
+   * @returns {Array} Character objects
+   */
+  function getMembers(gameObjects = []) {
+    return gameObjects.filter(obj => obj.type === 'character');
+  }
+
+  /**
+   * Get the relationship tag one character has toward another
+   * @param {Object} fellowship - Fellowship object
+   * @param {string} fromId - Character the relationship belongs to
+   * @param {string} toId - Character the relationship is toward
+   * @returns {Object|null} Stored tag ({ relationship, from, to, modifier, scratched? }) or null
+   */
+  function getRelationship(fellowship, fromId, toId) {
+    const group = fellowship?.tags?.[RELATIONSHIP_TAG_TYPE];
+    return group?.[getRelationshipKey(fromId, toId)] || null;
+  }
+
+  /**
+   * Get a character's relationships toward the other fellowship members
+   * Members the character has no relationship with yet are left out.
+   * @param {Object} fellowship - Fellowship object
+   * @param {Array} gameObjects - Game objects in the session
+   * @param {string} fromId - Character whose relationships to get
+   * @returns {Array} [{ member, tag, tagRef }] in member order
+   */
+  function getRelationshipsFrom(fellowship, gameObjects, fromId) {
+    if (!fellowship) return [];
+
+    return getMembers(gameObjects)
+      .filter(member => member.id !== fromId)
+      .map(member => ({
+        member: member,
+        tag: getRelationship(fellowship, fromId, member.id),
+        tagRef: {
+          objectId: fellowship.id,
+          tagType: RELATIONSHIP_TAG_TYPE,
+          tagKey: getRelationshipKey(fromId, member.id)
+        }
+      }))
+      .filter(entry => entry.tag && entry.tag.relationship);
+  }
+
+  return {
+    RELATIONSHIP_TAG_TYPE,
+    getRelationshipKey,
+    parseRelationshipKey,
+    createRelationshipTag,
+    getMembers,
+    getRelationship,
+    getRelationshipsFrom
+  };
+});
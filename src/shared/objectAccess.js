@@ -0,0 +1,96 @@
+/**
+ * Game object access rules, shared by the server and the client
+ *
+ * Every game object has an ACL saying who may edit or delete it:
+ * - owner: the player who created it (and the narrator)
+ * - narrator: the narrator only
+ * - everyone: any player in the session
+ * The narrator may always edit every object.
+ *
+ * Loaded with require() on the server and as a side-effect import in the
+ * browser, where it is exposed as self.ObjectAccess.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ObjectAccess = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const OBJECT_ACLS = ['owner', 'narrator', 'everyone'];
+
+  // Character sheets belong to their player and scenes to the narrator (players only
+  // ever see a copy with the narrator's secrets removed); everything else is shared
+  const DEFAULT_ACLS = {
+    character: 'owner',
+    scene: 'narrator',
+    challenge: 'narrator'
+  };
+
+  /**
+   * Check that a value is a known ACL
+   * @param {string} acl - ACL to check
+   * @returns {boolean} True if the ACL is valid
+   */
+  function isValidAcl(acl) {
+    return OBJECT_ACLS.includes(acl);
+  }
+
+  /**
+   * Get the ACL a new object of a type starts with
+   * @param {string} type - Object type
+   * @returns {string} Default ACL
+   */
+  function getDefaultAcl(type) {
+    return DEFAULT_ACLS[type] || 'everyone';
+  }
+
+  /**
+   * Get the ACL of a game object
+   * @param {Object} gameObject - Game object
+   * @returns {string} ACL
+   */
+  function getObjectAcl(gameObject) {
+    return isValidAcl(gameObject.acl) ? gameObject.acl : getDefaultAcl(gameObject.type);
+  }
+
+  /**
+   * Check whether a player owns a game object
+   * Objects saved before ownership was recorded fall back to the character's player name
+   * @param {Object} gameObject - Game object
+   * @param {Object} player - Player ({ id, name })
+   * @returns {boolean} True if the player owns the object
+   */
+  function isObjectOwner(gameObject, player) {
+    if (gameObject.createdBy) {
+      return !!player.id && gameObject.createdBy === player.id;
+    }
+    return !!player.name && gameObject.contents?.playerName === player.name;
+  }
+
+  /**
+   * Check whether a player may edit or delete a game object
+   * @param {Object} gameObject - Game object
+   * @param {Object} player - Player ({ id, name, isGM })
+   * @returns {boolean} True if the player may edit the object
+   */
+  function canEditObject(gameObject, player) {
+    if (!gameObject || !player) return false;
+    if (player.isGM) return true;
+
+    const acl = getObjectAcl(gameObject);
+    if (acl === 'everyone') return true;
+    if (acl === 'owner') return isObjectOwner(gameObject, player);
+    return false;
+  }
+
+  return {
+    OBJECT_ACLS,
+    isValidAcl,
+    getDefaultAcl,
+    getObjectAcl,
+    isObjectOwner,
+    canEditObject
+  };
+});
@@ -0,0 +1,123 @@
+/**
+ * Status tier rules for Legend in the Mist, shared by the server and the client
+ *
+ * A status has a track of six boxes. Its tier is the highest marked box.
+ * - Adding a tier-N status marks box N; if box N is already marked, the next
+ *   free box above it is marked instead.
+ * - Reducing a status by N shifts every mark N boxes down; marks that fall off
+ *   the bottom of the track are lost.
+ *
+ * Loaded with require() on the server and as a side-effect import in the
+ * browser, where it is exposed as self.StatusTiers.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.StatusTiers = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const MIN_TIER = 1;
+  const MAX_TIER = 6;
+
+  /**
+   * Check that a value is a whole tier between 1 and 6
+   * @param {number} tier - Tier to check
+   * @returns {boolean} True if the tier is valid
+   */
+  function isValidTier(tier) {
+    return Number.isInteger(tier) && tier >= MIN_TIER && tier <= MAX_TIER;
+  }
+
+  /**
+   * Get the marked boxes of a status as a sorted list of valid tiers
+   * @param {Object} status - Status data ({ checkedValues, trackValue })
+   * @returns {Array} Sorted marked boxes
+   */
+  function getMarkedBoxes(status) {
+    if (!status) return [];
+
+    let boxes = Array.isArray(status.checkedValues) ? status.checkedValues : [];
+    // Older statuses only recorded their tier
+    if (boxes.length === 0 && status.trackValue > 0) {
+      boxes = [status.trackValue];
+    }
+
+    return [...new Set(boxes.map(value => parseInt(value, 10)).filter(isValidTier))]
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Read the current tier of a status
+   * @param {Object} status - Status data
+   * @returns {number} Highest marked box, or 0 for an empty track
+   */
+  function getStatusTier(status) {
+    const boxes = getMarkedBoxes(status);
+    return boxes.length > 0 ? boxes[boxes.length - 1] : 0;
+  }
+
+  /**
+   * Build status data from a list of marked boxes
+   * @param {Array} boxes - Marked boxes
+   * @param {Object} existing - Existing status data to keep other fields from
+   * @returns {Object} Status data
+   */
+  function buildStatus(boxes, existing = {}) {
+    const checkedValues = getMarkedBoxes({ checkedValues: boxes });
+    const trackValue = getStatusTier({ checkedValues });
+
+    return {
+      ...existing,
+      isStatus: true,
+      trackValue: trackValue,
+      checkedValues: checkedValues,
+      modifier: trackValue
+    };
+  }
+
+  /**
+   * Add a tier-N status to an existing status track
+   * @param {Object|null} status - Existing status data, or null for a new status
+   * @param {number} tier - Tier of the status being added (1-6)
+   * @returns {Object} Updated status data
+   */
+  function addStatus(status, tier) {
+    const boxes = getMarkedBoxes(status);
+
+    let box = tier;
+    while (boxes.includes(box) && box < MAX_TIER) {
+      box++;
+    }
+    if (!boxes.includes(box)) {
+      boxes.push(box);
+    }
+
+    return buildStatus(boxes, status || {});
+  }
+
+  /**
+   * Reduce a status by a number of tiers
+   * @param {Object} status - Existing status data
+   * @param {number} amount - Number of tiers to reduce by
+   * @returns {Object} Updated status data (tier 0 once every mark is gone)
+   */
+  function reduceStatus(status, amount) {
+    const boxes = getMarkedBoxes(status)
+      .map(box => box - amount)
+      .filter(box => box >= MIN_TIER);
+
+    return buildStatus(boxes, status || {});
+  }
+
+  return {
+    MIN_TIER,
+    MAX_TIER,
+    isValidTier,
+    getMarkedBoxes,
+    getStatusTier,
+    addStatus,
+    reduceStatus
+  };
+});
@@ -0,0 +1,58 @@
+/**
+ * Tests for status tiers
+ */
+
+const { getStatusTier, addStatus, reduceStatus } = require('./statusTiers');
+
+describe('getStatusTier', () => {
+  test('is the highest marked box', () => {
+    expect(getStatusTier({ checkedValues: [1, 4, 2] })).toBe(4);
+  });
+
+  test('is 0 for an empty or missing track', () => {
+    expect(getStatusTier({ checkedValues: [] })).toBe(0);
+    expect(getStatusTier(null)).toBe(0);
+  });
+
+  test('falls back to the tier of an older status', () => {
+    expect(getStatusTier({ trackValue: 3 })).toBe(3);
+  });
+});
+
+describe('addStatus', () => {
+  test('marks the box of a new status', () => {
+    expect(addStatus(null, 2)).toEqual({ isStatus: true, trackValue: 2, checkedValues: [2], modifier: 2 });
+  });
+
+  test('marks a lower box without raising the tier', () => {
+    expect(addStatus({ checkedValues: [3] }, 1)).toMatchObject({ trackValue: 3, checkedValues: [1, 3] });
+  });
+
+  test('stacks onto the next free box when the box is already marked', () => {
+    expect(addStatus({ checkedValues: [2, 3] }, 2)).toMatchObject({ trackValue: 4, checkedValues: [2, 3, 4] });
+  });
+
+  test('stops at the last box', () => {
+    expect(addStatus({ checkedValues: [5, 6] }, 5)).toMatchObject({ trackValue: 6, checkedValues: [5, 6] });
+  });
+
+  test('keeps the other fields of the status', () => {
+    expect(addStatus({ checkedValues: [1], addedBy: 'player_1', scratched: false }, 1))
+      .toMatchObject({ addedBy: 'player_1', scratched: false, checkedValues: [1, 2] });
+  });
+});
+
+describe('reduceStatus', () => {
+  test('moves every marked box down', () => {
+    expect(reduceStatus({ checkedValues: [2, 4] }, 1)).toMatchObject({ trackValue: 3, checkedValues: [1, 3] });
+  });
+
+  test('drops the boxes reduced below the first', () => {
+    expect(reduceStatus({ checkedValues: [1, 3] }, 2)).toMatchObject({ trackValue: 1, checkedValues: [1] });
+  });
+
+  test('leaves tier 0 once every mark is gone', () => {
+    expect(reduceStatus({ checkedValues: [2], addedBy: 'player_1' }, 3))
+      .toEqual({ addedBy: 'player_1', isStatus: true, trackValue: 0, checkedValues: [], modifier: 0 });
+  });
+});
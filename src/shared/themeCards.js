@@ -0,0 +1,27 @@
+/**
+ * Theme card and promise track sizes, shared by the server and the client
+ *
+ * Each theme card has abandon, improve and milestone tracks of three pips;
+ * filling the last pip advances the theme. A character's promise has five.
+ *
+ * Loaded with require() on the server and as a side-effect import in the
+ * browser, where it is exposed as self.ThemeCards.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ThemeCards = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const THEME_TRACKS = ['abandon', 'improve', 'milestone'];
+  const THEME_TRACK_LENGTH = 3;
+  const MAX_PROMISE = 5;
+
+  return {
+    THEME_TRACKS,
+    THEME_TRACK_LENGTH,
+    MAX_PROMISE
+  };
+});
@@ -0,0 +1,434 @@
+/**
+ * Themebook library, shared by the server and the client
+ *
+ * A themebook is a template for a theme card: its might level, the questions
+ * that lead to its power and weakness tags, example tags and the special
+ * improvements the theme can take. Picking one in character creation prefills
+ * the theme card. Groups can add their own themebooks as JSON files, which the
+ * server checks with isValidThemebook before serving them with these.
+ *
+ * Loaded with require() on the server and as a side-effect import in the
+ * browser, where it is exposed as self.Themebooks.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Themebooks = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Might levels, from the everyday to the legendary
+  const MIGHT_LEVELS = [
+    { id: 'origin', name: 'Origin' },
+    { id: 'adventure', name: 'Adventure' },
+    { id: 'greatness', name: 'Greatness' }
+  ];
+
+  const THEMEBOOKS = [
+    // Origin
+    {
+      id: 'circumstance',
+      name: 'Circumstance',
+      might: 'origin',
+      powerTagQuestions: [
+        'What situation do you find yourself in?',
+        'What does your situation give you access to?',
+        'Who stands by you because of it?'
+      ],
+      weaknessTagQuestions: [
+        'What does your situation cost you?',
+        'Who looks down on you because of it?'
+      ],
+      examplePowerTags: ['wandering pilgrim', 'letters of passage', 'friends on every road', 'lives on very little'],
+      exampleWeaknessTags: ['no place to call home', 'hunted by creditors'],
+      specialImprovements: [
+        { name: 'Change of Fortune', description: 'Once per session, turn your circumstance to your advantage and gain a temporary tag from it.' },
+        { name: 'Well Placed', description: 'When you seek help from those who share your circumstance, they come through.' }
+      ]
+    },
+    {
+      id: 'devotion',
+      name: 'Devotion',
+      might: 'origin',
+      powerTagQuestions: [
+        'Who or what are you devoted to?',
+        'What have you done in its name?',
+        'What does your devotion drive you to endure?'
+      ],
+      weaknessTagQuestions: [
+        'What blinds you when your devotion is at stake?',
+        'What have you given up for it?'
+      ],
+      examplePowerTags: ['sworn to the old king', 'never gives up', 'prayers at dawn', 'knows the rites'],
+      exampleWeaknessTags: ['zealous', 'abandoned my family'],
+      specialImprovements: [
+        { name: 'Unshaken', description: 'Your devotion protects you: reduce statuses that would break your resolve by one tier.' },
+        { name: 'Rallying Cry', description: 'When you invoke your devotion to inspire others, your companions gain a tag for the scene.' }
+      ]
+    },
+    {
+      id: 'past',
+      name: 'Past',
+      might: 'origin',
+      powerTagQuestions: [
+        'What were you before you took to the road?',
+        'What did your old life teach you?',
+        'What do you still carry from it?'
+      ],
+      weaknessTagQuestions: [
+        'What from your past still haunts you?',
+        'Who from your past would see you fall?'
+      ],
+      examplePowerTags: ['former soldier', 'old comrades', 'reads the battlefield', 'battered shield'],
+      exampleWeaknessTags: ['nightmares of the siege', 'deserter'],
+      specialImprovements: [
+        { name: 'I Know This Place', description: 'Once per session, reveal that you have been here before and name something useful you remember.' },
+        { name: 'Old Debts', description: 'Someone from your past owes you a favour; call it in once per adventure.' }
+      ]
+    },
+    {
+      id: 'people',
+      name: 'People',
+      might: 'origin',
+      powerTagQuestions: [
+        'Which people or folk do you belong to?',
+        'What custom or craft do your people pass down?',
+        'How do your people recognise one another?'
+      ],
+      weaknessTagQuestions: [
+        'What do outsiders hold against your people?',
+        'What custom of your people binds you?'
+      ],
+      examplePowerTags: ['hill-folk', 'songs of the ancestors', 'welcome in any longhouse', 'hardy'],
+      exampleWeaknessTags: ['distrusted in the lowlands', 'bound by the guest-law'],
+      specialImprovements: [
+        { name: 'Kinship', description: 'Wherever your people dwell, you can find shelter and a friendly ear.' },
+        { name: 'Ancestral Lore', description: 'Once per session, recall a tale of your people that bears on the situation.' }
+      ]
+    },
+    {
+      id: 'personality',
+      name: 'Personality',
+      might: 'origin',
+      powerTagQuestions: [
+        'What is the first thing people notice about you?',
+        'How do you win people over?',
+        'What do you do better than anyone when you are at your best?'
+      ],
+      weaknessTagQuestions: [
+        'What side of you do people find hard to bear?',
+        'What gets under your skin?'
+      ],
+      examplePowerTags: ['infectious laughter', 'sharp tongue', 'calm in a crisis', 'unshakable optimism'],
+      exampleWeaknessTags: ['can\'t keep a secret', 'quick to anger'],
+      specialImprovements: [
+        { name: 'Larger Than Life', description: 'When you make an entrance, everyone in the scene takes notice of you.' },
+        { name: 'True to Myself', description: 'When you act wholly in character, you may treat a weakness tag of this theme as a power tag.' }
+      ]
+    },
+    {
+      id: 'skill-or-trade',
+      name: 'Skill or Trade',
+      might: 'origin',
+      powerTagQuestions: [
+        'What is your trade or skill?',
+        'What tools of the trade do you carry?',
+        'What can you do that an apprentice can\'t?'
+      ],
+      weaknessTagQuestions: [
+        'Where does your training fall short?',
+        'What do you neglect for your work?'
+      ],
+      examplePowerTags: ['blacksmith', 'well-kept tools', 'knows good steel', 'strong arms'],
+      exampleWeaknessTags: ['stubborn about methods', 'nothing but work'],
+      specialImprovements: [
+        { name: 'Master Craftsman', description: 'Given time and materials, you can make an item that carries a story tag of your choice.' },
+        { name: 'Guild Ties', description: 'Others of your trade recognise you and will trade favours.' }
+      ]
+    },
+    {
+      id: 'trait',
+      name: 'Trait',
+      might: 'origin',
+      powerTagQuestions: [
+        'What about your body or mind sets you apart?',
+        'How does it help you when things get hard?',
+        'What have you learned to do with it?'
+      ],
+      weaknessTagQuestions: [
+        'What does it make difficult for you?',
+        'How do others react to it?'
+      ],
+      examplePowerTags: ['keen eyes', 'nimble', 'never forgets a face', 'light sleeper'],
+      exampleWeaknessTags: ['frail', 'stares too long'],
+      specialImprovements: [
+        { name: 'Second Nature', description: 'Your trait never lets you down: its power tags can\'t be scratched to avoid a consequence.' },
+        { name: 'Pushed to the Limit', description: 'Once per session, stretch your trait beyond its usual bounds for a single action.' }
+      ]
+    },
+
+    // Adventure
+    {
+      id: 'duty',
+      name: 'Duty',
+      might: 'adventure',
+      powerTagQuestions: [
+        'What duty has been laid upon you, and by whom?',
+        'What authority or resources does it grant you?',
+        'What oath do you speak when you take it up?'
+      ],
+      weaknessTagQuestions: [
+        'What does your duty forbid?',
+        'Who resents you for it?'
+      ],
+      examplePowerTags: ['warden of the king\'s road', 'seal of office', 'right of passage', 'sworn blade'],
+      exampleWeaknessTags: ['answerable to the council', 'can\'t refuse a summons'],
+      specialImprovements: [
+        { name: 'In the Name Of', description: 'When you invoke your duty, the common folk comply unless they risk great harm.' },
+        { name: 'Steadfast Warden', description: 'When you stand guard over someone in your charge, you take the first blow meant for them.' }
+      ]
+    },
+    {
+      id: 'influence',
+      name: 'Influence',
+      might: 'adventure',
+      powerTagQuestions: [
+        'Where does your influence come from?',
+        'Who listens when you speak?',
+        'What can you make happen with a word?'
+      ],
+      weaknessTagQuestions: [
+        'Who would see your influence broken?',
+        'What must you do to keep it?'
+      ],
+      examplePowerTags: ['merchant prince', 'a web of informants', 'the ear of the duke', 'deep coffers'],
+      exampleWeaknessTags: ['rivals at court', 'every favour has a price'],
+      specialImprovements: [
+        { name: 'Friends in High Places', description: 'Once per adventure, a powerful figure acts on your behalf without asking why.' },
+        { name: 'Reputation Precedes You', description: 'In any town you enter, word of you has already arrived.' }
+      ]
+    },
+    {
+      id: 'knowledge',
+      name: 'Knowledge',
+      might: 'adventure',
+      powerTagQuestions: [
+        'What field of lore have you mastered?',
+        'Where did you learn it?',
+        'What secret do you know that few others do?'
+      ],
+      weaknessTagQuestions: [
+        'What does your learning make you overlook?',
+        'What knowledge do you wish you had never found?'
+      ],
+      examplePowerTags: ['loremaster of the old kingdoms', 'reads forgotten scripts', 'herbalist', 'star charts'],
+      exampleWeaknessTags: ['head in the clouds', 'forbidden secrets'],
+      specialImprovements: [
+        { name: 'I\'ve Read About This', description: 'Once per session, ask the narrator a question about a creature, place or artefact and get a true answer.' },
+        { name: 'Scholar\'s Network', description: 'You can send word to fellow scholars and receive an answer within days.' }
+      ]
+    },
+    {
+      id: 'prodigious-ability',
+      name: 'Prodigious Ability',
+      might: 'adventure',
+      powerTagQuestions: [
+        'What can you do that goes beyond ordinary folk?',
+        'How did you come by this gift?',
+        'What feat has made your name?'
+      ],
+      weaknessTagQuestions: [
+        'What does using your gift cost you?',
+        'When does it fail you?'
+      ],
+      examplePowerTags: ['unmatched archer', 'outruns horses', 'voice that carries for miles', 'tireless'],
+      exampleWeaknessTags: ['exhausted afterwards', 'everyone wants a demonstration'],
+      specialImprovements: [
+        { name: 'Legendary Feat', description: 'Once per adventure, perform a feat of your ability worthy of song; it succeeds without a roll.' },
+        { name: 'Honed Edge', description: 'Choose one power tag of this theme; it counts twice when you invoke it alone.' }
+      ]
+    },
+    {
+      id: 'relic',
+      name: 'Relic',
+      might: 'adventure',
+      powerTagQuestions: [
+        'What is your relic, and what does it look like?',
+        'What power does it hold?',
+        'What legend is told of it?'
+      ],
+      weaknessTagQuestions: [
+        'Who else seeks your relic?',
+        'What does the relic demand of its bearer?'
+      ],
+      examplePowerTags: ['the ember sword', 'burns away shadow', 'hums near danger', 'unbreakable'],
+      exampleWeaknessTags: ['coveted by thieves', 'whispers at night'],
+      specialImprovements: [
+        { name: 'Awakened Relic', description: 'The relic reveals a new power; add a power tag that describes it.' },
+        { name: 'Bound to Me', description: 'The relic always finds its way back to you, however it is lost.' }
+      ]
+    },
+    {
+      id: 'uncanny-being',
+      name: 'Uncanny Being',
+      might: 'adventure',
+      powerTagQuestions: [
+        'What is uncanny about your nature?',
+        'What can you do because of it?',
+        'What sign marks you as not quite mortal?'
+      ],
+      weaknessTagQuestions: [
+        'What mortal things are hard for you?',
+        'What do people fear about you?'
+      ],
+      examplePowerTags: ['fae-touched', 'speaks with beasts', 'walks unseen at dusk', 'ageless'],
+      exampleWeaknessTags: ['cold iron burns', 'shunned by villagers'],
+      specialImprovements: [
+        { name: 'Between Worlds', description: 'Once per session, step briefly into the other realm to escape or to find what is hidden.' },
+        { name: 'Glamour', description: 'You can appear as an ordinary mortal for a scene.' }
+      ]
+    },
+
+    // Greatness
+    {
+      id: 'destiny',
+      name: 'Destiny',
+      might: 'greatness',
+      powerTagQuestions: [
+        'What fate has been foretold for you?',
+        'How does the world bend to bring it about?',
+        'What signs attend you?'
+      ],
+      weaknessTagQuestions: [
+        'What must you sacrifice to meet your fate?',
+        'Who would stop it at any cost?'
+      ],
+      examplePowerTags: ['child of the prophecy', 'fate protects me', 'omens in the sky', 'unlikely luck'],
+      exampleWeaknessTags: ['doomed to fall', 'hunted by the enemy of prophecy'],
+      specialImprovements: [
+        { name: 'Not My Time', description: 'Once per adventure, when you would be defeated, fate intervenes and you survive.' },
+        { name: 'Glimpse of the Thread', description: 'Once per session, ask the narrator what your destiny asks of you here.' }
+      ]
+    },
+    {
+      id: 'dominion',
+      name: 'Dominion',
+      might: 'greatness',
+      powerTagQuestions: [
+        'What land, people or power do you rule?',
+        'How do you exert your rule?',
+        'Who serves you without question?'
+      ],
+      weaknessTagQuestions: [
+        'What threatens your rule?',
+        'What does ruling keep you from?'
+      ],
+      examplePowerTags: ['queen of the marches', 'a loyal host', 'my word is law', 'treasury of ages'],
+      exampleWeaknessTags: ['restless vassals', 'bound to the throne'],
+      specialImprovements: [
+        { name: 'Call the Banners', description: 'Once per adventure, summon a force loyal to you that arrives within the scene or the next.' },
+        { name: 'Decree', description: 'When you proclaim a law within your dominion, it becomes a story tag that lasts until revoked.' }
+      ]
+    },
+    {
+      id: 'mastery',
+      name: 'Mastery',
+      might: 'greatness',
+      powerTagQuestions: [
+        'What art or power have you mastered beyond all others?',
+        'What can you do with it that others call impossible?',
+        'Who acknowledges your mastery?'
+      ],
+      weaknessTagQuestions: [
+        'What has your mastery cost you?',
+        'Who challenges you for it?'
+      ],
+      examplePowerTags: ['archmage of the winds', 'commands the storm', 'unrivalled duellist', 'perfect form'],
+      exampleWeaknessTags: ['arrogant', 'challengers at every turn'],
+      specialImprovements: [
+        { name: 'Effortless', description: 'Tasks within your mastery that would trouble others need no roll.' },
+        { name: 'Signature Technique', description: 'Name a technique; when you use it, you may give one extra status or tag.' }
+      ]
+    },
+    {
+      id: 'monstrosity',
+      name: 'Monstrosity',
+      might: 'greatness',
+      powerTagQuestions: [
+        'What monstrous form or nature do you bear?',
+        'What terrible power does it give you?',
+        'How do others recognise what you are?'
+      ],
+      weaknessTagQuestions: [
+        'What does the monster within crave?',
+        'What part of you is lost to it?'
+      ],
+      examplePowerTags: ['dragon-blooded', 'scales like iron', 'terrifying roar', 'breath of flame'],
+      exampleWeaknessTags: ['hunger for gold', 'feared by all'],
+      specialImprovements: [
+        { name: 'Unleashed', description: 'Once per session, let the monster loose: your power tags count double, but the narrator chooses a consequence.' },
+        { name: 'Mastered Beast', description: 'You can hide your monstrous nature for a scene without a roll.' }
+      ]
+    }
+  ];
+
+  /**
+   * Check whether a value is a list of non-empty strings
+   * @param {*} value - Value to check
+   * @returns {boolean} True if it is
+   */
+  function isStringList(value) {
+    return Array.isArray(value) && value.every(item => typeof item === 'string' && item.trim().length > 0);
+  }
+
+  /**
+   * Check a themebook, such as one loaded from a custom JSON file
+   * @param {Object} themebook - Themebook
+   * @returns {boolean} True if it has everything a theme card needs
+   */
+  function isValidThemebook(themebook) {
+    return !!themebook &&
+      typeof themebook.id === 'string' && /^[\w-]+$/.test(themebook.id) &&
+      typeof themebook.name === 'string' && themebook.name.trim().length > 0 &&
+      MIGHT_LEVELS.some(level => level.id === themebook.might) &&
+      isStringList(themebook.powerTagQuestions) &&
+      isStringList(themebook.weaknessTagQuestions) &&
+      isStringList(themebook.examplePowerTags) &&
+      isStringList(themebook.exampleWeaknessTags) &&
+      Array.isArray(themebook.specialImprovements) &&
+      themebook.specialImprovements.every(improvement =>
+        typeof improvement?.name === 'string' && improvement.name.trim().length > 0 &&
+        (improvement.description === undefined || typeof improvement.description === 'string'));
+  }
+
+  /**
+   * Get the name of a might level
+   * @param {string} might - Might level ID
+   * @returns {string} Might level name, or the ID if it is unknown
+   */
+  function getMightName(might) {
+    return MIGHT_LEVELS.find(level => level.id === might)?.name || might;
+  }
+
+  /**
+   * Group themebooks by might level, in might level order
+   * @param {Array} themebooks - Themebooks
+   * @returns {Array} [{ might, name, themebooks }]
+   */
+  function groupByMight(themebooks) {
+    return MIGHT_LEVELS.map(level => ({
+      might: level.id,
+      name: level.name,
+      themebooks: themebooks.filter(themebook => themebook.might === level.id)
+    }));
+  }
+
+  return {
+    MIGHT_LEVELS,
+    THEMEBOOKS,
+    isValidThemebook,
+    getMightName,
+    groupByMight
+  };
+});